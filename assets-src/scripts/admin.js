@@ -1,56 +1,21 @@
 /**
  * Admin UI - Main Entry File
  *
- * Requires: namespace.js
+ * Loaded last: every bundled component has registered with App by now,
+ * so starting here mounts them all at once.
+ * Requires: namespace.js, app.js
  */
 (function (window, document) {
     'use strict';
 
     var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
-    if (!PREFIX_CONFIG) throw new Error('App requires namespace.js (__PREFIX_CONFIG__).');
+    if (!PREFIX_CONFIG) throw new Error('Admin requires namespace.js (__PREFIX_CONFIG__).');
 
     var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
-    if (!ProactiveSiteAdvisor) throw new Error('App requires global namespace.');
+    if (!ProactiveSiteAdvisor) throw new Error('Admin requires global namespace.');
 
-    var App = {
-        version: '1.0.0',
-        initialized: false,
-
-        init: function () {
-            if (this.initialized) return;
-
-            this.bindGlobalEvents();
-            this.initialized = true;
-
-            ProactiveSiteAdvisor.dispatch('ready', {version: this.version}, document);
-        },
-
-        bindGlobalEvents: function () {
-            var self = this;
-
-            document.addEventListener(
-                ProactiveSiteAdvisor.event('contentLoaded'),
-                function (e) {
-                    self.initializeContainer(e.detail && e.detail.container);
-                }
-            );
-        },
-
-        initializeContainer: function (container) {
-            container = container || document;
-
-            if (
-                ProactiveSiteAdvisor.AdminNotices &&
-                typeof ProactiveSiteAdvisor.AdminNotices.init === 'function'
-            ) {
-                ProactiveSiteAdvisor.AdminNotices.init(container);
-            }
-        },
-
-        contentLoaded: function (container) {
-            ProactiveSiteAdvisor.dispatch('contentLoaded', {container: container}, document);
-        }
-    };
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('Admin requires app.js.');
 
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function () {
@@ -60,6 +25,4 @@
         App.init();
     }
 
-    ProactiveSiteAdvisor.App = App;
-
-})(window, document);
\ No newline at end of file
+})(window, document);
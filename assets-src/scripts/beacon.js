@@ -0,0 +1,55 @@
+/**
+ * Front-end Pageview Beacon
+ *
+ * Reports the view of a page to the beacon REST route, so pages served
+ * from a page cache are counted too (see PageviewBeacon). Prerendered
+ * pages report once they are shown; automated browsers never do.
+ * Runs on visitors' pages: it stays silent rather than throwing.
+ * Requires: namespace.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) return;
+
+    var config = (window[PREFIX_CONFIG.configObject] || {}).beacon;
+    if (!config || !config.url || !config.token) return;
+
+    var navigator = window.navigator;
+    if (!navigator || navigator.webdriver) return;
+
+    var sent = false;
+
+    function send() {
+        if (sent) return;
+        sent = true;
+
+        var body = 'token=' + encodeURIComponent(config.token) + '&path=' + encodeURIComponent(window.location.pathname);
+
+        // A form-encoded body keeps the request simple enough for WordPress to parse.
+        if (navigator.sendBeacon && window.Blob &&
+            navigator.sendBeacon(config.url, new Blob([body], {type: 'application/x-www-form-urlencoded'}))) {
+            return;
+        }
+
+        if (window.fetch) {
+            window.fetch(config.url, {
+                method: 'POST',
+                body: body,
+                headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+                credentials: 'omit',
+                keepalive: true
+            }).catch(function () {
+                // A lost pageview is not worth surfacing to the visitor.
+            });
+        }
+    }
+
+    if (document.prerendering) {
+        document.addEventListener('prerenderingchange', send);
+    } else {
+        send();
+    }
+
+})(window, document);
@@ -2,7 +2,7 @@
  * Admin UI - Admin Notices Component
  *
  * Handles dismissing notices via AJAX.
- * Requires: namespace.js, config.js, helpers.js
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js
  */
 (function (window, document) {
     'use strict';
@@ -17,36 +17,27 @@
     var Config = ProactiveSiteAdvisor.Config;
     if (!Helpers || !Config) throw new Error('AdminNotices requires helpers.js and config.js.');
 
-    function dismissNotice(noticeId) {
-        if (!noticeId || typeof window.fetch !== 'function') return;
-
-        var ajaxUrl = Config.getAjaxUrl();
-        var nonce = Config.getNonce();
-        if (!ajaxUrl || !nonce) return;
-
-        var formData = new FormData();
-        formData.append('action', ProactiveSiteAdvisor.ajaxAction('dismiss_notice'));
-        formData.append('notice_id', noticeId);
-        formData.append('security', nonce);
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Api || !App) throw new Error('AdminNotices requires api.js and app.js.');
 
-        window.fetch(ajaxUrl, {
-            method: 'POST',
-            credentials: 'same-origin',
-            body: formData
-        }).catch(function () {
-        });
+    function dismissNotice(noticeId) {
+        if (!noticeId) return;
+
+        // WordPress removes the notice element itself; a failed request is
+        // reported by Api via the request:error event, or queued when offline.
+        Api.post('dismiss_notice', {notice_id: noticeId}, {queue: 'dismiss_notice:' + noticeId})
+            .then(function (response) {
+                var message = (Config.get('i18n', {}) || {}).noticeDismissed;
+                if (message && !response.queued && ProactiveSiteAdvisor.Toast) ProactiveSiteAdvisor.Toast.success(message);
+            })
+            .catch(function () {
+                return null;
+            });
     }
 
     function init() {
-        document.addEventListener('click', function (e) {
-            var target = Helpers.getElement(e.target);
-            if (!target) return;
-
-            var btn = target.closest(
-                ProactiveSiteAdvisor.selector('dismissible-notice') + ' .notice-dismiss'
-            );
-            if (!btn) return;
-
+        App.on('click', ProactiveSiteAdvisor.selector('dismissible-notice') + ' .notice-dismiss', function (e, btn) {
             var notice = btn.closest(
                 ProactiveSiteAdvisor.selector('notice')
             );
@@ -56,16 +47,17 @@
                 ProactiveSiteAdvisor.dataAttr('notice-id')
             );
 
+            // WordPress hides the notice regardless; a veto keeps it from being saved as dismissed.
+            if (!ProactiveSiteAdvisor.dispatch('notice:dismiss', {noticeId: noticeId, notice: notice}, notice)) return;
+
             dismissNotice(noticeId);
         });
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
+    var AdminNotices = {init: init};
+
+    App.register('adminNotices', AdminNotices);
 
-    ProactiveSiteAdvisor.AdminNotices = {init: init};
+    ProactiveSiteAdvisor.AdminNotices = AdminNotices;
 
 })(window, document);
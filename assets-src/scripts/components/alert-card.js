@@ -1,8 +1,13 @@
 /**
  * Alert Card Component
  *
- * Handles expand/collapse functionality for alert cards with details sections.
- * Requires: namespace.js, helpers.js
+ * Handles expand/collapse functionality for alert cards with details sections
+ * and the acknowledge / snooze / resolve / reopen actions.
+ *
+ * render() builds the same markup as templates/admin/components/alert-card.php
+ * from an alert as returned by the REST API, so cards loaded in the browser
+ * look and behave like server-rendered ones. Keep both in sync.
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js, top-urls.js
  */
 (function (window, document) {
     'use strict';
@@ -16,6 +21,250 @@
     var Helpers = ProactiveSiteAdvisor.Helpers;
     if (!Helpers) throw new Error('AlertCard requires helpers.js.');
 
+    var Api = ProactiveSiteAdvisor.Api;
+    if (!Api) throw new Error('AlertCard requires api.js.');
+
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Config) throw new Error('AlertCard requires config.js.');
+
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('AlertCard requires app.js.');
+
+    var TopUrls = ProactiveSiteAdvisor.TopUrls;
+    if (!TopUrls) throw new Error('AlertCard requires top-urls.js.');
+
+    var esc = Helpers.escapeHtml;
+    var escAttr = Helpers.escapeAttr;
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function dataAttr(name, value) {
+        return ProactiveSiteAdvisor.dataAttr(name) + '="' + escAttr(value) + '"';
+    }
+
+    function formatDate(alert) {
+        if (alert.date_label) return alert.date_label;
+
+        var parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(alert.alert_date || '');
+        if (!parts) return '';
+
+        return new Date(+parts[1], +parts[2] - 1, +parts[3]).toLocaleDateString();
+    }
+
+    function renderStatusButton(variant, status, statusLabel, hideFor, text, days) {
+        return '<button type="button" class="' + cls('btn') + ' ' + cls('btn-sm') + ' ' + cls('btn-outline-' + variant) + '" ' +
+            dataAttr('action', 'alert-status') + ' ' +
+            dataAttr('status', status) + ' ' +
+            (days ? dataAttr('days', days) + ' ' : '') +
+            dataAttr('status-label', statusLabel) + ' ' +
+            dataAttr('hide-for', hideFor) + '>' +
+            esc(text) +
+            '</button>';
+    }
+
+    function renderActions(labels, snooze) {
+        var html = renderStatusButton('primary', 'acknowledged', labels.acknowledged, 'acknowledged snoozed resolved', labels.acknowledge);
+
+        for (var i = 0; i < snooze.length; i++) {
+            html += renderStatusButton('secondary', 'snoozed', labels.snoozed, 'snoozed resolved', snooze[i].label, snooze[i].days);
+        }
+
+        html += renderStatusButton('success', 'resolved', labels.resolved, 'resolved', labels.resolve);
+        html += renderStatusButton('secondary', 'open', '', 'open', labels.reopen);
+        html += '<button type="button" class="' + cls('btn') + ' ' + cls('btn-sm') + ' ' + cls('btn-link') + '" ' +
+            dataAttr('action', 'alert-details') + ' aria-haspopup="dialog">' +
+            esc(labels.details) +
+            '</button>';
+
+        return '<div class="' + cls('alert-card__actions') + '">' + html + '</div>';
+    }
+
+    function renderSection(title, content) {
+        return '<div class="' + cls('alert-card__section') + '">' +
+            '<h6 class="' + cls('alert-card__section-title') + '">' + esc(title) + '</h6>' +
+            content +
+            '</div>';
+    }
+
+    function renderDetails(id, expanded, labels) {
+        var html = '';
+        var i;
+
+        if (expanded.meaning) {
+            html += renderSection(labels.meaning,
+                '<p class="' + cls('alert-card__section-text') + '">' + esc(expanded.meaning) + '</p>');
+        }
+
+        if (Array.isArray(expanded.checks) && expanded.checks.length) {
+            var checks = '';
+            for (i = 0; i < expanded.checks.length; i++) {
+                checks += '<li>' + esc(expanded.checks[i]) + '</li>';
+            }
+
+            html += renderSection(labels.checks, '<ul class="' + cls('alert-card__checklist') + '">' + checks + '</ul>');
+        }
+
+        if (Array.isArray(expanded.topUrls) && expanded.topUrls.length) {
+            html += renderSection(labels.topUrls, TopUrls.render(expanded.topUrls, expanded.total404));
+        }
+
+        return '<div id="' + escAttr(id) + '" class="' + cls('alert-card__details') + '" hidden>' + html + '</div>';
+    }
+
+    /**
+     * Build the markup of an alert card.
+     *
+     * @param {Object} alert Alert as returned by the alerts REST endpoint.
+     * @return {string}
+     */
+    function render(alert) {
+        alert = alert || {};
+
+        var config = Config.get('alertCard', {}) || {};
+        var labels = config.labels || {};
+        var snooze = Array.isArray(config.snooze) ? config.snooze : [];
+
+        var severity = alert.severity || 'info';
+        var alertId = parseInt(alert.id, 10) || 0;
+        var expanded = Helpers.isPlainObject(alert.expanded) ? alert.expanded : {};
+        var shortMessage = alert.short_message || alert.message || '';
+        var date = formatDate(alert);
+        var hasExpanded = !!(expanded.meaning ||
+            (Array.isArray(expanded.checks) && expanded.checks.length) ||
+            (Array.isArray(expanded.topUrls) && expanded.topUrls.length));
+        var detailsId = Helpers.uniqueId(cls('alert-')) + '-details';
+
+        var classes = [cls('card'), cls('alert-card'), cls('alert-card--' + severity)];
+        if (hasExpanded) classes.push(cls('alert-card--collapsible'));
+
+        var html = '<div class="' + escAttr(classes.join(' ')) + '"' +
+            (alertId > 0 ? ' ' + dataAttr('alert-id', alertId) : '') + ' ' +
+            dataAttr('alert-status', alert.status || 'open') + ' ' +
+            dataAttr('alert-severity', severity) + ' ' +
+            dataAttr('alert-type', alert.type || '') + ' ' +
+            dataAttr('alert-date', alert.alert_date || '') + '>' +
+            '<div class="' + cls('alert-card__body') + '">' +
+            '<div class="' + cls('alert-card__icon') + '">' +
+            '<span class="' + escAttr(alert.icon_class || cls('icon--alert')) + '"></span>' +
+            '</div>' +
+            '<div class="' + cls('alert-card__content') + '">' +
+            '<div class="' + cls('alert-card__header') + '">' +
+            '<span class="' + cls('badge') + ' ' + escAttr(alert.severity_class || cls('badge--info')) + '">' +
+            esc(alert.type_label || labels.alert || '') +
+            '</span>' +
+            (date ? '<span class="' + cls('alert-card__date') + '">' + esc(date) + '</span>' : '') +
+            '<span class="' + cls('alert-card__status') + '">' + esc(alert.status_label || '') + '</span>' +
+            '</div>' +
+            (alert.title ? '<h5 class="' + cls('alert-card__title') + '">' + esc(alert.title) + '</h5>' : '') +
+            (shortMessage ? '<p class="' + cls('alert-card__message') + '">' + esc(shortMessage) + '</p>' : '') +
+            (alertId > 0 ? renderActions(labels, snooze) : '') +
+            (hasExpanded ? renderDetails(detailsId, expanded, labels) : '') +
+            '</div>';
+
+        if (hasExpanded) {
+            html += '<button type="button" class="' + cls('alert-card__toggle') + '" aria-expanded="false" ' +
+                'aria-controls="' + escAttr(detailsId) + '" aria-label="' + escAttr(labels.toggle || '') + '">' +
+                '<span class="' + cls('icon--chevron-down') + '"></span>' +
+                '</button>';
+        }
+
+        return html + '</div></div>';
+    }
+
+    function renderFigures(meta, labels) {
+        var figures = [
+            {label: labels.today, value: meta.today},
+            {label: (labels.average || '').replace('%d', meta.baseline_days || 7), value: meta.avg7},
+            {
+                label: labels.change,
+                value: typeof meta.change_pct === 'number'
+                    ? (meta.change_pct > 0 ? '+' : '') + Math.round(meta.change_pct) + '%'
+                    : null
+            }
+        ];
+        var html = '';
+
+        for (var i = 0; i < figures.length; i++) {
+            if (figures[i].value === null || figures[i].value === undefined || !figures[i].label) continue;
+
+            html += '<div class="' + cls('alert-detail__figure') + '">' +
+                '<dt>' + esc(figures[i].label) + '</dt>' +
+                '<dd>' + esc(typeof figures[i].value === 'number' ? Helpers.formatNumber(figures[i].value) : figures[i].value) + '</dd>' +
+                '</div>';
+        }
+
+        return html ? '<dl class="' + cls('alert-detail__figures') + '">' + html + '</dl>' : '';
+    }
+
+    /**
+     * Build the full alert view shown in the details dialog: the card
+     * with its details expanded and the full message, plus the figures
+     * that triggered the alert.
+     *
+     * @param {Object} alert Alert as returned by the alerts REST endpoint.
+     * @return {Element}
+     */
+    function renderDetail(alert) {
+        var labels = (Config.get('alertCard', {}) || {}).labels || {};
+        var view = document.createElement('div');
+        var card = create(Helpers.merge(Helpers.merge({}, alert), {short_message: alert.message || alert.short_message}));
+
+        view.className = cls('alert-detail');
+        view.innerHTML = renderFigures(Helpers.isPlainObject(alert.meta) ? alert.meta : {}, labels);
+
+        if (card) {
+            var detailsBtn = card.querySelector(ProactiveSiteAdvisor.dataSelector('action', 'alert-details'));
+            if (detailsBtn) detailsBtn.parentNode.removeChild(detailsBtn);
+
+            if (Helpers.hasClass(card, cls('alert-card--collapsible'))) toggleCard(card);
+
+            view.insertBefore(card, view.firstChild);
+        }
+
+        return view;
+    }
+
+    function openDetails(card, trigger) {
+        var Modal = ProactiveSiteAdvisor.Modal;
+        var alertId = card.getAttribute(ProactiveSiteAdvisor.dataAttr('alert-id'));
+        if (!Modal || !alertId) return;
+
+        if (!ProactiveSiteAdvisor.dispatch('alert:details', {id: alertId, card: card}, card)) return;
+
+        var labels = (Config.get('alertCard', {}) || {}).labels || {};
+        var title = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__title'));
+
+        var modal = Modal.open({
+            title: title ? title.textContent : labels.details,
+            content: '<p class="' + cls('alert-detail__loading') + '" role="status">' + esc(labels.loading) + '</p>',
+            size: 'full',
+            trigger: trigger
+        });
+
+        Api.rest('alerts/' + encodeURIComponent(alertId))
+            .then(function (response) {
+                modal.setContent(renderDetail(response.data || {}));
+            })
+            .catch(function () {
+                modal.close();
+            });
+    }
+
+    /**
+     * Build an alert card element.
+     *
+     * @param {Object} alert Alert as returned by the alerts REST endpoint.
+     * @return {Element}
+     */
+    function create(alert) {
+        var wrapper = document.createElement('div');
+        wrapper.innerHTML = render(alert);
+
+        return wrapper.firstElementChild;
+    }
+
     function toggleCard(card) {
         var toggle = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__toggle'));
         var details = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__details'));
@@ -32,43 +281,142 @@
         );
     }
 
-    function init() {
-        document.addEventListener('click', function (e) {
-            var target = Helpers.getElement(e.target);
-            if (!target) return;
+    function applyStatus(card, status, label) {
+        card.setAttribute(ProactiveSiteAdvisor.dataAttr('alert-status'), status);
+
+        var statusEl = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__status'));
+        if (statusEl) statusEl.textContent = label || '';
+    }
+
+    function setBusy(card, busy) {
+        var buttons = card.querySelectorAll(ProactiveSiteAdvisor.dataSelector('action', 'alert-status'));
+
+        for (var i = 0; i < buttons.length; i++) {
+            buttons[i].disabled = busy;
+        }
+
+        card.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
 
-            var toggle = target.closest(
-                ProactiveSiteAdvisor.selector('alert-card__toggle')
-            );
+    /**
+     * Confirm a status change, offering to undo it unless it ended a snooze
+     * (the snooze end date cannot be restored).
+     */
+    function notifyStatus(card, status, label, previous, undoable) {
+        var Toast = ProactiveSiteAdvisor.Toast;
+        var labels = (Config.get('alertCard', {}) || {}).labels || {};
+        if (!Toast || !labels.statusChanged) return;
 
-            if (toggle) {
-                var cardFromToggle = toggle.closest(
-                    ProactiveSiteAdvisor.selector('alert-card--collapsible')
+        var options = {};
+        var undoBtn = card.querySelector(
+            ProactiveSiteAdvisor.dataSelector('action', 'alert-status') +
+            ProactiveSiteAdvisor.dataSelector('status', previous)
+        );
+
+        if (undoable && previous !== 'snoozed' && previous !== status && undoBtn) {
+            options.action = {
+                label: (Config.get('i18n', {}) || {}).undo || 'Undo',
+                onClick: function () {
+                    updateStatus(card, undoBtn, {undoable: false});
+                }
+            };
+        }
+
+        Toast.success(labels.statusChanged.replace('%s', label || labels.open || status), options);
+    }
+
+    function updateStatus(card, btn, options) {
+        var undoable = !options || options.undoable !== false;
+
+        var alertId = card.getAttribute(ProactiveSiteAdvisor.dataAttr('alert-id'));
+        var status = btn.getAttribute(ProactiveSiteAdvisor.dataAttr('status'));
+        if (!alertId || !status) return;
+
+        var statusEl = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__status'));
+        var previous = {
+            status: card.getAttribute(ProactiveSiteAdvisor.dataAttr('alert-status')) || 'open',
+            label: statusEl ? statusEl.textContent : ''
+        };
+
+        if (!ProactiveSiteAdvisor.dispatch('alert:statusChange', {
+            id: alertId,
+            status: status,
+            previous: previous.status,
+            card: card
+        }, card)) return;
+
+        // Optimistic update; rolled back if the request fails.
+        applyStatus(card, status, btn.getAttribute(ProactiveSiteAdvisor.dataAttr('status-label')));
+        setBusy(card, true);
+
+        Api.post('update_alert_status', {
+            alert_id: alertId,
+            status: status,
+            days: btn.getAttribute(ProactiveSiteAdvisor.dataAttr('days'))
+        })
+            .then(function (response) {
+                var data = response.data || {};
+
+                applyStatus(card, data.status || status, data.status_label);
+                setBusy(card, false);
+
+                notifyStatus(
+                    card,
+                    data.status || status,
+                    data.status_label || btn.getAttribute(ProactiveSiteAdvisor.dataAttr('status-label')),
+                    previous.status,
+                    undoable
                 );
-                if (cardFromToggle) toggleCard(cardFromToggle);
-                return;
-            }
 
-            var body = target.closest(
-                ProactiveSiteAdvisor.selector('alert-card__body')
-            );
-            if (!body) return;
+                ProactiveSiteAdvisor.dispatch('alertStatusChanged', {
+                    id: alertId,
+                    status: data.status || status,
+                    previous: previous.status
+                }, card);
+            })
+            .catch(function () {
+                applyStatus(card, previous.status, previous.label);
+                setBusy(card, false);
+            });
+    }
 
-            if (target.closest('a, button, input, select, textarea')) return;
+    function init() {
+        App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'alert-status'), function (e, btn) {
+            var card = btn.closest(ProactiveSiteAdvisor.selector('alert-card'));
+            if (card) updateStatus(card, btn);
+        });
 
-            var cardFromBody = body.closest(
-                ProactiveSiteAdvisor.selector('alert-card--collapsible')
-            );
-            if (cardFromBody) toggleCard(cardFromBody);
+        App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'alert-details'), function (e, btn) {
+            var card = btn.closest(ProactiveSiteAdvisor.selector('alert-card'));
+            if (card) openDetails(card, btn);
         });
-    }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+        App.on('click', ProactiveSiteAdvisor.selector('alert-card__toggle'), function (e, toggle) {
+            var card = toggle.closest(ProactiveSiteAdvisor.selector('alert-card--collapsible'));
+            if (card) toggleCard(card);
+        });
+
+        // Clicking the card body toggles too, except on its own controls.
+        App.on('click', ProactiveSiteAdvisor.selector('alert-card__body'), function (e, body) {
+            if (Helpers.getElement(e.target).closest('a, button, input, select, textarea')) return;
+
+            var card = body.closest(ProactiveSiteAdvisor.selector('alert-card--collapsible'));
+            if (card) toggleCard(card);
+        });
     }
 
-    ProactiveSiteAdvisor.AlertCard = {init: init};
+    var AlertCard = {
+        init: init,
+        toggle: toggleCard,
+        updateStatus: updateStatus,
+        render: render,
+        create: create,
+        renderDetail: renderDetail,
+        openDetails: openDetails
+    };
+
+    App.register('alertCard', AlertCard);
+
+    ProactiveSiteAdvisor.AlertCard = AlertCard;
 
 })(window, document);
@@ -0,0 +1,373 @@
+/**
+ * Admin UI - Alert Thresholds Component
+ *
+ * Form of the Alert rules page. Replays the alert rules against the
+ * stored days on every edit, listing the days that alerted with the
+ * saved values next to those that would with the edited ones, and
+ * saves the values. The rules mirror AlertEngine; keep both in sync.
+ * Also turns the pageview beacon on or off.
+ *
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('AlertThresholds requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('AlertThresholds requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('AlertThresholds requires helpers.js and config.js.');
+
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Api || !App) throw new Error('AlertThresholds requires api.js and app.js.');
+
+    var BADGES = {critical: 'badge--danger', warning: 'badge--warning', info: 'badge--info'};
+
+    var esc = Helpers.escapeHtml;
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function average(days, key) {
+        var sum = 0;
+
+        for (var i = 0; i < days.length; i++) {
+            sum += days[i][key];
+        }
+
+        return days.length ? sum / days.length : 0;
+    }
+
+    /**
+     * Alerts the rules raise for one day; see AlertEngine::generateForDay.
+     *
+     * @param {Object} day {pageviews, errors_404}.
+     * @param {Array<Object>} previous The stored days before it, oldest first.
+     * @param {Object} thresholds Thresholds by rule.
+     * @param {number} lowBaseline404 See AlertThresholds::LOW_404_BASELINE.
+     * @return {Array<Object>} [{type, severity, changePct}]
+     */
+    function evaluateDay(day, previous, thresholds, lowBaseline404) {
+        var alerts = [];
+
+        Object.keys(thresholds).forEach(function (rule) {
+            var values = thresholds[rule];
+            var days = values.baseline_days;
+
+            if (previous.length < days) return;
+
+            var recent = previous.slice(previous.length - days);
+
+            if (rule === 'traffic_drop' || rule === 'traffic_spike') {
+                var avgPv = average(recent, 'pageviews');
+                if (avgPv <= 0) return;
+
+                var changePct = (day.pageviews / avgPv - 1) * 100;
+
+                if (rule === 'traffic_drop' && -changePct > values.drop_pct) {
+                    alerts.push({type: rule, severity: -changePct >= values.critical_pct ? 'critical' : 'warning', changePct: changePct});
+                }
+
+                if (rule === 'traffic_spike' && changePct > values.increase_pct) {
+                    alerts.push({type: rule, severity: 'info', changePct: changePct});
+                }
+            }
+
+            if (rule === 'error_404_spike' && day.errors_404 > 0) {
+                var avg404 = average(recent, 'errors_404');
+                var alert = avg404 < lowBaseline404
+                    ? day.errors_404 >= values.min_errors
+                    : day.errors_404 > values.multiplier * avg404;
+
+                if (alert) {
+                    alerts.push({type: rule, severity: 'warning', changePct: avg404 > 0 ? (day.errors_404 / avg404 - 1) * 100 : null});
+                }
+            }
+        });
+
+        return alerts;
+    }
+
+    function signature(alerts) {
+        return alerts.map(function (alert) {
+            return alert.type + ':' + alert.severity;
+        }).join(',');
+    }
+
+    var AlertThresholds = {
+        root: null,
+        settings: {},
+        history: [],
+        saved: null,
+        saving: false,
+
+        selector: ProactiveSiteAdvisor.dataSelector('alert-thresholds'),
+
+        init: function () {
+            var self = this;
+            var fieldSelector = this.selector + ' ' + ProactiveSiteAdvisor.dataSelector('field');
+
+            this.settings = Config.get('alertThresholds', {}) || {};
+
+            App.on('input', fieldSelector, Helpers.debounce(function () {
+                self.update();
+            }, 150));
+
+            App.on('submit', this.selector, function (e) {
+                e.preventDefault();
+                self.save();
+            });
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'restore-thresholds'), function (e) {
+                e.preventDefault();
+                self.restoreDefaults();
+            });
+
+            App.on('change', ProactiveSiteAdvisor.dataSelector('action', 'toggle-beacon'), function (e, input) {
+                self.toggleBeacon(input);
+            });
+        },
+
+        mount: function (root) {
+            if (this.root) return;
+
+            this.root = root;
+
+            try {
+                this.history = JSON.parse(root.getAttribute(ProactiveSiteAdvisor.dataAttr('history')) || '[]') || [];
+            } catch (e) {
+                this.history = [];
+            }
+
+            this.saved = this.read();
+            this.update();
+        },
+
+        unmount: function (root) {
+            if (root !== this.root) return;
+
+            this.root = null;
+            this.history = [];
+            this.saved = null;
+        },
+
+        getInputs: function () {
+            return this.root ? this.root.querySelectorAll(ProactiveSiteAdvisor.dataSelector('field')) : [];
+        },
+
+        /**
+         * Thresholds from the form, clamped like AlertThresholds::sanitize();
+         * a field left empty keeps its saved value.
+         *
+         * @return {Object} Thresholds by rule.
+         */
+        read: function () {
+            var inputs = this.getInputs();
+            var thresholds = {};
+
+            for (var i = 0; i < inputs.length; i++) {
+                var rule = inputs[i].getAttribute(ProactiveSiteAdvisor.dataAttr('rule'));
+                var field = inputs[i].getAttribute(ProactiveSiteAdvisor.dataAttr('field'));
+                var value = parseFloat(inputs[i].value);
+
+                if (isNaN(value)) value = this.saved ? this.saved[rule][field] : parseFloat(inputs[i].defaultValue);
+
+                thresholds[rule] = thresholds[rule] || {};
+                thresholds[rule][field] = Math.min(parseFloat(inputs[i].max), Math.max(parseFloat(inputs[i].min), value));
+            }
+
+            if (thresholds.traffic_drop) {
+                thresholds.traffic_drop.critical_pct = Math.max(thresholds.traffic_drop.critical_pct, thresholds.traffic_drop.drop_pct);
+            }
+
+            return thresholds;
+        },
+
+        write: function (thresholds) {
+            var inputs = this.getInputs();
+
+            for (var i = 0; i < inputs.length; i++) {
+                var rule = thresholds[inputs[i].getAttribute(ProactiveSiteAdvisor.dataAttr('rule'))] || {};
+                var field = inputs[i].getAttribute(ProactiveSiteAdvisor.dataAttr('field'));
+
+                if (rule[field] !== undefined) inputs[i].value = rule[field];
+            }
+        },
+
+        /**
+         * Alerts per stored day, oldest first.
+         *
+         * @param {Object} thresholds
+         * @return {Array<Array<Object>>}
+         */
+        evaluate: function (thresholds) {
+            var lowBaseline404 = parseFloat(this.settings.lowBaseline404) || 0;
+            var history = this.history;
+
+            return history.map(function (day, index) {
+                return evaluateDay(day, history.slice(0, index), thresholds, lowBaseline404);
+            });
+        },
+
+        update: function () {
+            if (!this.root) return;
+
+            var draft = this.read();
+            var dirty = JSON.stringify(draft) !== JSON.stringify(this.saved);
+            var labels = this.settings.labels || {};
+            var status = this.root.querySelector(ProactiveSiteAdvisor.selector('alert-thresholds__status'));
+            var save = this.root.querySelector(ProactiveSiteAdvisor.dataSelector('action', 'save-thresholds'));
+
+            if (status) status.textContent = dirty ? (labels.unsaved || '') : '';
+            if (save && !this.saving) save.disabled = !dirty;
+
+            this.renderPreview(this.evaluate(this.saved), this.evaluate(draft));
+        },
+
+        renderPreview: function (saved, draft) {
+            var region = document.querySelector(ProactiveSiteAdvisor.dataSelector('region', 'threshold-preview'));
+            var summary = document.querySelector(ProactiveSiteAdvisor.selector('alert-thresholds__summary'));
+            var labels = this.settings.labels || {};
+            var savedCount = 0;
+            var draftCount = 0;
+            var rows = '';
+
+            if (!region) return;
+
+            for (var i = this.history.length - 1; i >= 0; i--) {
+                savedCount += saved[i].length;
+                draftCount += draft[i].length;
+
+                if (!saved[i].length && !draft[i].length) continue;
+
+                var changed = signature(saved[i]) !== signature(draft[i]);
+                var day = this.history[i];
+
+                rows += '<tr' + (changed ? ' class="' + cls('alert-thresholds__row--changed') + '"' : '') + '>' +
+                    '<td>' + esc(day.label || day.date) + '</td>' +
+                    '<td>' + esc(Helpers.formatNumber(day.pageviews)) + '</td>' +
+                    '<td>' + esc(Helpers.formatNumber(day.errors_404)) + '</td>' +
+                    '<td>' + this.renderAlerts(saved[i]) + '</td>' +
+                    '<td>' + this.renderAlerts(draft[i]) + '</td>' +
+                    '</tr>';
+            }
+
+            if (summary) {
+                summary.textContent = this.history.length ? (labels.summary || '')
+                    .replace('%1$s', Helpers.formatNumber(draftCount))
+                    .replace('%2$s', Helpers.formatNumber(savedCount))
+                    .replace('%3$s', Helpers.formatNumber(this.history.length)) : '';
+            }
+
+            if (!rows) {
+                region.innerHTML = '<p class="' + cls('alert-thresholds__empty') + '">' +
+                    esc(this.history.length ? labels.noAlerts || '' : labels.notEnough || '') + '</p>';
+                return;
+            }
+
+            region.innerHTML = '<div class="' + cls('card') + ' ' + cls('table-card') + '">' +
+                '<div class="' + cls('table-responsive') + '">' +
+                '<table class="' + cls('table') + ' ' + cls('alert-thresholds__preview') + '">' +
+                '<thead><tr>' +
+                '<th>' + esc(labels.date || '') + '</th>' +
+                '<th>' + esc(labels.pageviews || '') + '</th>' +
+                '<th>' + esc(labels.errors404 || '') + '</th>' +
+                '<th>' + esc(labels.savedValues || '') + '</th>' +
+                '<th>' + esc(labels.editedValues || '') + '</th>' +
+                '</tr></thead>' +
+                '<tbody>' + rows + '</tbody>' +
+                '</table></div></div>';
+        },
+
+        renderAlerts: function (alerts) {
+            var types = this.settings.types || {};
+            var html = '';
+
+            if (!alerts.length) {
+                return '<span class="' + cls('text-muted') + '">' + esc((this.settings.labels || {}).none || '') + '</span>';
+            }
+
+            for (var i = 0; i < alerts.length; i++) {
+                var change = alerts[i].changePct;
+
+                html += '<span class="' + cls('badge') + ' ' + cls(BADGES[alerts[i].severity] || BADGES.info) + '">' +
+                    esc(types[alerts[i].type] || alerts[i].type) +
+                    (typeof change === 'number' ? ' ' + esc((change > 0 ? '+' : '') + Math.round(change) + '%') : '') +
+                    '</span> ';
+            }
+
+            return html;
+        },
+
+        toggleBeacon: function (input) {
+            var labels = this.settings.labels || {};
+            var enabled = input.checked;
+
+            input.disabled = true;
+
+            Api.post('set_pageview_beacon', {enabled: enabled ? 1 : 0})
+                .then(function (response) {
+                    input.checked = !!(response.data && response.data.enabled);
+
+                    var message = input.checked ? labels.beaconOn : labels.beaconOff;
+                    if (ProactiveSiteAdvisor.Toast && message) ProactiveSiteAdvisor.Toast.success(message);
+                })
+                .catch(function () {
+                    input.checked = !enabled;
+                })
+                .then(function () {
+                    input.disabled = false;
+                });
+        },
+
+        restoreDefaults: function () {
+            if (!this.root || !this.settings.defaults) return;
+
+            this.write(this.settings.defaults);
+            this.update();
+        },
+
+        save: function () {
+            var self = this;
+            var labels = this.settings.labels || {};
+            var button = this.root ? this.root.querySelector(ProactiveSiteAdvisor.dataSelector('action', 'save-thresholds')) : null;
+
+            if (!this.root) return;
+
+            if (typeof this.root.reportValidity === 'function' && !this.root.reportValidity()) return;
+
+            this.saving = true;
+            if (button) button.disabled = true;
+
+            Api.post('save_alert_thresholds', {thresholds: JSON.stringify(this.read())})
+                .then(function (response) {
+                    var thresholds = response.data && response.data.thresholds;
+
+                    if (thresholds && self.root) {
+                        self.write(thresholds);
+                        self.saved = self.read();
+                    }
+
+                    if (ProactiveSiteAdvisor.Toast && labels.saved) ProactiveSiteAdvisor.Toast.success(labels.saved);
+                })
+                .catch(function () {
+                    // Reported by Api via the request:error event; the edits stay in the form.
+                })
+                .then(function () {
+                    self.saving = false;
+                    self.update();
+                });
+        }
+    };
+
+    App.register('alertThresholds', AlertThresholds);
+
+    ProactiveSiteAdvisor.AlertThresholds = AlertThresholds;
+
+})(window, document);
@@ -0,0 +1,304 @@
+/**
+ * Admin UI - Alerts Keyboard Component
+ *
+ * Keyboard triage of the Latest Alerts list. Cards use a roving
+ * tabindex: j/k or the arrow keys move between visible cards, Enter or
+ * Space expands the focused card and single-letter shortcuts run its
+ * actions. "?" lists every shortcut. Shortcuts are ignored while typing
+ * in a form field or while a dialog is open.
+ * Requires: namespace.js, config.js, helpers.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('AlertsKeyboard requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('AlertsKeyboard requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('AlertsKeyboard requires helpers.js and config.js.');
+
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('AlertsKeyboard requires app.js.');
+
+    /**
+     * Shortcut definitions. "list" shortcuts only apply while focus is in
+     * the alerts list, so arrow keys keep scrolling the page elsewhere.
+     */
+    var SHORTCUTS = [
+        {id: 'next', keys: ['j', 'ArrowDown'], list: ['ArrowDown']},
+        {id: 'previous', keys: ['k', 'ArrowUp'], list: ['ArrowUp']},
+        {id: 'first', keys: ['Home'], list: ['Home']},
+        {id: 'last', keys: ['End'], list: ['End']},
+        {id: 'toggle', keys: ['Enter', ' '], list: ['Enter', ' ']},
+        {id: 'acknowledge', keys: ['a'], status: 'acknowledged'},
+        {id: 'snooze', keys: ['s'], status: 'snoozed'},
+        {id: 'resolve', keys: ['r'], status: 'resolved'},
+        {id: 'reopen', keys: ['o'], status: 'open'},
+        {id: 'details', keys: ['d']},
+        {id: 'help', keys: ['?']}
+    ];
+
+    var KEY_NAMES = {
+        ArrowDown: '↓',
+        ArrowUp: '↑',
+        ' ': 'Space'
+    };
+
+    function isTyping(target) {
+        if (!target || target.nodeType !== 1) return false;
+
+        return !!target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+    }
+
+    function findShortcut(key, inList) {
+        for (var i = 0; i < SHORTCUTS.length; i++) {
+            var shortcut = SHORTCUTS[i];
+            if (shortcut.keys.indexOf(key) === -1) continue;
+
+            if (shortcut.list && shortcut.list.indexOf(key) !== -1 && !inList) return null;
+
+            return shortcut;
+        }
+
+        return null;
+    }
+
+    var AlertsKeyboard = {
+        activeId: null,
+        hasFocus: false,
+        region: null,
+
+        // Mounted on the alerts region: the list itself may only appear after a refresh.
+        selector: ProactiveSiteAdvisor.dataSelector('region', 'latest-alerts'),
+
+        init: function () {
+            this.bindEvents();
+        },
+
+        mount: function (region) {
+            if (this.region) return;
+
+            this.region = region;
+            this.refresh();
+        },
+
+        unmount: function (region) {
+            if (region !== this.region) return;
+
+            this.region = null;
+            this.activeId = null;
+            this.hasFocus = false;
+        },
+
+        bindEvents: function () {
+            var self = this;
+
+            App.on('keydown', null, function (e) {
+                if (self.region) self.onKeydown(e);
+            });
+
+            App.on('focusin', null, function (e, target) {
+                if (!self.region) return;
+
+                var list = self.getList();
+                var card = target && target.closest(ProactiveSiteAdvisor.selector('alert-card'));
+
+                self.hasFocus = !!(list && list.contains(e.target));
+
+                if (card && self.hasFocus) self.setActive(card, false);
+            });
+
+            App.on('mousedown', null, function (e) {
+                var list = self.getList();
+                if (!list || !list.contains(e.target)) self.hasFocus = false;
+            });
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'show-shortcuts'), function (e, button) {
+                e.preventDefault();
+                self.showHelp(button);
+            });
+
+            // The list is re-rendered by the dashboard refresh and re-ordered by the toolbar.
+            var onChange = function () {
+                if (self.region) self.refresh();
+            };
+
+            document.addEventListener(ProactiveSiteAdvisor.event('contentLoaded'), onChange);
+            document.addEventListener(ProactiveSiteAdvisor.event('alertsFiltered'), onChange);
+        },
+
+        getList: function () {
+            return this.region ? this.region.querySelector(ProactiveSiteAdvisor.selector('alerts-list')) : null;
+        },
+
+        getCards: function () {
+            var list = this.getList();
+            if (!list) return [];
+
+            return Array.prototype.filter.call(
+                list.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card')),
+                function (card) {
+                    return !card.hidden;
+                }
+            );
+        },
+
+        getActive: function () {
+            var cards = this.getCards();
+
+            for (var i = 0; i < cards.length; i++) {
+                if (cards[i].getAttribute(ProactiveSiteAdvisor.dataAttr('alert-id')) === this.activeId) return cards[i];
+            }
+
+            return null;
+        },
+
+        /**
+         * Re-apply the roving tabindex, keeping the active card if it is still listed.
+         */
+        refresh: function () {
+            var cards = this.getCards();
+            var active = this.getActive() || cards[0] || null;
+            var hadFocus = this.hasFocus && (document.activeElement === document.body || !document.activeElement);
+
+            var list = this.getList();
+            var all = list ? list.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card')) : [];
+
+            for (var i = 0; i < all.length; i++) {
+                all[i].setAttribute('tabindex', '-1');
+            }
+
+            if (active) this.setActive(active, hadFocus);
+        },
+
+        setActive: function (card, focus) {
+            var list = this.getList();
+            var cards = list ? list.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card')) : [];
+
+            for (var i = 0; i < cards.length; i++) {
+                cards[i].setAttribute('tabindex', cards[i] === card ? '0' : '-1');
+            }
+
+            this.activeId = card.getAttribute(ProactiveSiteAdvisor.dataAttr('alert-id'));
+
+            if (focus) {
+                card.focus();
+                if (typeof card.scrollIntoView === 'function') card.scrollIntoView({block: 'nearest'});
+            }
+        },
+
+        move: function (offset) {
+            var cards = this.getCards();
+            if (!cards.length) return;
+
+            var index = cards.indexOf(this.getActive());
+            var next = index === -1 ? 0 : Math.max(0, Math.min(cards.length - 1, index + offset));
+
+            this.setActive(cards[next], true);
+        },
+
+        onKeydown: function (e) {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (isTyping(e.target)) return;
+            if (ProactiveSiteAdvisor.Modal && ProactiveSiteAdvisor.Modal.isOpen()) return;
+
+            var list = this.getList();
+            var inList = !!(list && list.contains(e.target));
+            var shortcut = findShortcut(e.key, inList);
+            if (!shortcut) return;
+
+            // Keys pressed on a button inside a card keep their native behaviour.
+            if (shortcut.id === 'toggle' && e.target.closest('a, button')) return;
+
+            var cards = this.getCards();
+            var card = this.getActive();
+
+            switch (shortcut.id) {
+                case 'next':
+                    this.move(card ? 1 : 0);
+                    break;
+                case 'previous':
+                    this.move(-1);
+                    break;
+                case 'first':
+                    if (cards.length) this.setActive(cards[0], true);
+                    break;
+                case 'last':
+                    if (cards.length) this.setActive(cards[cards.length - 1], true);
+                    break;
+                case 'toggle':
+                    if (!card || e.target !== card) return;
+                    if (ProactiveSiteAdvisor.AlertCard) ProactiveSiteAdvisor.AlertCard.toggle(card);
+                    break;
+                case 'details':
+                    if (!card) return;
+                    this.clickAction(card, ProactiveSiteAdvisor.dataSelector('action', 'alert-details'));
+                    break;
+                case 'help':
+                    this.showHelp(document.activeElement);
+                    break;
+                default:
+                    if (!card || !shortcut.status) return;
+                    if (!this.clickAction(card, ProactiveSiteAdvisor.dataSelector('action', 'alert-status') +
+                        ProactiveSiteAdvisor.dataSelector('status', shortcut.status))) return;
+            }
+
+            e.preventDefault();
+        },
+
+        /**
+         * Click a card's action button unless it is hidden for the card's current status.
+         *
+         * @return {boolean} Whether the action ran.
+         */
+        clickAction: function (card, selector) {
+            var button = card.querySelector(selector);
+            if (!button || button.disabled) return false;
+
+            var status = card.getAttribute(ProactiveSiteAdvisor.dataAttr('alert-status')) || 'open';
+            var hideFor = (button.getAttribute(ProactiveSiteAdvisor.dataAttr('hide-for')) || '').split(' ');
+
+            if (hideFor.indexOf(status) !== -1) return false;
+
+            button.click();
+
+            return true;
+        },
+
+        showHelp: function (trigger) {
+            var Modal = ProactiveSiteAdvisor.Modal;
+            if (!Modal) return;
+
+            var config = Config.get('alertShortcuts', {}) || {};
+            var labels = config.labels || {};
+            var rows = '';
+
+            for (var i = 0; i < SHORTCUTS.length; i++) {
+                var shortcut = SHORTCUTS[i];
+                if (!labels[shortcut.id]) continue;
+
+                rows += '<div class="' + ProactiveSiteAdvisor.cssClass('shortcuts__row') + '"><dt>' +
+                    shortcut.keys.map(function (key) {
+                        return '<kbd>' + Helpers.escapeHtml(KEY_NAMES[key] || key) + '</kbd>';
+                    }).join(' ') +
+                    '</dt><dd>' + Helpers.escapeHtml(labels[shortcut.id]) + '</dd></div>';
+            }
+
+            Modal.open({
+                title: config.title || '',
+                content: '<dl class="' + ProactiveSiteAdvisor.cssClass('shortcuts') + '">' + rows + '</dl>',
+                size: 'sm',
+                trigger: trigger
+            });
+        }
+    };
+
+    App.register('alertsKeyboard', AlertsKeyboard);
+
+    ProactiveSiteAdvisor.AlertsKeyboard = AlertsKeyboard;
+
+})(window, document);
@@ -0,0 +1,278 @@
+/**
+ * Admin UI - Alerts Toolbar Component
+ *
+ * Client-side filtering (severity, type, date range, free text) and
+ * sorting of the Latest Alerts list. The active filters are kept in the
+ * URL so a filtered view can be bookmarked and shared.
+ * Requires: namespace.js, helpers.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('AlertsToolbar requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('AlertsToolbar requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Helpers || !App) throw new Error('AlertsToolbar requires helpers.js and app.js.');
+
+    var FILTERS = ['q', 'severity', 'type', 'from', 'to', 'sort'];
+    var DEFAULT_SORT = 'newest';
+    var URL_PREFIX = 'alerts_';
+    var SEVERITY_ORDER = {critical: 0, warning: 1, info: 2};
+
+    function attr(el, name) {
+        return el.getAttribute(ProactiveSiteAdvisor.dataAttr(name)) || '';
+    }
+
+    function compareDateDesc(a, b) {
+        var da = attr(a, 'alert-date');
+        var db = attr(b, 'alert-date');
+        if (da !== db) return da < db ? 1 : -1;
+
+        return (parseInt(attr(b, 'alert-id'), 10) || 0) - (parseInt(attr(a, 'alert-id'), 10) || 0);
+    }
+
+    var COMPARATORS = {
+        severity: function (a, b) {
+            var sa = SEVERITY_ORDER[attr(a, 'alert-severity')];
+            var sb = SEVERITY_ORDER[attr(b, 'alert-severity')];
+            sa = sa === undefined ? 3 : sa;
+            sb = sb === undefined ? 3 : sb;
+
+            return sa !== sb ? sa - sb : compareDateDesc(a, b);
+        },
+        newest: compareDateDesc,
+        oldest: function (a, b) {
+            return compareDateDesc(b, a);
+        }
+    };
+
+    var AlertsToolbar = {
+        toolbar: null,
+        controls: {},
+        state: {},
+
+        selector: ProactiveSiteAdvisor.dataSelector('alerts-toolbar'),
+
+        init: function () {
+            this.bindEvents();
+        },
+
+        mount: function (toolbar) {
+            if (this.toolbar) return;
+
+            this.toolbar = toolbar;
+            this.controls = {};
+
+            for (var i = 0; i < FILTERS.length; i++) {
+                this.controls[FILTERS[i]] = toolbar.querySelector(
+                    ProactiveSiteAdvisor.dataSelector('filter', FILTERS[i])
+                );
+            }
+
+            this.state = this.readUrl();
+            this.syncControls();
+            this.apply();
+        },
+
+        unmount: function (toolbar) {
+            if (toolbar !== this.toolbar) return;
+
+            this.toolbar = null;
+            this.controls = {};
+        },
+
+        bindEvents: function () {
+            var self = this;
+
+            var onChange = function (e, toolbar) {
+                if (toolbar !== self.toolbar) return;
+
+                self.state = self.readControls();
+                self.writeUrl();
+                self.apply();
+            };
+
+            App.on('change', this.selector, onChange);
+            App.on('input', this.selector, Helpers.debounce(onChange, 200));
+
+            App.on('click', this.selector + ' ' + ProactiveSiteAdvisor.dataSelector('action', 'reset-filters'), function () {
+                if (self.toolbar) self.reset();
+            });
+
+            // The list is re-rendered by the dashboard refresh; re-apply to the new cards.
+            document.addEventListener(ProactiveSiteAdvisor.event('contentLoaded'), function () {
+                self.apply();
+            });
+        },
+
+        reset: function () {
+            this.state = {sort: DEFAULT_SORT};
+            this.syncControls();
+            this.writeUrl();
+            this.apply();
+        },
+
+        readControls: function () {
+            var state = {};
+
+            for (var i = 0; i < FILTERS.length; i++) {
+                var control = this.controls[FILTERS[i]];
+                var value = control ? String(control.value || '').trim() : '';
+                if (value) state[FILTERS[i]] = value;
+            }
+
+            state.sort = COMPARATORS[state.sort] ? state.sort : DEFAULT_SORT;
+
+            return state;
+        },
+
+        syncControls: function () {
+            for (var i = 0; i < FILTERS.length; i++) {
+                var control = this.controls[FILTERS[i]];
+                if (control) control.value = this.state[FILTERS[i]] || '';
+            }
+
+            if (this.controls.sort) this.controls.sort.value = this.state.sort || DEFAULT_SORT;
+        },
+
+        readUrl: function () {
+            var state = {};
+            var params;
+
+            try {
+                params = new URLSearchParams(window.location.search);
+            } catch (e) {
+                return {sort: DEFAULT_SORT};
+            }
+
+            for (var i = 0; i < FILTERS.length; i++) {
+                var value = params.get(URL_PREFIX + FILTERS[i]);
+                if (value) state[FILTERS[i]] = value;
+            }
+
+            state.sort = COMPARATORS[state.sort] ? state.sort : DEFAULT_SORT;
+
+            return state;
+        },
+
+        writeUrl: function () {
+            if (!window.history || typeof window.history.replaceState !== 'function') return;
+
+            var url;
+            try {
+                url = new URL(window.location.href);
+            } catch (e) {
+                return;
+            }
+
+            for (var i = 0; i < FILTERS.length; i++) {
+                var key = FILTERS[i];
+                var value = this.state[key];
+
+                if (value && !(key === 'sort' && value === DEFAULT_SORT)) {
+                    url.searchParams.set(URL_PREFIX + key, value);
+                } else {
+                    url.searchParams.delete(URL_PREFIX + key);
+                }
+            }
+
+            window.history.replaceState(window.history.state, '', url.toString());
+        },
+
+        matches: function (card) {
+            var state = this.state;
+
+            if (state.severity && attr(card, 'alert-severity') !== state.severity) return false;
+            if (state.type && attr(card, 'alert-type') !== state.type) return false;
+
+            var date = attr(card, 'alert-date');
+            if (state.from && (!date || date < state.from)) return false;
+            if (state.to && (!date || date > state.to)) return false;
+
+            if (state.q) {
+                var needle = state.q.toLowerCase();
+                var title = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__title'));
+                var message = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__message'));
+                var haystack = ((title ? title.textContent : '') + ' ' + (message ? message.textContent : '')).toLowerCase();
+
+                if (haystack.indexOf(needle) === -1) return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Get the cards of the alerts list, in their current DOM order.
+         *
+         * @return {{list: Element|null, cards: Element[]}}
+         */
+        getCards: function () {
+            var list = document.querySelector(ProactiveSiteAdvisor.selector('alerts-list'));
+            if (!list) return {list: null, cards: []};
+
+            return {
+                list: list,
+                cards: Array.prototype.slice.call(
+                    list.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card'))
+                )
+            };
+        },
+
+        apply: function () {
+            if (!this.toolbar) return;
+
+            var found = this.getCards();
+            var cards = found.cards;
+            var visible = 0;
+
+            this.toolbar.hidden = cards.length === 0;
+            if (!cards.length) return;
+
+            cards.sort(COMPARATORS[this.state.sort] || COMPARATORS[DEFAULT_SORT]);
+
+            for (var i = 0; i < cards.length; i++) {
+                var match = this.matches(cards[i]);
+
+                cards[i].hidden = !match;
+                if (match) visible++;
+
+                found.list.appendChild(cards[i]);
+            }
+
+            this.updateSummary(visible, cards.length);
+
+            ProactiveSiteAdvisor.dispatch('alertsFiltered', {
+                state: Helpers.merge({}, this.state),
+                visible: visible,
+                total: cards.length
+            }, this.toolbar);
+        },
+
+        updateSummary: function (visible, total) {
+            var summary = this.toolbar.querySelector(ProactiveSiteAdvisor.selector('alerts-toolbar__summary'));
+            var empty = this.toolbar.querySelector(ProactiveSiteAdvisor.selector('alerts-toolbar__empty'));
+
+            if (summary) {
+                summary.textContent = attr(summary, 'template')
+                    .replace('%1$s', Helpers.formatNumber(visible))
+                    .replace('%2$s', Helpers.formatNumber(total));
+            }
+
+            if (empty) empty.hidden = visible > 0;
+        },
+
+        getState: function () {
+            return Helpers.merge({}, this.state);
+        }
+    };
+
+    App.register('alertsToolbar', AlertsToolbar);
+
+    ProactiveSiteAdvisor.AlertsToolbar = AlertsToolbar;
+
+})(window, document);
@@ -0,0 +1,76 @@
+/**
+ * Admin UI - Client Errors Component
+ *
+ * Clear button of the Script errors page.
+ * Requires: namespace.js, config.js, api.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('ClientErrors requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('ClientErrors requires global namespace.');
+
+    var Config = ProactiveSiteAdvisor.Config;
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Config || !Api || !App) throw new Error('ClientErrors requires config.js, api.js and app.js.');
+
+    var ClientErrors = {
+        init: function () {
+            var self = this;
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'clear-client-errors'), function (e, button) {
+                e.preventDefault();
+                self.confirmClear(button);
+            });
+        },
+
+        getLabels: function () {
+            return (Config.get('clientErrors', {}) || {}).labels || {};
+        },
+
+        confirmClear: function (button) {
+            var self = this;
+            var Modal = ProactiveSiteAdvisor.Modal;
+            var message = this.getLabels().confirm || '';
+
+            if (!Modal) {
+                if (window.confirm(message)) this.clear(button);
+                return;
+            }
+
+            Modal.confirm({message: message, danger: true, trigger: button}).then(function (confirmed) {
+                if (confirmed) self.clear(button);
+            });
+        },
+
+        clear: function (button) {
+            var labels = this.getLabels();
+
+            button.disabled = true;
+
+            Api.post('clear_client_errors')
+                .then(function (response) {
+                    var region = document.querySelector(ProactiveSiteAdvisor.dataSelector('region', 'client-errors'));
+
+                    if (region) {
+                        region.innerHTML = (response.data && response.data.html) || '';
+                        App.contentLoaded(region);
+                    }
+
+                    if (ProactiveSiteAdvisor.Toast && labels.cleared) ProactiveSiteAdvisor.Toast.success(labels.cleared);
+                })
+                .catch(function () {
+                    button.disabled = false;
+                });
+        }
+    };
+
+    App.register('clientErrors', ClientErrors);
+
+    ProactiveSiteAdvisor.ClientErrors = ClientErrors;
+
+})(window, document);
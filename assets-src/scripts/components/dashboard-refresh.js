@@ -0,0 +1,181 @@
+/**
+ * Admin UI - Dashboard Refresh Component
+ *
+ * Polls the alerts dashboard for new alerts and updated stats and
+ * re-renders the refreshable sections in place. Polling backs off while
+ * the tab is hidden or requests fail, and resumes immediately when the
+ * tab becomes visible again.
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('DashboardRefresh requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('DashboardRefresh requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Helpers || !Api || !App) throw new Error('DashboardRefresh requires helpers.js, api.js and app.js.');
+
+    var MAX_DELAY = 15 * 60 * 1000;
+
+    var DashboardRefresh = {
+        root: null,
+        interval: 0,
+        delay: 0,
+        timer: null,
+        inFlight: false,
+
+        selector: ProactiveSiteAdvisor.dataSelector('dashboard'),
+
+        init: function () {
+            this.bindEvents();
+        },
+
+        mount: function (root) {
+            if (this.root) return;
+
+            var seconds = parseInt(root.getAttribute(ProactiveSiteAdvisor.dataAttr('refresh-interval')), 10);
+            if (!seconds || seconds <= 0) return;
+
+            this.root = root;
+            this.interval = seconds * 1000;
+            this.delay = this.interval;
+
+            this.schedule();
+        },
+
+        unmount: function (root) {
+            if (root !== this.root) return;
+
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.root = null;
+        },
+
+        bindEvents: function () {
+            var self = this;
+
+            document.addEventListener('visibilitychange', function () {
+                if (document.hidden || !self.root) return;
+
+                // Back in view: refresh now and return to the normal pace.
+                self.delay = self.interval;
+                self.refresh();
+            });
+        },
+
+        schedule: function () {
+            var self = this;
+
+            clearTimeout(this.timer);
+            this.timer = setTimeout(function () {
+                self.refresh();
+            }, this.delay);
+        },
+
+        backoff: function () {
+            this.delay = Math.min(this.delay * 2, MAX_DELAY);
+        },
+
+        getSignature: function () {
+            return this.root.getAttribute(ProactiveSiteAdvisor.dataAttr('signature')) || '';
+        },
+
+        isBusy: function () {
+            return !!document.querySelector(
+                ProactiveSiteAdvisor.selector('alert-card') + '[aria-busy="true"]'
+            );
+        },
+
+        refresh: function () {
+            var self = this;
+
+            if (!this.root || this.inFlight) return;
+
+            // Keep polling slowly in the background; skip while a card action is pending.
+            if (document.hidden || this.isBusy()) {
+                if (document.hidden) this.backoff();
+                this.schedule();
+                return;
+            }
+
+            this.inFlight = true;
+
+            Api.post('refresh_dashboard', {signature: this.getSignature()}, {retries: 0, quiet: true})
+                .then(function (response) {
+                    // Unmounted while the request was in flight.
+                    if (!self.root) return;
+
+                    var data = response.data || {};
+
+                    self.apply(data.regions || {});
+
+                    if (data.changed) {
+                        self.root.setAttribute(ProactiveSiteAdvisor.dataAttr('signature'), data.signature || '');
+                        ProactiveSiteAdvisor.dispatch('dashboardRefreshed', {signature: data.signature}, document);
+                    }
+
+                    self.delay = self.interval;
+                })
+                .catch(function () {
+                    self.backoff();
+                })
+                .then(function () {
+                    self.inFlight = false;
+                    if (self.root) self.schedule();
+                });
+        },
+
+        apply: function (regions) {
+            for (var name in regions) {
+                if (!Object.prototype.hasOwnProperty.call(regions, name)) continue;
+
+                var region = document.querySelector(ProactiveSiteAdvisor.dataSelector('region', name));
+                if (!region) continue;
+
+                var expanded = this.getExpandedAlertIds(region);
+
+                region.innerHTML = regions[name];
+
+                this.restoreExpanded(region, expanded);
+
+                App.contentLoaded(region);
+            }
+        },
+
+        getExpandedAlertIds: function (container) {
+            var ids = [];
+            var cards = container.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card--expanded'));
+
+            for (var i = 0; i < cards.length; i++) {
+                ids.push(cards[i].getAttribute(ProactiveSiteAdvisor.dataAttr('alert-id')));
+            }
+
+            return ids;
+        },
+
+        restoreExpanded: function (container, ids) {
+            var AlertCard = ProactiveSiteAdvisor.AlertCard;
+            if (!ids.length || !AlertCard || typeof AlertCard.toggle !== 'function') return;
+
+            for (var i = 0; i < ids.length; i++) {
+                if (!ids[i]) continue;
+
+                var card = container.querySelector(
+                    ProactiveSiteAdvisor.selector('alert-card') + ProactiveSiteAdvisor.dataSelector('alert-id', ids[i])
+                );
+                if (card) AlertCard.toggle(card);
+            }
+        }
+    };
+
+    App.register('dashboardRefresh', DashboardRefresh);
+
+    ProactiveSiteAdvisor.DashboardRefresh = DashboardRefresh;
+
+})(window, document);
@@ -0,0 +1,231 @@
+/**
+ * Admin UI - Data Export Component
+ *
+ * Builds CSV and JSON downloads of the alerts list and the history
+ * table in the browser. Alerts follow the active toolbar filters and
+ * sort; history follows the selected range.
+ * Requires: namespace.js, helpers.js, api.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('DataExport requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('DataExport requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Helpers || !Api || !App) throw new Error('DataExport requires helpers.js, api.js and app.js.');
+
+    var ALERT_COLUMNS = ['id', 'alert_date', 'type', 'type_label', 'severity', 'status', 'title', 'message', 'created_at'];
+    var HISTORY_COLUMNS = ['date', 'pageviews', 'errors_404', 'baseline_pageviews', 'baseline_404', 'alerts'];
+
+    function attr(el, name) {
+        return el.getAttribute(ProactiveSiteAdvisor.dataAttr(name)) || '';
+    }
+
+    function today() {
+        var d = new Date();
+        var pad = function (n) {
+            return (n < 10 ? '0' : '') + n;
+        };
+
+        return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+    }
+
+    /**
+     * Quote a CSV cell. Cells that a spreadsheet would run as a formula are prefixed with a quote.
+     */
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+
+        var text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+        if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) text = "'" + text;
+
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Flatten an alert's meta object into meta_* columns.
+     */
+    function flattenAlert(alert) {
+        var row = {};
+        var i;
+
+        for (i = 0; i < ALERT_COLUMNS.length; i++) {
+            row[ALERT_COLUMNS[i]] = alert[ALERT_COLUMNS[i]];
+        }
+
+        var meta = Helpers.isPlainObject(alert.meta) ? alert.meta : {};
+        for (var key in meta) {
+            if (Object.prototype.hasOwnProperty.call(meta, key)) row['meta_' + key] = meta[key];
+        }
+
+        return row;
+    }
+
+    var DataExport = {
+        init: function () {
+            var self = this;
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'export'), function (e, button) {
+                e.preventDefault();
+                self.run(attr(button, 'export'), attr(button, 'format') || 'csv', button);
+            });
+        },
+
+        run: function (source, format, button) {
+            var self = this;
+            var collect = source === 'history' ? this.collectHistory() : this.collectAlerts();
+
+            if (button) button.disabled = true;
+
+            return Promise.resolve(collect)
+                .then(function (result) {
+                    if (!result || !result.rows.length) return;
+
+                    self.download(result.name + '.' + format, format === 'json'
+                        ? self.toJson(result.rows)
+                        : self.toCsv(result.rows, result.columns), format);
+
+                    ProactiveSiteAdvisor.dispatch('dataExported', {source: source, format: format, count: result.rows.length}, document);
+                })
+                .catch(function () {
+                    return null;
+                })
+                .then(function () {
+                    if (button) button.disabled = false;
+                });
+        },
+
+        /**
+         * Alerts currently listed (and not filtered out), with meta from the REST API.
+         */
+        collectAlerts: function () {
+            var cards = document.querySelectorAll(ProactiveSiteAdvisor.selector('alerts-list') + ' ' + ProactiveSiteAdvisor.selector('alert-card'));
+            var ids = [];
+            var from = '';
+            var to = '';
+
+            for (var i = 0; i < cards.length; i++) {
+                if (cards[i].hidden) continue;
+
+                var id = attr(cards[i], 'alert-id');
+                var date = attr(cards[i], 'alert-date');
+
+                if (id) ids.push(parseInt(id, 10));
+                if (date && (!from || date < from)) from = date;
+                if (date && (!to || date > to)) to = date;
+            }
+
+            if (!ids.length) return Promise.resolve(null);
+
+            return Api.rest('alerts', {params: {date_from: from, date_to: to, per_page: 100}})
+                .then(function (response) {
+                    var byId = {};
+                    var items = Array.isArray(response.data) ? response.data : [];
+
+                    for (var i = 0; i < items.length; i++) {
+                        byId[items[i].id] = items[i];
+                    }
+
+                    // Keep the on-screen order.
+                    var alerts = ids.map(function (id) {
+                        return byId[id];
+                    }).filter(Boolean);
+
+                    var rows = alerts.map(flattenAlert);
+                    var columns = ALERT_COLUMNS.slice();
+
+                    rows.forEach(function (row) {
+                        for (var key in row) {
+                            if (Object.prototype.hasOwnProperty.call(row, key) && columns.indexOf(key) === -1) columns.push(key);
+                        }
+                    });
+
+                    return {
+                        name: ProactiveSiteAdvisor.cssClass('alerts-' + today()),
+                        columns: columns,
+                        rows: rows
+                    };
+                });
+        },
+
+        /**
+         * Daily stats of the selected history range, oldest day first.
+         */
+        collectHistory: function () {
+            var root = document.querySelector(ProactiveSiteAdvisor.dataSelector('history'));
+            var chart = root && root.querySelector(ProactiveSiteAdvisor.dataSelector('history-chart'));
+            var points;
+
+            try {
+                points = chart ? JSON.parse(attr(chart, 'chart-data') || '[]') : [];
+            } catch (e) {
+                points = [];
+            }
+
+            return {
+                name: ProactiveSiteAdvisor.cssClass('history-' + ((root && attr(root, 'days')) || '7') + 'd-' + today()),
+                columns: HISTORY_COLUMNS,
+                rows: points.map(function (point) {
+                    return {
+                        date: point.date,
+                        pageviews: point.pageviews,
+                        errors_404: point.errors_404,
+                        baseline_pageviews: point.baseline_pageviews,
+                        baseline_404: point.baseline_404,
+                        alerts: (point.alerts || []).map(function (a) {
+                            return a.title;
+                        }).join('; ')
+                    };
+                })
+            };
+        },
+
+        toCsv: function (rows, columns) {
+            var lines = [columns.map(csvCell).join(',')];
+
+            for (var i = 0; i < rows.length; i++) {
+                lines.push(columns.map(function (column) {
+                    return csvCell(rows[i][column]);
+                }).join(','));
+            }
+
+            return lines.join('\r\n') + '\r\n';
+        },
+
+        toJson: function (rows) {
+            return JSON.stringify(rows, null, 2);
+        },
+
+        download: function (filename, content, format) {
+            // Byte order mark so spreadsheet apps read the CSV as UTF-8.
+            var blob = new Blob(format === 'json' ? [content] : ['\uFEFF', content], {
+                type: format === 'json' ? 'application/json' : 'text/csv;charset=utf-8'
+            });
+            var url = URL.createObjectURL(blob);
+            var link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(function () {
+                URL.revokeObjectURL(url);
+            }, 0);
+        }
+    };
+
+    App.register('dataExport', DataExport);
+
+    ProactiveSiteAdvisor.DataExport = DataExport;
+
+})(window, document);
@@ -0,0 +1,198 @@
+/**
+ * Admin UI - Desktop Notifications
+ *
+ * Opt-in browser notifications for new warning and critical alerts
+ * (see NotificationsManager). While opted in, every admin tab asks for
+ * new alerts on each Heartbeat tick. The server hands each alert out
+ * once; the tag and the shared list of notified IDs keep two tabs
+ * polling at the same moment from showing it twice. Clicking a
+ * notification opens the alerts page with that alert's card expanded.
+ *
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js, jQuery (Heartbeat events)
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('DesktopNotifications requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('DesktopNotifications requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('DesktopNotifications requires helpers.js and config.js.');
+
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Api || !App) throw new Error('DesktopNotifications requires api.js and app.js.');
+
+    var MAX_REMEMBERED = 50;
+
+    function isSupported() {
+        return typeof window.Notification === 'function';
+    }
+
+    var DesktopNotifications = {
+        settings: {},
+        enabled: false,
+        storageKey: ProactiveSiteAdvisor.storageKey('notified-alerts'),
+
+        init: function () {
+            var self = this;
+
+            this.settings = Config.get('notifications', {}) || {};
+            this.enabled = !!this.settings.enabled;
+
+            this.focusAlert();
+
+            if (!isSupported()) return;
+
+            this.renderToggles();
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'desktop-notifications'), function (e, button) {
+                e.preventDefault();
+                self.toggle(button);
+            });
+
+            if (window.jQuery) {
+                window.jQuery(document)
+                    .on('heartbeat-send', function (e, data) {
+                        if (self.isActive()) data[self.settings.heartbeatKey] = 1;
+                    })
+                    .on('heartbeat-tick', function (e, data) {
+                        var alerts = data && data[self.settings.heartbeatKey];
+                        if (Array.isArray(alerts)) alerts.forEach(self.show, self);
+                    });
+            }
+        },
+
+        /**
+         * Opted in and allowed by the browser.
+         *
+         * @return {boolean}
+         */
+        isActive: function () {
+            return this.enabled && isSupported() && window.Notification.permission === 'granted';
+        },
+
+        renderToggles: function () {
+            var labels = this.settings.labels || {};
+            var active = this.enabled;
+            var buttons = document.querySelectorAll(ProactiveSiteAdvisor.dataSelector('action', 'desktop-notifications'));
+
+            for (var i = 0; i < buttons.length; i++) {
+                buttons[i].hidden = false;
+                buttons[i].setAttribute('aria-pressed', active ? 'true' : 'false');
+                buttons[i].title = (active ? labels.disable : labels.enable) || '';
+            }
+        },
+
+        toggle: function (button) {
+            var self = this;
+            var labels = this.settings.labels || {};
+
+            // Opted in counts even when the browser has since blocked notifications.
+            if (this.enabled) {
+                this.save(false, button);
+                return;
+            }
+
+            // Asked from the click, as browsers require.
+            Promise.resolve(window.Notification.requestPermission()).then(function (permission) {
+                if (permission === 'granted') {
+                    self.save(true, button);
+                } else if (ProactiveSiteAdvisor.Toast && labels.denied) {
+                    ProactiveSiteAdvisor.Toast.warning(labels.denied);
+                }
+            });
+        },
+
+        save: function (enabled, button) {
+            var self = this;
+
+            button.disabled = true;
+
+            Api.post('set_desktop_notifications', {enabled: enabled ? 1 : 0})
+                .then(function (response) {
+                    self.enabled = enabled;
+                    self.renderToggles();
+
+                    if (response.message && ProactiveSiteAdvisor.Toast) ProactiveSiteAdvisor.Toast.success(response.message);
+                })
+                .catch(function () {
+                })
+                .then(function () {
+                    button.disabled = false;
+                });
+        },
+
+        /**
+         * Record an alert as notified in this browser.
+         *
+         * @param {number} id
+         * @return {boolean} False when another tab already notified it.
+         */
+        claim: function (id) {
+            var ids = [];
+
+            try {
+                ids = JSON.parse(window.localStorage.getItem(this.storageKey) || '[]');
+                if (!Array.isArray(ids)) ids = [];
+                if (ids.indexOf(id) !== -1) return false;
+
+                ids.push(id);
+                window.localStorage.setItem(this.storageKey, JSON.stringify(ids.slice(-MAX_REMEMBERED)));
+            } catch (e) {
+            }
+
+            return true;
+        },
+
+        /**
+         * @param {Object} alert {id, severity, title, body, url}
+         */
+        show: function (alert) {
+            if (!this.isActive() || !alert || !alert.id || !this.claim(alert.id)) return;
+
+            var notification = new window.Notification(alert.title, {
+                body: alert.body || '',
+                tag: ProactiveSiteAdvisor.storageKey('alert-' + alert.id),
+                requireInteraction: alert.severity === 'critical'
+            });
+
+            notification.onclick = function () {
+                window.focus();
+                window.location.href = alert.url;
+                notification.close();
+            };
+        },
+
+        /**
+         * Expand and scroll to the alert a notification linked to.
+         */
+        focusAlert: function () {
+            var queryArg = this.settings.queryArg;
+            var match = queryArg && new RegExp('[?&]' + queryArg + '=(\\d+)').exec(window.location.search);
+            if (!match) return;
+
+            var card = document.querySelector(ProactiveSiteAdvisor.dataSelector('alert-id', match[1]));
+            if (!card) return;
+
+            var toggle = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__toggle'));
+
+            if (toggle && toggle.getAttribute('aria-expanded') !== 'true' && ProactiveSiteAdvisor.AlertCard) {
+                ProactiveSiteAdvisor.AlertCard.toggle(card);
+            }
+
+            card.scrollIntoView({block: 'center'});
+
+            if (toggle) toggle.focus({preventScroll: true});
+        }
+    };
+
+    App.register('desktopNotifications', DesktopNotifications);
+
+    ProactiveSiteAdvisor.DesktopNotifications = DesktopNotifications;
+
+})(window, document);
@@ -0,0 +1,410 @@
+/**
+ * Admin UI - Diagnostics Drawer
+ *
+ * Support aid, off unless enabled for the user or with the
+ * proactive_site_advisor_diagnostics=1 query argument (see
+ * DiagnosticsManager). Shows the resolved prefix config, the localized
+ * config, the theme sources, the mounted components and a live log of
+ * namespace events and requests, all copyable as one JSON bundle.
+ * Nonces are redacted before anything is logged or copied.
+ *
+ * Loaded right after the core so the log starts before any component runs.
+ * Requires: namespace.js, config.js, helpers.js, events.js, api.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Diagnostics requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Diagnostics requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('Diagnostics requires helpers.js and config.js.');
+
+    var Events = ProactiveSiteAdvisor.Events;
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Events || !Api || !App) throw new Error('Diagnostics requires events.js, api.js and app.js.');
+
+    var MAX_EVENTS = 200;
+    var MAX_REQUESTS = 50;
+    var MAX_DEPTH = 4;
+    var REDACTED_KEY = /nonce|security|password|token/i;
+
+    var esc = Helpers.escapeHtml;
+    var loadedAt = Date.now();
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function storageGet(key) {
+        try {
+            return window.localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function describeElement(el) {
+        var id = el.id ? '#' + el.id : '';
+        var classes = typeof el.className === 'string' && el.className.trim()
+            ? '.' + el.className.trim().split(/\s+/).join('.')
+            : '';
+
+        return '<' + el.tagName.toLowerCase() + id + classes + '>';
+    }
+
+    /**
+     * Copy a value into plain JSON: elements become descriptors, nonces
+     * are redacted and nesting is cut off at MAX_DEPTH.
+     */
+    function sanitize(value, depth) {
+        depth = depth || 0;
+
+        if (value === null || value === undefined) return value;
+
+        var type = typeof value;
+        if (type === 'string' || type === 'number' || type === 'boolean') return value;
+        if (type === 'function') return '[function]';
+        if (value.nodeType === 1) return describeElement(value);
+        if (value.nodeType === 9) return '#document';
+        if (value instanceof Error) return {name: value.name, message: value.message, status: value.status};
+        if (depth >= MAX_DEPTH) return '[…]';
+
+        if (Array.isArray(value)) {
+            return value.map(function (item) {
+                return sanitize(item, depth + 1);
+            });
+        }
+
+        var copy = {};
+
+        Object.keys(value).forEach(function (key) {
+            copy[key] = REDACTED_KEY.test(key) && value[key] ? '[redacted]' : sanitize(value[key], depth + 1);
+        });
+
+        return copy;
+    }
+
+    var Diagnostics = {
+        enabled: false,
+        events: [],
+        requests: [],
+        drawer: null,
+        open: false,
+        offKeydown: null,
+
+        selector: ProactiveSiteAdvisor.selector('wrap'),
+
+        /**
+         * Start recording. Runs at load, before App starts.
+         */
+        start: function () {
+            var self = this;
+
+            this.enabled = !!(Config.get('diagnostics', {}) || {}).enabled;
+            if (!this.enabled) return;
+
+            this.scheduleRender = Helpers.debounce(function () {
+                self.renderLog();
+            }, 100);
+
+            Events.on('*', function (detail, e) {
+                self.record(e.type.slice(ProactiveSiteAdvisor.event('').length), detail);
+            });
+        },
+
+        init: function () {
+            if (!this.enabled) return;
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('diagnostics-action'), function (e, button) {
+                e.preventDefault();
+                this.handleAction(button.getAttribute(ProactiveSiteAdvisor.dataAttr('diagnostics-action')));
+            }, this);
+
+            App.on('change', ProactiveSiteAdvisor.dataSelector('diagnostics-keep'), function (e, input) {
+                this.keepEnabled(input);
+            }, this);
+        },
+
+        mount: function (wrap) {
+            if (!this.enabled || this.drawer) return;
+
+            this.drawer = this.createDrawer();
+            wrap.appendChild(this.drawer);
+
+            return this.drawer;
+        },
+
+        unmount: function (wrap, drawer) {
+            if (drawer && drawer.parentNode) drawer.parentNode.removeChild(drawer);
+            if (drawer === this.drawer) this.drawer = null;
+            this.setOpen(false);
+        },
+
+        record: function (name, detail) {
+            this.events.push({
+                time: Date.now() - loadedAt,
+                name: name,
+                detail: sanitize(detail)
+            });
+
+            if (this.events.length > MAX_EVENTS) this.events.shift();
+
+            if (name.indexOf('request:') === 0) this.recordRequest(name, detail || {});
+
+            if (this.open) this.scheduleRender();
+        },
+
+        recordRequest: function (name, detail) {
+            if (name === 'request:start') {
+                this.requests.push({
+                    id: detail.id,
+                    action: detail.action,
+                    data: sanitize(detail.data),
+                    state: 'pending'
+                });
+
+                if (this.requests.length > MAX_REQUESTS) this.requests.shift();
+                return;
+            }
+
+            var request = null;
+
+            for (var i = this.requests.length - 1; i >= 0; i--) {
+                if (this.requests[i].id === detail.id) {
+                    request = this.requests[i];
+                    break;
+                }
+            }
+
+            if (!request) return;
+
+            request.state = name.slice('request:'.length);
+            request.attempts = detail.attempts;
+            request.duration = detail.duration;
+
+            if (request.state === 'success') {
+                request.response = sanitize(detail.response);
+            } else if (request.state === 'error') {
+                request.status = detail.status;
+                request.message = detail.message;
+            }
+        },
+
+        getTheme: function () {
+            var wrap = document.querySelector(this.selector);
+            var ThemeSwitcher = ProactiveSiteAdvisor.ThemeSwitcher;
+
+            return {
+                server: Config.getServerTheme(),
+                stored: storageGet(ProactiveSiteAdvisor.storageKey('theme')),
+                pending: storageGet(ProactiveSiteAdvisor.storageKey('theme-pending')),
+                wrapper: wrap ? {
+                    theme: wrap.getAttribute(ProactiveSiteAdvisor.dataAttr('theme')),
+                    mode: wrap.getAttribute(ProactiveSiteAdvisor.dataAttr('theme-mode'))
+                } : null,
+                systemDark: typeof window.matchMedia === 'function'
+                    ? window.matchMedia('(prefers-color-scheme: dark)').matches
+                    : null,
+                switcher: ThemeSwitcher ? {mode: ThemeSwitcher.getMode(), theme: ThemeSwitcher.getTheme()} : null
+            };
+        },
+
+        getComponents: function () {
+            var counts = {};
+
+            App.instances.forEach(function (instance) {
+                var name = instance.component.name;
+                counts[name] = counts[name] || [];
+                counts[name].push(describeElement(instance.el));
+            });
+
+            return App.order.map(function (name) {
+                var component = App.components[name];
+
+                return {
+                    name: name,
+                    started: component.started,
+                    selector: component.definition.selector || null,
+                    mounted: counts[name] || []
+                };
+            });
+        },
+
+        /**
+         * Everything the drawer shows, as plain data.
+         *
+         * @return {Object}
+         */
+        getReport: function () {
+            return {
+                generatedAt: new Date().toISOString(),
+                url: window.location.href,
+                userAgent: window.navigator.userAgent,
+                version: App.version,
+                prefixConfig: sanitize(PREFIX_CONFIG),
+                config: sanitize(window[PREFIX_CONFIG.configObject] || {}),
+                theme: this.getTheme(),
+                components: this.getComponents(),
+                requests: this.requests.slice(),
+                events: this.events.slice()
+            };
+        },
+
+        createDrawer: function () {
+            var labels = this.getLabels();
+            var saved = !!(Config.get('diagnostics', {}) || {}).saved;
+            var panelId = Helpers.uniqueId(cls('diagnostics-'));
+            var drawer = document.createElement('div');
+
+            var button = function (action, label, variant) {
+                return '<button type="button" class="' + cls('btn') + ' ' + cls('btn-sm') + ' ' + cls('btn-' + variant) + '" ' +
+                    ProactiveSiteAdvisor.dataAttr('diagnostics-action') + '="' + action + '">' + esc(label) + '</button>';
+            };
+
+            var section = function (name, label) {
+                return '<details class="' + cls('diagnostics__section') + '"' + (name === 'log' ? ' open' : '') + '>' +
+                    '<summary>' + esc(label) + '</summary>' +
+                    '<pre class="' + cls('diagnostics__pre') + '" ' + ProactiveSiteAdvisor.dataAttr('diagnostics-section') + '="' + name + '"></pre>' +
+                    '</details>';
+            };
+
+            drawer.className = cls('diagnostics');
+            drawer.innerHTML =
+                '<button type="button" class="' + cls('diagnostics__toggle') + '" aria-expanded="false" aria-controls="' + panelId + '" ' +
+                ProactiveSiteAdvisor.dataAttr('diagnostics-action') + '="toggle" title="' + esc(labels.toggle || '') + '">' +
+                '<span class="' + cls('icon--info') + '" aria-hidden="true"></span>' +
+                '<span class="' + cls('visually-hidden') + '">' + esc(labels.toggle || '') + '</span>' +
+                '</button>' +
+                '<aside id="' + panelId + '" class="' + cls('diagnostics__panel') + '" aria-label="' + esc(labels.title || '') + '" hidden>' +
+                '<div class="' + cls('diagnostics__header') + '">' +
+                '<h2 class="' + cls('diagnostics__title') + '">' + esc(labels.title || '') + '</h2>' +
+                button('close', labels.close || '', 'outline-secondary') +
+                '</div>' +
+                '<div class="' + cls('diagnostics__actions') + '">' +
+                button('copy', labels.copy || '', 'primary') +
+                button('clear', labels.clear || '', 'outline-secondary') +
+                '<label class="' + cls('diagnostics__keep') + '">' +
+                '<input type="checkbox" ' + ProactiveSiteAdvisor.dataAttr('diagnostics-keep') + (saved ? ' checked' : '') + '> ' +
+                esc(labels.keep || '') +
+                '</label>' +
+                '</div>' +
+                section('config', labels.config || '') +
+                section('theme', labels.theme || '') +
+                section('components', labels.components || '') +
+                section('log', labels.log || '') +
+                '</aside>';
+
+            return drawer;
+        },
+
+        getLabels: function () {
+            return (Config.get('diagnostics', {}) || {}).labels || {};
+        },
+
+        handleAction: function (action) {
+            if (action === 'toggle') {
+                this.setOpen(!this.open);
+            } else if (action === 'close') {
+                this.setOpen(false);
+            } else if (action === 'copy') {
+                this.copy();
+            } else if (action === 'clear') {
+                this.events = [];
+                this.requests = [];
+                this.renderLog();
+            }
+        },
+
+        setOpen: function (open) {
+            var self = this;
+
+            this.open = !!open && !!this.drawer;
+
+            if (this.offKeydown) {
+                this.offKeydown();
+                this.offKeydown = null;
+            }
+
+            if (!this.drawer) return;
+
+            var toggle = this.drawer.querySelector(ProactiveSiteAdvisor.selector('diagnostics__toggle'));
+            var panel = this.drawer.querySelector(ProactiveSiteAdvisor.selector('diagnostics__panel'));
+
+            toggle.setAttribute('aria-expanded', this.open ? 'true' : 'false');
+            panel.hidden = !this.open;
+
+            if (!this.open) return;
+
+            this.render();
+
+            this.offKeydown = App.on('keydown', null, function (e) {
+                if (e.key !== 'Escape' || !panel.contains(Helpers.getElement(e.target))) return;
+
+                self.setOpen(false);
+                toggle.focus();
+            });
+        },
+
+        render: function () {
+            var report = this.getReport();
+
+            this.fill('config', {prefixConfig: report.prefixConfig, config: report.config});
+            this.fill('theme', report.theme);
+            this.fill('components', report.components);
+            this.renderLog();
+        },
+
+        renderLog: function () {
+            var labels = this.getLabels();
+
+            if (!this.events.length && !this.requests.length) {
+                this.fill('log', labels.empty || '');
+                return;
+            }
+
+            this.fill('log', {requests: this.requests, events: this.events});
+        },
+
+        fill: function (name, value) {
+            if (!this.drawer) return;
+
+            var pre = this.drawer.querySelector(ProactiveSiteAdvisor.dataSelector('diagnostics-section', name));
+            if (pre) pre.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        },
+
+        copy: function () {
+            var labels = this.getLabels();
+
+            Helpers.copyText(JSON.stringify(this.getReport(), null, 2)).then(function (copied) {
+                if (copied && ProactiveSiteAdvisor.Toast && labels.copied) ProactiveSiteAdvisor.Toast.success(labels.copied);
+            });
+        },
+
+        keepEnabled: function (input) {
+            var enabled = input.checked;
+
+            input.disabled = true;
+
+            Api.rest('preferences', {method: 'POST', data: {diagnostics: enabled}})
+                .catch(function () {
+                    input.checked = !enabled;
+                })
+                .then(function () {
+                    input.disabled = false;
+                });
+        }
+    };
+
+    Diagnostics.start();
+
+    App.register('diagnostics', Diagnostics);
+
+    ProactiveSiteAdvisor.Diagnostics = Diagnostics;
+
+})(window, document);
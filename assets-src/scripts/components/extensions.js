@@ -0,0 +1,316 @@
+/**
+ * Admin UI - Extensions Component
+ *
+ * Lets add-on scripts contribute UI through Hooks filters instead of
+ * editing templates. Contributions are added when the matching markup
+ * mounts, so they apply to server-rendered and refreshed content alike:
+ *
+ *  - 'alertCard.actions'  (actions, alert)  {id, label, variant, hideFor, onClick(alert, button)}
+ *  - 'alertCard.sections' (sections, alert) {id, title, content}; content is trusted HTML,
+ *                                           an Element, or a function(alert) returning either
+ *  - 'digest.cards'       (cards)           {id, iconClass, value, label, subtitle, color}
+ *  - 'alertsToolbar.buttons' (buttons, state) {id, label, variant, onClick(state, button)}
+ *
+ * `alert` is read from the card: {id, type, severity, status, date, title, card}.
+ * Add-ons load after the core bundle (see the
+ * proactive_site_advisor_admin_addon_scripts PHP filter), before the
+ * app starts, so their filters apply to the first render.
+ * Requires: namespace.js, config.js, helpers.js, hooks.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Extensions requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Extensions requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('Extensions requires helpers.js and config.js.');
+
+    var Hooks = ProactiveSiteAdvisor.Hooks;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Hooks || !App) throw new Error('Extensions requires hooks.js and app.js.');
+
+    var esc = Helpers.escapeHtml;
+    var escAttr = Helpers.escapeAttr;
+
+    // Click handlers of the buttons currently on the page, by button key.
+    var handlers = {};
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function attr(el, name) {
+        return el.getAttribute(ProactiveSiteAdvisor.dataAttr(name)) || '';
+    }
+
+    function list(value) {
+        return Array.isArray(value) ? value.filter(Helpers.isPlainObject) : [];
+    }
+
+    /**
+     * Create an extension button and remember its click handler.
+     *
+     * @return {Element}
+     */
+    function createButton(item, onClick, keys) {
+        var key = Helpers.uniqueId('extension-');
+        var button = document.createElement('button');
+
+        button.type = 'button';
+        button.className = cls('btn') + ' ' + cls('btn-sm') + ' ' + cls('btn-' + (item.variant || 'outline-secondary'));
+        button.textContent = item.label || '';
+        button.setAttribute(ProactiveSiteAdvisor.dataAttr('action'), 'extension');
+        button.setAttribute(ProactiveSiteAdvisor.dataAttr('extension'), key);
+        button.setAttribute(ProactiveSiteAdvisor.dataAttr('extension-id'), item.id || '');
+
+        handlers[key] = onClick;
+        keys.push(key);
+
+        return button;
+    }
+
+    function forget(keys) {
+        for (var i = 0; i < (keys || []).length; i++) {
+            delete handlers[keys[i]];
+        }
+    }
+
+    function getAlert(card) {
+        var title = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__title'));
+
+        return {
+            id: parseInt(attr(card, 'alert-id'), 10) || 0,
+            type: attr(card, 'alert-type'),
+            severity: attr(card, 'alert-severity'),
+            status: attr(card, 'alert-status') || 'open',
+            date: attr(card, 'alert-date'),
+            title: title ? title.textContent : '',
+            card: card
+        };
+    }
+
+    function setContent(el, content) {
+        if (content && typeof content === 'object' && content.nodeType === 1) {
+            el.appendChild(content);
+        } else {
+            el.innerHTML = content || '';
+        }
+    }
+
+    /**
+     * Give a card without expandable details an empty details section and its toggle.
+     */
+    function ensureDetails(card) {
+        var details = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__details'));
+        if (details) return details;
+
+        var content = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__content'));
+        if (!content) return null;
+
+        var labels = (Config.get('alertCard', {}) || {}).labels || {};
+        var id = Helpers.uniqueId(cls('alert-')) + '-details';
+        var toggle = document.createElement('button');
+
+        details = document.createElement('div');
+        details.id = id;
+        details.className = cls('alert-card__details');
+        details.hidden = true;
+        content.appendChild(details);
+
+        toggle.type = 'button';
+        toggle.className = cls('alert-card__toggle');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', id);
+        toggle.setAttribute('aria-label', labels.toggle || '');
+        toggle.innerHTML = '<span class="' + cls('icon--chevron-down') + '"></span>';
+        content.parentNode.appendChild(toggle);
+
+        card.classList.add(cls('alert-card--collapsible'));
+
+        return details;
+    }
+
+    var AlertCardExtensions = {
+        selector: ProactiveSiteAdvisor.selector('alert-card'),
+
+        mount: function (card) {
+            var alert = getAlert(card);
+            var keys = [];
+
+            this.addActions(card, alert, keys);
+            this.addSections(card, alert);
+
+            return keys;
+        },
+
+        unmount: function (card, keys) {
+            forget(keys);
+        },
+
+        addActions: function (card, alert, keys) {
+            var container = card.querySelector(ProactiveSiteAdvisor.selector('alert-card__actions'));
+            if (!container) return;
+
+            var actions = list(Hooks.applyFilters('alertCard.actions', [], alert));
+
+            actions.forEach(function (action) {
+                var button = createButton(action, function (button) {
+                    if (typeof action.onClick === 'function') action.onClick(getAlert(card), button);
+                }, keys);
+
+                if (Array.isArray(action.hideFor) && action.hideFor.length) {
+                    button.setAttribute(ProactiveSiteAdvisor.dataAttr('hide-for'), action.hideFor.join(' '));
+                }
+
+                container.appendChild(button);
+            });
+        },
+
+        addSections: function (card, alert) {
+            var sections = list(Hooks.applyFilters('alertCard.sections', [], alert));
+            if (!sections.length) return;
+
+            var details = ensureDetails(card);
+            if (!details) return;
+
+            sections.forEach(function (section) {
+                var el = document.createElement('div');
+                var content = typeof section.content === 'function' ? section.content(alert) : section.content;
+
+                el.className = cls('alert-card__section');
+                el.setAttribute(ProactiveSiteAdvisor.dataAttr('extension-id'), section.id || '');
+                el.innerHTML = '<h6 class="' + cls('alert-card__section-title') + '">' + esc(section.title || '') + '</h6>';
+
+                var body = document.createElement('div');
+                setContent(body, content);
+                el.appendChild(body);
+
+                details.appendChild(el);
+            });
+        }
+    };
+
+    var DigestExtensions = {
+        // The row is replaced by the dashboard refresh, so the cards are added again.
+        selector: ProactiveSiteAdvisor.dataSelector('region', 'digest') + ' > ' + ProactiveSiteAdvisor.selector('row'),
+
+        mount: function (row) {
+            var cards = list(Hooks.applyFilters('digest.cards', []));
+
+            cards.forEach(function (card) {
+                var col = document.createElement('div');
+                var color = card.color || 'primary';
+
+                col.className = cls('col-12') + ' ' + cls('col-sm-6') + ' ' + cls('col-lg-3');
+                col.setAttribute(ProactiveSiteAdvisor.dataAttr('extension-id'), card.id || '');
+                col.innerHTML =
+                    '<div class="' + cls('stat-card') + '">' +
+                    '<div class="' + cls('stat-card__body') + '">' +
+                    '<div class="' + cls('stat-card__icon') + ' ' + cls('stat-card__icon--' + escAttr(color)) + '">' +
+                    '<span class="' + escAttr(card.iconClass || cls('icon--alert')) + '"></span>' +
+                    '</div>' +
+                    '<div class="' + cls('stat-card__content') + '">' +
+                    '<p class="' + cls('stat-card__label') + '">' + esc(card.label || '') + '</p>' +
+                    '<h4 class="' + cls('stat-card__value') + '">' + esc(card.value === undefined ? '0' : String(card.value)) + '</h4>' +
+                    (card.subtitle ? '<p class="' + cls('stat-card__subtitle') + '">' + esc(card.subtitle) + '</p>' : '') +
+                    '</div>' +
+                    '</div>' +
+                    '</div>';
+
+                row.appendChild(col);
+            });
+        }
+    };
+
+    var ToolbarExtensions = {
+        selector: ProactiveSiteAdvisor.dataSelector('alerts-toolbar'),
+
+        mount: function (toolbar) {
+            var container = toolbar.querySelector(ProactiveSiteAdvisor.selector('alerts-toolbar__field--actions'));
+            var keys = [];
+            if (!container) return keys;
+
+            var getState = function () {
+                var AlertsToolbar = ProactiveSiteAdvisor.AlertsToolbar;
+                return AlertsToolbar ? AlertsToolbar.getState() : {};
+            };
+
+            list(Hooks.applyFilters('alertsToolbar.buttons', [], getState())).forEach(function (item) {
+                container.appendChild(createButton(item, function (button) {
+                    if (typeof item.onClick === 'function') item.onClick(getState(), button);
+                }, keys));
+            });
+
+            return keys;
+        },
+
+        unmount: function (toolbar, keys) {
+            forget(keys);
+        }
+    };
+
+    var Extensions = {
+        init: function () {
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'extension'), function (e, button) {
+                var handler = handlers[attr(button, 'extension')];
+                if (!handler) return;
+
+                e.preventDefault();
+                handler(button);
+            });
+        },
+
+        /**
+         * Add an action button to alert cards.
+         *
+         * @param {string} namespace Add-on slug.
+         * @param {Object|Function} action Action, or function(alert) returning one (or null to skip).
+         * @param {number} [priority]
+         */
+        addAlertAction: function (namespace, action, priority) {
+            Hooks.addFilter('alertCard.actions', namespace, function (actions, alert) {
+                var item = typeof action === 'function' ? action(alert) : action;
+                return item ? actions.concat([item]) : actions;
+            }, priority);
+        },
+
+        /**
+         * Add an expanded-details section to alert cards of one type.
+         *
+         * @param {string} type Alert type, e.g. 'traffic_drop', or '*' for every type.
+         * @param {string} namespace Add-on slug.
+         * @param {Object} section {id, title, content}.
+         * @param {number} [priority]
+         */
+        addAlertSection: function (type, namespace, section, priority) {
+            Hooks.addFilter('alertCard.sections', namespace, function (sections, alert) {
+                return type === '*' || alert.type === type ? sections.concat([section]) : sections;
+            }, priority);
+        },
+
+        addDigestCard: function (namespace, card, priority) {
+            Hooks.addFilter('digest.cards', namespace, function (cards) {
+                return cards.concat([card]);
+            }, priority);
+        },
+
+        addToolbarButton: function (namespace, button, priority) {
+            Hooks.addFilter('alertsToolbar.buttons', namespace, function (buttons) {
+                return buttons.concat([button]);
+            }, priority);
+        }
+    };
+
+    App.register('extensions', Extensions);
+    App.register('extensions.alertCard', AlertCardExtensions);
+    App.register('extensions.digest', DigestExtensions);
+    App.register('extensions.toolbar', ToolbarExtensions);
+
+    ProactiveSiteAdvisor.Extensions = Extensions;
+
+})(window, document);
@@ -1,7 +1,8 @@
 /**
  * Admin UI - Header Component
  *
- * Requires: namespace.js, helpers.js
+ * Mobile navigation toggle. Mounted on the header nav wrapper.
+ * Requires: namespace.js, helpers.js, app.js
  */
 (function (window, document) {
     'use strict';
@@ -13,7 +14,8 @@
     if (!ProactiveSiteAdvisor) throw new Error('Header requires global namespace.');
 
     var Helpers = ProactiveSiteAdvisor.Helpers;
-    if (!Helpers) throw new Error('Header requires helpers.js.');
+    var App = ProactiveSiteAdvisor.App;
+    if (!Helpers || !App) throw new Error('Header requires helpers.js and app.js.');
 
     var Header = {
         toggleBtn: null,
@@ -21,36 +23,47 @@
         wrapper: null,
         isOpen: false,
 
+        selector: ProactiveSiteAdvisor.selector('header-nav-wrapper'),
+
         init: function () {
-            this.toggleBtn = document.querySelector(
-                ProactiveSiteAdvisor.selector('header-toggle')
-            );
-            this.nav = document.querySelector(
-                ProactiveSiteAdvisor.selector('header-nav')
-            );
-            this.wrapper = document.querySelector(
-                ProactiveSiteAdvisor.selector('header-nav-wrapper')
-            );
+            this.bindEvents();
+        },
 
-            if (!this.toggleBtn || !this.nav) return;
+        mount: function (el) {
+            var toggleBtn = el.querySelector(ProactiveSiteAdvisor.selector('header-toggle'));
+            var nav = el.querySelector(ProactiveSiteAdvisor.selector('header-nav'));
 
-            this.bindEvents();
+            if (!toggleBtn || !nav) return;
+
+            this.wrapper = el;
+            this.toggleBtn = toggleBtn;
+            this.nav = nav;
+            this.isOpen = false;
+        },
+
+        unmount: function (el) {
+            if (el !== this.wrapper) return;
+
+            this.wrapper = null;
+            this.toggleBtn = null;
+            this.nav = null;
+            this.isOpen = false;
         },
 
         bindEvents: function () {
             var self = this;
 
-            this.toggleBtn.addEventListener('click', function (e) {
+            App.on('click', ProactiveSiteAdvisor.selector('header-toggle'), function (e, toggleBtn) {
+                if (toggleBtn !== self.toggleBtn) return;
+
                 e.preventDefault();
-                e.stopPropagation();
                 self.toggle();
             });
 
-            document.addEventListener('click', function (e) {
+            // Runs after the toggle handler, which the inside check covers.
+            App.on('click', null, function (e, target) {
                 if (!self.isOpen) return;
 
-                var target = Helpers.getElement(e.target) || e.target;
-
                 var inside =
                     (self.wrapper && self.wrapper.contains(target)) ||
                     (self.toggleBtn && self.toggleBtn.contains(target));
@@ -58,20 +71,14 @@
                 if (!inside) self.close();
             });
 
-            document.addEventListener('keydown', function (e) {
-                if (e.key === 'Escape' && self.isOpen) {
-                    self.close();
-                    self.toggleBtn.focus();
-                }
+            App.on('click', ProactiveSiteAdvisor.selector('header-nav-link'), function (e, link) {
+                if (self.isOpen && self.nav.contains(link)) self.close();
             });
 
-            this.nav.addEventListener('click', function (e) {
-                var target = Helpers.getElement(e.target) || e.target;
-
-                if (target && target.closest(
-                    ProactiveSiteAdvisor.selector('header-nav-link')
-                )) {
+            App.on('keydown', null, function (e) {
+                if (e.key === 'Escape' && self.isOpen && !e.defaultPrevented) {
                     self.close();
+                    self.toggleBtn.focus();
                 }
             });
 
@@ -114,13 +121,7 @@
         }
     };
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', function () {
-            Header.init();
-        });
-    } else {
-        Header.init();
-    }
+    App.register('header', Header);
 
     ProactiveSiteAdvisor.Header = Header;
 
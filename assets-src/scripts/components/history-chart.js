@@ -0,0 +1,416 @@
+/**
+ * Admin UI - History Chart Component
+ *
+ * Dependency-free SVG chart of daily pageviews and 404 errors. Overlays
+ * the baseline each day was compared against, marks days that
+ * raised alerts, and shows a tooltip on hover or keyboard focus.
+ * The chart is a single tab stop: arrow keys, Home and End move between
+ * days, and screen readers read the focused day's label. The tooltip
+ * itself is not announced, so hovering stays silent.
+ * Colors come from Config.getColors() and are re-read on theme change.
+ * Requires: namespace.js, config.js, helpers.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('HistoryChart requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('HistoryChart requires global namespace.');
+
+    var Config = ProactiveSiteAdvisor.Config;
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    if (!Config || !Helpers) throw new Error('HistoryChart requires config.js and helpers.js.');
+
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('HistoryChart requires app.js.');
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+    var HEIGHT = 240;
+    var PADDING = {top: 28, right: 48, bottom: 30, left: 48};
+    var TICKS = 4;
+    var MAX_MARKERS = 3;
+    var MIN_LABEL_SPACING = 56;
+
+    var SEVERITY_COLORS = {critical: 'danger', warning: 'warning', info: 'info'};
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass('history-chart__' + name);
+    }
+
+    function svg(tag, attrs, parent) {
+        var el = document.createElementNS(SVG_NS, tag);
+
+        for (var key in attrs) {
+            if (Object.prototype.hasOwnProperty.call(attrs, key) && attrs[key] !== null && attrs[key] !== undefined) {
+                el.setAttribute(key, attrs[key]);
+            }
+        }
+
+        if (parent) parent.appendChild(el);
+
+        return el;
+    }
+
+    function parseJson(el, name, fallback) {
+        try {
+            return JSON.parse(el.getAttribute(ProactiveSiteAdvisor.dataAttr(name)) || '') || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Round a maximum up to a value that divides evenly into ticks.
+     */
+    function niceMax(value) {
+        if (value <= 0) return TICKS;
+
+        var raw = value / TICKS;
+        var magnitude = Math.pow(10, Math.floor(Math.log(raw) / Math.LN10));
+        var steps = [1, 2, 2.5, 5, 10];
+
+        for (var i = 0; i < steps.length; i++) {
+            if (steps[i] * magnitude >= raw) return Math.max(TICKS, steps[i] * magnitude * TICKS);
+        }
+
+        return Math.max(TICKS, 10 * magnitude * TICKS);
+    }
+
+    function maxOf(points, keys) {
+        var max = 0;
+
+        for (var i = 0; i < points.length; i++) {
+            for (var k = 0; k < keys.length; k++) {
+                var v = points[i][keys[k]];
+                if (typeof v === 'number' && v > max) max = v;
+            }
+        }
+
+        return max;
+    }
+
+    function linePath(points, key, x, y) {
+        var d = '';
+        var pen = false;
+
+        for (var i = 0; i < points.length; i++) {
+            var v = points[i][key];
+
+            if (typeof v !== 'number') {
+                pen = false;
+                continue;
+            }
+
+            d += (pen ? 'L' : 'M') + x(i).toFixed(1) + ',' + y(v).toFixed(1);
+            pen = true;
+        }
+
+        return d;
+    }
+
+    var HistoryChart = {
+        charts: [],
+
+        selector: ProactiveSiteAdvisor.dataSelector('history-chart'),
+
+        init: function () {
+            this.bindEvents();
+        },
+
+        mount: function (el) {
+            this.charts.push(el);
+            this.render(el);
+        },
+
+        unmount: function (el) {
+            var index = this.charts.indexOf(el);
+            if (index !== -1) this.charts.splice(index, 1);
+        },
+
+        bindEvents: function () {
+            var self = this;
+
+            var redraw = function () {
+                for (var i = 0; i < self.charts.length; i++) {
+                    self.render(self.charts[i]);
+                }
+            };
+
+            document.addEventListener(ProactiveSiteAdvisor.event('themeChanged'), function () {
+                // Let the new theme's custom properties apply before reading colors.
+                window.requestAnimationFrame(redraw);
+            });
+
+            window.addEventListener('resize', Helpers.debounce(redraw, 150));
+        },
+
+        getPalette: function () {
+            var colors = Config.getColors();
+
+            return {
+                pageviews: colors.primary || '#7367f0',
+                errors404: colors.danger || '#ff4c51',
+                critical: colors.danger || '#ff4c51',
+                warning: colors.warning || '#ff9f43',
+                info: colors.info || '#00bad1'
+            };
+        },
+
+        render: function (el) {
+            var points = parseJson(el, 'chart-data', []);
+            var labels = parseJson(el, 'chart-labels', {});
+            var canvas = el.querySelector('.' + cls('canvas'));
+
+            if (!canvas || !points.length) return;
+
+            var palette = this.getPalette();
+            var width = Math.max(canvas.clientWidth || 0, 320);
+            var plotW = width - PADDING.left - PADDING.right;
+            var plotH = HEIGHT - PADDING.top - PADDING.bottom;
+            var step = plotW / points.length;
+            var dotRadius = step < 10 ? 1.5 : 3;
+
+            var maxPv = niceMax(maxOf(points, ['pageviews', 'baseline_pageviews']));
+            var max404 = niceMax(maxOf(points, ['errors_404', 'baseline_404']));
+
+            var x = function (i) {
+                return PADDING.left + step * (i + 0.5);
+            };
+            var yPv = function (v) {
+                return PADDING.top + plotH - (v / maxPv) * plotH;
+            };
+            var y404 = function (v) {
+                return PADDING.top + plotH - (v / max404) * plotH;
+            };
+
+            var root = svg('svg', {
+                'class': cls('svg'),
+                width: width,
+                height: HEIGHT,
+                viewBox: '0 0 ' + width + ' ' + HEIGHT,
+                role: 'group',
+                'aria-label': el.getAttribute(ProactiveSiteAdvisor.dataAttr('chart-title')) || ''
+            });
+
+            this.drawAxes(root, points, x, maxPv, max404, plotH, width);
+
+            svg('path', {
+                'class': cls('baseline'),
+                d: linePath(points, 'baseline_pageviews', x, yPv),
+                stroke: palette.pageviews
+            }, root);
+            svg('path', {
+                'class': cls('baseline'),
+                d: linePath(points, 'baseline_404', x, y404),
+                stroke: palette.errors404
+            }, root);
+            svg('path', {
+                'class': cls('line'),
+                d: linePath(points, 'pageviews', x, yPv),
+                stroke: palette.pageviews
+            }, root);
+            svg('path', {
+                'class': cls('line'),
+                d: linePath(points, 'errors_404', x, y404),
+                stroke: palette.errors404
+            }, root);
+
+            for (var i = 0; i < points.length; i++) {
+                svg('circle', {'class': cls('dot'), cx: x(i), cy: yPv(points[i].pageviews), r: dotRadius, fill: palette.pageviews}, root);
+                svg('circle', {'class': cls('dot'), cx: x(i), cy: y404(points[i].errors_404), r: dotRadius, fill: palette.errors404}, root);
+
+                this.drawMarkers(root, points[i], x(i), palette);
+            }
+
+            this.drawHitAreas(el, root, points, labels, x, step, plotH);
+
+            canvas.innerHTML = '';
+            canvas.appendChild(root);
+
+            this.renderLegend(el, labels, palette);
+        },
+
+        drawAxes: function (root, points, x, maxPv, max404, plotH, width) {
+            for (var t = 0; t <= TICKS; t++) {
+                var y = PADDING.top + plotH - (t / TICKS) * plotH;
+
+                svg('line', {'class': cls('grid'), x1: PADDING.left, x2: width - PADDING.right, y1: y, y2: y}, root);
+
+                svg('text', {'class': cls('axis'), x: PADDING.left - 8, y: y, 'text-anchor': 'end', 'dominant-baseline': 'middle'}, root)
+                    .textContent = Helpers.formatNumber(Math.round(maxPv * t / TICKS));
+
+                svg('text', {'class': cls('axis'), x: width - PADDING.right + 8, y: y, 'text-anchor': 'start', 'dominant-baseline': 'middle'}, root)
+                    .textContent = Helpers.formatNumber(Math.round(max404 * t / TICKS));
+            }
+
+            // Thin out day labels on longer ranges so they don't overlap; always keep the latest day.
+            var every = Math.max(1, Math.ceil(points.length / Math.max(1, Math.floor((width - PADDING.left - PADDING.right) / MIN_LABEL_SPACING))));
+
+            for (var i = 0; i < points.length; i++) {
+                if ((points.length - 1 - i) % every !== 0) continue;
+
+                svg('text', {'class': cls('axis'), x: x(i), y: HEIGHT - 8, 'text-anchor': 'middle'}, root)
+                    .textContent = points[i].short_label || points[i].date;
+            }
+        },
+
+        drawMarkers: function (root, point, cx, palette) {
+            var alerts = point.alerts || [];
+            var count = Math.min(alerts.length, MAX_MARKERS);
+
+            for (var i = 0; i < count; i++) {
+                var severity = alerts[i].severity;
+
+                svg('circle', {
+                    'class': cls('marker'),
+                    cx: cx + (i - (count - 1) / 2) * 10,
+                    cy: PADDING.top - 14,
+                    r: 4,
+                    fill: palette[severity] || palette.info
+                }, root);
+            }
+        },
+
+        drawHitAreas: function (el, root, points, labels, x, step, plotH) {
+            var self = this;
+            var guide = svg('line', {
+                'class': cls('guide'),
+                y1: PADDING.top - 20,
+                y2: PADDING.top + plotH,
+                visibility: 'hidden'
+            }, root);
+
+            var hits = [];
+
+            points.forEach(function (point, i) {
+                // Roving tabindex: only the latest day, or the last one focused, is a tab stop.
+                var hit = svg('rect', {
+                    'class': cls('hit'),
+                    x: x(i) - step / 2,
+                    y: 0,
+                    width: step,
+                    height: HEIGHT,
+                    tabindex: i === points.length - 1 ? 0 : -1,
+                    role: 'img',
+                    'aria-label': self.describe(point, labels)
+                }, root);
+
+                hits.push(hit);
+
+                var show = function () {
+                    guide.setAttribute('x1', x(i));
+                    guide.setAttribute('x2', x(i));
+                    guide.setAttribute('visibility', 'visible');
+                    self.showTooltip(el, point, labels, x(i));
+                };
+
+                var hide = function () {
+                    guide.setAttribute('visibility', 'hidden');
+                    self.hideTooltip(el);
+                };
+
+                hit.addEventListener('mouseenter', show);
+                hit.addEventListener('focus', function () {
+                    for (var k = 0; k < hits.length; k++) {
+                        hits[k].setAttribute('tabindex', k === i ? 0 : -1);
+                    }
+
+                    show();
+                });
+                hit.addEventListener('mouseleave', hide);
+                hit.addEventListener('blur', hide);
+            });
+
+            root.addEventListener('keydown', function (e) {
+                var index = hits.indexOf(e.target);
+                if (index === -1) return;
+
+                var target = {ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: hits.length - 1}[e.key];
+                if (typeof target !== 'number') return;
+
+                e.preventDefault();
+                hits[Math.max(0, Math.min(hits.length - 1, target))].focus();
+            });
+        },
+
+        describe: function (point, labels) {
+            var parts = [
+                point.label || point.date,
+                (labels.pageviews || 'Pageviews') + ': ' + Helpers.formatNumber(point.pageviews),
+                (labels.errors404 || '404 Errors') + ': ' + Helpers.formatNumber(point.errors_404)
+            ];
+
+            if (point.alerts && point.alerts.length) {
+                parts.push((labels.alerts || 'Alerts') + ': ' + point.alerts.map(function (a) {
+                    return a.title;
+                }).join(', '));
+            }
+
+            return parts.join('. ');
+        },
+
+        showTooltip: function (el, point, labels, cx) {
+            var tooltip = el.querySelector('.' + cls('tooltip'));
+            if (!tooltip) return;
+
+            var row = function (label, value, baseline) {
+                return '<div class="' + cls('tooltip-row') + '"><span>' + Helpers.escapeHtml(label) + '</span> <strong>' +
+                    Helpers.escapeHtml(Helpers.formatNumber(value)) + '</strong>' +
+                    (typeof baseline === 'number'
+                        ? ' <span class="' + cls('tooltip-baseline') + '">(' + Helpers.escapeHtml(labels.baseline || 'Baseline') +
+                          ' ' + Helpers.escapeHtml(Helpers.formatNumber(Math.round(baseline))) + ')</span>'
+                        : '') +
+                    '</div>';
+            };
+
+            var html = '<div class="' + cls('tooltip-title') + '">' + Helpers.escapeHtml(point.label || point.date) + '</div>' +
+                row(labels.pageviews || 'Pageviews', point.pageviews, point.baseline_pageviews) +
+                row(labels.errors404 || '404 Errors', point.errors_404, point.baseline_404);
+
+            if (point.alerts && point.alerts.length) {
+                html += '<ul class="' + cls('tooltip-alerts') + '">';
+                for (var i = 0; i < point.alerts.length; i++) {
+                    html += '<li class="' + cls('tooltip-alert') + ' ' + cls('tooltip-alert--' + (SEVERITY_COLORS[point.alerts[i].severity] || 'info')) + '">' +
+                        Helpers.escapeHtml(point.alerts[i].title) + '</li>';
+                }
+                html += '</ul>';
+            }
+
+            tooltip.innerHTML = html;
+            tooltip.hidden = false;
+
+            // Keep the tooltip inside the card.
+            var max = el.clientWidth - tooltip.offsetWidth - 8;
+            tooltip.style.left = Math.max(8, Math.min(max, cx - tooltip.offsetWidth / 2)) + 'px';
+        },
+
+        hideTooltip: function (el) {
+            var tooltip = el.querySelector('.' + cls('tooltip'));
+            if (tooltip) tooltip.hidden = true;
+        },
+
+        renderLegend: function (el, labels, palette) {
+            var legend = el.querySelector('.' + cls('legend'));
+            if (!legend) return;
+
+            var item = function (label, color, modifier) {
+                return '<span class="' + cls('legend-item') + '"><span class="' + cls('swatch') +
+                    (modifier ? ' ' + cls('swatch--' + modifier) : '') + '" style="--swatch-color:' +
+                    Helpers.escapeHtml(color) + '"></span>' + Helpers.escapeHtml(label) + '</span>';
+            };
+
+            legend.innerHTML =
+                item(labels.pageviews || 'Pageviews', palette.pageviews) +
+                item(labels.errors404 || '404 Errors', palette.errors404) +
+                item(labels.baseline || 'Baseline', palette.pageviews, 'dashed') +
+                item(labels.alerts || 'Alerts', palette.warning, 'marker');
+        }
+    };
+
+    App.register('historyChart', HistoryChart);
+
+    ProactiveSiteAdvisor.HistoryChart = HistoryChart;
+
+})(window, document);
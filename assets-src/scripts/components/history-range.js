@@ -0,0 +1,222 @@
+/**
+ * Admin UI - History Range Component
+ *
+ * Switches the history section between 7, 30 and 90 days. Other ranges
+ * are fetched on demand and swapped in place; the history table is
+ * paginated client-side. The chosen range is kept in the URL.
+ * Requires: namespace.js, helpers.js, api.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('HistoryRange requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('HistoryRange requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Helpers || !Api || !App) throw new Error('HistoryRange requires helpers.js, api.js and app.js.');
+
+    var PER_PAGE = 10;
+    var URL_PARAM = 'history_days';
+
+    var HistoryRange = {
+        root: null,
+        labels: {},
+        cache: {},
+        pending: null,
+
+        selector: ProactiveSiteAdvisor.dataSelector('history'),
+
+        init: function () {
+            this.bindEvents();
+        },
+
+        mount: function (root) {
+            if (this.root) return;
+
+            this.root = root;
+            this.cache = {};
+
+            try {
+                this.labels = JSON.parse(root.getAttribute(ProactiveSiteAdvisor.dataAttr('pager-labels')) || '{}') || {};
+            } catch (e) {
+                this.labels = {};
+            }
+
+            // The server-rendered range is already on the page; keep it for switching back.
+            this.cache[this.getDays()] = root.innerHTML;
+
+            this.setPressed(this.getDays());
+            this.paginate(1);
+        },
+
+        unmount: function (root) {
+            if (root !== this.root) return;
+
+            this.root = null;
+            this.cache = {};
+            this.pending = null;
+        },
+
+        bindEvents: function () {
+            var self = this;
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'history-range'), function (e, button) {
+                if (!self.root) return;
+
+                e.preventDefault();
+                self.load(parseInt(button.getAttribute(ProactiveSiteAdvisor.dataAttr('days')), 10));
+            });
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'history-page'), function (e, button) {
+                if (!self.root || !self.root.contains(button)) return;
+
+                e.preventDefault();
+                self.paginate(parseInt(button.getAttribute(ProactiveSiteAdvisor.dataAttr('page')), 10));
+            });
+        },
+
+        getDays: function () {
+            return parseInt(this.root.getAttribute(ProactiveSiteAdvisor.dataAttr('days')), 10) || 7;
+        },
+
+        getButtons: function () {
+            return document.querySelectorAll(ProactiveSiteAdvisor.dataSelector('action', 'history-range'));
+        },
+
+        setPressed: function (days) {
+            var buttons = this.getButtons();
+
+            for (var i = 0; i < buttons.length; i++) {
+                var pressed = parseInt(buttons[i].getAttribute(ProactiveSiteAdvisor.dataAttr('days')), 10) === days;
+                buttons[i].setAttribute('aria-pressed', pressed ? 'true' : 'false');
+            }
+        },
+
+        setBusy: function (busy) {
+            var buttons = this.getButtons();
+
+            for (var i = 0; i < buttons.length; i++) {
+                buttons[i].disabled = busy;
+            }
+
+            if (this.root) this.root.setAttribute('aria-busy', busy ? 'true' : 'false');
+        },
+
+        load: function (days) {
+            var self = this;
+
+            if (!days || days === this.getDays() || this.pending === days) return Promise.resolve();
+
+            if (this.cache[days]) {
+                this.apply(days, this.cache[days]);
+                return Promise.resolve();
+            }
+
+            this.pending = days;
+            this.setBusy(true);
+
+            return Api.post('get_history', {days: days})
+                .then(function (response) {
+                    // Unmounted while the range was loading.
+                    if (!self.root) return;
+
+                    var data = response.data || {};
+
+                    self.cache[data.days || days] = data.html || '';
+                    self.apply(data.days || days, data.html || '');
+                })
+                .catch(function () {
+                    return null;
+                })
+                .then(function () {
+                    self.pending = null;
+                    self.setBusy(false);
+                });
+        },
+
+        apply: function (days, html) {
+            this.root.innerHTML = html;
+            this.root.setAttribute(ProactiveSiteAdvisor.dataAttr('days'), days);
+
+            this.setPressed(days);
+            this.writeUrl(days);
+            this.paginate(1);
+
+            App.contentLoaded(this.root);
+
+            ProactiveSiteAdvisor.dispatch('historyRangeChanged', {days: days}, this.root);
+        },
+
+        writeUrl: function (days) {
+            if (!window.history || typeof window.history.replaceState !== 'function') return;
+
+            try {
+                var url = new URL(window.location.href);
+                url.searchParams.set(URL_PARAM, days);
+                window.history.replaceState(window.history.state, '', url.toString());
+            } catch (e) {
+                // Ignore: the range still applies, it just isn't bookmarkable.
+            }
+        },
+
+        paginate: function (page) {
+            var table = this.root.querySelector(ProactiveSiteAdvisor.selector('table'));
+            var rows = table ? table.querySelectorAll('tbody tr') : [];
+            var pages = Math.ceil(rows.length / PER_PAGE);
+
+            page = Math.max(1, Math.min(page || 1, pages || 1));
+
+            for (var i = 0; i < rows.length; i++) {
+                rows[i].hidden = pages > 1 && (i < (page - 1) * PER_PAGE || i >= page * PER_PAGE);
+            }
+
+            this.renderPager(table, page, pages);
+        },
+
+        renderPager: function (table, page, pages) {
+            var pager = this.root.querySelector(ProactiveSiteAdvisor.selector('history-pager'));
+
+            if (pages <= 1 || !table) {
+                if (pager) pager.parentNode.removeChild(pager);
+                return;
+            }
+
+            if (!pager) {
+                pager = document.createElement('nav');
+                pager.className = ProactiveSiteAdvisor.cssClass('history-pager');
+                pager.setAttribute('aria-label', this.labels.navigation || '');
+
+                var card = table.closest(ProactiveSiteAdvisor.selector('table-card')) || table;
+                card.parentNode.insertBefore(pager, card.nextSibling);
+            }
+
+            var button = function (label, target, disabled) {
+                return '<button type="button" class="' + ProactiveSiteAdvisor.cssClass('btn') + ' ' +
+                    ProactiveSiteAdvisor.cssClass('btn-sm') + ' ' + ProactiveSiteAdvisor.cssClass('btn-outline-secondary') + '" ' +
+                    ProactiveSiteAdvisor.dataAttr('action') + '="history-page" ' +
+                    ProactiveSiteAdvisor.dataAttr('page') + '="' + target + '"' + (disabled ? ' disabled' : '') + '>' +
+                    Helpers.escapeHtml(label) + '</button>';
+            };
+
+            var status = (this.labels.page || '%1$s / %2$s')
+                .replace('%1$s', Helpers.formatNumber(page))
+                .replace('%2$s', Helpers.formatNumber(pages));
+
+            pager.innerHTML =
+                button(this.labels.previous || '‹', page - 1, page <= 1) +
+                '<span class="' + ProactiveSiteAdvisor.cssClass('history-pager__status') + '" aria-live="polite">' +
+                Helpers.escapeHtml(status) + '</span>' +
+                button(this.labels.next || '›', page + 1, page >= pages);
+        }
+    };
+
+    App.register('historyRange', HistoryRange);
+
+    ProactiveSiteAdvisor.HistoryRange = HistoryRange;
+
+})(window, document);
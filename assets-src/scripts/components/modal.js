@@ -0,0 +1,320 @@
+/**
+ * Admin UI - Modal Component
+ *
+ * Accessible dialogs: focus is trapped inside the dialog and returned to
+ * the invoking element on close; Escape and backdrop clicks close it.
+ * Dialogs are mounted inside the plugin wrapper so they follow the theme.
+ * Modal.confirm() resolves with true or false for generic prompts.
+ * Requires: namespace.js, config.js, helpers.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Modal requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Modal requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('Modal requires helpers.js and config.js.');
+
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('Modal requires app.js.');
+
+    var SIZES = ['sm', 'md', 'lg', 'full'];
+    var FOCUSABLE = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    // Open dialogs, topmost last.
+    var stack = [];
+
+    function i18n(key, fallback) {
+        var strings = Config.get('i18n', {}) || {};
+        return strings[key] || fallback;
+    }
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function getFocusable(container) {
+        return Array.prototype.filter.call(container.querySelectorAll(FOCUSABLE), function (el) {
+            return !el.hidden && el.offsetParent !== null;
+        });
+    }
+
+    /**
+     * A single dialog.
+     *
+     * @param {Object} options See Modal.open().
+     */
+    function Dialog(options) {
+        this.options = options;
+        this.trigger = options.trigger || document.activeElement;
+        this.closed = false;
+        this.id = Helpers.uniqueId(cls('modal-'));
+        this.build();
+    }
+
+    Dialog.prototype.build = function () {
+        var self = this;
+        var options = this.options;
+
+        var backdrop = document.createElement('div');
+        backdrop.className = cls('modal-backdrop');
+
+        backdrop.innerHTML =
+            '<div class="' + cls('modal') + ' ' + cls('modal--' + options.size) + '" role="' +
+            (options.role === 'alertdialog' ? 'alertdialog' : 'dialog') + '" aria-modal="true" ' +
+            'aria-labelledby="' + this.id + '-title" tabindex="-1">' +
+            '<div class="' + cls('modal__header') + '">' +
+            '<h2 id="' + this.id + '-title" class="' + cls('modal__title') + '">' + Helpers.escapeHtml(options.title) + '</h2>' +
+            '<button type="button" class="' + cls('modal__close') + '" ' + ProactiveSiteAdvisor.dataAttr('modal-close') + ' ' +
+            'aria-label="' + Helpers.escapeAttr(i18n('close', 'Close')) + '">' +
+            '<span class="' + cls('icon--close') + '" aria-hidden="true"></span>' +
+            '</button>' +
+            '</div>' +
+            '<div class="' + cls('modal__body') + '"></div>' +
+            '<div class="' + cls('modal__footer') + '" hidden></div>' +
+            '</div>';
+
+        this.backdrop = backdrop;
+        this.dialog = backdrop.querySelector(ProactiveSiteAdvisor.selector('modal'));
+        this.body = backdrop.querySelector(ProactiveSiteAdvisor.selector('modal__body'));
+        this.footer = backdrop.querySelector(ProactiveSiteAdvisor.selector('modal__footer'));
+
+        if (options.className) this.dialog.className += ' ' + options.className;
+
+        this.setContent(options.content);
+        this.setButtons(options.buttons);
+
+        // Only a press that starts and ends on the backdrop closes, so text
+        // selections dragged out of the dialog do not.
+        var pressedBackdrop = false;
+
+        backdrop.addEventListener('mousedown', function (e) {
+            pressedBackdrop = e.target === backdrop;
+        });
+
+        backdrop.addEventListener('click', function (e) {
+            if (e.target === backdrop && pressedBackdrop && options.dismissible) {
+                self.close(false);
+                return;
+            }
+
+            var target = Helpers.getElement(e.target);
+            if (target && target.closest(ProactiveSiteAdvisor.dataSelector('modal-close'))) {
+                e.preventDefault();
+                self.close(false);
+            }
+        });
+    };
+
+    /**
+     * Replace the body content.
+     *
+     * @param {string|Element} content HTML string (trusted) or element.
+     */
+    Dialog.prototype.setContent = function (content) {
+        if (content && typeof content === 'object' && content.nodeType === 1) {
+            this.body.innerHTML = '';
+            this.body.appendChild(content);
+        } else {
+            this.body.innerHTML = content || '';
+        }
+
+        if (!this.closed && this.backdrop.parentNode) {
+            App.contentLoaded(this.body);
+        }
+    };
+
+    /**
+     * @param {Array<{label: string, variant: string, value: *, autofocus: boolean}>} buttons
+     */
+    Dialog.prototype.setButtons = function (buttons) {
+        var self = this;
+
+        this.footer.innerHTML = '';
+        this.footer.hidden = !buttons || !buttons.length;
+
+        (buttons || []).forEach(function (config) {
+            var button = document.createElement('button');
+
+            button.type = 'button';
+            button.className = cls('btn') + ' ' + cls('btn-' + (config.variant || 'secondary'));
+            button.textContent = config.label;
+            if (config.autofocus) button.setAttribute('autofocus', '');
+
+            button.addEventListener('click', function () {
+                self.close(config.value);
+            });
+
+            self.footer.appendChild(button);
+        });
+    };
+
+    Dialog.prototype.mount = function () {
+        var parent = document.querySelector(ProactiveSiteAdvisor.selector('wrap')) || document.body;
+
+        parent.appendChild(this.backdrop);
+        document.body.classList.add(cls('modal-open'));
+
+        var autofocus = this.dialog.querySelector('[autofocus]');
+        var focusable = getFocusable(this.body);
+
+        (autofocus || focusable[0] || this.dialog).focus();
+
+        ProactiveSiteAdvisor.dispatch('modalOpened', {id: this.id}, this.dialog);
+    };
+
+    Dialog.prototype.trapFocus = function (e) {
+        var focusable = getFocusable(this.dialog);
+
+        if (!focusable.length) {
+            e.preventDefault();
+            this.dialog.focus();
+            return;
+        }
+
+        var first = focusable[0];
+        var last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
+    Dialog.prototype.close = function (value) {
+        if (this.closed) return;
+
+        this.closed = true;
+        stack.splice(stack.indexOf(this), 1);
+
+        if (this.backdrop.parentNode) this.backdrop.parentNode.removeChild(this.backdrop);
+        if (!stack.length) document.body.classList.remove(cls('modal-open'));
+
+        if (this.trigger && typeof this.trigger.focus === 'function' && document.body.contains(this.trigger)) {
+            this.trigger.focus();
+        }
+
+        if (typeof this.options.onClose === 'function') this.options.onClose(value);
+
+        ProactiveSiteAdvisor.dispatch('modalClosed', {id: this.id, value: value}, document);
+    };
+
+    var Modal = {
+        bound: false,
+
+        init: function () {
+            if (this.bound) return;
+            this.bound = true;
+
+            App.on('keydown', null, function (e) {
+                var top = stack[stack.length - 1];
+                if (!top) return;
+
+                if (e.key === 'Escape' && top.options.dismissible) {
+                    e.preventDefault();
+                    top.close(false);
+                } else if (e.key === 'Tab') {
+                    top.trapFocus(e);
+                }
+            });
+
+            // Focus moved outside the top dialog (e.g. by a click on the page): pull it back.
+            App.on('focusin', null, function (e) {
+                var top = stack[stack.length - 1];
+                if (top && !top.backdrop.contains(e.target)) top.dialog.focus();
+            });
+        },
+
+        /**
+         * Open a dialog.
+         *
+         * @param {Object} options {title, content, size ('sm'|'md'|'lg'|'full'), buttons, role,
+         *                         dismissible (default true), className, trigger, onClose(value)}
+         * @return {{setContent: Function, setButtons: Function, close: Function, element: Element}}
+         */
+        open: function (options) {
+            var opts = Helpers.merge({size: 'md', dismissible: true}, options || {});
+            if (SIZES.indexOf(opts.size) === -1) opts.size = 'md';
+
+            this.init();
+
+            var dialog = new Dialog(opts);
+            stack.push(dialog);
+            dialog.mount();
+
+            return {
+                element: dialog.dialog,
+                setContent: function (content) {
+                    dialog.setContent(content);
+                },
+                setButtons: function (buttons) {
+                    dialog.setButtons(buttons);
+                },
+                close: function (value) {
+                    dialog.close(value);
+                }
+            };
+        },
+
+        /**
+         * Ask for confirmation.
+         *
+         * @param {Object} options {title, message, confirmLabel, cancelLabel, danger}
+         * @return {Promise<boolean>} True when confirmed.
+         */
+        confirm: function (options) {
+            var self = this;
+            var opts = options || {};
+
+            return new Promise(function (resolve) {
+                self.open({
+                    title: opts.title || i18n('confirmTitle', 'Are you sure?'),
+                    content: opts.message ? '<p>' + Helpers.escapeHtml(opts.message) + '</p>' : '',
+                    size: 'sm',
+                    role: 'alertdialog',
+                    trigger: opts.trigger,
+                    buttons: [
+                        {label: opts.cancelLabel || i18n('cancel', 'Cancel'), variant: 'outline-secondary', value: false, autofocus: !!opts.danger},
+                        {label: opts.confirmLabel || i18n('confirm', 'Confirm'), variant: opts.danger ? 'danger' : 'primary', value: true, autofocus: !opts.danger}
+                    ],
+                    onClose: function (value) {
+                        resolve(value === true);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Close every open dialog.
+         */
+        closeAll: function () {
+            while (stack.length) {
+                stack[stack.length - 1].close(false);
+            }
+        },
+
+        isOpen: function () {
+            return stack.length > 0;
+        }
+    };
+
+    App.register('modal', Modal);
+
+    ProactiveSiteAdvisor.Modal = Modal;
+
+})(window, document);
@@ -1,7 +1,7 @@
 /**
  * Promo Banner Component
  *
- * Requires: namespace.js, config.js, helpers.js
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js
  */
 (function (window, document) {
     'use strict';
@@ -16,6 +16,10 @@
     var Config = ProactiveSiteAdvisor.Config;
     if (!Helpers || !Config) throw new Error('PromoBanner requires helpers.js and config.js.');
 
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Api || !App) throw new Error('PromoBanner requires api.js and app.js.');
+
     function restore(card, btn) {
         card.style.opacity = '1';
         card.style.transform = 'none';
@@ -26,11 +30,9 @@
         var card = btn.closest(
             ProactiveSiteAdvisor.selector('promo-card')
         );
-        if (!card || typeof window.fetch !== 'function') return;
+        if (!card) return;
 
-        var ajaxUrl = Config.getAjaxUrl();
-        var nonce = Config.getNonce();
-        if (!ajaxUrl || !nonce) return;
+        if (!ProactiveSiteAdvisor.dispatch('promo:dismiss', {card: card}, card)) return;
 
         btn.disabled = true;
 
@@ -38,31 +40,17 @@
         card.style.opacity = '0';
         card.style.transform = 'translateY(-10px)';
 
-        var formData = new FormData();
-        formData.append(
-            'action',
-            ProactiveSiteAdvisor.ajaxAction('dismiss_promo_banner')
-        );
-        formData.append('security', nonce);
-
-        window.fetch(ajaxUrl, {
-            method: 'POST',
-            credentials: 'same-origin',
-            body: formData
-        })
-            .then(function (r) {
-                return r.json();
-            })
-            .then(function (data) {
-                if (data && data.success) {
-                    setTimeout(function () {
-                        if (card.parentNode) {
-                            card.parentNode.removeChild(card);
-                        }
-                    }, 300);
-                } else {
-                    restore(card, btn);
-                }
+        // Offline, the dismissal is queued and the banner still goes away.
+        Api.post('dismiss_promo_banner', {}, {queue: true})
+            .then(function (response) {
+                var message = (Config.get('i18n', {}) || {}).promoDismissed;
+                if (message && !response.queued && ProactiveSiteAdvisor.Toast) ProactiveSiteAdvisor.Toast.success(message);
+
+                setTimeout(function () {
+                    if (card.parentNode) {
+                        card.parentNode.removeChild(card);
+                    }
+                }, 300);
             })
             .catch(function () {
                 restore(card, btn);
@@ -70,26 +58,16 @@
     }
 
     function init() {
-        document.addEventListener('click', function (e) {
-            var target = Helpers.getElement(e.target);
-            if (!target) return;
-
-            var btn = target.closest(
-                ProactiveSiteAdvisor.dataSelector('action', 'dismiss-promo')
-            );
-            if (!btn) return;
-
+        App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'dismiss-promo'), function (e, btn) {
             e.preventDefault();
             dismiss(btn);
         });
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
+    var PromoBanner = {init: init};
+
+    App.register('promoBanner', PromoBanner);
 
-    ProactiveSiteAdvisor.PromoBanner = {init: init};
+    ProactiveSiteAdvisor.PromoBanner = PromoBanner;
 
 })(window, document);
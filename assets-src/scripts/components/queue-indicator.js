@@ -0,0 +1,95 @@
+/**
+ * Admin UI - Queue Indicator
+ *
+ * Small floating pill showing how many changes are waiting in the
+ * offline queue (see queue.js), and whether the browser is offline.
+ * Clicking it retries right away. Hidden while the queue is empty.
+ * Requires: namespace.js, config.js, helpers.js, events.js, queue.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('QueueIndicator requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('QueueIndicator requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('QueueIndicator requires helpers.js and config.js.');
+
+    var Events = ProactiveSiteAdvisor.Events;
+    var Queue = ProactiveSiteAdvisor.Queue;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Events || !Queue || !App) throw new Error('QueueIndicator requires events.js, queue.js and app.js.');
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function i18n(key, fallback) {
+        var strings = Config.get('i18n', {}) || {};
+        return strings[key] || fallback;
+    }
+
+    var QueueIndicator = {
+        element: null,
+
+        init: function () {
+            var self = this;
+
+            ProactiveSiteAdvisor.on('queue:changed', function (detail) {
+                self.render(detail.pending, detail.online);
+            });
+
+            ProactiveSiteAdvisor.on('request:queued', function () {
+                if (ProactiveSiteAdvisor.Toast) ProactiveSiteAdvisor.Toast.warning(i18n('queued', 'You are offline. The change will be sent when the connection is back.'));
+            });
+
+            this.render(Queue.count(), Queue.isOnline());
+        },
+
+        getElement: function () {
+            if (this.element && document.body.contains(this.element)) return this.element;
+
+            var element = document.createElement('button');
+
+            element.type = 'button';
+            element.className = cls('queue-indicator');
+            element.hidden = true;
+            element.setAttribute('aria-live', 'polite');
+            element.addEventListener('click', function () {
+                Queue.replay();
+            });
+
+            document.body.appendChild(element);
+
+            return this.element = element;
+        },
+
+        /**
+         * @param {number} pending
+         * @param {boolean} online
+         */
+        render: function (pending, online) {
+            if (!pending && !this.element) return;
+
+            var element = this.getElement();
+            var label = i18n(pending === 1 ? 'queuePendingOne' : 'queuePending', '%d changes waiting to be sent').replace('%d', pending);
+
+            element.hidden = !pending;
+            element.classList.toggle(cls('queue-indicator--offline'), !online);
+            element.title = i18n('queueRetry', 'Retry now');
+            element.innerHTML =
+                '<span class="' + cls('icon--clock') + '" aria-hidden="true"></span>' +
+                '<span>' + Helpers.escapeHtml(label) + '</span>' +
+                (online ? '' : '<span class="' + cls('queue-indicator__status') + '">' + Helpers.escapeHtml(i18n('queueOffline', 'Offline')) + '</span>');
+        }
+    };
+
+    App.register('queueIndicator', QueueIndicator);
+
+    ProactiveSiteAdvisor.QueueIndicator = QueueIndicator;
+
+})(window, document);
@@ -1,7 +1,16 @@
 /**
  * Admin UI - Theme Switcher
  *
- * Requires: namespace.js, config.js, helpers.js
+ * Supports three modes: light, dark and system. In system mode the
+ * resolved theme follows the operating system color scheme and updates
+ * live when it changes. The wrapper's theme attribute always holds the
+ * resolved theme ('light' or 'dark'); the mode is kept alongside it.
+ *
+ * The user meta saved by switch_theme is the authoritative mode. On load
+ * it overrides the localStorage copy, unless that copy holds a change
+ * that never reached the server, which is then sent again. Changes are
+ * broadcast to the other open admin tabs.
+ * Requires: namespace.js, config.js, helpers.js, api.js, app.js
  */
 (function (window, document) {
     'use strict';
@@ -16,6 +25,17 @@
     var Config = ProactiveSiteAdvisor.Config;
     if (!Helpers || !Config) throw new Error('ThemeSwitcher requires helpers.js and config.js.');
 
+    var Api = ProactiveSiteAdvisor.Api;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Api || !App) throw new Error('ThemeSwitcher requires api.js and app.js.');
+
+    var MODES = ['light', 'dark', 'system'];
+    var DARK_QUERY = '(prefers-color-scheme: dark)';
+
+    function isMode(value) {
+        return MODES.indexOf(value) !== -1;
+    }
+
     function storageGet(key) {
         try {
             return window.localStorage.getItem(key);
@@ -31,99 +51,245 @@
         }
     }
 
+    function storageRemove(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+        }
+    }
+
     var ThemeSwitcher = {
         wrapper: null,
         storageKey: null,
+        pendingKey: null,
+        mediaQuery: null,
+        channel: null,
+        mode: null,
+
+        // Toggles rendered later (e.g. in a dialog) get their pressed state on mount.
+        selector: ProactiveSiteAdvisor.dataSelector('theme-toggle'),
 
         init: function () {
             this.storageKey = ProactiveSiteAdvisor.storageKey('theme');
+            this.pendingKey = ProactiveSiteAdvisor.storageKey('theme-pending');
             this.wrapper = document.querySelector(
                 ProactiveSiteAdvisor.selector('wrap')
             );
 
+            if (typeof window.matchMedia === 'function') {
+                this.mediaQuery = window.matchMedia(DARK_QUERY);
+            }
+
+            if (typeof window.BroadcastChannel === 'function') {
+                try {
+                    this.channel = new window.BroadcastChannel(this.storageKey);
+                } catch (e) {
+                    this.channel = null;
+                }
+            }
+
             this.bindEvents();
             this.applyStoredTheme();
         },
 
+        mount: function () {
+            if (this.mode) this.updateToggles(this.mode);
+        },
+
         bindEvents: function () {
             var self = this;
 
-            document.addEventListener('click', function (e) {
-                var target = Helpers.getElement(e.target);
-                if (!target) return;
+            App.on('click', this.selector, function (e, toggle) {
+                e.preventDefault();
+
+                var value = toggle.getAttribute(ProactiveSiteAdvisor.dataAttr('theme-value'));
+                if (isMode(value)) {
+                    self.setTheme(value);
+                } else {
+                    self.toggle();
+                }
+            });
 
-                if (!target.closest(
-                    ProactiveSiteAdvisor.dataSelector('theme-toggle')
-                )) return;
+            // Other tabs: BroadcastChannel where supported, the storage event otherwise.
+            // Both may fire for the same change; receive() ignores repeats.
+            if (this.channel) {
+                this.channel.onmessage = function (e) {
+                    if (e.data && e.data.mode) self.receive(e.data.mode);
+                };
+            }
 
-                e.preventDefault();
-                self.toggle();
+            window.addEventListener('storage', function (e) {
+                if (e.key === self.storageKey && e.newValue) self.receive(e.newValue);
             });
+
+            if (!this.mediaQuery) return;
+
+            var onSchemeChange = function () {
+                if (self.getMode() !== 'system') return;
+
+                self.apply('system');
+                ProactiveSiteAdvisor.dispatch('themeChanged', {theme: self.getTheme(), mode: 'system'}, document);
+            };
+
+            // Safari < 14 only supports the deprecated addListener().
+            if (typeof this.mediaQuery.addEventListener === 'function') {
+                this.mediaQuery.addEventListener('change', onSchemeChange);
+            } else if (typeof this.mediaQuery.addListener === 'function') {
+                this.mediaQuery.addListener(onSchemeChange);
+            }
         },
 
-        getTheme: function () {
+        /**
+         * Get the selected mode: 'light', 'dark' or 'system'.
+         *
+         * @return {string}
+         */
+        getMode: function () {
+            if (this.mode) return this.mode;
+
             var stored = storageGet(this.storageKey);
-            if (stored === 'light' || stored === 'dark') {
+            if (isMode(stored)) {
                 return stored;
             }
 
             if (this.wrapper) {
-                var domTheme = this.wrapper.getAttribute(
-                    ProactiveSiteAdvisor.dataAttr('theme')
-                );
+                var domMode = this.wrapper.getAttribute(ProactiveSiteAdvisor.dataAttr('theme-mode')) ||
+                    this.wrapper.getAttribute(ProactiveSiteAdvisor.dataAttr('theme'));
 
-                if (domTheme === 'light' || domTheme === 'dark') {
-                    return domTheme;
+                if (isMode(domMode)) {
+                    return domMode;
                 }
             }
 
             return 'light';
         },
 
-        setTheme: function (theme) {
-            if (theme !== 'light' && theme !== 'dark') {
-                theme = 'light';
+        /**
+         * Get the resolved theme: 'light' or 'dark'.
+         *
+         * @return {string}
+         */
+        getTheme: function () {
+            return this.resolve(this.getMode());
+        },
+
+        resolve: function (mode) {
+            if (mode === 'system') {
+                return this.mediaQuery && this.mediaQuery.matches ? 'dark' : 'light';
             }
 
-            if (this.wrapper) {
-                this.wrapper.setAttribute(
-                    ProactiveSiteAdvisor.dataAttr('theme'),
-                    theme
-                );
+            return mode === 'dark' ? 'dark' : 'light';
+        },
+
+        setTheme: function (mode) {
+            if (!isMode(mode)) {
+                mode = 'light';
             }
 
-            storageSet(this.storageKey, theme);
+            storageSet(this.storageKey, mode);
 
-            this.saveToServer(theme);
-            this.updateToggleIcons(theme);
+            this.apply(mode);
+            this.saveToServer(mode);
+            this.broadcast(mode);
+
+            if (ProactiveSiteAdvisor.Toast) {
+                var messages = Config.get('i18n', {}) || {};
+                var message = messages['theme' + mode.charAt(0).toUpperCase() + mode.slice(1)];
 
-            ProactiveSiteAdvisor.dispatch('themeChanged', {theme: theme}, document);
+                if (message) ProactiveSiteAdvisor.Toast.success(message);
+            }
+
+            ProactiveSiteAdvisor.dispatch('themeChanged', {theme: this.resolve(mode), mode: mode}, document);
+        },
+
+        /**
+         * Apply a mode chosen in another tab. Not saved again: that tab does it.
+         */
+        receive: function (mode) {
+            if (!isMode(mode) || mode === this.mode) return;
+
+            this.apply(mode);
+
+            ProactiveSiteAdvisor.dispatch('themeChanged', {theme: this.resolve(mode), mode: mode, remote: true}, document);
+        },
+
+        broadcast: function (mode) {
+            if (!this.channel) return;
+
+            try {
+                this.channel.postMessage({mode: mode});
+            } catch (e) {
+            }
+        },
+
+        /**
+         * Settle the stored mode against the one saved on the server.
+         *
+         * @return {string} The mode to apply.
+         */
+        reconcile: function () {
+            var server = Config.getServerTheme();
+            var stored = storageGet(this.storageKey);
+            var pending = storageGet(this.pendingKey);
+
+            if (!isMode(server) && this.wrapper) {
+                server = this.wrapper.getAttribute(ProactiveSiteAdvisor.dataAttr('theme'));
+            }
+
+            // A local change the server never confirmed: keep it and retry.
+            if (isMode(stored) && pending === stored && stored !== server) {
+                this.saveToServer(stored);
+                return stored;
+            }
+
+            var mode = isMode(server) ? server : (isMode(stored) ? stored : 'light');
+
+            storageSet(this.storageKey, mode);
+            storageRemove(this.pendingKey);
+
+            return mode;
         },
 
+        /**
+         * Cycle light -> dark -> system.
+         */
         toggle: function () {
             this.setTheme(
-                this.getTheme() === 'light' ? 'dark' : 'light'
+                MODES[(MODES.indexOf(this.getMode()) + 1) % MODES.length]
             );
         },
 
         applyStoredTheme: function () {
-            var stored = storageGet(this.storageKey);
-            var theme = (stored === 'light' || stored === 'dark')
-                ? stored
-                : this.getTheme();
-
-            if (stored === 'light' || stored === 'dark') {
-                if (this.wrapper) {
-                    this.wrapper.setAttribute(
-                        ProactiveSiteAdvisor.dataAttr('theme'),
-                        stored
-                    );
-                }
+            this.apply(this.reconcile());
+        },
+
+        apply: function (mode) {
+            var theme = this.resolve(mode);
+
+            this.mode = mode;
+
+            if (this.wrapper) {
+                this.wrapper.setAttribute(ProactiveSiteAdvisor.dataAttr('theme'), theme);
+                this.wrapper.setAttribute(ProactiveSiteAdvisor.dataAttr('theme-mode'), mode);
             }
 
+            this.updateToggles(mode);
             this.updateToggleIcons(theme);
         },
 
+        updateToggles: function (mode) {
+            var toggles = document.querySelectorAll(
+                ProactiveSiteAdvisor.dataSelector('theme-toggle')
+            );
+
+            for (var i = 0; i < toggles.length; i++) {
+                var value = toggles[i].getAttribute(ProactiveSiteAdvisor.dataAttr('theme-value'));
+                if (!isMode(value)) continue;
+
+                toggles[i].setAttribute('aria-pressed', value === mode ? 'true' : 'false');
+            }
+        },
+
         updateToggleIcons: function (theme) {
             var toggles = document.querySelectorAll(
                 ProactiveSiteAdvisor.dataSelector('theme-toggle')
@@ -152,37 +318,28 @@
             }
         },
 
-        saveToServer: function (theme) {
-            if (typeof window.fetch !== 'function') return;
-
-            var ajaxUrl = Config.getAjaxUrl();
-            var nonce = Config.getNonce();
-            if (!ajaxUrl || !nonce) return;
+        saveToServer: function (mode) {
+            var self = this;
 
-            var formData = new FormData();
-            formData.append(
-                'action',
-                ProactiveSiteAdvisor.ajaxAction('switch_theme')
-            );
-            formData.append('security', nonce);
-            formData.append('theme', theme);
-
-            window.fetch(ajaxUrl, {
-                method: 'POST',
-                body: formData,
-                credentials: 'same-origin'
-            }).catch(function () {
-            });
+            // Marked pending until the server confirms, so a failed save
+            // is retried on the next load instead of being overridden.
+            storageSet(this.pendingKey, mode);
+
+            // Failures are reported by Api via the request:error event;
+            // the local preference is kept either way. Offline, the save
+            // is queued and stays pending until it is replayed.
+            return Api.post('switch_theme', {theme: mode}, {queue: true})
+                .then(function (response) {
+                    if (response.queued) return;
+                    if (storageGet(self.pendingKey) === mode) storageRemove(self.pendingKey);
+                })
+                .catch(function () {
+                    return null;
+                });
         }
     };
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', function () {
-            ThemeSwitcher.init();
-        });
-    } else {
-        ThemeSwitcher.init();
-    }
+    App.register('themeSwitcher', ThemeSwitcher);
 
     ProactiveSiteAdvisor.ThemeSwitcher = ThemeSwitcher;
 
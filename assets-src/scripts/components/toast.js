@@ -0,0 +1,276 @@
+/**
+ * Admin UI - Toast Component
+ *
+ * Short-lived notifications stacked in the corner of the plugin wrapper.
+ * Every toast is also announced through an aria-live region (assertive
+ * for errors, polite otherwise). Failed requests are reported here
+ * automatically unless they were sent with the quiet option.
+ * Requires: namespace.js, config.js, helpers.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Toast requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Toast requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('Toast requires helpers.js and config.js.');
+
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('Toast requires app.js.');
+
+    var TYPES = ['success', 'info', 'warning', 'error'];
+    var DEFAULT_DURATION = 5000;
+    var MAX_VISIBLE = 4;
+    var LEAVE_DURATION = 200;
+
+    function i18n(key, fallback) {
+        var strings = Config.get('i18n', {}) || {};
+        return strings[key] || fallback;
+    }
+
+    /**
+     * A single toast. Its timer pauses while hovered or focused.
+     */
+    function ToastItem(options) {
+        this.options = options;
+        this.remaining = options.duration;
+        this.timer = null;
+        this.startedAt = 0;
+        this.closed = false;
+        this.el = this.build();
+    }
+
+    ToastItem.prototype.build = function () {
+        var self = this;
+        var options = this.options;
+        var el = document.createElement('div');
+
+        el.className = ProactiveSiteAdvisor.cssClass('toast') + ' ' +
+            ProactiveSiteAdvisor.cssClass('toast--' + options.type);
+
+        el.innerHTML =
+            '<p class="' + ProactiveSiteAdvisor.cssClass('toast__message') + '">' + Helpers.escapeHtml(options.message) + '</p>' +
+            (options.action
+                ? '<button type="button" class="' + ProactiveSiteAdvisor.cssClass('toast__action') + '">' +
+                Helpers.escapeHtml(options.action.label) + '</button>'
+                : '') +
+            '<button type="button" class="' + ProactiveSiteAdvisor.cssClass('toast__close') + '" aria-label="' +
+            Helpers.escapeAttr(i18n('dismiss', 'Dismiss')) + '">' +
+            '<span class="' + ProactiveSiteAdvisor.cssClass('icon--close') + '" aria-hidden="true"></span>' +
+            '</button>';
+
+        el.addEventListener('click', function (e) {
+            var target = Helpers.getElement(e.target);
+            if (!target) return;
+
+            if (target.closest(ProactiveSiteAdvisor.selector('toast__action'))) {
+                if (typeof options.action.onClick === 'function') options.action.onClick();
+                self.close();
+            } else if (target.closest(ProactiveSiteAdvisor.selector('toast__close'))) {
+                self.close();
+            }
+        });
+
+        el.addEventListener('mouseenter', function () {
+            self.pause();
+        });
+        el.addEventListener('mouseleave', function () {
+            self.resume();
+        });
+        el.addEventListener('focusin', function () {
+            self.pause();
+        });
+        el.addEventListener('focusout', function (e) {
+            if (!el.contains(e.relatedTarget)) self.resume();
+        });
+
+        return el;
+    };
+
+    ToastItem.prototype.resume = function () {
+        var self = this;
+
+        if (this.closed || this.timer || this.remaining <= 0) return;
+
+        this.startedAt = Date.now();
+        this.timer = setTimeout(function () {
+            self.close();
+        }, this.remaining);
+    };
+
+    ToastItem.prototype.pause = function () {
+        if (!this.timer) return;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remaining -= Date.now() - this.startedAt;
+    };
+
+    ToastItem.prototype.close = function () {
+        var el = this.el;
+
+        if (this.closed) return;
+
+        this.closed = true;
+        this.pause();
+
+        el.classList.add(ProactiveSiteAdvisor.cssClass('toast--leaving'));
+
+        setTimeout(function () {
+            if (el.parentNode) el.parentNode.removeChild(el);
+        }, LEAVE_DURATION);
+
+        if (typeof this.options.onClose === 'function') this.options.onClose();
+    };
+
+    var Toast = {
+        container: null,
+        regions: {},
+        items: [],
+
+        init: function () {
+            var self = this;
+
+            // Live regions must exist before the first message for it to be announced.
+            this.getContainer();
+
+            document.addEventListener(ProactiveSiteAdvisor.event('request:error'), function (e) {
+                var detail = e.detail || {};
+                if (detail.quiet) return;
+
+                self.error(detail.message || i18n('requestFailed', 'The request failed. Please try again.'));
+            });
+        },
+
+        getContainer: function () {
+            if (this.container && document.body.contains(this.container)) return this.container;
+
+            var parent = document.querySelector(ProactiveSiteAdvisor.selector('wrap')) || document.body;
+            var container = document.createElement('div');
+
+            container.className = ProactiveSiteAdvisor.cssClass('toasts');
+
+            // Toasts are announced through these regions, not read out as they are inserted.
+            this.regions = {
+                polite: this.createRegion('polite'),
+                assertive: this.createRegion('assertive')
+            };
+
+            container.appendChild(this.regions.polite);
+            container.appendChild(this.regions.assertive);
+            parent.appendChild(container);
+
+            this.container = container;
+
+            return container;
+        },
+
+        createRegion: function (politeness) {
+            var region = document.createElement('div');
+
+            region.className = ProactiveSiteAdvisor.cssClass('visually-hidden');
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+
+            return region;
+        },
+
+        /**
+         * Read a message out to screen readers without showing a toast.
+         *
+         * @param {string} message
+         * @param {boolean} [assertive] Interrupt the current speech (errors).
+         */
+        announce: function (message, assertive) {
+            this.getContainer();
+
+            var region = assertive ? this.regions.assertive : this.regions.polite;
+
+            // Clear first so repeating the same message is announced again.
+            region.textContent = '';
+            setTimeout(function () {
+                region.textContent = message;
+            }, 50);
+        },
+
+        /**
+         * Show a toast.
+         *
+         * @param {string} message
+         * @param {Object} [options] {type, duration (ms, 0 keeps it open), action: {label, onClick}, onClose}
+         * @return {{close: Function}}
+         */
+        show: function (message, options) {
+            var self = this;
+            var opts = Helpers.merge({type: 'info', duration: DEFAULT_DURATION}, options || {});
+
+            if (TYPES.indexOf(opts.type) === -1) opts.type = 'info';
+            opts.message = message;
+
+            // Give people time to reach the action button.
+            if (opts.action && opts.duration > 0) opts.duration = Math.max(opts.duration, 8000);
+
+            var container = this.getContainer();
+            var item = new ToastItem(opts);
+            var onClose = opts.onClose;
+
+            opts.onClose = function () {
+                self.items.splice(self.items.indexOf(item), 1);
+                if (typeof onClose === 'function') onClose();
+            };
+
+            this.items.push(item);
+            container.appendChild(item.el);
+
+            while (this.items.length > MAX_VISIBLE) {
+                this.items[0].close();
+            }
+
+            this.announce(message, opts.type === 'error');
+            item.resume();
+
+            ProactiveSiteAdvisor.dispatch('toastShown', {type: opts.type, message: message}, item.el);
+
+            return {
+                close: function () {
+                    item.close();
+                }
+            };
+        },
+
+        success: function (message, options) {
+            return this.show(message, Helpers.merge(Helpers.merge({}, options || {}), {type: 'success'}));
+        },
+
+        info: function (message, options) {
+            return this.show(message, Helpers.merge(Helpers.merge({}, options || {}), {type: 'info'}));
+        },
+
+        warning: function (message, options) {
+            return this.show(message, Helpers.merge(Helpers.merge({}, options || {}), {type: 'warning'}));
+        },
+
+        error: function (message, options) {
+            // Errors stay up longer by default.
+            return this.show(message, Helpers.merge(Helpers.merge({duration: DEFAULT_DURATION * 2}, options || {}), {type: 'error'}));
+        },
+
+        clear: function () {
+            var items = this.items.slice();
+
+            for (var i = 0; i < items.length; i++) {
+                items[i].close();
+            }
+        }
+    };
+
+    App.register('toast', Toast);
+
+    ProactiveSiteAdvisor.Toast = Toast;
+
+})(window, document);
@@ -0,0 +1,231 @@
+/**
+ * Admin UI - Top URLs
+ *
+ * The "Top 404 URLs" list of alert cards: copy a URL, open it on the
+ * site, sort by count or path, and show the paths past the first few.
+ * The markup comes from templates/admin/components/top-urls.php, or
+ * from render() for cards built on the client.
+ *
+ * Requires: namespace.js, config.js, helpers.js, app.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('TopUrls requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('TopUrls requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('TopUrls requires helpers.js and config.js.');
+
+    var App = ProactiveSiteAdvisor.App;
+    if (!App) throw new Error('TopUrls requires app.js.');
+
+    var DEFAULT_VISIBLE = 5;
+
+    var esc = Helpers.escapeHtml;
+    var escAttr = Helpers.escapeAttr;
+
+    function cls(name) {
+        return ProactiveSiteAdvisor.cssClass(name);
+    }
+
+    function dataAttr(name, value) {
+        return ProactiveSiteAdvisor.dataAttr(name) + '="' + escAttr(value) + '"';
+    }
+
+    function getSettings() {
+        var config = Config.get('alertCard', {}) || {};
+
+        return {
+            labels: config.labels || {},
+            visible: parseInt(config.topUrlsVisible, 10) || DEFAULT_VISIBLE
+        };
+    }
+
+    function renderSortButton(sort, label, pressed) {
+        return '<button type="button" class="' + cls('btn') + ' ' + cls('btn-sm') + ' ' + cls('btn-outline-secondary') + '" ' +
+            dataAttr('action', 'sort-urls') + ' ' + dataAttr('sort', sort) + ' aria-pressed="' + pressed + '">' +
+            esc(label) + '</button>';
+    }
+
+    function renderItem(item, index, total, visible, labels) {
+        var share = Math.min(100, Math.round(item.count / total * 1000) / 10);
+        var shareLabel = (labels.share || '%s%%').replace('%s', share.toFixed(1)).replace('%%', '%');
+
+        return '<li ' + dataAttr('path', item.path) + ' ' + dataAttr('count', item.count) + (index >= visible ? ' hidden' : '') + '>' +
+            '<code class="' + cls('alert-card__url-path') + '" title="' + escAttr(item.path) + '">' + esc(item.path) + '</code>' +
+            '<span class="' + cls('alert-card__url-share') + '" title="' + escAttr(shareLabel) + '">' +
+            '<span class="' + cls('alert-card__url-bar') + '" style="width: ' + share + '%;"></span>' +
+            '<span class="' + cls('visually-hidden') + '">' + esc(shareLabel) + '</span>' +
+            '</span>' +
+            '<span class="' + cls('alert-card__url-count') + '">' + esc(Helpers.formatNumber(item.count)) + '</span>' +
+            '<span class="' + cls('alert-card__url-actions') + '">' +
+            '<button type="button" class="' + cls('alert-card__url-action') + '" ' + dataAttr('action', 'copy-url') + ' ' +
+            dataAttr('url', item.url || '') + ' title="' + escAttr(labels.copyUrl || '') + '">' +
+            '<span class="dashicons dashicons-admin-page" aria-hidden="true"></span>' +
+            '<span class="' + cls('visually-hidden') + '">' + esc(labels.copyUrl || '') + '</span>' +
+            '</button>' +
+            '<a class="' + cls('alert-card__url-action') + '" href="' + escAttr(item.url || '') + '" target="_blank" rel="noopener noreferrer" title="' + escAttr(labels.openUrl || '') + '">' +
+            '<span class="dashicons dashicons-external" aria-hidden="true"></span>' +
+            '<span class="' + cls('visually-hidden') + '">' + esc(labels.openUrlNewTab || '') + '</span>' +
+            '</a>' +
+            '</span>' +
+            '</li>';
+    }
+
+    var TopUrls = {
+        selector: ProactiveSiteAdvisor.dataSelector('top-urls'),
+
+        init: function () {
+            var self = this;
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'copy-url'), function (e, button) {
+                e.preventDefault();
+                self.copy(button.getAttribute(ProactiveSiteAdvisor.dataAttr('url')));
+            });
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'sort-urls'), function (e, button) {
+                var list = button.closest(ProactiveSiteAdvisor.dataSelector('top-urls'));
+                if (list) self.sort(list, button.getAttribute(ProactiveSiteAdvisor.dataAttr('sort')));
+            });
+
+            App.on('click', ProactiveSiteAdvisor.dataSelector('action', 'toggle-urls'), function (e, button) {
+                var list = button.closest(ProactiveSiteAdvisor.dataSelector('top-urls'));
+                if (list) self.toggleAll(list, button);
+            });
+        },
+
+        /**
+         * Lists arrive sorted by count, most hit first.
+         *
+         * @param {Element} list
+         */
+        mount: function (list) {
+            this.setPressed(list, list.getAttribute(ProactiveSiteAdvisor.dataAttr('sort')) || 'count');
+        },
+
+        /**
+         * Build the list markup.
+         *
+         * @param {Array<Object>} items [{path, count, url}], most hit first.
+         * @param {number} total The day's 404 errors.
+         * @return {string}
+         */
+        render: function (items, total) {
+            var settings = getSettings();
+            var labels = settings.labels;
+            var visible = settings.visible;
+            var html = '';
+
+            total = Math.max(1, parseInt(total, 10) || 0);
+
+            for (var i = 0; i < items.length; i++) {
+                html += renderItem(items[i], i, total, visible, labels);
+            }
+
+            return '<div class="' + cls('top-urls') + '" ' + ProactiveSiteAdvisor.dataAttr('top-urls') + ' ' + dataAttr('visible', visible) + '>' +
+                (items.length > 1
+                    ? '<div class="' + cls('btn-group') + ' ' + cls('top-urls__sort') + '" role="group" aria-label="' + escAttr(labels.sortUrls || '') + '">' +
+                    renderSortButton('count', labels.byCount || '', true) +
+                    renderSortButton('path', labels.byPath || '', false) +
+                    '</div>'
+                    : '') +
+                '<ul class="' + cls('alert-card__url-list') + '">' + html + '</ul>' +
+                (items.length > visible
+                    ? '<button type="button" class="' + cls('btn') + ' ' + cls('btn-sm') + ' ' + cls('btn-link') + '" ' +
+                    dataAttr('action', 'toggle-urls') + ' aria-expanded="false">' +
+                    esc((labels.showAllUrls || '').replace('%d', items.length)) + '</button>'
+                    : '') +
+                '</div>';
+        },
+
+        copy: function (url) {
+            var labels = getSettings().labels;
+            if (!url) return;
+
+            Helpers.copyText(url).then(function (copied) {
+                if (copied && ProactiveSiteAdvisor.Toast && labels.urlCopied) ProactiveSiteAdvisor.Toast.success(labels.urlCopied);
+            });
+        },
+
+        /**
+         * @param {Element} list
+         * @param {string} sort 'count' (most hit first) or 'path'.
+         */
+        sort: function (list, sort) {
+            var ul = list.querySelector(ProactiveSiteAdvisor.selector('alert-card__url-list'));
+            if (!ul) return;
+
+            var countAttr = ProactiveSiteAdvisor.dataAttr('count');
+            var pathAttr = ProactiveSiteAdvisor.dataAttr('path');
+            var items = Array.prototype.slice.call(ul.children);
+
+            items.sort(function (a, b) {
+                var pathA = a.getAttribute(pathAttr);
+                var pathB = b.getAttribute(pathAttr);
+
+                if (sort === 'path') return pathA.localeCompare(pathB);
+
+                return (parseInt(b.getAttribute(countAttr), 10) - parseInt(a.getAttribute(countAttr), 10)) ||
+                    pathA.localeCompare(pathB);
+            });
+
+            items.forEach(function (item) {
+                ul.appendChild(item);
+            });
+
+            list.setAttribute(ProactiveSiteAdvisor.dataAttr('sort'), sort);
+
+            this.setPressed(list, sort);
+            this.applyVisibility(list);
+        },
+
+        /**
+         * @param {Element} list
+         * @param {string} sort The order the list is in.
+         */
+        setPressed: function (list, sort) {
+            var buttons = list.querySelectorAll(ProactiveSiteAdvisor.dataSelector('action', 'sort-urls'));
+
+            for (var i = 0; i < buttons.length; i++) {
+                buttons[i].setAttribute('aria-pressed', buttons[i].getAttribute(ProactiveSiteAdvisor.dataAttr('sort')) === sort ? 'true' : 'false');
+            }
+        },
+
+        toggleAll: function (list, button) {
+            var labels = getSettings().labels;
+            var expanded = button.getAttribute('aria-expanded') !== 'true';
+            var count = list.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card__url-list') + ' > li').length;
+
+            button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            button.textContent = expanded ? (labels.showFewerUrls || '') : (labels.showAllUrls || '').replace('%d', count);
+
+            this.applyVisibility(list);
+        },
+
+        /**
+         * Show the first rows, or every row while expanded.
+         *
+         * @param {Element} list
+         */
+        applyVisibility: function (list) {
+            var toggle = list.querySelector(ProactiveSiteAdvisor.dataSelector('action', 'toggle-urls'));
+            var expanded = !!toggle && toggle.getAttribute('aria-expanded') === 'true';
+            var visible = parseInt(list.getAttribute(ProactiveSiteAdvisor.dataAttr('visible')), 10) || DEFAULT_VISIBLE;
+            var items = list.querySelectorAll(ProactiveSiteAdvisor.selector('alert-card__url-list') + ' > li');
+
+            for (var i = 0; i < items.length; i++) {
+                items[i].hidden = !expanded && i >= visible;
+            }
+        }
+    };
+
+    App.register('topUrls', TopUrls);
+
+    ProactiveSiteAdvisor.TopUrls = TopUrls;
+
+})(window, document);
@@ -0,0 +1,110 @@
+/**
+ * Admin UI - Unseen Alerts Badges
+ *
+ * Keeps the unseen alert count on the plugin's admin menu item and its
+ * admin bar node current: every Heartbeat tick asks for the count and
+ * the severity it is counted for (see AlertsManager::handleHeartbeat).
+ * Runs on every admin screen.
+ *
+ * Requires: namespace.js, config.js, app.js, jQuery (Heartbeat events)
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('UnseenAlerts requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('UnseenAlerts requires global namespace.');
+
+    var Config = ProactiveSiteAdvisor.Config;
+    var App = ProactiveSiteAdvisor.App;
+    if (!Config || !App) throw new Error('UnseenAlerts requires config.js and app.js.');
+
+    var DEFAULT_COLOR = '#3b82f6';
+
+    var UnseenAlerts = {
+        settings: {},
+        count: null,
+        severity: '',
+
+        init: function () {
+            var self = this;
+
+            this.settings = Config.get('unseenAlerts', {}) || {};
+
+            if (!this.settings.heartbeatKey || !window.jQuery) return;
+
+            window.jQuery(document)
+                .on('heartbeat-send', function (e, data) {
+                    data[self.settings.heartbeatKey] = 1;
+                })
+                .on('heartbeat-tick', function (e, data) {
+                    var unseen = data && data[self.settings.heartbeatKey];
+                    if (unseen) self.update(parseInt(unseen.count, 10) || 0, unseen.severity || '');
+                });
+        },
+
+        /**
+         * @param {number} count
+         * @param {string} severity
+         */
+        update: function (count, severity) {
+            if (count === this.count && severity === this.severity) return;
+
+            this.count = count;
+            this.severity = severity;
+
+            var color = (this.settings.colors || {})[severity] || DEFAULT_COLOR;
+
+            this.updateMenu(count, color);
+            this.updateAdminBar(count, color);
+
+            ProactiveSiteAdvisor.dispatch('alerts:unseen', {count: count, severity: severity}, document);
+        },
+
+        updateMenu: function (count, color) {
+            var name = document.querySelector('#' + this.settings.menuItem + ' .wp-menu-name');
+            if (!name) return;
+
+            var badge = name.querySelector('.update-plugins');
+
+            if (!count) {
+                if (badge) badge.parentNode.removeChild(badge);
+                return;
+            }
+
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.innerHTML = '<span class="plugin-count"></span>';
+                name.appendChild(document.createTextNode(' '));
+                name.appendChild(badge);
+            }
+
+            badge.className = 'update-plugins count-' + count;
+            badge.style.backgroundColor = color;
+            badge.querySelector('.plugin-count').textContent = String(count);
+        },
+
+        updateAdminBar: function (count, color) {
+            var node = document.getElementById(this.settings.adminBarNode);
+            if (!node) return;
+
+            var label = node.querySelector('.ab-label');
+            var link = node.querySelector('.ab-item');
+
+            if (label) {
+                label.textContent = String(count);
+                label.hidden = !count;
+                label.style.backgroundColor = count ? color : '';
+            }
+
+            if (link && this.settings.label) link.title = this.settings.label.replace('%d', count);
+        }
+    };
+
+    App.register('unseenAlerts', UnseenAlerts);
+
+    ProactiveSiteAdvisor.UnseenAlerts = UnseenAlerts;
+
+})(window, document);
@@ -0,0 +1,373 @@
+/**
+ * Admin UI - API Client
+ *
+ * Single request layer for admin-ajax and REST calls. Understands the
+ * AjaxComponent JSON envelope and WP REST errors, retries transient
+ * failures with backoff and refreshes an expired nonce once before
+ * giving up. Calls made with the `queue` option are handed to Queue
+ * when they cannot reach the server.
+ *
+ * Requires: namespace.js, config.js, helpers.js, queue.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Api requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Api requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('Api requires helpers.js and config.js.');
+
+    var Queue = ProactiveSiteAdvisor.Queue;
+    if (!Queue) throw new Error('Api requires queue.js.');
+
+    var DEFAULTS = {
+        retries: 2,
+        retryDelay: 400,
+        // Background requests set this so their failures are not shown to the user.
+        quiet: false
+    };
+
+    var pendingNonce = null;
+    var lastRequestId = 0;
+
+    function ApiError(message, status, payload) {
+        this.name = 'ApiError';
+        this.message = message || 'Request failed.';
+        this.status = status || 0;
+        this.payload = payload || null;
+    }
+
+    ApiError.prototype = Object.create(Error.prototype);
+    ApiError.prototype.constructor = ApiError;
+
+    function isTransient(error) {
+        return error.status === 0 || error.status === 429 || error.status >= 500;
+    }
+
+    function wait(ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    function buildBody(action, data) {
+        var formData = new FormData();
+
+        formData.append('action', ProactiveSiteAdvisor.ajaxAction(action));
+        formData.append('security', Config.getNonce());
+
+        if (!Helpers.isPlainObject(data)) return formData;
+
+        for (var key in data) {
+            if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+
+            var value = data[key];
+            if (value === null || value === undefined) continue;
+
+            if (Array.isArray(value)) {
+                for (var i = 0; i < value.length; i++) {
+                    formData.append(key + '[]', value[i]);
+                }
+            } else if (typeof value === 'object') {
+                formData.append(key, JSON.stringify(value));
+            } else {
+                formData.append(key, value);
+            }
+        }
+
+        return formData;
+    }
+
+    function parseResponse(response) {
+        return response.text().then(function (text) {
+            var payload = null;
+
+            try {
+                payload = text ? JSON.parse(text) : null;
+            } catch (e) {
+                payload = null;
+            }
+
+            if (response.ok && payload && payload.success) {
+                return payload;
+            }
+
+            throw new ApiError(
+                (payload && payload.message) || response.statusText,
+                response.status,
+                payload
+            );
+        });
+    }
+
+    function buildQuery(params) {
+        var parts = [];
+
+        if (!Helpers.isPlainObject(params)) return '';
+
+        for (var key in params) {
+            if (!Object.prototype.hasOwnProperty.call(params, key)) continue;
+            if (params[key] === null || params[key] === undefined || params[key] === '') continue;
+
+            parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
+        }
+
+        return parts.length ? '?' + parts.join('&') : '';
+    }
+
+    function parseRestResponse(response) {
+        return response.text().then(function (text) {
+            var body = null;
+
+            try {
+                body = text ? JSON.parse(text) : null;
+            } catch (e) {
+                body = null;
+            }
+
+            if (response.ok) {
+                var total = response.headers.get('X-WP-Total');
+                var pages = response.headers.get('X-WP-TotalPages');
+
+                return {
+                    success: true,
+                    data: body,
+                    total: total === null ? null : parseInt(total, 10),
+                    totalPages: pages === null ? null : parseInt(pages, 10)
+                };
+            }
+
+            throw new ApiError(
+                (body && body.message) || response.statusText,
+                response.status,
+                body
+            );
+        });
+    }
+
+    function sendRest(path, options) {
+        if (typeof window.fetch !== 'function') {
+            return Promise.reject(new ApiError('Fetch API is not available.', 0));
+        }
+
+        var method = (options.method || 'GET').toUpperCase();
+        var init = {
+            method: method,
+            credentials: 'same-origin',
+            headers: {'X-WP-Nonce': Config.getRestNonce()}
+        };
+
+        if (options.data && method !== 'GET') {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(options.data);
+        }
+
+        return window.fetch(Config.getRestUrl(path) + buildQuery(options.params), init)
+            .then(parseRestResponse, function () {
+                throw new ApiError('Network error.', 0);
+            });
+    }
+
+    /**
+     * Announce a request through request:start.
+     *
+     * @return {number} Request id, repeated in its request:success or request:error.
+     */
+    function start(label, data) {
+        var id = ++lastRequestId;
+
+        ProactiveSiteAdvisor.dispatch('request:start', {id: id, action: label, data: data || {}}, document);
+
+        return id;
+    }
+
+    /**
+     * Run a request with nonce refresh and transient-failure retries,
+     * reporting the outcome through request:success or request:error.
+     * A queueable call that cannot reach the server is queued instead
+     * (request:queued) and resolves with {success: true, queued: true}.
+     */
+    function withRetry(id, label, sendFn, options, queued) {
+        var opts = Helpers.merge(Helpers.merge({}, DEFAULTS), options || {});
+        var nonceRefreshed = false;
+        var attempt = 0;
+        var startedAt = Date.now();
+
+        function run() {
+            return sendFn().catch(function (error) {
+                if (error.status === 403 && !nonceRefreshed) {
+                    nonceRefreshed = true;
+                    return Api.refreshNonce().then(run, function () {
+                        throw error;
+                    });
+                }
+
+                if (isTransient(error) && attempt < opts.retries) {
+                    var delay = opts.retryDelay * Math.pow(2, attempt);
+                    attempt++;
+                    return wait(delay).then(run);
+                }
+
+                throw error;
+            });
+        }
+
+        return run().then(function (result) {
+            ProactiveSiteAdvisor.dispatch('request:success', {
+                id: id,
+                action: label,
+                response: result,
+                attempts: attempt + 1,
+                duration: Date.now() - startedAt
+            }, document);
+
+            return result;
+        }, function (error) {
+            if (queued && error.status === 0) {
+                Queue.add(queued);
+
+                ProactiveSiteAdvisor.dispatch('request:queued', {
+                    id: id,
+                    action: label,
+                    key: queued.key,
+                    attempts: attempt + 1,
+                    duration: Date.now() - startedAt
+                }, document);
+
+                return {success: true, queued: true, data: null, message: ''};
+            }
+
+            ProactiveSiteAdvisor.dispatch('request:error', {
+                id: id,
+                action: label,
+                status: error.status,
+                message: error.message,
+                quiet: !!opts.quiet,
+                error: error,
+                attempts: attempt + 1,
+                duration: Date.now() - startedAt
+            }, document);
+
+            throw error;
+        });
+    }
+
+    function send(action, data) {
+        if (typeof window.fetch !== 'function') {
+            return Promise.reject(new ApiError('Fetch API is not available.', 0));
+        }
+
+        return window.fetch(Config.getAjaxUrl(), {
+            method: 'POST',
+            credentials: 'same-origin',
+            body: buildBody(action, data)
+        }).then(parseResponse, function () {
+            throw new ApiError('Network error.', 0);
+        });
+    }
+
+    var Api = {
+        Error: ApiError,
+
+        /**
+         * POST an admin-ajax action.
+         *
+         * Resolves with the success envelope ({success, data, message}),
+         * rejects with an Api.Error once retries are exhausted.
+         *
+         * With `queue`, a call that cannot reach the server is kept for
+         * later (see queue.js) and resolves with {success: true, queued: true}.
+         * Only use it for calls that can safely be applied later.
+         *
+         * @param {string} action Unprefixed action name (e.g. 'switch_theme').
+         * @param {Object} [data] Extra request fields.
+         * @param {Object} [options] {retries, retryDelay, quiet, queue}; queue is
+         *                           true or a dedupe key (default: the action).
+         * @return {Promise<Object>}
+         */
+        post: function (action, data, options) {
+            var opts = options || {};
+            var queued = null;
+            var fields = data;
+
+            if (opts.queue) {
+                queued = {
+                    key: Queue.createKey(),
+                    action: action,
+                    data: data || {},
+                    dedupe: typeof opts.queue === 'string' ? opts.queue : action
+                };
+
+                // This call supersedes a queued one of the same kind.
+                Queue.remove(queued.dedupe);
+
+                fields = Helpers.merge({}, data || {});
+                fields.idempotency_key = queued.key;
+            }
+
+            var id = start(action, data);
+
+            return withRetry(id, action, function () {
+                return send(action, fields);
+            }, opts, queued);
+        },
+
+        /**
+         * Call a route under the plugin REST namespace.
+         *
+         * Resolves with {success, data, total, totalPages}; total and
+         * totalPages come from the X-WP-Total headers of collection routes.
+         *
+         * @param {string} path Route path (e.g. 'alerts', 'stats/today').
+         * @param {Object} [options] {method, params, data, retries, retryDelay, quiet}
+         * @return {Promise<Object>}
+         */
+        rest: function (path, options) {
+            var opts = options || {};
+            var label = (opts.method || 'GET').toUpperCase() + ' ' + path;
+
+            var id = start(label, opts.data || opts.params);
+
+            return withRetry(id, label, function () {
+                return sendRest(path, opts);
+            }, opts);
+        },
+
+        /**
+         * Fetch a fresh nonce from the server and store it in the config.
+         *
+         * Concurrent callers share the same in-flight request.
+         *
+         * @return {Promise<string>}
+         */
+        refreshNonce: function () {
+            if (pendingNonce) return pendingNonce;
+
+            pendingNonce = send('refresh_nonce').then(function (payload) {
+                var nonce = payload.data && payload.data.nonce;
+                if (!nonce) throw new ApiError('Could not refresh security token.', 403, payload);
+
+                Config.setNonce(nonce);
+                if (payload.data.restNonce) {
+                    Config.setRestNonce(payload.data.restNonce);
+                }
+
+                pendingNonce = null;
+                return nonce;
+            }, function (error) {
+                pendingNonce = null;
+                throw error;
+            });
+
+            return pendingNonce;
+        }
+    };
+
+    ProactiveSiteAdvisor.Api = Api;
+
+})(window, document);
@@ -0,0 +1,296 @@
+/**
+ * Admin UI - App
+ *
+ * Component registry and lifecycle. Components register a selector with
+ * mount(el)/unmount(el) hooks; App mounts them on load, on contentLoaded
+ * and (where MutationObserver exists) whenever matching markup is added,
+ * and unmounts them when their element leaves the document. DOM events
+ * go through one delegated listener per event type on the document.
+ * Loaded before the components so they can register; admin.js starts it.
+ *
+ * Requires: namespace.js, helpers.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('App requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('App requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    if (!Helpers) throw new Error('App requires helpers.js.');
+
+    // Expando holding the names of the components mounted on an element.
+    var MOUNTED_KEY = '__' + PREFIX_CONFIG.namespace + 'Mounted';
+
+    function isElement(node) {
+        return !!node && node.nodeType === 1;
+    }
+
+    function isMounted(el, name) {
+        return !!(el[MOUNTED_KEY] && el[MOUNTED_KEY][name]);
+    }
+
+    /**
+     * Run a callback without letting its error stop the caller's loop.
+     * The error is rethrown asynchronously so it still reaches the console.
+     */
+    function safely(fn, context, args) {
+        try {
+            return fn.apply(context, args);
+        } catch (error) {
+            setTimeout(function () {
+                throw error;
+            }, 0);
+        }
+    }
+
+    var App = {
+        version: '1.0.0',
+        initialized: false,
+        components: {},
+        order: [],
+        instances: [],
+        handlers: {},
+        observer: null,
+
+        /**
+         * Register a component.
+         *
+         * Usually the component object itself is the definition: hooks are
+         * called with it as `this`.
+         *
+         * @param {string} name Unique component name.
+         * @param {Object} definition {selector, init(), mount(el), unmount(el, state)}.
+         *                            init runs once when the app starts; mount's
+         *                            return value is passed back to unmount.
+         */
+        register: function (name, definition) {
+            if (!name || !definition || this.components[name]) return;
+
+            var component = {name: name, definition: definition, started: false};
+
+            this.components[name] = component;
+            this.order.push(name);
+
+            // Registered after start (e.g. by an add-on loaded later): catch up now.
+            if (this.initialized) {
+                this.startComponent(component);
+                this.mountComponent(component, document);
+            }
+        },
+
+        get: function (name) {
+            return this.components[name] ? this.components[name].definition : null;
+        },
+
+        /**
+         * Listen for a DOM event through the delegated dispatcher.
+         *
+         * @param {string} type Event type; must bubble (use focusin/focusout for focus).
+         * @param {string|null} selector Handler runs when the target is inside a match.
+         *                               Null runs it for every event of the type.
+         * @param {Function} handler Called with (event, matchedElement).
+         * @param {Object} [context] Value of `this` in the handler.
+         * @return {Function} Removes the listener.
+         */
+        on: function (type, selector, handler, context) {
+            var self = this;
+            var entry = {selector: selector, handler: handler, context: context || null};
+
+            if (!this.handlers[type]) {
+                this.handlers[type] = [];
+                document.addEventListener(type, function (e) {
+                    self.delegate(type, e);
+                });
+            }
+
+            this.handlers[type].push(entry);
+
+            return function () {
+                var list = self.handlers[type];
+                var index = list.indexOf(entry);
+                if (index !== -1) list.splice(index, 1);
+            };
+        },
+
+        delegate: function (type, e) {
+            // Copied: a handler may add or remove listeners.
+            var list = this.handlers[type].slice();
+            var target = Helpers.getElement(e.target);
+
+            for (var i = 0; i < list.length; i++) {
+                var entry = list[i];
+                var matched = target;
+
+                if (entry.selector) {
+                    matched = target ? target.closest(entry.selector) : null;
+                    if (!matched) continue;
+                }
+
+                safely(entry.handler, entry.context, [e, matched]);
+            }
+        },
+
+        init: function () {
+            if (this.initialized) return;
+
+            this.bindGlobalEvents();
+            this.initialized = true;
+
+            for (var i = 0; i < this.order.length; i++) {
+                this.startComponent(this.components[this.order[i]]);
+            }
+
+            this.mount(document);
+            this.observe();
+
+            ProactiveSiteAdvisor.dispatch('ready', {version: this.version}, document);
+        },
+
+        bindGlobalEvents: function () {
+            var self = this;
+
+            // Registered before any component's listener, so replaced markup is
+            // already mounted when components react to the event.
+            document.addEventListener(
+                ProactiveSiteAdvisor.event('contentLoaded'),
+                function (e) {
+                    self.initializeContainer(e.detail && e.detail.container);
+                }
+            );
+        },
+
+        startComponent: function (component) {
+            if (component.started) return;
+
+            var definition = component.definition;
+
+            component.started = true;
+            if (typeof definition.init === 'function') safely(definition.init, definition);
+        },
+
+        /**
+         * Watch for markup added or removed outside of contentLoaded.
+         */
+        observe: function () {
+            var self = this;
+
+            if (this.observer || typeof window.MutationObserver !== 'function' || !document.body) return;
+
+            this.observer = new window.MutationObserver(function (records) {
+                var removed = false;
+
+                for (var i = 0; i < records.length; i++) {
+                    if (records[i].removedNodes.length) removed = true;
+                }
+
+                if (removed) self.unmountDetached();
+
+                for (var j = 0; j < records.length; j++) {
+                    var added = records[j].addedNodes;
+
+                    for (var k = 0; k < added.length; k++) {
+                        if (isElement(added[k]) && document.documentElement.contains(added[k])) self.mount(added[k]);
+                    }
+                }
+            });
+
+            this.observer.observe(document.body, {childList: true, subtree: true});
+        },
+
+        /**
+         * Mount every registered component found in (or on) a container.
+         *
+         * @param {Element|Document} [root]
+         */
+        mount: function (root) {
+            root = root || document;
+
+            for (var i = 0; i < this.order.length; i++) {
+                this.mountComponent(this.components[this.order[i]], root);
+            }
+        },
+
+        mountComponent: function (component, root) {
+            var definition = component.definition;
+            if (!definition.selector || typeof definition.mount !== 'function') return;
+
+            var els = Array.prototype.slice.call(root.querySelectorAll(definition.selector));
+            if (isElement(root) && root.matches(definition.selector)) els.unshift(root);
+
+            for (var i = 0; i < els.length; i++) {
+                var el = els[i];
+                if (isMounted(el, component.name)) continue;
+
+                el[MOUNTED_KEY] = el[MOUNTED_KEY] || {};
+                el[MOUNTED_KEY][component.name] = true;
+
+                this.instances.push({
+                    component: component,
+                    el: el,
+                    state: safely(definition.mount, definition, [el])
+                });
+            }
+        },
+
+        /**
+         * Unmount the components mounted in (or on) a container.
+         *
+         * @param {Element|Document} [root]
+         */
+        unmount: function (root) {
+            root = root || document;
+
+            this.teardown(function (instance) {
+                return instance.el === root || root.contains(instance.el);
+            });
+        },
+
+        /**
+         * Unmount components whose element is no longer in the document.
+         */
+        unmountDetached: function () {
+            this.teardown(function (instance) {
+                return !document.documentElement.contains(instance.el);
+            });
+        },
+
+        teardown: function (test) {
+            var kept = [];
+            var removed = [];
+
+            for (var i = 0; i < this.instances.length; i++) {
+                (test(this.instances[i]) ? removed : kept).push(this.instances[i]);
+            }
+
+            this.instances = kept;
+
+            for (var j = 0; j < removed.length; j++) {
+                var instance = removed[j];
+
+                if (instance.el[MOUNTED_KEY]) delete instance.el[MOUNTED_KEY][instance.component.name];
+
+                var definition = instance.component.definition;
+                if (typeof definition.unmount === 'function') {
+                    safely(definition.unmount, definition, [instance.el, instance.state]);
+                }
+            }
+        },
+
+        initializeContainer: function (container) {
+            // Markup replaced by innerHTML is detached before the new markup is announced.
+            this.unmountDetached();
+            this.mount(container || document);
+        },
+
+        contentLoaded: function (container) {
+            ProactiveSiteAdvisor.dispatch('contentLoaded', {container: container}, document);
+        }
+    };
+
+    ProactiveSiteAdvisor.App = App;
+
+})(window, document);
@@ -22,6 +22,14 @@
                 .trim();
         },
 
+        /**
+         * Read a key of the localized config object.
+         */
+        get: function (key, fallback) {
+            var cfg = window[configObject] || {};
+            return cfg[key] !== undefined ? cfg[key] : fallback;
+        },
+
         getColor: function (name) {
             var cfg = window[configObject] || {};
             return this.getCssVar(name) || (cfg.colors && cfg.colors[name]) || '';
@@ -40,7 +48,15 @@
             };
         },
 
+        /**
+         * Resolved theme ('light' or 'dark'). ThemeSwitcher owns the
+         * theme once loaded; the DOM is only read before that.
+         */
         getTheme: function () {
+            if (ProactiveSiteAdvisor.ThemeSwitcher && ProactiveSiteAdvisor.ThemeSwitcher.mode) {
+                return ProactiveSiteAdvisor.ThemeSwitcher.getTheme();
+            }
+
             var wrap = document.querySelector('.' + ProactiveSiteAdvisor.cssClass('wrap'));
 
             return (wrap && wrap.getAttribute(ProactiveSiteAdvisor.dataAttr('theme'))) ||
@@ -52,6 +68,14 @@
             return this.getTheme() === 'dark';
         },
 
+        /**
+         * Theme mode saved for the user, as rendered by the server.
+         */
+        getServerTheme: function () {
+            var cfg = window[configObject] || {};
+            return cfg.theme || '';
+        },
+
         getAjaxUrl: function () {
             var cfg = window[configObject] || {};
             return cfg.ajaxUrl || window.ajaxurl || '/wp-admin/admin-ajax.php';
@@ -62,6 +86,30 @@
             return cfg.nonce || '';
         },
 
+        setNonce: function (nonce) {
+            window[configObject] = window[configObject] || {};
+            window[configObject].nonce = nonce;
+        },
+
+        getRestUrl: function (path) {
+            var cfg = window[configObject] || {};
+            var base = cfg.restUrl || '';
+
+            if (!path) return base;
+
+            return base.replace(/\/+$/, '') + '/' + String(path).replace(/^\/+/, '');
+        },
+
+        getRestNonce: function () {
+            var cfg = window[configObject] || {};
+            return cfg.restNonce || '';
+        },
+
+        setRestNonce: function (nonce) {
+            window[configObject] = window[configObject] || {};
+            window[configObject].restNonce = nonce;
+        },
+
         getPrefixConfig: function () {
             return PREFIX_CONFIG;
         }
@@ -0,0 +1,193 @@
+/**
+ * Admin UI - Error Reporter
+ *
+ * Sends uncaught errors and unhandled rejections thrown from the
+ * plugin's own scripts to the log_client_error AJAX action, so they are
+ * written to the plugin log and listed on the Script errors page.
+ * Errors from other scripts are ignored. Within a page load each error
+ * is sent once (repeats before the next send are counted), at most
+ * MAX_REPORTS distinct errors are sent, and the server rate-limits too.
+ *
+ * Loaded right after config.js so it catches the load-time errors of
+ * the modules after it, including their "requires" guards.
+ * Requires: namespace.js, config.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('ErrorReporter requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('ErrorReporter requires global namespace.');
+
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Config) throw new Error('ErrorReporter requires config.js.');
+
+    var MAX_REPORTS = 10;
+    var SEND_DELAY = 1000;
+
+    function stripQuery(url) {
+        return String(url || '').split('?')[0].split('#')[0];
+    }
+
+    /**
+     * The admin screen, without query arguments other than `page`.
+     */
+    function currentPage() {
+        var match = /[?&]page=([^&#]*)/.exec(window.location.search);
+
+        return window.location.pathname + (match ? '?page=' + match[1] : '');
+    }
+
+    var ErrorReporter = {
+        enabled: false,
+        scripts: '',
+        seen: {},
+        sent: 0,
+        queue: [],
+        timer: null,
+
+        init: function () {
+            var settings = Config.get('clientErrors', {}) || {};
+            var self = this;
+
+            this.enabled = !!settings.enabled && !!settings.scripts && typeof window.fetch === 'function';
+            this.scripts = stripQuery(settings.scripts);
+
+            if (!this.enabled) return;
+
+            window.addEventListener('error', function (e) {
+                if (!e.message) return;
+
+                self.capture({
+                    type: 'error',
+                    message: e.message,
+                    source: e.filename,
+                    line: e.lineno,
+                    column: e.colno,
+                    stack: e.error && e.error.stack
+                }, e.filename || (e.error && e.error.stack));
+            });
+
+            window.addEventListener('unhandledrejection', function (e) {
+                var reason = e.reason;
+
+                // Failed requests already surface through request:error.
+                if (!reason || reason.name === 'ApiError') return;
+
+                self.capture({
+                    type: 'rejection',
+                    message: reason.message || String(reason),
+                    stack: reason.stack
+                }, reason.stack);
+            });
+
+            window.addEventListener('pagehide', function () {
+                self.flush(true);
+            });
+        },
+
+        /**
+         * Report an error caught by the caller.
+         *
+         * @param {Error} error
+         */
+        report: function (error) {
+            if (!this.enabled || !error) return;
+
+            this.add({type: 'error', message: error.message || String(error), stack: error.stack});
+        },
+
+        /**
+         * Queue an error when it comes from one of the plugin's scripts.
+         *
+         * @param {Object} report
+         * @param {string} origin Script URL or stack trace to check.
+         */
+        capture: function (report, origin) {
+            if (!origin || String(origin).indexOf(this.scripts) === -1) return;
+
+            this.add(report);
+        },
+
+        add: function (report) {
+            var key = [report.message, stripQuery(report.source), report.line, report.column].join('|');
+            var entry = this.seen[key];
+
+            if (entry) {
+                // Counted until sent; later repeats of a sent error are dropped.
+                if (!entry.sent) entry.report.count++;
+                return;
+            }
+
+            if (this.sent + this.queue.length >= MAX_REPORTS) return;
+
+            report.source = stripQuery(report.source);
+            report.line = report.line || 0;
+            report.column = report.column || 0;
+            report.stack = report.stack ? String(report.stack) : '';
+            report.page = currentPage();
+            report.count = 1;
+
+            entry = this.seen[key] = {report: report, sent: false};
+            this.queue.push(entry);
+            this.schedule();
+        },
+
+        schedule: function () {
+            var self = this;
+
+            if (this.timer) return;
+
+            this.timer = window.setTimeout(function () {
+                self.flush(false);
+            }, SEND_DELAY);
+        },
+
+        /**
+         * Send the queued reports.
+         *
+         * @param {boolean} unloading Use sendBeacon, which survives the page unloading.
+         */
+        flush: function (unloading) {
+            if (this.timer) {
+                window.clearTimeout(this.timer);
+                this.timer = null;
+            }
+
+            if (!this.queue.length) return;
+
+            var entries = this.queue;
+            var body = new window.FormData();
+
+            this.queue = [];
+            this.sent += entries.length;
+
+            body.append('action', ProactiveSiteAdvisor.ajaxAction('log_client_error'));
+            body.append('security', Config.getNonce());
+            body.append('errors', JSON.stringify(entries.map(function (entry) {
+                entry.sent = true;
+                return entry.report;
+            })));
+
+            if (unloading && window.navigator.sendBeacon) {
+                window.navigator.sendBeacon(Config.getAjaxUrl(), body);
+                return;
+            }
+
+            // Fire and forget: a failed report is not worth another error.
+            window.fetch(Config.getAjaxUrl(), {
+                method: 'POST',
+                credentials: 'same-origin',
+                body: body
+            }).catch(function () {
+            });
+        }
+    };
+
+    ErrorReporter.init();
+
+    ProactiveSiteAdvisor.ErrorReporter = ErrorReporter;
+
+})(window, document);
@@ -0,0 +1,208 @@
+/**
+ * Admin UI - Event Bus
+ *
+ * Subscribe to the events components emit through
+ * ProactiveSiteAdvisor.dispatch() without knowing their prefixed DOM
+ * names. Patterns may end in a wildcard ('alert:*', or '*' for all).
+ * Handlers get (detail, event); calling event.preventDefault() or
+ * returning false vetoes an event marked cancelable in the catalog
+ * below, and dispatch() then returns false. Returning false from a
+ * handler of any other event is ignored.
+ *
+ * The bus listens on the document, so it sees events dispatched on the
+ * document or on elements inside it. The DOM events are unchanged:
+ * addEventListener(ProactiveSiteAdvisor.event(name), ...) still works.
+ *
+ * Requires: namespace.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Events requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Events requires global namespace.');
+
+    /**
+     * Every event emitted by the bundled components, with its detail payload.
+     * Cancelable events are emitted before the action and abort it when vetoed.
+     */
+    var CATALOG = {
+        'ready': {detail: '{version}', source: 'App'},
+        'contentLoaded': {detail: '{container}', source: 'App'},
+        'request:start': {detail: '{id, action, data}', source: 'Api'},
+        'request:success': {detail: '{id, action, response, attempts, duration}', source: 'Api'},
+        'request:error': {detail: '{id, action, status, message, quiet, error, attempts, duration}', source: 'Api'},
+        'request:queued': {detail: '{id, action, key, attempts, duration}', source: 'Api'},
+        'queue:changed': {detail: '{pending, online}', source: 'Queue'},
+        'queue:replayed': {detail: '{action, data, response}', source: 'Queue'},
+        'queue:dropped': {detail: '{action, data, status, message}', source: 'Queue'},
+        'themeChanged': {detail: '{theme, mode, remote}', source: 'ThemeSwitcher'},
+        'header:opened': {detail: '{nav}', source: 'Header'},
+        'header:closed': {detail: '{nav}', source: 'Header'},
+        'toastShown': {detail: '{type, message}', source: 'Toast'},
+        'modalOpened': {detail: '{id}', source: 'Modal'},
+        'modalClosed': {detail: '{id, value}', source: 'Modal'},
+        'alert:statusChange': {detail: '{id, status, previous, card}', source: 'AlertCard', cancelable: true},
+        'alert:details': {detail: '{id, card}', source: 'AlertCard', cancelable: true},
+        'alertStatusChanged': {detail: '{id, status, previous}', source: 'AlertCard'},
+        'alerts:unseen': {detail: '{count, severity}', source: 'UnseenAlerts'},
+        'alertsFiltered': {detail: '{state, visible, total}', source: 'AlertsToolbar'},
+        'dashboardRefreshed': {detail: '{signature}', source: 'DashboardRefresh'},
+        'historyRangeChanged': {detail: '{days}', source: 'HistoryRange'},
+        'dataExported': {detail: '{source, format, count}', source: 'DataExport'},
+        'promo:dismiss': {detail: '{card}', source: 'PromoBanner', cancelable: true},
+        'notice:dismiss': {detail: '{noticeId, notice}', source: 'AdminNotices', cancelable: true}
+    };
+
+    var PREFIX = ProactiveSiteAdvisor.event('');
+
+    function toRegExp(pattern) {
+        var source = pattern.split('*').map(function (part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('.*');
+
+        return new RegExp('^' + source + '$');
+    }
+
+    var Events = {
+        catalog: CATALOG,
+        subscriptions: [],
+        watched: {},
+
+        /**
+         * Subscribe to an event or a wildcard pattern.
+         *
+         * @param {string} pattern Event name, e.g. 'themeChanged' or 'alert:*'.
+         * @param {Function} handler Called with (detail, event).
+         * @param {Object} [context] Value of `this` in the handler.
+         * @return {Function} Unsubscribes.
+         */
+        on: function (pattern, handler, context) {
+            return this.subscribe(pattern, handler, context, false);
+        },
+
+        /**
+         * Subscribe for the next matching event only.
+         *
+         * @return {Function} Unsubscribes.
+         */
+        once: function (pattern, handler, context) {
+            return this.subscribe(pattern, handler, context, true);
+        },
+
+        /**
+         * Unsubscribe. Without a handler, every handler of the pattern is removed.
+         *
+         * @param {string} pattern The pattern passed to on() or once().
+         * @param {Function} [handler]
+         */
+        off: function (pattern, handler) {
+            this.subscriptions = this.subscriptions.filter(function (subscription) {
+                return subscription.pattern !== pattern || (handler && subscription.handler !== handler);
+            });
+        },
+
+        /**
+         * Emit an event.
+         *
+         * @param {string} name
+         * @param {Object} [detail]
+         * @param {EventTarget} [target] Defaults to the document.
+         * @return {boolean} False when a handler vetoed it.
+         */
+        emit: function (name, detail, target) {
+            return ProactiveSiteAdvisor.dispatch(name, detail, target);
+        },
+
+        subscribe: function (pattern, handler, context, once) {
+            var self = this;
+
+            if (!pattern || typeof handler !== 'function') return function () {};
+
+            var subscription = {
+                pattern: pattern,
+                test: pattern.indexOf('*') === -1 ? null : toRegExp(pattern),
+                handler: handler,
+                context: context || null,
+                once: once
+            };
+
+            this.subscriptions.push(subscription);
+
+            // Wildcards are watched as matching names are dispatched.
+            if (!subscription.test) this.watch(pattern);
+
+            return function () {
+                var index = self.subscriptions.indexOf(subscription);
+                if (index !== -1) self.subscriptions.splice(index, 1);
+            };
+        },
+
+        /**
+         * Make sure the bus listens for a DOM event name. Called by dispatch().
+         *
+         * @param {string} name Unprefixed event name.
+         */
+        watch: function (name) {
+            var self = this;
+
+            if (!name || this.watched[name]) return;
+            this.watched[name] = true;
+
+            document.addEventListener(PREFIX + name, function (e) {
+                self.handle(name, e);
+            });
+        },
+
+        handle: function (name, e) {
+            // Copied: handlers may subscribe or unsubscribe.
+            var subscriptions = this.subscriptions.slice();
+
+            for (var i = 0; i < subscriptions.length; i++) {
+                var subscription = subscriptions[i];
+                var matches = subscription.test ? subscription.test.test(name) : subscription.pattern === name;
+                if (!matches) continue;
+
+                if (subscription.once) {
+                    var index = this.subscriptions.indexOf(subscription);
+                    if (index === -1) continue;
+                    this.subscriptions.splice(index, 1);
+                }
+
+                var result = null;
+
+                try {
+                    result = subscription.handler.call(subscription.context, e.detail, e);
+                } catch (error) {
+                    // Keep the other handlers running; the error still reaches the console.
+                    setTimeout(function () {
+                        throw error;
+                    }, 0);
+                }
+
+                if (result === false && this.isCancelable(name)) e.preventDefault();
+            }
+        },
+
+        isCancelable: function (name) {
+            return !!(CATALOG[name] && CATALOG[name].cancelable);
+        }
+    };
+
+    ProactiveSiteAdvisor.Events = Events;
+
+    ProactiveSiteAdvisor.on = function (pattern, handler, context) {
+        return Events.on(pattern, handler, context);
+    };
+
+    ProactiveSiteAdvisor.once = function (pattern, handler, context) {
+        return Events.once(pattern, handler, context);
+    };
+
+    ProactiveSiteAdvisor.off = function (pattern, handler) {
+        Events.off(pattern, handler);
+    };
+
+})(window, document);
@@ -144,6 +144,15 @@
             return div.innerHTML;
         },
 
+        /**
+         * Escape text for use inside a double- or single-quoted attribute.
+         */
+        escapeAttr: function (text) {
+            return Helpers.escapeHtml(text)
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+
         merge: function (target, source) {
             target = target || {};
 
@@ -167,10 +176,51 @@
 
         prefixClass: function (name) {
             return ProactiveSiteAdvisor.cssClass(name);
+        },
+
+        /**
+         * Copy text to the clipboard, with a fallback for insecure origins
+         * and older browsers.
+         *
+         * @param {string} text
+         * @return {Promise<boolean>} Whether the text was copied.
+         */
+        copyText: function (text) {
+            if (window.navigator.clipboard && window.isSecureContext) {
+                return window.navigator.clipboard.writeText(text).then(function () {
+                    return true;
+                }, function () {
+                    return copyWithTextarea(text);
+                });
+            }
+
+            return Promise.resolve(copyWithTextarea(text));
         }
 
     };
 
+    function copyWithTextarea(text) {
+        var textarea = document.createElement('textarea');
+        var copied = false;
+
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            copied = document.execCommand('copy');
+        } catch (e) {
+            copied = false;
+        }
+
+        document.body.removeChild(textarea);
+
+        return copied;
+    }
+
     ProactiveSiteAdvisor.Helpers = Helpers;
 
 })(window, document);
@@ -0,0 +1,167 @@
+/**
+ * Admin UI - Hooks
+ *
+ * Actions and filters for add-on scripts, modelled on wp.hooks:
+ * callbacks are registered under a hook name and a namespace (the
+ * add-on's slug, used to remove them again) and run in priority order,
+ * lowest first. Hook names used by the bundled components are listed in
+ * extensions.js.
+ *
+ * Requires: namespace.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Hooks requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Hooks requires global namespace.');
+
+    var DEFAULT_PRIORITY = 10;
+
+    function createStore() {
+        var hooks = {};
+        var counts = {};
+
+        function add(hookName, namespace, callback, priority) {
+            if (!hookName || !namespace || typeof callback !== 'function') return;
+
+            priority = typeof priority === 'number' ? priority : DEFAULT_PRIORITY;
+
+            var handlers = hooks[hookName] = hooks[hookName] || [];
+            var index = handlers.length;
+
+            // Keep registration order among equal priorities.
+            while (index > 0 && handlers[index - 1].priority > priority) index--;
+
+            handlers.splice(index, 0, {namespace: namespace, callback: callback, priority: priority});
+        }
+
+        function remove(hookName, namespace) {
+            var handlers = hooks[hookName];
+            if (!handlers) return 0;
+
+            var kept = handlers.filter(function (handler) {
+                return handler.namespace !== namespace;
+            });
+
+            hooks[hookName] = kept;
+
+            return handlers.length - kept.length;
+        }
+
+        function has(hookName, namespace) {
+            var handlers = hooks[hookName] || [];
+            if (namespace === undefined) return handlers.length > 0;
+
+            return handlers.some(function (handler) {
+                return handler.namespace === namespace;
+            });
+        }
+
+        /**
+         * Run the handlers of a hook. Filters pass each return value on to the next handler.
+         */
+        function run(hookName, args, filter) {
+            var handlers = (hooks[hookName] || []).slice();
+            var value = args[0];
+
+            counts[hookName] = (counts[hookName] || 0) + 1;
+
+            for (var i = 0; i < handlers.length; i++) {
+                try {
+                    var result = handlers[i].callback.apply(null, args);
+
+                    if (filter) {
+                        value = result;
+                        args[0] = result;
+                    }
+                } catch (error) {
+                    // A broken add-on leaves the value as it was; the error still reaches the console.
+                    setTimeout(function () {
+                        throw error;
+                    }, 0);
+                }
+            }
+
+            return filter ? value : undefined;
+        }
+
+        function count(hookName) {
+            return counts[hookName] || 0;
+        }
+
+        return {add: add, remove: remove, has: has, run: run, count: count};
+    }
+
+    var filters = createStore();
+    var actions = createStore();
+
+    var Hooks = {
+        /**
+         * @param {string} hookName
+         * @param {string} namespace Add-on slug, e.g. 'my-addon/alert-actions'.
+         * @param {Function} callback Receives the value and any extra arguments; returns the new value.
+         * @param {number} [priority] Default 10; lower runs first.
+         */
+        addFilter: function (hookName, namespace, callback, priority) {
+            filters.add(hookName, namespace, callback, priority);
+        },
+
+        /**
+         * @return {number} Number of callbacks removed.
+         */
+        removeFilter: function (hookName, namespace) {
+            return filters.remove(hookName, namespace);
+        },
+
+        hasFilter: function (hookName, namespace) {
+            return filters.has(hookName, namespace);
+        },
+
+        /**
+         * @param {string} hookName
+         * @param {*} value Value to filter.
+         * @param {...*} [args] Extra arguments passed to every callback.
+         * @return {*} The filtered value.
+         */
+        applyFilters: function (hookName, value) {
+            return filters.run(hookName, Array.prototype.slice.call(arguments, 1), true);
+        },
+
+        addAction: function (hookName, namespace, callback, priority) {
+            actions.add(hookName, namespace, callback, priority);
+        },
+
+        removeAction: function (hookName, namespace) {
+            return actions.remove(hookName, namespace);
+        },
+
+        hasAction: function (hookName, namespace) {
+            return actions.has(hookName, namespace);
+        },
+
+        /**
+         * @param {string} hookName
+         * @param {...*} [args] Arguments passed to every callback.
+         */
+        doAction: function (hookName) {
+            actions.run(hookName, Array.prototype.slice.call(arguments, 1), false);
+        },
+
+        /**
+         * @return {number} How many times the action has run.
+         */
+        didAction: function (hookName) {
+            return actions.count(hookName);
+        },
+
+        didFilter: function (hookName) {
+            return filters.count(hookName);
+        }
+    };
+
+    ProactiveSiteAdvisor.Hooks = Hooks;
+
+})(window, document);
@@ -39,6 +39,8 @@ window[NS].event = function(name){
 };
 
 window[NS].dispatch = function(name,detail,target){
+    if (window[NS].Events) window[NS].Events.watch(name);
+
     var event = new CustomEvent(
         CONFIG.base + ':' + name,
         {
@@ -47,7 +49,7 @@ window[NS].dispatch = function(name,detail,target){
             cancelable: true
         }
     );
-    (target || document).dispatchEvent(event);
+    return (target || document).dispatchEvent(event);
 };
 
 window[NS].storageKey = function(key){
@@ -0,0 +1,211 @@
+/**
+ * Admin UI - Offline Queue
+ *
+ * Mutating admin-ajax calls made with Api.post(action, data, {queue: true})
+ * are kept in localStorage when they cannot reach the server, and are
+ * replayed in order when the browser comes back online or on the next
+ * page load. Each call carries an idempotency key that the server
+ * (AjaxComponent) remembers, so a call that did arrive before the
+ * connection dropped is not applied twice.
+ *
+ * A newer call with the same dedupe key (by default the action name)
+ * replaces a queued one: only the last theme choice is replayed.
+ *
+ * Each site and user has a queue of its own, so a call queued on one
+ * blog of a network is not replayed on another sharing the origin.
+ *
+ * Requires: namespace.js, helpers.js, config.js
+ */
+(function (window, document) {
+    'use strict';
+
+    var PREFIX_CONFIG = window.__PREFIX_CONFIG__;
+    if (!PREFIX_CONFIG) throw new Error('Queue requires namespace.js (__PREFIX_CONFIG__).');
+
+    var ProactiveSiteAdvisor = window[PREFIX_CONFIG.namespace];
+    if (!ProactiveSiteAdvisor) throw new Error('Queue requires global namespace.');
+
+    var Helpers = ProactiveSiteAdvisor.Helpers;
+    var Config = ProactiveSiteAdvisor.Config;
+    if (!Helpers || !Config) throw new Error('Queue requires helpers.js and config.js.');
+
+    var MAX_ENTRIES = 50;
+
+    // Queued calls older than this are dropped: the server forgets idempotency keys after a day.
+    var MAX_AGE = 24 * 60 * 60 * 1000;
+
+    function isOnline() {
+        return window.navigator.onLine !== false;
+    }
+
+    var Queue = {
+        storageKey: ProactiveSiteAdvisor.storageKey('queue-' + Config.get('blogId', 0) + '-' + Config.get('userId', 0)),
+        replaying: false,
+
+        /**
+         * Create an idempotency key.
+         *
+         * @return {string}
+         */
+        createKey: function () {
+            return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+        },
+
+        /**
+         * Get the queued calls, oldest first.
+         *
+         * @return {Array<Object>} [{key, action, data, dedupe, queuedAt}]
+         */
+        getEntries: function () {
+            var entries = null;
+
+            try {
+                entries = JSON.parse(window.localStorage.getItem(this.storageKey) || '[]');
+            } catch (e) {
+                entries = [];
+            }
+
+            if (!Array.isArray(entries)) return [];
+
+            return entries.filter(function (entry) {
+                return Helpers.isPlainObject(entry) && entry.action && Date.now() - entry.queuedAt < MAX_AGE;
+            });
+        },
+
+        setEntries: function (entries) {
+            try {
+                if (entries.length) {
+                    window.localStorage.setItem(this.storageKey, JSON.stringify(entries.slice(-MAX_ENTRIES)));
+                } else {
+                    window.localStorage.removeItem(this.storageKey);
+                }
+            } catch (e) {
+            }
+
+            ProactiveSiteAdvisor.dispatch('queue:changed', {pending: entries.length, online: isOnline()}, document);
+        },
+
+        count: function () {
+            return this.getEntries().length;
+        },
+
+        /**
+         * Queue a call that failed to reach the server.
+         *
+         * @param {Object} entry {key, action, data, dedupe}
+         */
+        add: function (entry) {
+            var entries = this.remove(entry.dedupe, true);
+
+            entries.push({
+                key: entry.key,
+                action: entry.action,
+                data: entry.data || {},
+                dedupe: entry.dedupe || entry.action,
+                queuedAt: Date.now()
+            });
+
+            this.setEntries(entries);
+        },
+
+        /**
+         * Drop the queued calls a newer call supersedes.
+         *
+         * @param {string} dedupe
+         * @param {boolean} [keep] Return the remaining entries instead of saving them.
+         * @return {Array<Object>} The remaining entries.
+         */
+        remove: function (dedupe, keep) {
+            var entries = this.getEntries();
+            var remaining = entries.filter(function (entry) {
+                return entry.dedupe !== dedupe;
+            });
+
+            if (!keep && remaining.length !== entries.length) this.setEntries(remaining);
+
+            return remaining;
+        },
+
+        /**
+         * Send the queued calls in order. Stops at the first call that
+         * still cannot reach the server; calls the server rejects are dropped.
+         *
+         * @return {Promise}
+         */
+        replay: function () {
+            var self = this;
+            var Api = ProactiveSiteAdvisor.Api;
+
+            if (this.replaying || !Api || !isOnline() || !this.count()) return Promise.resolve();
+
+            this.replaying = true;
+
+            var next = function () {
+                var entry = self.getEntries()[0];
+                if (!entry) return null;
+
+                var data = Helpers.merge({}, entry.data);
+                data.idempotency_key = entry.key;
+
+                return Api.post(entry.action, data, {quiet: true})
+                    .then(function (response) {
+                        self.finish(entry);
+                        ProactiveSiteAdvisor.dispatch('queue:replayed', {action: entry.action, data: entry.data, response: response}, document);
+
+                        return next();
+                    }, function (error) {
+                        if (error.status === 0) return null;
+
+                        self.finish(entry);
+                        ProactiveSiteAdvisor.dispatch('queue:dropped', {action: entry.action, data: entry.data, status: error.status, message: error.message}, document);
+
+                        return next();
+                    });
+            };
+
+            return Promise.resolve(next()).then(function () {
+                self.replaying = false;
+            }, function () {
+                self.replaying = false;
+            });
+        },
+
+        finish: function (entry) {
+            this.setEntries(this.getEntries().filter(function (queued) {
+                return queued.key !== entry.key;
+            }));
+        },
+
+        init: function () {
+            var self = this;
+
+            // Calls left over from an earlier page; sent once the app has started.
+            document.addEventListener(ProactiveSiteAdvisor.event('ready'), function () {
+                self.replay();
+            });
+
+            window.addEventListener('online', function () {
+                ProactiveSiteAdvisor.dispatch('queue:changed', {pending: self.count(), online: true}, document);
+                self.replay();
+            });
+
+            window.addEventListener('offline', function () {
+                ProactiveSiteAdvisor.dispatch('queue:changed', {pending: self.count(), online: false}, document);
+            });
+
+            // Keep the indicator of other tabs in step.
+            window.addEventListener('storage', function (e) {
+                if (e.key === self.storageKey) {
+                    ProactiveSiteAdvisor.dispatch('queue:changed', {pending: self.count(), online: isOnline()}, document);
+                }
+            });
+        },
+
+        isOnline: isOnline
+    };
+
+    Queue.init();
+
+    ProactiveSiteAdvisor.Queue = Queue;
+
+})(window, document);
@@ -1 +1 @@
-!function(e){"use strict";var t=Object.freeze({base:"proactive-site-advisor",basePhp:"proactive_site_advisor",namespace:"ProactiveSiteAdvisor",configObject:"proactiveSiteAdvisorConfig"});e.__PREFIX_CONFIG__=t;var r=t.namespace;e[r]=e[r]||{},e[r].__config=t,e[r].cssClass=function(e){return t.base+"-"+e},e[r].cssVar=function(e){return"--"+t.base+"-"+e},e[r].dataAttr=function(e){return"data-"+t.base+"-"+e},e[r].dataSelector=function(e,r){var n="data-"+t.base+"-"+e;return void 0!==r?"["+n+'="'+r+'"]':"["+n+"]"},e[r].event=function(e){return t.base+":"+e},e[r].dispatch=function(e,r,n){var i=new CustomEvent(t.base+":"+e,{detail:r||{},bubbles:!0,cancelable:!0});(n||document).dispatchEvent(i)},e[r].storageKey=function(e){return t.base+"-"+e},e[r].selector=function(e){return"."+t.base+"-"+e},e[r].ajaxAction=function(e){return t.basePhp+"_"+e}}(window),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Config requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Config requires global namespace.");var i=r.configObject,a={getCssVar:function(e){return getComputedStyle(t.documentElement).getPropertyValue(n.cssVar(e)).trim()},getColor:function(t){var r=e[i]||{};return this.getCssVar(t)||r.colors&&r.colors[t]||""},getColors:function(){return{primary:this.getColor("primary"),secondary:this.getColor("secondary"),success:this.getColor("success"),info:this.getColor("info"),warning:this.getColor("warning"),danger:this.getColor("danger"),light:this.getColor("light"),dark:this.getColor("dark")}},getTheme:function(){var e=t.querySelector("."+n.cssClass("wrap"));return e&&e.getAttribute(n.dataAttr("theme"))||t.documentElement.getAttribute(n.dataAttr("theme"))||"light"},isDarkMode:function(){return"dark"===this.getTheme()},getAjaxUrl:function(){return(e[i]||{}).ajaxUrl||e.ajaxurl||"/wp-admin/admin-ajax.php"},getNonce:function(){return(e[i]||{}).nonce||""},getPrefixConfig:function(){return r}};n.Config=a}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Helpers requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Helpers requires global namespace.");var i={resolveEl:function(e){return e?"string"==typeof e?t.querySelector(e):e:null},isPlainObject:function(e){return"[object Object]"===Object.prototype.toString.call(e)},getElement:function(e){return e?3===e.nodeType?e.parentElement:"function"!=typeof e.closest?null:e:null},show:function(e){(e=i.resolveEl(e))&&(e.classList.remove(n.cssClass("d-none")),e.classList.add(n.cssClass("d-block")))},hide:function(e){(e=i.resolveEl(e))&&(e.classList.remove(n.cssClass("d-block")),e.classList.add(n.cssClass("d-none")))},toggle:function(e){if(e=i.resolveEl(e)){var t=n.cssClass("d-none"),r=n.cssClass("d-block");e.classList.contains(t)?(e.classList.remove(t),e.classList.add(r)):(e.classList.remove(r),e.classList.add(t))}},addClass:function(e,t){(e=i.resolveEl(e))&&t&&e.classList.add(t)},removeClass:function(e,t){(e=i.resolveEl(e))&&t&&e.classList.remove(t)},hasClass:function(e,t){return!!((e=i.resolveEl(e))&&t&&e.classList.contains(t))},siblings:function(e){return(e=i.resolveEl(e))&&e.parentNode?Array.prototype.filter.call(e.parentNode.children,function(t){return t!==e}):[]},debounce:function(e,t,r){var n;return function(){var i=this,a=arguments,o=r&&!n;clearTimeout(n),n=setTimeout(function(){n=null,r||e.apply(i,a)},t),o&&e.apply(i,a)}},throttle:function(e,t){var r=!1;return function(){r||(e.apply(this,arguments),r=!0,setTimeout(function(){r=!1},t))}},formatNumber:function(e){return null==e?"":String(e).replace(/\B(?=(\d{3})+(?!\d))/g,",")},uniqueId:function(t){return t=t||n.cssClass(""),e.crypto&&"function"==typeof e.crypto.randomUUID?t+e.crypto.randomUUID():t+Date.now().toString(36)+Math.random().toString(36).slice(2)},escapeHtml:function(e){var r=t.createElement("div");return r.textContent=null==e?"":String(e),r.innerHTML},merge:function(e,t){if(e=e||{},!i.isPlainObject(t))return e;for(var r in t)if(Object.prototype.hasOwnProperty.call(t,r)){var n=t[r];i.isPlainObject(n)?(e[r]=e[r]||{},i.merge(e[r],n)):e[r]=n}return e},prefixClass:function(e){return n.cssClass(e)}};n.Helpers=i}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("ThemeSwitcher requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("ThemeSwitcher requires global namespace.");var i=n.Helpers,a=n.Config;if(!i||!a)throw new Error("ThemeSwitcher requires helpers.js and config.js.");function o(t){try{return e.localStorage.getItem(t)}catch(e){return null}}var s={wrapper:null,storageKey:null,init:function(){this.storageKey=n.storageKey("theme"),this.wrapper=t.querySelector(n.selector("wrap")),this.bindEvents(),this.applyStoredTheme()},bindEvents:function(){var e=this;t.addEventListener("click",function(t){var r=i.getElement(t.target);r&&r.closest(n.dataSelector("theme-toggle"))&&(t.preventDefault(),e.toggle())})},getTheme:function(){var e=o(this.storageKey);if("light"===e||"dark"===e)return e;if(this.wrapper){var t=this.wrapper.getAttribute(n.dataAttr("theme"));if("light"===t||"dark"===t)return t}return"light"},setTheme:function(r){"light"!==r&&"dark"!==r&&(r="light"),this.wrapper&&this.wrapper.setAttribute(n.dataAttr("theme"),r),function(t,r){try{e.localStorage.setItem(t,r)}catch(e){}}(this.storageKey,r),this.saveToServer(r),this.updateToggleIcons(r),n.dispatch("themeChanged",{theme:r},t)},toggle:function(){this.setTheme("light"===this.getTheme()?"dark":"light")},applyStoredTheme:function(){var e=o(this.storageKey),t="light"===e||"dark"===e?e:this.getTheme();"light"!==e&&"dark"!==e||this.wrapper&&this.wrapper.setAttribute(n.dataAttr("theme"),e),this.updateToggleIcons(t)},updateToggleIcons:function(e){for(var r=t.querySelectorAll(n.dataSelector("theme-toggle")),i=0;i<r.length;i++){var a=r[i],o=a.querySelector(n.selector("theme-icon-light")),s=a.querySelector(n.selector("theme-icon-dark"));o&&s&&("dark"===e?(o.style.display="inline-block",s.style.display="none"):(o.style.display="none",s.style.display="inline-block"))}},saveToServer:function(t){if("function"==typeof e.fetch){var r=a.getAjaxUrl(),i=a.getNonce();if(r&&i){var o=new FormData;o.append("action",n.ajaxAction("switch_theme")),o.append("security",i),o.append("theme",t),e.fetch(r,{method:"POST",body:o,credentials:"same-origin"}).catch(function(){})}}}};"loading"===t.readyState?t.addEventListener("DOMContentLoaded",function(){s.init()}):s.init(),n.ThemeSwitcher=s}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("AlertCard requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("AlertCard requires global namespace.");var i=n.Helpers;if(!i)throw new Error("AlertCard requires helpers.js.");function a(e){var t=e.querySelector(n.selector("alert-card__toggle")),r=e.querySelector(n.selector("alert-card__details"));if(t&&r){var i="true"===t.getAttribute("aria-expanded");t.setAttribute("aria-expanded",i?"false":"true"),r.hidden=i,e.classList.toggle(n.cssClass("alert-card--expanded"),!i)}}function o(){t.addEventListener("click",function(e){var t=i.getElement(e.target);if(t){var r=t.closest(n.selector("alert-card__toggle"));if(r){var o=r.closest(n.selector("alert-card--collapsible"));o&&a(o)}else{var s=t.closest(n.selector("alert-card__body"));if(s&&!t.closest("a, button, input, select, textarea")){var c=s.closest(n.selector("alert-card--collapsible"));c&&a(c)}}}})}"loading"===t.readyState?t.addEventListener("DOMContentLoaded",o):o(),n.AlertCard={init:o}}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("PromoBanner requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("PromoBanner requires global namespace.");var i=n.Helpers,a=n.Config;if(!i||!a)throw new Error("PromoBanner requires helpers.js and config.js.");function o(e,t){e.style.opacity="1",e.style.transform="none",t.disabled=!1}function s(){t.addEventListener("click",function(t){var r=i.getElement(t.target);if(r){var s=r.closest(n.dataSelector("action","dismiss-promo"));s&&(t.preventDefault(),function(t){var r=t.closest(n.selector("promo-card"));if(r&&"function"==typeof e.fetch){var i=a.getAjaxUrl(),s=a.getNonce();if(i&&s){t.disabled=!0,r.style.transition="opacity 0.3s ease, transform 0.3s ease",r.style.opacity="0",r.style.transform="translateY(-10px)";var c=new FormData;c.append("action",n.ajaxAction("dismiss_promo_banner")),c.append("security",s),e.fetch(i,{method:"POST",credentials:"same-origin",body:c}).then(function(e){return e.json()}).then(function(e){e&&e.success?setTimeout(function(){r.parentNode&&r.parentNode.removeChild(r)},300):o(r,t)}).catch(function(){o(r,t)})}}}(s))}})}"loading"===t.readyState?t.addEventListener("DOMContentLoaded",s):s(),n.PromoBanner={init:s}}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("AdminNotices requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("AdminNotices requires global namespace.");var i=n.Helpers,a=n.Config;if(!i||!a)throw new Error("AdminNotices requires helpers.js and config.js.");function o(){t.addEventListener("click",function(t){var r=i.getElement(t.target);if(r){var o=r.closest(n.selector("dismissible-notice")+" .notice-dismiss");if(o){var s=o.closest(n.selector("notice"));if(s)!function(t){if(t&&"function"==typeof e.fetch){var r=a.getAjaxUrl(),i=a.getNonce();if(r&&i){var o=new FormData;o.append("action",n.ajaxAction("dismiss_notice")),o.append("notice_id",t),o.append("security",i),e.fetch(r,{method:"POST",credentials:"same-origin",body:o}).catch(function(){})}}}(s.getAttribute(n.dataAttr("notice-id")))}}})}"loading"===t.readyState?t.addEventListener("DOMContentLoaded",o):o(),n.AdminNotices={init:o}}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("App requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("App requires global namespace.");var i={version:"1.0.0",initialized:!1,init:function(){this.initialized||(this.bindGlobalEvents(),this.initialized=!0,n.dispatch("ready",{version:this.version},t))},bindGlobalEvents:function(){var e=this;t.addEventListener(n.event("contentLoaded"),function(t){e.initializeContainer(t.detail&&t.detail.container)})},initializeContainer:function(e){e=e||t,n.AdminNotices&&"function"==typeof n.AdminNotices.init&&n.AdminNotices.init(e)},contentLoaded:function(e){n.dispatch("contentLoaded",{container:e},t)}};"loading"===t.readyState?t.addEventListener("DOMContentLoaded",function(){i.init()}):i.init(),n.App=i}(window,document);
\ No newline at end of file
+!function(e){"use strict";var t=Object.freeze({base:"proactive-site-advisor",basePhp:"proactive_site_advisor",namespace:"ProactiveSiteAdvisor",configObject:"proactiveSiteAdvisorConfig"});e.__PREFIX_CONFIG__=t;var r=t.namespace;e[r]=e[r]||{},e[r].__config=t,e[r].cssClass=function(e){return t.base+"-"+e},e[r].cssVar=function(e){return"--"+t.base+"-"+e},e[r].dataAttr=function(e){return"data-"+t.base+"-"+e},e[r].dataSelector=function(e,r){var n="data-"+t.base+"-"+e;return void 0!==r?"["+n+'="'+r+'"]':"["+n+"]"},e[r].event=function(e){return t.base+":"+e},e[r].dispatch=function(n,s,a){e[r].Events&&e[r].Events.watch(n);var i=new CustomEvent(t.base+":"+n,{detail:s||{},bubbles:!0,cancelable:!0});return(a||document).dispatchEvent(i)},e[r].storageKey=function(e){return t.base+"-"+e},e[r].selector=function(e){return"."+t.base+"-"+e},e[r].ajaxAction=function(e){return t.basePhp+"_"+e}}(window),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Config requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Config requires global namespace.");var s=r.configObject,a={getCssVar:function(e){return getComputedStyle(t.documentElement).getPropertyValue(n.cssVar(e)).trim()},get:function(t,r){var n=e[s]||{};return void 0!==n[t]?n[t]:r},getColor:function(t){var r=e[s]||{};return this.getCssVar(t)||r.colors&&r.colors[t]||""},getColors:function(){return{primary:this.getColor("primary"),secondary:this.getColor("secondary"),success:this.getColor("success"),info:this.getColor("info"),warning:this.getColor("warning"),danger:this.getColor("danger"),light:this.getColor("light"),dark:this.getColor("dark")}},getTheme:function(){if(n.ThemeSwitcher&&n.ThemeSwitcher.mode)return n.ThemeSwitcher.getTheme();var e=t.querySelector("."+n.cssClass("wrap"));return e&&e.getAttribute(n.dataAttr("theme"))||t.documentElement.getAttribute(n.dataAttr("theme"))||"light"},isDarkMode:function(){return"dark"===this.getTheme()},getServerTheme:function(){return(e[s]||{}).theme||""},getAjaxUrl:function(){return(e[s]||{}).ajaxUrl||e.ajaxurl||"/wp-admin/admin-ajax.php"},getNonce:function(){return(e[s]||{}).nonce||""},setNonce:function(t){e[s]=e[s]||{},e[s].nonce=t},getRestUrl:function(t){var r=(e[s]||{}).restUrl||"";return t?r.replace(/\/+$/,"")+"/"+String(t).replace(/^\/+/,""):r},getRestNonce:function(){return(e[s]||{}).restNonce||""},setRestNonce:function(t){e[s]=e[s]||{},e[s].restNonce=t},getPrefixConfig:function(){return r}};n.Config=a}(window,document),function(e){"use strict";var t=e.__PREFIX_CONFIG__;if(!t)throw new Error("ErrorReporter requires namespace.js (__PREFIX_CONFIG__).");var r=e[t.namespace];if(!r)throw new Error("ErrorReporter requires global namespace.");var n=r.Config;if(!n)throw new Error("ErrorReporter requires config.js.");function s(e){return String(e||"").split("?")[0].split("#")[0]}var a={enabled:!1,scripts:"",seen:{},sent:0,queue:[],timer:null,init:function(){var t=n.get("clientErrors",{})||{},r=this;this.enabled=!!t.enabled&&!!t.scripts&&"function"==typeof e.fetch,this.scripts=s(t.scripts),this.enabled&&(e.addEventListener("error",function(e){e.message&&r.capture({type:"error",message:e.message,source:e.filename,line:e.lineno,column:e.colno,stack:e.error&&e.error.stack},e.filename||e.error&&e.error.stack)}),e.addEventListener("unhandledrejection",function(e){var t=e.reason;t&&"ApiError"!==t.name&&r.capture({type:"rejection",message:t.message||String(t),stack:t.stack},t.stack)}),e.addEventListener("pagehide",function(){r.flush(!0)}))},report:function(e){this.enabled&&e&&this.add({type:"error",message:e.message||String(e),stack:e.stack})},capture:function(e,t){t&&-1!==String(t).indexOf(this.scripts)&&this.add(e)},add:function(t){var r,n=[t.message,s(t.source),t.line,t.column].join("|"),a=this.seen[n];a?a.sent||a.report.count++:this.sent+this.queue.length>=10||(t.source=s(t.source),t.line=t.line||0,t.column=t.column||0,t.stack=t.stack?String(t.stack):"",t.page=(r=/[?&]page=([^&#]*)/.exec(e.location.search),e.location.pathname+(r?"?page="+r[1]:"")),t.count=1,a=this.seen[n]={report:t,sent:!1},this.queue.push(a),this.schedule())},schedule:function(){var t=this;this.timer||(this.timer=e.setTimeout(function(){t.flush(!1)},1e3))},flush:function(t){if(this.timer&&(e.clearTimeout(this.timer),this.timer=null),this.queue.length){var s=this.queue,a=new e.FormData;this.queue=[],this.sent+=s.length,a.append("action",r.ajaxAction("log_client_error")),a.append("security",n.getNonce()),a.append("errors",JSON.stringify(s.map(function(e){return e.sent=!0,e.report}))),t&&e.navigator.sendBeacon?e.navigator.sendBeacon(n.getAjaxUrl(),a):e.fetch(n.getAjaxUrl(),{method:"POST",credentials:"same-origin",body:a}).catch(function(){})}}};a.init(),r.ErrorReporter=a}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Helpers requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Helpers requires global namespace.");var s={resolveEl:function(e){return e?"string"==typeof e?t.querySelector(e):e:null},isPlainObject:function(e){return"[object Object]"===Object.prototype.toString.call(e)},getElement:function(e){return e?3===e.nodeType?e.parentElement:"function"!=typeof e.closest?null:e:null},show:function(e){(e=s.resolveEl(e))&&(e.classList.remove(n.cssClass("d-none")),e.classList.add(n.cssClass("d-block")))},hide:function(e){(e=s.resolveEl(e))&&(e.classList.remove(n.cssClass("d-block")),e.classList.add(n.cssClass("d-none")))},toggle:function(e){if(e=s.resolveEl(e)){var t=n.cssClass("d-none"),r=n.cssClass("d-block");e.classList.contains(t)?(e.classList.remove(t),e.classList.add(r)):(e.classList.remove(r),e.classList.add(t))}},addClass:function(e,t){(e=s.resolveEl(e))&&t&&e.classList.add(t)},removeClass:function(e,t){(e=s.resolveEl(e))&&t&&e.classList.remove(t)},hasClass:function(e,t){return!!((e=s.resolveEl(e))&&t&&e.classList.contains(t))},siblings:function(e){return(e=s.resolveEl(e))&&e.parentNode?Array.prototype.filter.call(e.parentNode.children,function(t){return t!==e}):[]},debounce:function(e,t,r){var n;return function(){var s=this,a=arguments,i=r&&!n;clearTimeout(n),n=setTimeout(function(){n=null,r||e.apply(s,a)},t),i&&e.apply(s,a)}},throttle:function(e,t){var r=!1;return function(){r||(e.apply(this,arguments),r=!0,setTimeout(function(){r=!1},t))}},formatNumber:function(e){return null==e?"":String(e).replace(/\B(?=(\d{3})+(?!\d))/g,",")},uniqueId:function(t){return t=t||n.cssClass(""),e.crypto&&"function"==typeof e.crypto.randomUUID?t+e.crypto.randomUUID():t+Date.now().toString(36)+Math.random().toString(36).slice(2)},escapeHtml:function(e){var r=t.createElement("div");return r.textContent=null==e?"":String(e),r.innerHTML},escapeAttr:function(e){return s.escapeHtml(e).replace(/"/g,"&quot;").replace(/'/g,"&#039;")},merge:function(e,t){if(e=e||{},!s.isPlainObject(t))return e;for(var r in t)if(Object.prototype.hasOwnProperty.call(t,r)){var n=t[r];s.isPlainObject(n)?(e[r]=e[r]||{},s.merge(e[r],n)):e[r]=n}return e},prefixClass:function(e){return n.cssClass(e)},copyText:function(t){return e.navigator.clipboard&&e.isSecureContext?e.navigator.clipboard.writeText(t).then(function(){return!0},function(){return a(t)}):Promise.resolve(a(t))}};function a(e){var r=t.createElement("textarea"),n=!1;r.value=e,r.setAttribute("readonly",""),r.style.position="fixed",r.style.opacity="0",t.body.appendChild(r),r.select();try{n=t.execCommand("copy")}catch(e){n=!1}return t.body.removeChild(r),n}n.Helpers=s}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Events requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Events requires global namespace.");var s={ready:{detail:"{version}",source:"App"},contentLoaded:{detail:"{container}",source:"App"},"request:start":{detail:"{id, action, data}",source:"Api"},"request:success":{detail:"{id, action, response, attempts, duration}",source:"Api"},"request:error":{detail:"{id, action, status, message, quiet, error, attempts, duration}",source:"Api"},"request:queued":{detail:"{id, action, key, attempts, duration}",source:"Api"},"queue:changed":{detail:"{pending, online}",source:"Queue"},"queue:replayed":{detail:"{action, data, response}",source:"Queue"},"queue:dropped":{detail:"{action, data, status, message}",source:"Queue"},themeChanged:{detail:"{theme, mode, remote}",source:"ThemeSwitcher"},"header:opened":{detail:"{nav}",source:"Header"},"header:closed":{detail:"{nav}",source:"Header"},toastShown:{detail:"{type, message}",source:"Toast"},modalOpened:{detail:"{id}",source:"Modal"},modalClosed:{detail:"{id, value}",source:"Modal"},"alert:statusChange":{detail:"{id, status, previous, card}",source:"AlertCard",cancelable:!0},"alert:details":{detail:"{id, card}",source:"AlertCard",cancelable:!0},alertStatusChanged:{detail:"{id, status, previous}",source:"AlertCard"},"alerts:unseen":{detail:"{count, severity}",source:"UnseenAlerts"},alertsFiltered:{detail:"{state, visible, total}",source:"AlertsToolbar"},dashboardRefreshed:{detail:"{signature}",source:"DashboardRefresh"},historyRangeChanged:{detail:"{days}",source:"HistoryRange"},dataExported:{detail:"{source, format, count}",source:"DataExport"},"promo:dismiss":{detail:"{card}",source:"PromoBanner",cancelable:!0},"notice:dismiss":{detail:"{noticeId, notice}",source:"AdminNotices",cancelable:!0}},a=n.event("");function i(e){var t=e.split("*").map(function(e){return e.replace(/[.+?^${}()|[\]\\]/g,"\\$&")}).join(".*");return new RegExp("^"+t+"$")}var o={catalog:s,subscriptions:[],watched:{},on:function(e,t,r){return this.subscribe(e,t,r,!1)},once:function(e,t,r){return this.subscribe(e,t,r,!0)},off:function(e,t){this.subscriptions=this.subscriptions.filter(function(r){return r.pattern!==e||t&&r.handler!==t})},emit:function(e,t,r){return n.dispatch(e,t,r)},subscribe:function(e,t,r,n){var s=this;if(!e||"function"!=typeof t)return function(){};var a={pattern:e,test:-1===e.indexOf("*")?null:i(e),handler:t,context:r||null,once:n};return this.subscriptions.push(a),a.test||this.watch(e),function(){var e=s.subscriptions.indexOf(a);-1!==e&&s.subscriptions.splice(e,1)}},watch:function(e){var r=this;e&&!this.watched[e]&&(this.watched[e]=!0,t.addEventListener(a+e,function(t){r.handle(e,t)}))},handle:function(e,t){for(var r=this.subscriptions.slice(),n=0;n<r.length;n++){var s=r[n];if(s.test?s.test.test(e):s.pattern===e){if(s.once){var a=this.subscriptions.indexOf(s);if(-1===a)continue;this.subscriptions.splice(a,1)}var i=null;try{i=s.handler.call(s.context,t.detail,t)}catch(e){setTimeout(function(){throw e},0)}!1===i&&this.isCancelable(e)&&t.preventDefault()}}},isCancelable:function(e){return!(!s[e]||!s[e].cancelable)}};n.Events=o,n.on=function(e,t,r){return o.on(e,t,r)},n.once=function(e,t,r){return o.once(e,t,r)},n.off=function(e,t){o.off(e,t)}}(window,document),function(e){"use strict";var t=e.__PREFIX_CONFIG__;if(!t)throw new Error("Hooks requires namespace.js (__PREFIX_CONFIG__).");var r=e[t.namespace];if(!r)throw new Error("Hooks requires global namespace.");function n(){var e={},t={};return{add:function(t,r,n,s){if(t&&r&&"function"==typeof n){s="number"==typeof s?s:10;for(var a=e[t]=e[t]||[],i=a.length;i>0&&a[i-1].priority>s;)i--;a.splice(i,0,{namespace:r,callback:n,priority:s})}},remove:function(t,r){var n=e[t];if(!n)return 0;var s=n.filter(function(e){return e.namespace!==r});return e[t]=s,n.length-s.length},has:function(t,r){var n=e[t]||[];return void 0===r?n.length>0:n.some(function(e){return e.namespace===r})},run:function(r,n,s){var a=(e[r]||[]).slice(),i=n[0];t[r]=(t[r]||0)+1;for(var o=0;o<a.length;o++)try{var l=a[o].callback.apply(null,n);s&&(i=l,n[0]=l)}catch(e){setTimeout(function(){throw e},0)}return s?i:void 0},count:function(e){return t[e]||0}}}var s=n(),a=n(),i={addFilter:function(e,t,r,n){s.add(e,t,r,n)},removeFilter:function(e,t){return s.remove(e,t)},hasFilter:function(e,t){return s.has(e,t)},applyFilters:function(e,t){return s.run(e,Array.prototype.slice.call(arguments,1),!0)},addAction:function(e,t,r,n){a.add(e,t,r,n)},removeAction:function(e,t){return a.remove(e,t)},hasAction:function(e,t){return a.has(e,t)},doAction:function(e){a.run(e,Array.prototype.slice.call(arguments,1),!1)},didAction:function(e){return a.count(e)},didFilter:function(e){return s.count(e)}};r.Hooks=i}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Queue requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Queue requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("Queue requires helpers.js and config.js.");function i(){return!1!==e.navigator.onLine}var o={storageKey:n.storageKey("queue-"+a.get("blogId",0)+"-"+a.get("userId",0)),replaying:!1,createKey:function(){return Date.now().toString(36)+"-"+Math.random().toString(36).slice(2,10)},getEntries:function(){var t=null;try{t=JSON.parse(e.localStorage.getItem(this.storageKey)||"[]")}catch(e){t=[]}return Array.isArray(t)?t.filter(function(e){return s.isPlainObject(e)&&e.action&&Date.now()-e.queuedAt<864e5}):[]},setEntries:function(r){try{r.length?e.localStorage.setItem(this.storageKey,JSON.stringify(r.slice(-50))):e.localStorage.removeItem(this.storageKey)}catch(e){}n.dispatch("queue:changed",{pending:r.length,online:i()},t)},count:function(){return this.getEntries().length},add:function(e){var t=this.remove(e.dedupe,!0);t.push({key:e.key,action:e.action,data:e.data||{},dedupe:e.dedupe||e.action,queuedAt:Date.now()}),this.setEntries(t)},remove:function(e,t){var r=this.getEntries(),n=r.filter(function(t){return t.dedupe!==e});return t||n.length===r.length||this.setEntries(n),n},replay:function(){var e=this,r=n.Api;if(this.replaying||!r||!i()||!this.count())return Promise.resolve();this.replaying=!0;var a=function(){var i=e.getEntries()[0];if(!i)return null;var o=s.merge({},i.data);return o.idempotency_key=i.key,r.post(i.action,o,{quiet:!0}).then(function(r){return e.finish(i),n.dispatch("queue:replayed",{action:i.action,data:i.data,response:r},t),a()},function(r){return 0===r.status?null:(e.finish(i),n.dispatch("queue:dropped",{action:i.action,data:i.data,status:r.status,message:r.message},t),a())})};return Promise.resolve(a()).then(function(){e.replaying=!1},function(){e.replaying=!1})},finish:function(e){this.setEntries(this.getEntries().filter(function(t){return t.key!==e.key}))},init:function(){var r=this;t.addEventListener(n.event("ready"),function(){r.replay()}),e.addEventListener("online",function(){n.dispatch("queue:changed",{pending:r.count(),online:!0},t),r.replay()}),e.addEventListener("offline",function(){n.dispatch("queue:changed",{pending:r.count(),online:!1},t)}),e.addEventListener("storage",function(e){e.key===r.storageKey&&n.dispatch("queue:changed",{pending:r.count(),online:i()},t)})},isOnline:i};o.init(),n.Queue=o}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Api requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Api requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("Api requires helpers.js and config.js.");var i=n.Queue;if(!i)throw new Error("Api requires queue.js.");var o={retries:2,retryDelay:400,quiet:!1},l=null,c=0;function u(e,t,r){this.name="ApiError",this.message=e||"Request failed.",this.status=t||0,this.payload=r||null}function d(e,t){var r=new FormData;if(r.append("action",n.ajaxAction(e)),r.append("security",a.getNonce()),!s.isPlainObject(t))return r;for(var i in t)if(Object.prototype.hasOwnProperty.call(t,i)){var o=t[i];if(null!=o)if(Array.isArray(o))for(var l=0;l<o.length;l++)r.append(i+"[]",o[l]);else"object"==typeof o?r.append(i,JSON.stringify(o)):r.append(i,o)}return r}function h(e){return e.text().then(function(t){var r=null;try{r=t?JSON.parse(t):null}catch(e){r=null}if(e.ok&&r&&r.success)return r;throw new u(r&&r.message||e.statusText,e.status,r)})}function p(e){return e.text().then(function(t){var r=null;try{r=t?JSON.parse(t):null}catch(e){r=null}if(e.ok){var n=e.headers.get("X-WP-Total"),s=e.headers.get("X-WP-TotalPages");return{success:!0,data:r,total:null===n?null:parseInt(n,10),totalPages:null===s?null:parseInt(s,10)}}throw new u(r&&r.message||e.statusText,e.status,r)})}function f(t,r){if("function"!=typeof e.fetch)return Promise.reject(new u("Fetch API is not available.",0));var n=(r.method||"GET").toUpperCase(),i={method:n,credentials:"same-origin",headers:{"X-WP-Nonce":a.getRestNonce()}};return r.data&&"GET"!==n&&(i.headers["Content-Type"]="application/json",i.body=JSON.stringify(r.data)),e.fetch(a.getRestUrl(t)+function(e){var t=[];if(!s.isPlainObject(e))return"";for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&null!==e[r]&&void 0!==e[r]&&""!==e[r]&&t.push(encodeURIComponent(r)+"="+encodeURIComponent(e[r]));return t.length?"?"+t.join("&"):""}(r.params),i).then(p,function(){throw new u("Network error.",0)})}function g(e,r){var s=++c;return n.dispatch("request:start",{id:s,action:e,data:r||{}},t),s}function v(e,r,a,l,c){var u=s.merge(s.merge({},o),l||{}),d=!1,h=0,p=Date.now();return function e(){return a().catch(function(t){if(403===t.status&&!d)return d=!0,y.refreshNonce().then(e,function(){throw t});if(function(e){return 0===e.status||429===e.status||e.status>=500}(t)&&h<u.retries){var r=u.retryDelay*Math.pow(2,h);return h++,(n=r,new Promise(function(e){setTimeout(e,n)})).then(e)}var n;throw t})}().then(function(s){return n.dispatch("request:success",{id:e,action:r,response:s,attempts:h+1,duration:Date.now()-p},t),s},function(s){if(c&&0===s.status)return i.add(c),n.dispatch("request:queued",{id:e,action:r,key:c.key,attempts:h+1,duration:Date.now()-p},t),{success:!0,queued:!0,data:null,message:""};throw n.dispatch("request:error",{id:e,action:r,status:s.status,message:s.message,quiet:!!u.quiet,error:s,attempts:h+1,duration:Date.now()-p},t),s})}function m(t,r){return"function"!=typeof e.fetch?Promise.reject(new u("Fetch API is not available.",0)):e.fetch(a.getAjaxUrl(),{method:"POST",credentials:"same-origin",body:d(t,r)}).then(h,function(){throw new u("Network error.",0)})}u.prototype=Object.create(Error.prototype),u.prototype.constructor=u;var y={Error:u,post:function(e,t,r){var n=r||{},a=null,o=t;return n.queue&&(a={key:i.createKey(),action:e,data:t||{},dedupe:"string"==typeof n.queue?n.queue:e},i.remove(a.dedupe),(o=s.merge({},t||{})).idempotency_key=a.key),v(g(e,t),e,function(){return m(e,o)},n,a)},rest:function(e,t){var r=t||{},n=(r.method||"GET").toUpperCase()+" "+e;return v(g(n,r.data||r.params),n,function(){return f(e,r)},r)},refreshNonce:function(){return l||(l=m("refresh_nonce").then(function(e){var t=e.data&&e.data.nonce;if(!t)throw new u("Could not refresh security token.",403,e);return a.setNonce(t),e.data.restNonce&&a.setRestNonce(e.data.restNonce),l=null,t},function(e){throw l=null,e}))}};n.Api=y}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("App requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("App requires global namespace.");var s=n.Helpers;if(!s)throw new Error("App requires helpers.js.");var a="__"+r.namespace+"Mounted";function i(e){return!!e&&1===e.nodeType}function o(e,t){return!(!e[a]||!e[a][t])}function l(e,t,r){try{return e.apply(t,r)}catch(e){setTimeout(function(){throw e},0)}}var c={version:"1.0.0",initialized:!1,components:{},order:[],instances:[],handlers:{},observer:null,register:function(e,r){if(e&&r&&!this.components[e]){var n={name:e,definition:r,started:!1};this.components[e]=n,this.order.push(e),this.initialized&&(this.startComponent(n),this.mountComponent(n,t))}},get:function(e){return this.components[e]?this.components[e].definition:null},on:function(e,r,n,s){var a=this,i={selector:r,handler:n,context:s||null};return this.handlers[e]||(this.handlers[e]=[],t.addEventListener(e,function(t){a.delegate(e,t)})),this.handlers[e].push(i),function(){var t=a.handlers[e],r=t.indexOf(i);-1!==r&&t.splice(r,1)}},delegate:function(e,t){for(var r=this.handlers[e].slice(),n=s.getElement(t.target),a=0;a<r.length;a++){var i=r[a],o=n;i.selector&&!(o=n?n.closest(i.selector):null)||l(i.handler,i.context,[t,o])}},init:function(){if(!this.initialized){this.bindGlobalEvents(),this.initialized=!0;for(var e=0;e<this.order.length;e++)this.startComponent(this.components[this.order[e]]);this.mount(t),this.observe(),n.dispatch("ready",{version:this.version},t)}},bindGlobalEvents:function(){var e=this;t.addEventListener(n.event("contentLoaded"),function(t){e.initializeContainer(t.detail&&t.detail.container)})},startComponent:function(e){if(!e.started){var t=e.definition;e.started=!0,"function"==typeof t.init&&l(t.init,t)}},observe:function(){var r=this;!this.observer&&"function"==typeof e.MutationObserver&&t.body&&(this.observer=new e.MutationObserver(function(e){for(var n=!1,s=0;s<e.length;s++)e[s].removedNodes.length&&(n=!0);n&&r.unmountDetached();for(var a=0;a<e.length;a++)for(var o=e[a].addedNodes,l=0;l<o.length;l++)i(o[l])&&t.documentElement.contains(o[l])&&r.mount(o[l])}),this.observer.observe(t.body,{childList:!0,subtree:!0}))},mount:function(e){e=e||t;for(var r=0;r<this.order.length;r++)this.mountComponent(this.components[this.order[r]],e)},mountComponent:function(e,t){var r=e.definition;if(r.selector&&"function"==typeof r.mount){var n=Array.prototype.slice.call(t.querySelectorAll(r.selector));i(t)&&t.matches(r.selector)&&n.unshift(t);for(var s=0;s<n.length;s++){var c=n[s];o(c,e.name)||(c[a]=c[a]||{},c[a][e.name]=!0,this.instances.push({component:e,el:c,state:l(r.mount,r,[c])}))}}},unmount:function(e){e=e||t,this.teardown(function(t){return t.el===e||e.contains(t.el)})},unmountDetached:function(){this.teardown(function(e){return!t.documentElement.contains(e.el)})},teardown:function(e){for(var t=[],r=[],n=0;n<this.instances.length;n++)(e(this.instances[n])?r:t).push(this.instances[n]);this.instances=t;for(var s=0;s<r.length;s++){var i=r[s];i.el[a]&&delete i.el[a][i.component.name];var o=i.component.definition;"function"==typeof o.unmount&&l(o.unmount,o,[i.el,i.state])}},initializeContainer:function(e){this.unmountDetached(),this.mount(e||t)},contentLoaded:function(e){n.dispatch("contentLoaded",{container:e},t)}};n.App=c}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Diagnostics requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Diagnostics requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("Diagnostics requires helpers.js and config.js.");var i=n.Events,o=n.Api,l=n.App;if(!i||!o||!l)throw new Error("Diagnostics requires events.js, api.js and app.js.");var c=/nonce|security|password|token/i,u=s.escapeHtml,d=Date.now();function h(e){return n.cssClass(e)}function p(t){try{return e.localStorage.getItem(t)}catch(e){return null}}function f(e){var t=e.id?"#"+e.id:"",r="string"==typeof e.className&&e.className.trim()?"."+e.className.trim().split(/\s+/).join("."):"";return"<"+e.tagName.toLowerCase()+t+r+">"}function g(e,t){if(t=t||0,null==e)return e;var r=typeof e;if("string"===r||"number"===r||"boolean"===r)return e;if("function"===r)return"[function]";if(1===e.nodeType)return f(e);if(9===e.nodeType)return"#document";if(e instanceof Error)return{name:e.name,message:e.message,status:e.status};if(t>=4)return"[…]";if(Array.isArray(e))return e.map(function(e){return g(e,t+1)});var n={};return Object.keys(e).forEach(function(r){n[r]=c.test(r)&&e[r]?"[redacted]":g(e[r],t+1)}),n}var v={enabled:!1,events:[],requests:[],drawer:null,open:!1,offKeydown:null,selector:n.selector("wrap"),start:function(){var e=this;this.enabled=!!(a.get("diagnostics",{})||{}).enabled,this.enabled&&(this.scheduleRender=s.debounce(function(){e.renderLog()},100),i.on("*",function(t,r){e.record(r.type.slice(n.event("").length),t)}))},init:function(){this.enabled&&(l.on("click",n.dataSelector("diagnostics-action"),function(e,t){e.preventDefault(),this.handleAction(t.getAttribute(n.dataAttr("diagnostics-action")))},this),l.on("change",n.dataSelector("diagnostics-keep"),function(e,t){this.keepEnabled(t)},this))},mount:function(e){if(this.enabled&&!this.drawer)return this.drawer=this.createDrawer(),e.appendChild(this.drawer),this.drawer},unmount:function(e,t){t&&t.parentNode&&t.parentNode.removeChild(t),t===this.drawer&&(this.drawer=null),this.setOpen(!1)},record:function(e,t){this.events.push({time:Date.now()-d,name:e,detail:g(t)}),this.events.length>200&&this.events.shift(),0===e.indexOf("request:")&&this.recordRequest(e,t||{}),this.open&&this.scheduleRender()},recordRequest:function(e,t){if("request:start"===e)return this.requests.push({id:t.id,action:t.action,data:g(t.data),state:"pending"}),void(this.requests.length>50&&this.requests.shift());for(var r=null,n=this.requests.length-1;n>=0;n--)if(this.requests[n].id===t.id){r=this.requests[n];break}r&&(r.state=e.slice(8),r.attempts=t.attempts,r.duration=t.duration,"success"===r.state?r.response=g(t.response):"error"===r.state&&(r.status=t.status,r.message=t.message))},getTheme:function(){var r=t.querySelector(this.selector),s=n.ThemeSwitcher;return{server:a.getServerTheme(),stored:p(n.storageKey("theme")),pending:p(n.storageKey("theme-pending")),wrapper:r?{theme:r.getAttribute(n.dataAttr("theme")),mode:r.getAttribute(n.dataAttr("theme-mode"))}:null,systemDark:"function"==typeof e.matchMedia?e.matchMedia("(prefers-color-scheme: dark)").matches:null,switcher:s?{mode:s.getMode(),theme:s.getTheme()}:null}},getComponents:function(){var e={};return l.instances.forEach(function(t){var r=t.component.name;e[r]=e[r]||[],e[r].push(f(t.el))}),l.order.map(function(t){var r=l.components[t];return{name:t,started:r.started,selector:r.definition.selector||null,mounted:e[t]||[]}})},getReport:function(){return{generatedAt:(new Date).toISOString(),url:e.location.href,userAgent:e.navigator.userAgent,version:l.version,prefixConfig:g(r),config:g(e[r.configObject]||{}),theme:this.getTheme(),components:this.getComponents(),requests:this.requests.slice(),events:this.events.slice()}},createDrawer:function(){var e=this.getLabels(),r=!!(a.get("diagnostics",{})||{}).saved,i=s.uniqueId(h("diagnostics-")),o=t.createElement("div"),l=function(e,t,r){return'<button type="button" class="'+h("btn")+" "+h("btn-sm")+" "+h("btn-"+r)+'" '+n.dataAttr("diagnostics-action")+'="'+e+'">'+u(t)+"</button>"},c=function(e,t){return'<details class="'+h("diagnostics__section")+'"'+("log"===e?" open":"")+"><summary>"+u(t)+'</summary><pre class="'+h("diagnostics__pre")+'" '+n.dataAttr("diagnostics-section")+'="'+e+'"></pre></details>'};return o.className=h("diagnostics"),o.innerHTML='<button type="button" class="'+h("diagnostics__toggle")+'" aria-expanded="false" aria-controls="'+i+'" '+n.dataAttr("diagnostics-action")+'="toggle" title="'+u(e.toggle||"")+'"><span class="'+h("icon--info")+'" aria-hidden="true"></span><span class="'+h("visually-hidden")+'">'+u(e.toggle||"")+'</span></button><aside id="'+i+'" class="'+h("diagnostics__panel")+'" aria-label="'+u(e.title||"")+'" hidden><div class="'+h("diagnostics__header")+'"><h2 class="'+h("diagnostics__title")+'">'+u(e.title||"")+"</h2>"+l("close",e.close||"","outline-secondary")+'</div><div class="'+h("diagnostics__actions")+'">'+l("copy",e.copy||"","primary")+l("clear",e.clear||"","outline-secondary")+'<label class="'+h("diagnostics__keep")+'"><input type="checkbox" '+n.dataAttr("diagnostics-keep")+(r?" checked":"")+"> "+u(e.keep||"")+"</label></div>"+c("config",e.config||"")+c("theme",e.theme||"")+c("components",e.components||"")+c("log",e.log||"")+"</aside>",o},getLabels:function(){return(a.get("diagnostics",{})||{}).labels||{}},handleAction:function(e){"toggle"===e?this.setOpen(!this.open):"close"===e?this.setOpen(!1):"copy"===e?this.copy():"clear"===e&&(this.events=[],this.requests=[],this.renderLog())},setOpen:function(e){var t=this;if(this.open=!!e&&!!this.drawer,this.offKeydown&&(this.offKeydown(),this.offKeydown=null),this.drawer){var r=this.drawer.querySelector(n.selector("diagnostics__toggle")),a=this.drawer.querySelector(n.selector("diagnostics__panel"));r.setAttribute("aria-expanded",this.open?"true":"false"),a.hidden=!this.open,this.open&&(this.render(),this.offKeydown=l.on("keydown",null,function(e){"Escape"===e.key&&a.contains(s.getElement(e.target))&&(t.setOpen(!1),r.focus())}))}},render:function(){var e=this.getReport();this.fill("config",{prefixConfig:e.prefixConfig,config:e.config}),this.fill("theme",e.theme),this.fill("components",e.components),this.renderLog()},renderLog:function(){var e=this.getLabels();this.events.length||this.requests.length?this.fill("log",{requests:this.requests,events:this.events}):this.fill("log",e.empty||"")},fill:function(e,t){if(this.drawer){var r=this.drawer.querySelector(n.dataSelector("diagnostics-section",e));r&&(r.textContent="string"==typeof t?t:JSON.stringify(t,null,2))}},copy:function(){var e=this.getLabels();s.copyText(JSON.stringify(this.getReport(),null,2)).then(function(t){t&&n.Toast&&e.copied&&n.Toast.success(e.copied)})},keepEnabled:function(e){var t=e.checked;e.disabled=!0,o.rest("preferences",{method:"POST",data:{diagnostics:t}}).catch(function(){e.checked=!t}).then(function(){e.disabled=!1})}};v.start(),l.register("diagnostics",v),n.Diagnostics=v}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Toast requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Toast requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("Toast requires helpers.js and config.js.");var i=n.App;if(!i)throw new Error("Toast requires app.js.");var o=["success","info","warning","error"];function l(e,t){return(a.get("i18n",{})||{})[e]||t}function c(e){this.options=e,this.remaining=e.duration,this.timer=null,this.startedAt=0,this.closed=!1,this.el=this.build()}c.prototype.build=function(){var e=this,r=this.options,a=t.createElement("div");return a.className=n.cssClass("toast")+" "+n.cssClass("toast--"+r.type),a.innerHTML='<p class="'+n.cssClass("toast__message")+'">'+s.escapeHtml(r.message)+"</p>"+(r.action?'<button type="button" class="'+n.cssClass("toast__action")+'">'+s.escapeHtml(r.action.label)+"</button>":"")+'<button type="button" class="'+n.cssClass("toast__close")+'" aria-label="'+s.escapeAttr(l("dismiss","Dismiss"))+'"><span class="'+n.cssClass("icon--close")+'" aria-hidden="true"></span></button>',a.addEventListener("click",function(t){var a=s.getElement(t.target);a&&(a.closest(n.selector("toast__action"))?("function"==typeof r.action.onClick&&r.action.onClick(),e.close()):a.closest(n.selector("toast__close"))&&e.close())}),a.addEventListener("mouseenter",function(){e.pause()}),a.addEventListener("mouseleave",function(){e.resume()}),a.addEventListener("focusin",function(){e.pause()}),a.addEventListener("focusout",function(t){a.contains(t.relatedTarget)||e.resume()}),a},c.prototype.resume=function(){var e=this;this.closed||this.timer||this.remaining<=0||(this.startedAt=Date.now(),this.timer=setTimeout(function(){e.close()},this.remaining))},c.prototype.pause=function(){this.timer&&(clearTimeout(this.timer),this.timer=null,this.remaining-=Date.now()-this.startedAt)},c.prototype.close=function(){var e=this.el;this.closed||(this.closed=!0,this.pause(),e.classList.add(n.cssClass("toast--leaving")),setTimeout(function(){e.parentNode&&e.parentNode.removeChild(e)},200),"function"==typeof this.options.onClose&&this.options.onClose())};var u={container:null,regions:{},items:[],init:function(){var e=this;this.getContainer(),t.addEventListener(n.event("request:error"),function(t){var r=t.detail||{};r.quiet||e.error(r.message||l("requestFailed","The request failed. Please try again."))})},getContainer:function(){if(this.container&&t.body.contains(this.container))return this.container;var e=t.querySelector(n.selector("wrap"))||t.body,r=t.createElement("div");return r.className=n.cssClass("toasts"),this.regions={polite:this.createRegion("polite"),assertive:this.createRegion("assertive")},r.appendChild(this.regions.polite),r.appendChild(this.regions.assertive),e.appendChild(r),this.container=r,r},createRegion:function(e){var r=t.createElement("div");return r.className=n.cssClass("visually-hidden"),r.setAttribute("aria-live",e),r.setAttribute("aria-atomic","true"),r},announce:function(e,t){this.getContainer();var r=t?this.regions.assertive:this.regions.polite;r.textContent="",setTimeout(function(){r.textContent=e},50)},show:function(e,t){var r=this,a=s.merge({type:"info",duration:5e3},t||{});-1===o.indexOf(a.type)&&(a.type="info"),a.message=e,a.action&&a.duration>0&&(a.duration=Math.max(a.duration,8e3));var i=this.getContainer(),l=new c(a),u=a.onClose;for(a.onClose=function(){r.items.splice(r.items.indexOf(l),1),"function"==typeof u&&u()},this.items.push(l),i.appendChild(l.el);this.items.length>4;)this.items[0].close();return this.announce(e,"error"===a.type),l.resume(),n.dispatch("toastShown",{type:a.type,message:e},l.el),{close:function(){l.close()}}},success:function(e,t){return this.show(e,s.merge(s.merge({},t||{}),{type:"success"}))},info:function(e,t){return this.show(e,s.merge(s.merge({},t||{}),{type:"info"}))},warning:function(e,t){return this.show(e,s.merge(s.merge({},t||{}),{type:"warning"}))},error:function(e,t){return this.show(e,s.merge(s.merge({duration:1e4},t||{}),{type:"error"}))},clear:function(){for(var e=this.items.slice(),t=0;t<e.length;t++)e[t].close()}};i.register("toast",u),n.Toast=u}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("QueueIndicator requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("QueueIndicator requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("QueueIndicator requires helpers.js and config.js.");var i=n.Events,o=n.Queue,l=n.App;if(!i||!o||!l)throw new Error("QueueIndicator requires events.js, queue.js and app.js.");function c(e){return n.cssClass(e)}function u(e,t){return(a.get("i18n",{})||{})[e]||t}var d={element:null,init:function(){var e=this;n.on("queue:changed",function(t){e.render(t.pending,t.online)}),n.on("request:queued",function(){n.Toast&&n.Toast.warning(u("queued","You are offline. The change will be sent when the connection is back."))}),this.render(o.count(),o.isOnline())},getElement:function(){if(this.element&&t.body.contains(this.element))return this.element;var e=t.createElement("button");return e.type="button",e.className=c("queue-indicator"),e.hidden=!0,e.setAttribute("aria-live","polite"),e.addEventListener("click",function(){o.replay()}),t.body.appendChild(e),this.element=e},render:function(e,t){if(e||this.element){var r=this.getElement(),n=u(1===e?"queuePendingOne":"queuePending","%d changes waiting to be sent").replace("%d",e);r.hidden=!e,r.classList.toggle(c("queue-indicator--offline"),!t),r.title=u("queueRetry","Retry now"),r.innerHTML='<span class="'+c("icon--clock")+'" aria-hidden="true"></span><span>'+s.escapeHtml(n)+"</span>"+(t?"":'<span class="'+c("queue-indicator__status")+'">'+s.escapeHtml(u("queueOffline","Offline"))+"</span>")}}};l.register("queueIndicator",d),n.QueueIndicator=d}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Modal requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Modal requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("Modal requires helpers.js and config.js.");var i=n.App;if(!i)throw new Error("Modal requires app.js.");var o=["sm","md","lg","full"],l=["a[href]","button:not([disabled])",'input:not([disabled]):not([type="hidden"])',"select:not([disabled])","textarea:not([disabled])",'[tabindex]:not([tabindex="-1"])'].join(","),c=[];function u(e,t){return(a.get("i18n",{})||{})[e]||t}function d(e){return n.cssClass(e)}function h(e){return Array.prototype.filter.call(e.querySelectorAll(l),function(e){return!e.hidden&&null!==e.offsetParent})}function p(e){this.options=e,this.trigger=e.trigger||t.activeElement,this.closed=!1,this.id=s.uniqueId(d("modal-")),this.build()}p.prototype.build=function(){var e=this,r=this.options,a=t.createElement("div");a.className=d("modal-backdrop"),a.innerHTML='<div class="'+d("modal")+" "+d("modal--"+r.size)+'" role="'+("alertdialog"===r.role?"alertdialog":"dialog")+'" aria-modal="true" aria-labelledby="'+this.id+'-title" tabindex="-1"><div class="'+d("modal__header")+'"><h2 id="'+this.id+'-title" class="'+d("modal__title")+'">'+s.escapeHtml(r.title)+'</h2><button type="button" class="'+d("modal__close")+'" '+n.dataAttr("modal-close")+' aria-label="'+s.escapeAttr(u("close","Close"))+'"><span class="'+d("icon--close")+'" aria-hidden="true"></span></button></div><div class="'+d("modal__body")+'"></div><div class="'+d("modal__footer")+'" hidden></div></div>',this.backdrop=a,this.dialog=a.querySelector(n.selector("modal")),this.body=a.querySelector(n.selector("modal__body")),this.footer=a.querySelector(n.selector("modal__footer")),r.className&&(this.dialog.className+=" "+r.className),this.setContent(r.content),this.setButtons(r.buttons);var i=!1;a.addEventListener("mousedown",function(e){i=e.target===a}),a.addEventListener("click",function(t){if(t.target===a&&i&&r.dismissible)e.close(!1);else{var o=s.getElement(t.target);o&&o.closest(n.dataSelector("modal-close"))&&(t.preventDefault(),e.close(!1))}})},p.prototype.setContent=function(e){e&&"object"==typeof e&&1===e.nodeType?(this.body.innerHTML="",this.body.appendChild(e)):this.body.innerHTML=e||"",!this.closed&&this.backdrop.parentNode&&i.contentLoaded(this.body)},p.prototype.setButtons=function(e){var r=this;this.footer.innerHTML="",this.footer.hidden=!e||!e.length,(e||[]).forEach(function(e){var n=t.createElement("button");n.type="button",n.className=d("btn")+" "+d("btn-"+(e.variant||"secondary")),n.textContent=e.label,e.autofocus&&n.setAttribute("autofocus",""),n.addEventListener("click",function(){r.close(e.value)}),r.footer.appendChild(n)})},p.prototype.mount=function(){(t.querySelector(n.selector("wrap"))||t.body).appendChild(this.backdrop),t.body.classList.add(d("modal-open"));var e=this.dialog.querySelector("[autofocus]"),r=h(this.body);(e||r[0]||this.dialog).focus(),n.dispatch("modalOpened",{id:this.id},this.dialog)},p.prototype.trapFocus=function(e){var r=h(this.dialog);if(!r.length)return e.preventDefault(),void this.dialog.focus();var n=r[0],s=r[r.length-1];!e.shiftKey||t.activeElement!==n&&t.activeElement!==this.dialog?e.shiftKey||t.activeElement!==s||(e.preventDefault(),n.focus()):(e.preventDefault(),s.focus())},p.prototype.close=function(e){this.closed||(this.closed=!0,c.splice(c.indexOf(this),1),this.backdrop.parentNode&&this.backdrop.parentNode.removeChild(this.backdrop),c.length||t.body.classList.remove(d("modal-open")),this.trigger&&"function"==typeof this.trigger.focus&&t.body.contains(this.trigger)&&this.trigger.focus(),"function"==typeof this.options.onClose&&this.options.onClose(e),n.dispatch("modalClosed",{id:this.id,value:e},t))};var f={bound:!1,init:function(){this.bound||(this.bound=!0,i.on("keydown",null,function(e){var t=c[c.length-1];t&&("Escape"===e.key&&t.options.dismissible?(e.preventDefault(),t.close(!1)):"Tab"===e.key&&t.trapFocus(e))}),i.on("focusin",null,function(e){var t=c[c.length-1];t&&!t.backdrop.contains(e.target)&&t.dialog.focus()}))},open:function(e){var t=s.merge({size:"md",dismissible:!0},e||{});-1===o.indexOf(t.size)&&(t.size="md"),this.init();var r=new p(t);return c.push(r),r.mount(),{element:r.dialog,setContent:function(e){r.setContent(e)},setButtons:function(e){r.setButtons(e)},close:function(e){r.close(e)}}},confirm:function(e){var t=this,r=e||{};return new Promise(function(e){t.open({title:r.title||u("confirmTitle","Are you sure?"),content:r.message?"<p>"+s.escapeHtml(r.message)+"</p>":"",size:"sm",role:"alertdialog",trigger:r.trigger,buttons:[{label:r.cancelLabel||u("cancel","Cancel"),variant:"outline-secondary",value:!1,autofocus:!!r.danger},{label:r.confirmLabel||u("confirm","Confirm"),variant:r.danger?"danger":"primary",value:!0,autofocus:!r.danger}],onClose:function(t){e(!0===t)}})})},closeAll:function(){for(;c.length;)c[c.length-1].close(!1)},isOpen:function(){return c.length>0}};i.register("modal",f),n.Modal=f}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Header requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Header requires global namespace.");var s=n.Helpers,a=n.App;if(!s||!a)throw new Error("Header requires helpers.js and app.js.");var i={toggleBtn:null,nav:null,wrapper:null,isOpen:!1,selector:n.selector("header-nav-wrapper"),init:function(){this.bindEvents()},mount:function(e){var t=e.querySelector(n.selector("header-toggle")),r=e.querySelector(n.selector("header-nav"));t&&r&&(this.wrapper=e,this.toggleBtn=t,this.nav=r,this.isOpen=!1)},unmount:function(e){e===this.wrapper&&(this.wrapper=null,this.toggleBtn=null,this.nav=null,this.isOpen=!1)},bindEvents:function(){var t=this;a.on("click",n.selector("header-toggle"),function(e,r){r===t.toggleBtn&&(e.preventDefault(),t.toggle())}),a.on("click",null,function(e,r){t.isOpen&&(t.wrapper&&t.wrapper.contains(r)||t.toggleBtn&&t.toggleBtn.contains(r)||t.close())}),a.on("click",n.selector("header-nav-link"),function(e,r){t.isOpen&&t.nav.contains(r)&&t.close()}),a.on("keydown",null,function(e){"Escape"===e.key&&t.isOpen&&!e.defaultPrevented&&(t.close(),t.toggleBtn.focus())});var r=s.debounce(function(){e.innerWidth>991.98&&t.isOpen&&t.close()},100);e.addEventListener("resize",r)},toggle:function(){this.isOpen?this.close():this.open()},open:function(){this.toggleBtn.setAttribute("aria-expanded","true"),this.nav.classList.add(n.cssClass("show")),this.isOpen=!0;var e=this.nav.querySelector('a, button, [tabindex]:not([tabindex="-1"])');e&&e.focus(),n.dispatch("header:opened",{nav:this.nav},t)},close:function(){this.toggleBtn.setAttribute("aria-expanded","false"),this.nav.classList.remove(n.cssClass("show")),this.isOpen=!1,n.dispatch("header:closed",{nav:this.nav},t)}};a.register("header",i),n.Header=i}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("ThemeSwitcher requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("ThemeSwitcher requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("ThemeSwitcher requires helpers.js and config.js.");var i=n.Api,o=n.App;if(!i||!o)throw new Error("ThemeSwitcher requires api.js and app.js.");var l=["light","dark","system"];function c(e){return-1!==l.indexOf(e)}function u(t){try{return e.localStorage.getItem(t)}catch(e){return null}}function d(t,r){try{e.localStorage.setItem(t,r)}catch(e){}}function h(t){try{e.localStorage.removeItem(t)}catch(e){}}var p={wrapper:null,storageKey:null,pendingKey:null,mediaQuery:null,channel:null,mode:null,selector:n.dataSelector("theme-toggle"),init:function(){if(this.storageKey=n.storageKey("theme"),this.pendingKey=n.storageKey("theme-pending"),this.wrapper=t.querySelector(n.selector("wrap")),"function"==typeof e.matchMedia&&(this.mediaQuery=e.matchMedia("(prefers-color-scheme: dark)")),"function"==typeof e.BroadcastChannel)try{this.channel=new e.BroadcastChannel(this.storageKey)}catch(e){this.channel=null}this.bindEvents(),this.applyStoredTheme()},mount:function(){this.mode&&this.updateToggles(this.mode)},bindEvents:function(){var r=this;if(o.on("click",this.selector,function(e,t){e.preventDefault();var s=t.getAttribute(n.dataAttr("theme-value"));c(s)?r.setTheme(s):r.toggle()}),this.channel&&(this.channel.onmessage=function(e){e.data&&e.data.mode&&r.receive(e.data.mode)}),e.addEventListener("storage",function(e){e.key===r.storageKey&&e.newValue&&r.receive(e.newValue)}),this.mediaQuery){var s=function(){"system"===r.getMode()&&(r.apply("system"),n.dispatch("themeChanged",{theme:r.getTheme(),mode:"system"},t))};"function"==typeof this.mediaQuery.addEventListener?this.mediaQuery.addEventListener("change",s):"function"==typeof this.mediaQuery.addListener&&this.mediaQuery.addListener(s)}},getMode:function(){if(this.mode)return this.mode;var e=u(this.storageKey);if(c(e))return e;if(this.wrapper){var t=this.wrapper.getAttribute(n.dataAttr("theme-mode"))||this.wrapper.getAttribute(n.dataAttr("theme"));if(c(t))return t}return"light"},getTheme:function(){return this.resolve(this.getMode())},resolve:function(e){return"system"===e?this.mediaQuery&&this.mediaQuery.matches?"dark":"light":"dark"===e?"dark":"light"},setTheme:function(e){if(c(e)||(e="light"),d(this.storageKey,e),this.apply(e),this.saveToServer(e),this.broadcast(e),n.Toast){var r=(a.get("i18n",{})||{})["theme"+e.charAt(0).toUpperCase()+e.slice(1)];r&&n.Toast.success(r)}n.dispatch("themeChanged",{theme:this.resolve(e),mode:e},t)},receive:function(e){c(e)&&e!==this.mode&&(this.apply(e),n.dispatch("themeChanged",{theme:this.resolve(e),mode:e,remote:!0},t))},broadcast:function(e){if(this.channel)try{this.channel.postMessage({mode:e})}catch(e){}},reconcile:function(){var e=a.getServerTheme(),t=u(this.storageKey),r=u(this.pendingKey);if(!c(e)&&this.wrapper&&(e=this.wrapper.getAttribute(n.dataAttr("theme"))),c(t)&&r===t&&t!==e)return this.saveToServer(t),t;var s=c(e)?e:c(t)?t:"light";return d(this.storageKey,s),h(this.pendingKey),s},toggle:function(){this.setTheme(l[(l.indexOf(this.getMode())+1)%l.length])},applyStoredTheme:function(){this.apply(this.reconcile())},apply:function(e){var t=this.resolve(e);this.mode=e,this.wrapper&&(this.wrapper.setAttribute(n.dataAttr("theme"),t),this.wrapper.setAttribute(n.dataAttr("theme-mode"),e)),this.updateToggles(e),this.updateToggleIcons(t)},updateToggles:function(e){for(var r=t.querySelectorAll(n.dataSelector("theme-toggle")),s=0;s<r.length;s++){var a=r[s].getAttribute(n.dataAttr("theme-value"));c(a)&&r[s].setAttribute("aria-pressed",a===e?"true":"false")}},updateToggleIcons:function(e){for(var r=t.querySelectorAll(n.dataSelector("theme-toggle")),s=0;s<r.length;s++){var a=r[s],i=a.querySelector(n.selector("theme-icon-light")),o=a.querySelector(n.selector("theme-icon-dark"));i&&o&&("dark"===e?(i.style.display="inline-block",o.style.display="none"):(i.style.display="none",o.style.display="inline-block"))}},saveToServer:function(e){var t=this;return d(this.pendingKey,e),i.post("switch_theme",{theme:e},{queue:!0}).then(function(r){r.queued||u(t.pendingKey)===e&&h(t.pendingKey)}).catch(function(){return null})}};o.register("themeSwitcher",p),n.ThemeSwitcher=p}(window,document),function(e){"use strict";var t=e.__PREFIX_CONFIG__;if(!t)throw new Error("TopUrls requires namespace.js (__PREFIX_CONFIG__).");var r=e[t.namespace];if(!r)throw new Error("TopUrls requires global namespace.");var n=r.Helpers,s=r.Config;if(!n||!s)throw new Error("TopUrls requires helpers.js and config.js.");var a=r.App;if(!a)throw new Error("TopUrls requires app.js.");var i=n.escapeHtml,o=n.escapeAttr;function l(e){return r.cssClass(e)}function c(e,t){return r.dataAttr(e)+'="'+o(t)+'"'}function u(){var e=s.get("alertCard",{})||{};return{labels:e.labels||{},visible:parseInt(e.topUrlsVisible,10)||5}}function d(e,t,r){return'<button type="button" class="'+l("btn")+" "+l("btn-sm")+" "+l("btn-outline-secondary")+'" '+c("action","sort-urls")+" "+c("sort",e)+' aria-pressed="'+r+'">'+i(t)+"</button>"}function h(e,t,r,s,a){var u=Math.min(100,Math.round(e.count/r*1e3)/10),d=(a.share||"%s%%").replace("%s",u.toFixed(1)).replace("%%","%");return"<li "+c("path",e.path)+" "+c("count",e.count)+(t>=s?" hidden":"")+'><code class="'+l("alert-card__url-path")+'" title="'+o(e.path)+'">'+i(e.path)+'</code><span class="'+l("alert-card__url-share")+'" title="'+o(d)+'"><span class="'+l("alert-card__url-bar")+'" style="width: '+u+'%;"></span><span class="'+l("visually-hidden")+'">'+i(d)+'</span></span><span class="'+l("alert-card__url-count")+'">'+i(n.formatNumber(e.count))+'</span><span class="'+l("alert-card__url-actions")+'"><button type="button" class="'+l("alert-card__url-action")+'" '+c("action","copy-url")+" "+c("url",e.url||"")+' title="'+o(a.copyUrl||"")+'"><span class="dashicons dashicons-admin-page" aria-hidden="true"></span><span class="'+l("visually-hidden")+'">'+i(a.copyUrl||"")+'</span></button><a class="'+l("alert-card__url-action")+'" href="'+o(e.url||"")+'" target="_blank" rel="noopener noreferrer" title="'+o(a.openUrl||"")+'"><span class="dashicons dashicons-external" aria-hidden="true"></span><span class="'+l("visually-hidden")+'">'+i(a.openUrlNewTab||"")+"</span></a></span></li>"}var p={selector:r.dataSelector("top-urls"),init:function(){var e=this;a.on("click",r.dataSelector("action","copy-url"),function(t,n){t.preventDefault(),e.copy(n.getAttribute(r.dataAttr("url")))}),a.on("click",r.dataSelector("action","sort-urls"),function(t,n){var s=n.closest(r.dataSelector("top-urls"));s&&e.sort(s,n.getAttribute(r.dataAttr("sort")))}),a.on("click",r.dataSelector("action","toggle-urls"),function(t,n){var s=n.closest(r.dataSelector("top-urls"));s&&e.toggleAll(s,n)})},mount:function(e){this.setPressed(e,e.getAttribute(r.dataAttr("sort"))||"count")},render:function(e,t){var n=u(),s=n.labels,a=n.visible,p="";t=Math.max(1,parseInt(t,10)||0);for(var f=0;f<e.length;f++)p+=h(e[f],f,t,a,s);return'<div class="'+l("top-urls")+'" '+r.dataAttr("top-urls")+" "+c("visible",a)+">"+(e.length>1?'<div class="'+l("btn-group")+" "+l("top-urls__sort")+'" role="group" aria-label="'+o(s.sortUrls||"")+'">'+d("count",s.byCount||"",!0)+d("path",s.byPath||"",!1)+"</div>":"")+'<ul class="'+l("alert-card__url-list")+'">'+p+"</ul>"+(e.length>a?'<button type="button" class="'+l("btn")+" "+l("btn-sm")+" "+l("btn-link")+'" '+c("action","toggle-urls")+' aria-expanded="false">'+i((s.showAllUrls||"").replace("%d",e.length))+"</button>":"")+"</div>"},copy:function(e){var t=u().labels;e&&n.copyText(e).then(function(e){e&&r.Toast&&t.urlCopied&&r.Toast.success(t.urlCopied)})},sort:function(e,t){var n=e.querySelector(r.selector("alert-card__url-list"));if(n){var s=r.dataAttr("count"),a=r.dataAttr("path"),i=Array.prototype.slice.call(n.children);i.sort(function(e,r){var n=e.getAttribute(a),i=r.getAttribute(a);return"path"===t?n.localeCompare(i):parseInt(r.getAttribute(s),10)-parseInt(e.getAttribute(s),10)||n.localeCompare(i)}),i.forEach(function(e){n.appendChild(e)}),e.setAttribute(r.dataAttr("sort"),t),this.setPressed(e,t),this.applyVisibility(e)}},setPressed:function(e,t){for(var n=e.querySelectorAll(r.dataSelector("action","sort-urls")),s=0;s<n.length;s++)n[s].setAttribute("aria-pressed",n[s].getAttribute(r.dataAttr("sort"))===t?"true":"false")},toggleAll:function(e,t){var n=u().labels,s="true"!==t.getAttribute("aria-expanded"),a=e.querySelectorAll(r.selector("alert-card__url-list")+" > li").length;t.setAttribute("aria-expanded",s?"true":"false"),t.textContent=s?n.showFewerUrls||"":(n.showAllUrls||"").replace("%d",a),this.applyVisibility(e)},applyVisibility:function(e){for(var t=e.querySelector(r.dataSelector("action","toggle-urls")),n=!!t&&"true"===t.getAttribute("aria-expanded"),s=parseInt(e.getAttribute(r.dataAttr("visible")),10)||5,a=e.querySelectorAll(r.selector("alert-card__url-list")+" > li"),i=0;i<a.length;i++)a[i].hidden=!n&&i>=s}};a.register("topUrls",p),r.TopUrls=p}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("AlertCard requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("AlertCard requires global namespace.");var s=n.Helpers;if(!s)throw new Error("AlertCard requires helpers.js.");var a=n.Api;if(!a)throw new Error("AlertCard requires api.js.");var i=n.Config;if(!i)throw new Error("AlertCard requires config.js.");var o=n.App;if(!o)throw new Error("AlertCard requires app.js.");var l=n.TopUrls;if(!l)throw new Error("AlertCard requires top-urls.js.");var c=s.escapeHtml,u=s.escapeAttr;function d(e){return n.cssClass(e)}function h(e,t){return n.dataAttr(e)+'="'+u(t)+'"'}function p(e,t,r,n,s,a){return'<button type="button" class="'+d("btn")+" "+d("btn-sm")+" "+d("btn-outline-"+e)+'" '+h("action","alert-status")+" "+h("status",t)+" "+(a?h("days",a)+" ":"")+h("status-label",r)+" "+h("hide-for",n)+">"+c(s)+"</button>"}function f(e,t){return'<div class="'+d("alert-card__section")+'"><h6 class="'+d("alert-card__section-title")+'">'+c(e)+"</h6>"+t+"</div>"}function g(e){e=e||{};var t=i.get("alertCard",{})||{},r=t.labels||{},n=Array.isArray(t.snooze)?t.snooze:[],a=e.severity||"info",o=parseInt(e.id,10)||0,g=s.isPlainObject(e.expanded)?e.expanded:{},v=e.short_message||e.message||"",m=function(e){if(e.date_label)return e.date_label;var t=/^(\d{4})-(\d{2})-(\d{2})$/.exec(e.alert_date||"");return t?new Date(+t[1],+t[2]-1,+t[3]).toLocaleDateString():""}(e),y=!!(g.meaning||Array.isArray(g.checks)&&g.checks.length||Array.isArray(g.topUrls)&&g.topUrls.length),b=s.uniqueId(d("alert-"))+"-details",_=[d("card"),d("alert-card"),d("alert-card--"+a)];y&&_.push(d("alert-card--collapsible"));var w='<div class="'+u(_.join(" "))+'"'+(o>0?" "+h("alert-id",o):"")+" "+h("alert-status",e.status||"open")+" "+h("alert-severity",a)+" "+h("alert-type",e.type||"")+" "+h("alert-date",e.alert_date||"")+'><div class="'+d("alert-card__body")+'"><div class="'+d("alert-card__icon")+'"><span class="'+u(e.icon_class||d("icon--alert"))+'"></span></div><div class="'+d("alert-card__content")+'"><div class="'+d("alert-card__header")+'"><span class="'+d("badge")+" "+u(e.severity_class||d("badge--info"))+'">'+c(e.type_label||r.alert||"")+"</span>"+(m?'<span class="'+d("alert-card__date")+'">'+c(m)+"</span>":"")+'<span class="'+d("alert-card__status")+'">'+c(e.status_label||"")+"</span></div>"+(e.title?'<h5 class="'+d("alert-card__title")+'">'+c(e.title)+"</h5>":"")+(v?'<p class="'+d("alert-card__message")+'">'+c(v)+"</p>":"")+(o>0?function(e,t){for(var r=p("primary","acknowledged",e.acknowledged,"acknowledged snoozed resolved",e.acknowledge),n=0;n<t.length;n++)r+=p("secondary","snoozed",e.snoozed,"snoozed resolved",t[n].label,t[n].days);return r+=p("success","resolved",e.resolved,"resolved",e.resolve),r+=p("secondary","open","","open",e.reopen),r+='<button type="button" class="'+d("btn")+" "+d("btn-sm")+" "+d("btn-link")+'" '+h("action","alert-details")+' aria-haspopup="dialog">'+c(e.details)+"</button>",'<div class="'+d("alert-card__actions")+'">'+r+"</div>"}(r,n):"")+(y?function(e,t,r){var n,s="";if(t.meaning&&(s+=f(r.meaning,'<p class="'+d("alert-card__section-text")+'">'+c(t.meaning)+"</p>")),Array.isArray(t.checks)&&t.checks.length){var a="";for(n=0;n<t.checks.length;n++)a+="<li>"+c(t.checks[n])+"</li>";s+=f(r.checks,'<ul class="'+d("alert-card__checklist")+'">'+a+"</ul>")}return Array.isArray(t.topUrls)&&t.topUrls.length&&(s+=f(r.topUrls,l.render(t.topUrls,t.total404))),'<div id="'+u(e)+'" class="'+d("alert-card__details")+'" hidden>'+s+"</div>"}(b,g,r):"")+"</div>";return y&&(w+='<button type="button" class="'+d("alert-card__toggle")+'" aria-expanded="false" aria-controls="'+u(b)+'" aria-label="'+u(r.toggle||"")+'"><span class="'+d("icon--chevron-down")+'"></span></button>'),w+"</div></div>"}function v(e){var r=(i.get("alertCard",{})||{}).labels||{},a=t.createElement("div"),o=y(s.merge(s.merge({},e),{short_message:e.message||e.short_message}));if(a.className=d("alert-detail"),a.innerHTML=function(e,t){for(var r=[{label:t.today,value:e.today},{label:(t.average||"").replace("%d",e.baseline_days||7),value:e.avg7},{label:t.change,value:"number"==typeof e.change_pct?(e.change_pct>0?"+":"")+Math.round(e.change_pct)+"%":null}],n="",a=0;a<r.length;a++)null!==r[a].value&&void 0!==r[a].value&&r[a].label&&(n+='<div class="'+d("alert-detail__figure")+'"><dt>'+c(r[a].label)+"</dt><dd>"+c("number"==typeof r[a].value?s.formatNumber(r[a].value):r[a].value)+"</dd></div>");return n?'<dl class="'+d("alert-detail__figures")+'">'+n+"</dl>":""}(s.isPlainObject(e.meta)?e.meta:{},r),o){var l=o.querySelector(n.dataSelector("action","alert-details"));l&&l.parentNode.removeChild(l),s.hasClass(o,d("alert-card--collapsible"))&&b(o),a.insertBefore(o,a.firstChild)}return a}function m(e,t){var r=n.Modal,s=e.getAttribute(n.dataAttr("alert-id"));if(r&&s&&n.dispatch("alert:details",{id:s,card:e},e)){var o=(i.get("alertCard",{})||{}).labels||{},l=e.querySelector(n.selector("alert-card__title")),u=r.open({title:l?l.textContent:o.details,content:'<p class="'+d("alert-detail__loading")+'" role="status">'+c(o.loading)+"</p>",size:"full",trigger:t});a.rest("alerts/"+encodeURIComponent(s)).then(function(e){u.setContent(v(e.data||{}))}).catch(function(){u.close()})}}function y(e){var r=t.createElement("div");return r.innerHTML=g(e),r.firstElementChild}function b(e){var t=e.querySelector(n.selector("alert-card__toggle")),r=e.querySelector(n.selector("alert-card__details"));if(t&&r){var s="true"===t.getAttribute("aria-expanded");t.setAttribute("aria-expanded",s?"false":"true"),r.hidden=s,e.classList.toggle(n.cssClass("alert-card--expanded"),!s)}}function _(e,t,r){e.setAttribute(n.dataAttr("alert-status"),t);var s=e.querySelector(n.selector("alert-card__status"));s&&(s.textContent=r||"")}function w(e,t){for(var r=e.querySelectorAll(n.dataSelector("action","alert-status")),s=0;s<r.length;s++)r[s].disabled=t;e.setAttribute("aria-busy",t?"true":"false")}function A(e,t,r){var s=!r||!1!==r.undoable,o=e.getAttribute(n.dataAttr("alert-id")),l=t.getAttribute(n.dataAttr("status"));if(o&&l){var c=e.querySelector(n.selector("alert-card__status")),u={status:e.getAttribute(n.dataAttr("alert-status"))||"open",label:c?c.textContent:""};n.dispatch("alert:statusChange",{id:o,status:l,previous:u.status,card:e},e)&&(_(e,l,t.getAttribute(n.dataAttr("status-label"))),w(e,!0),a.post("update_alert_status",{alert_id:o,status:l,days:t.getAttribute(n.dataAttr("days"))}).then(function(r){var a=r.data||{};_(e,a.status||l,a.status_label),w(e,!1),function(e,t,r,s,a){var o=n.Toast,l=(i.get("alertCard",{})||{}).labels||{};if(o&&l.statusChanged){var c={},u=e.querySelector(n.dataSelector("action","alert-status")+n.dataSelector("status",s));a&&"snoozed"!==s&&s!==t&&u&&(c.action={label:(i.get("i18n",{})||{}).undo||"Undo",onClick:function(){A(e,u,{undoable:!1})}}),o.success(l.statusChanged.replace("%s",r||l.open||t),c)}}(e,a.status||l,a.status_label||t.getAttribute(n.dataAttr("status-label")),u.status,s),n.dispatch("alertStatusChanged",{id:o,status:a.status||l,previous:u.status},e)}).catch(function(){_(e,u.status,u.label),w(e,!1)}))}}var E={init:function(){o.on("click",n.dataSelector("action","alert-status"),function(e,t){var r=t.closest(n.selector("alert-card"));r&&A(r,t)}),o.on("click",n.dataSelector("action","alert-details"),function(e,t){var r=t.closest(n.selector("alert-card"));r&&m(r,t)}),o.on("click",n.selector("alert-card__toggle"),function(e,t){var r=t.closest(n.selector("alert-card--collapsible"));r&&b(r)}),o.on("click",n.selector("alert-card__body"),function(e,t){if(!s.getElement(e.target).closest("a, button, input, select, textarea")){var r=t.closest(n.selector("alert-card--collapsible"));r&&b(r)}})},toggle:b,updateStatus:A,render:g,create:y,renderDetail:v,openDetails:m};o.register("alertCard",E),n.AlertCard=E}(window,document),function(e){"use strict";var t=e.__PREFIX_CONFIG__;if(!t)throw new Error("PromoBanner requires namespace.js (__PREFIX_CONFIG__).");var r=e[t.namespace];if(!r)throw new Error("PromoBanner requires global namespace.");var n=r.Helpers,s=r.Config;if(!n||!s)throw new Error("PromoBanner requires helpers.js and config.js.");var a=r.Api,i=r.App;if(!a||!i)throw new Error("PromoBanner requires api.js and app.js.");var o={init:function(){i.on("click",r.dataSelector("action","dismiss-promo"),function(e,t){e.preventDefault(),function(e){var t=e.closest(r.selector("promo-card"));t&&r.dispatch("promo:dismiss",{card:t},t)&&(e.disabled=!0,t.style.transition="opacity 0.3s ease, transform 0.3s ease",t.style.opacity="0",t.style.transform="translateY(-10px)",a.post("dismiss_promo_banner",{},{queue:!0}).then(function(e){var n=(s.get("i18n",{})||{}).promoDismissed;n&&!e.queued&&r.Toast&&r.Toast.success(n),setTimeout(function(){t.parentNode&&t.parentNode.removeChild(t)},300)}).catch(function(){!function(e,t){e.style.opacity="1",e.style.transform="none",t.disabled=!1}(t,e)}))}(t)})}};i.register("promoBanner",o),r.PromoBanner=o}(window,document),function(e){"use strict";var t=e.__PREFIX_CONFIG__;if(!t)throw new Error("AdminNotices requires namespace.js (__PREFIX_CONFIG__).");var r=e[t.namespace];if(!r)throw new Error("AdminNotices requires global namespace.");var n=r.Helpers,s=r.Config;if(!n||!s)throw new Error("AdminNotices requires helpers.js and config.js.");var a=r.Api,i=r.App;if(!a||!i)throw new Error("AdminNotices requires api.js and app.js.");var o={init:function(){i.on("click",r.selector("dismissible-notice")+" .notice-dismiss",function(e,t){var n=t.closest(r.selector("notice"));if(n){var i=n.getAttribute(r.dataAttr("notice-id"));r.dispatch("notice:dismiss",{noticeId:i,notice:n},n)&&function(e){e&&a.post("dismiss_notice",{notice_id:e},{queue:"dismiss_notice:"+e}).then(function(e){var t=(s.get("i18n",{})||{}).noticeDismissed;t&&!e.queued&&r.Toast&&r.Toast.success(t)}).catch(function(){return null})}(i)}})}};i.register("adminNotices",o),r.AdminNotices=o}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("DashboardRefresh requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("DashboardRefresh requires global namespace.");var s=n.Helpers,a=n.Api,i=n.App;if(!s||!a||!i)throw new Error("DashboardRefresh requires helpers.js, api.js and app.js.");var o={root:null,interval:0,delay:0,timer:null,inFlight:!1,selector:n.dataSelector("dashboard"),init:function(){this.bindEvents()},mount:function(e){if(!this.root){var t=parseInt(e.getAttribute(n.dataAttr("refresh-interval")),10);!t||t<=0||(this.root=e,this.interval=1e3*t,this.delay=this.interval,this.schedule())}},unmount:function(e){e===this.root&&(clearTimeout(this.timer),this.timer=null,this.root=null)},bindEvents:function(){var e=this;t.addEventListener("visibilitychange",function(){!t.hidden&&e.root&&(e.delay=e.interval,e.refresh())})},schedule:function(){var e=this;clearTimeout(this.timer),this.timer=setTimeout(function(){e.refresh()},this.delay)},backoff:function(){this.delay=Math.min(2*this.delay,9e5)},getSignature:function(){return this.root.getAttribute(n.dataAttr("signature"))||""},isBusy:function(){return!!t.querySelector(n.selector("alert-card")+'[aria-busy="true"]')},refresh:function(){var e=this;if(this.root&&!this.inFlight){if(t.hidden||this.isBusy())return t.hidden&&this.backoff(),void this.schedule();this.inFlight=!0,a.post("refresh_dashboard",{signature:this.getSignature()},{retries:0,quiet:!0}).then(function(r){if(e.root){var s=r.data||{};e.apply(s.regions||{}),s.changed&&(e.root.setAttribute(n.dataAttr("signature"),s.signature||""),n.dispatch("dashboardRefreshed",{signature:s.signature},t)),e.delay=e.interval}}).catch(function(){e.backoff()}).then(function(){e.inFlight=!1,e.root&&e.schedule()})}},apply:function(e){for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){var s=t.querySelector(n.dataSelector("region",r));if(s){var a=this.getExpandedAlertIds(s);s.innerHTML=e[r],this.restoreExpanded(s,a),i.contentLoaded(s)}}},getExpandedAlertIds:function(e){for(var t=[],r=e.querySelectorAll(n.selector("alert-card--expanded")),s=0;s<r.length;s++)t.push(r[s].getAttribute(n.dataAttr("alert-id")));return t},restoreExpanded:function(e,t){var r=n.AlertCard;if(t.length&&r&&"function"==typeof r.toggle)for(var s=0;s<t.length;s++)if(t[s]){var a=e.querySelector(n.selector("alert-card")+n.dataSelector("alert-id",t[s]));a&&r.toggle(a)}}};i.register("dashboardRefresh",o),n.DashboardRefresh=o}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("AlertsToolbar requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("AlertsToolbar requires global namespace.");var s=n.Helpers,a=n.App;if(!s||!a)throw new Error("AlertsToolbar requires helpers.js and app.js.");var i=["q","severity","type","from","to","sort"],o="newest",l="alerts_",c={critical:0,warning:1,info:2};function u(e,t){return e.getAttribute(n.dataAttr(t))||""}function d(e,t){var r=u(e,"alert-date"),n=u(t,"alert-date");return r!==n?r<n?1:-1:(parseInt(u(t,"alert-id"),10)||0)-(parseInt(u(e,"alert-id"),10)||0)}var h={severity:function(e,t){var r=c[u(e,"alert-severity")],n=c[u(t,"alert-severity")];return(r=void 0===r?3:r)!==(n=void 0===n?3:n)?r-n:d(e,t)},newest:d,oldest:function(e,t){return d(t,e)}},p={toolbar:null,controls:{},state:{},selector:n.dataSelector("alerts-toolbar"),init:function(){this.bindEvents()},mount:function(e){if(!this.toolbar){this.toolbar=e,this.controls={};for(var t=0;t<i.length;t++)this.controls[i[t]]=e.querySelector(n.dataSelector("filter",i[t]));this.state=this.readUrl(),this.syncControls(),this.apply()}},unmount:function(e){e===this.toolbar&&(this.toolbar=null,this.controls={})},bindEvents:function(){var e=this,r=function(t,r){r===e.toolbar&&(e.state=e.readControls(),e.writeUrl(),e.apply())};a.on("change",this.selector,r),a.on("input",this.selector,s.debounce(r,200)),a.on("click",this.selector+" "+n.dataSelector("action","reset-filters"),function(){e.toolbar&&e.reset()}),t.addEventListener(n.event("contentLoaded"),function(){e.apply()})},reset:function(){this.state={sort:o},this.syncControls(),this.writeUrl(),this.apply()},readControls:function(){for(var e={},t=0;t<i.length;t++){var r=this.controls[i[t]],n=r?String(r.value||"").trim():"";n&&(e[i[t]]=n)}return e.sort=h[e.sort]?e.sort:o,e},syncControls:function(){for(var e=0;e<i.length;e++){var t=this.controls[i[e]];t&&(t.value=this.state[i[e]]||"")}this.controls.sort&&(this.controls.sort.value=this.state.sort||o)},readUrl:function(){var t,r={};try{t=new URLSearchParams(e.location.search)}catch(e){return{sort:o}}for(var n=0;n<i.length;n++){var s=t.get(l+i[n]);s&&(r[i[n]]=s)}return r.sort=h[r.sort]?r.sort:o,r},writeUrl:function(){if(e.history&&"function"==typeof e.history.replaceState){var t;try{t=new URL(e.location.href)}catch(e){return}for(var r=0;r<i.length;r++){var n=i[r],s=this.state[n];!s||"sort"===n&&s===o?t.searchParams.delete(l+n):t.searchParams.set(l+n,s)}e.history.replaceState(e.history.state,"",t.toString())}},matches:function(e){var t=this.state;if(t.severity&&u(e,"alert-severity")!==t.severity)return!1;if(t.type&&u(e,"alert-type")!==t.type)return!1;var r=u(e,"alert-date");if(t.from&&(!r||r<t.from))return!1;if(t.to&&(!r||r>t.to))return!1;if(t.q){var s=t.q.toLowerCase(),a=e.querySelector(n.selector("alert-card__title")),i=e.querySelector(n.selector("alert-card__message"));if(-1===((a?a.textContent:"")+" "+(i?i.textContent:"")).toLowerCase().indexOf(s))return!1}return!0},getCards:function(){var e=t.querySelector(n.selector("alerts-list"));return e?{list:e,cards:Array.prototype.slice.call(e.querySelectorAll(n.selector("alert-card")))}:{list:null,cards:[]}},apply:function(){if(this.toolbar){var e=this.getCards(),t=e.cards,r=0;if(this.toolbar.hidden=0===t.length,t.length){t.sort(h[this.state.sort]||h[o]);for(var a=0;a<t.length;a++){var i=this.matches(t[a]);t[a].hidden=!i,i&&r++,e.list.appendChild(t[a])}this.updateSummary(r,t.length),n.dispatch("alertsFiltered",{state:s.merge({},this.state),visible:r,total:t.length},this.toolbar)}}},updateSummary:function(e,t){var r=this.toolbar.querySelector(n.selector("alerts-toolbar__summary")),a=this.toolbar.querySelector(n.selector("alerts-toolbar__empty"));r&&(r.textContent=u(r,"template").replace("%1$s",s.formatNumber(e)).replace("%2$s",s.formatNumber(t))),a&&(a.hidden=e>0)},getState:function(){return s.merge({},this.state)}};a.register("alertsToolbar",p),n.AlertsToolbar=p}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("AlertsKeyboard requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("AlertsKeyboard requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("AlertsKeyboard requires helpers.js and config.js.");var i=n.App;if(!i)throw new Error("AlertsKeyboard requires app.js.");var o=[{id:"next",keys:["j","ArrowDown"],list:["ArrowDown"]},{id:"previous",keys:["k","ArrowUp"],list:["ArrowUp"]},{id:"first",keys:["Home"],list:["Home"]},{id:"last",keys:["End"],list:["End"]},{id:"toggle",keys:["Enter"," "],list:["Enter"," "]},{id:"acknowledge",keys:["a"],status:"acknowledged"},{id:"snooze",keys:["s"],status:"snoozed"},{id:"resolve",keys:["r"],status:"resolved"},{id:"reopen",keys:["o"],status:"open"},{id:"details",keys:["d"]},{id:"help",keys:["?"]}],l={ArrowDown:"↓",ArrowUp:"↑"," ":"Space"};var c={activeId:null,hasFocus:!1,region:null,selector:n.dataSelector("region","latest-alerts"),init:function(){this.bindEvents()},mount:function(e){this.region||(this.region=e,this.refresh())},unmount:function(e){e===this.region&&(this.region=null,this.activeId=null,this.hasFocus=!1)},bindEvents:function(){var e=this;i.on("keydown",null,function(t){e.region&&e.onKeydown(t)}),i.on("focusin",null,function(t,r){if(e.region){var s=e.getList(),a=r&&r.closest(n.selector("alert-card"));e.hasFocus=!(!s||!s.contains(t.target)),a&&e.hasFocus&&e.setActive(a,!1)}}),i.on("mousedown",null,function(t){var r=e.getList();r&&r.contains(t.target)||(e.hasFocus=!1)}),i.on("click",n.dataSelector("action","show-shortcuts"),function(t,r){t.preventDefault(),e.showHelp(r)});var r=function(){e.region&&e.refresh()};t.addEventListener(n.event("contentLoaded"),r),t.addEventListener(n.event("alertsFiltered"),r)},getList:function(){return this.region?this.region.querySelector(n.selector("alerts-list")):null},getCards:function(){var e=this.getList();return e?Array.prototype.filter.call(e.querySelectorAll(n.selector("alert-card")),function(e){return!e.hidden}):[]},getActive:function(){for(var e=this.getCards(),t=0;t<e.length;t++)if(e[t].getAttribute(n.dataAttr("alert-id"))===this.activeId)return e[t];return null},refresh:function(){for(var e=this.getCards(),r=this.getActive()||e[0]||null,s=this.hasFocus&&(t.activeElement===t.body||!t.activeElement),a=this.getList(),i=a?a.querySelectorAll(n.selector("alert-card")):[],o=0;o<i.length;o++)i[o].setAttribute("tabindex","-1");r&&this.setActive(r,s)},setActive:function(e,t){for(var r=this.getList(),s=r?r.querySelectorAll(n.selector("alert-card")):[],a=0;a<s.length;a++)s[a].setAttribute("tabindex",s[a]===e?"0":"-1");this.activeId=e.getAttribute(n.dataAttr("alert-id")),t&&(e.focus(),"function"==typeof e.scrollIntoView&&e.scrollIntoView({block:"nearest"}))},move:function(e){var t=this.getCards();if(t.length){var r=t.indexOf(this.getActive()),n=-1===r?0:Math.max(0,Math.min(t.length-1,r+e));this.setActive(t[n],!0)}},onKeydown:function(e){var r;if(!(e.defaultPrevented||e.ctrlKey||e.metaKey||e.altKey)&&!((r=e.target)&&1===r.nodeType&&r.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]')||n.Modal&&n.Modal.isOpen())){var s=this.getList(),a=!(!s||!s.contains(e.target)),i=function(e,t){for(var r=0;r<o.length;r++){var n=o[r];if(-1!==n.keys.indexOf(e))return n.list&&-1!==n.list.indexOf(e)&&!t?null:n}return null}(e.key,a);if(i&&("toggle"!==i.id||!e.target.closest("a, button"))){var l=this.getCards(),c=this.getActive();switch(i.id){case"next":this.move(c?1:0);break;case"previous":this.move(-1);break;case"first":l.length&&this.setActive(l[0],!0);break;case"last":l.length&&this.setActive(l[l.length-1],!0);break;case"toggle":if(!c||e.target!==c)return;n.AlertCard&&n.AlertCard.toggle(c);break;case"details":if(!c)return;this.clickAction(c,n.dataSelector("action","alert-details"));break;case"help":this.showHelp(t.activeElement);break;default:if(!c||!i.status)return;if(!this.clickAction(c,n.dataSelector("action","alert-status")+n.dataSelector("status",i.status)))return}e.preventDefault()}}},clickAction:function(e,t){var r=e.querySelector(t);if(!r||r.disabled)return!1;var s=e.getAttribute(n.dataAttr("alert-status"))||"open";return-1===(r.getAttribute(n.dataAttr("hide-for"))||"").split(" ").indexOf(s)&&(r.click(),!0)},showHelp:function(e){var t=n.Modal;if(t){for(var r=a.get("alertShortcuts",{})||{},i=r.labels||{},c="",u=0;u<o.length;u++){var d=o[u];i[d.id]&&(c+='<div class="'+n.cssClass("shortcuts__row")+'"><dt>'+d.keys.map(function(e){return"<kbd>"+s.escapeHtml(l[e]||e)+"</kbd>"}).join(" ")+"</dt><dd>"+s.escapeHtml(i[d.id])+"</dd></div>")}t.open({title:r.title||"",content:'<dl class="'+n.cssClass("shortcuts")+'">'+c+"</dl>",size:"sm",trigger:e})}}};i.register("alertsKeyboard",c),n.AlertsKeyboard=c}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("HistoryChart requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("HistoryChart requires global namespace.");var s=n.Config,a=n.Helpers;if(!s||!a)throw new Error("HistoryChart requires config.js and helpers.js.");var i=n.App;if(!i)throw new Error("HistoryChart requires app.js.");var o=240,l=28,c=48,u=30,d=48,h={critical:"danger",warning:"warning",info:"info"};function p(e){return n.cssClass("history-chart__"+e)}function f(e,r,n){var s=t.createElementNS("http://www.w3.org/2000/svg",e);for(var a in r)Object.prototype.hasOwnProperty.call(r,a)&&null!==r[a]&&void 0!==r[a]&&s.setAttribute(a,r[a]);return n&&n.appendChild(s),s}function g(e,t,r){try{return JSON.parse(e.getAttribute(n.dataAttr(t))||"")||r}catch(e){return r}}function v(e){if(e<=0)return 4;for(var t=e/4,r=Math.pow(10,Math.floor(Math.log(t)/Math.LN10)),n=[1,2,2.5,5,10],s=0;s<n.length;s++)if(n[s]*r>=t)return Math.max(4,n[s]*r*4);return Math.max(4,10*r*4)}function m(e,t){for(var r=0,n=0;n<e.length;n++)for(var s=0;s<t.length;s++){var a=e[n][t[s]];"number"==typeof a&&a>r&&(r=a)}return r}function y(e,t,r,n){for(var s="",a=!1,i=0;i<e.length;i++){var o=e[i][t];"number"==typeof o?(s+=(a?"L":"M")+r(i).toFixed(1)+","+n(o).toFixed(1),a=!0):a=!1}return s}var b={charts:[],selector:n.dataSelector("history-chart"),init:function(){this.bindEvents()},mount:function(e){this.charts.push(e),this.render(e)},unmount:function(e){var t=this.charts.indexOf(e);-1!==t&&this.charts.splice(t,1)},bindEvents:function(){var r=this,s=function(){for(var e=0;e<r.charts.length;e++)r.render(r.charts[e])};t.addEventListener(n.event("themeChanged"),function(){e.requestAnimationFrame(s)}),e.addEventListener("resize",a.debounce(s,150))},getPalette:function(){var e=s.getColors();return{pageviews:e.primary||"#7367f0",errors404:e.danger||"#ff4c51",critical:e.danger||"#ff4c51",warning:e.warning||"#ff9f43",info:e.info||"#00bad1"}},render:function(e){var t=g(e,"chart-data",[]),r=g(e,"chart-labels",{}),s=e.querySelector("."+p("canvas"));if(s&&t.length){var a=this.getPalette(),i=Math.max(s.clientWidth||0,320),h=o-l-u,b=(i-d-c)/t.length,_=b<10?1.5:3,w=v(m(t,["pageviews","baseline_pageviews"])),A=v(m(t,["errors_404","baseline_404"])),E=function(e){return d+b*(e+.5)},C=function(e){return l+h-e/w*h},q=function(e){return l+h-e/A*h},S=f("svg",{class:p("svg"),width:i,height:o,viewBox:"0 0 "+i+" "+o,role:"group","aria-label":e.getAttribute(n.dataAttr("chart-title"))||""});this.drawAxes(S,t,E,w,A,h,i),f("path",{class:p("baseline"),d:y(t,"baseline_pageviews",E,C),stroke:a.pageviews},S),f("path",{class:p("baseline"),d:y(t,"baseline_404",E,q),stroke:a.errors404},S),f("path",{class:p("line"),d:y(t,"pageviews",E,C),stroke:a.pageviews},S),f("path",{class:p("line"),d:y(t,"errors_404",E,q),stroke:a.errors404},S);for(var k=0;k<t.length;k++)f("circle",{class:p("dot"),cx:E(k),cy:C(t[k].pageviews),r:_,fill:a.pageviews},S),f("circle",{class:p("dot"),cx:E(k),cy:q(t[k].errors_404),r:_,fill:a.errors404},S),this.drawMarkers(S,t[k],E(k),a);this.drawHitAreas(e,S,t,r,E,b,h),s.innerHTML="",s.appendChild(S),this.renderLegend(e,r,a)}},drawAxes:function(e,t,r,n,s,i,o){for(var u=0;u<=4;u++){var h=l+i-u/4*i;f("line",{class:p("grid"),x1:d,x2:o-c,y1:h,y2:h},e),f("text",{class:p("axis"),x:d-8,y:h,"text-anchor":"end","dominant-baseline":"middle"},e).textContent=a.formatNumber(Math.round(n*u/4)),f("text",{class:p("axis"),x:o-c+8,y:h,"text-anchor":"start","dominant-baseline":"middle"},e).textContent=a.formatNumber(Math.round(s*u/4))}for(var g=Math.max(1,Math.ceil(t.length/Math.max(1,Math.floor((o-d-c)/56)))),v=0;v<t.length;v++)(t.length-1-v)%g==0&&(f("text",{class:p("axis"),x:r(v),y:232,"text-anchor":"middle"},e).textContent=t[v].short_label||t[v].date)},drawMarkers:function(e,t,r,n){for(var s=t.alerts||[],a=Math.min(s.length,3),i=0;i<a;i++){var o=s[i].severity;f("circle",{class:p("marker"),cx:r+10*(i-(a-1)/2),cy:l-14,r:4,fill:n[o]||n.info},e)}},drawHitAreas:function(e,t,r,n,s,a,i){var c=this,u=f("line",{class:p("guide"),y1:l-20,y2:l+i,visibility:"hidden"},t),d=[];r.forEach(function(i,l){var h=f("rect",{class:p("hit"),x:s(l)-a/2,y:0,width:a,height:o,tabindex:l===r.length-1?0:-1,role:"img","aria-label":c.describe(i,n)},t);d.push(h);var g=function(){u.setAttribute("x1",s(l)),u.setAttribute("x2",s(l)),u.setAttribute("visibility","visible"),c.showTooltip(e,i,n,s(l))},v=function(){u.setAttribute("visibility","hidden"),c.hideTooltip(e)};h.addEventListener("mouseenter",g),h.addEventListener("focus",function(){for(var e=0;e<d.length;e++)d[e].setAttribute("tabindex",e===l?0:-1);g()}),h.addEventListener("mouseleave",v),h.addEventListener("blur",v)}),t.addEventListener("keydown",function(e){var t=d.indexOf(e.target);if(-1!==t){var r={ArrowLeft:t-1,ArrowRight:t+1,Home:0,End:d.length-1}[e.key];"number"==typeof r&&(e.preventDefault(),d[Math.max(0,Math.min(d.length-1,r))].focus())}})},describe:function(e,t){var r=[e.label||e.date,(t.pageviews||"Pageviews")+": "+a.formatNumber(e.pageviews),(t.errors404||"404 Errors")+": "+a.formatNumber(e.errors_404)];return e.alerts&&e.alerts.length&&r.push((t.alerts||"Alerts")+": "+e.alerts.map(function(e){return e.title}).join(", ")),r.join(". ")},showTooltip:function(e,t,r,n){var s=e.querySelector("."+p("tooltip"));if(s){var i=function(e,t,n){return'<div class="'+p("tooltip-row")+'"><span>'+a.escapeHtml(e)+"</span> <strong>"+a.escapeHtml(a.formatNumber(t))+"</strong>"+("number"==typeof n?' <span class="'+p("tooltip-baseline")+'">('+a.escapeHtml(r.baseline||"Baseline")+" "+a.escapeHtml(a.formatNumber(Math.round(n)))+")</span>":"")+"</div>"},o='<div class="'+p("tooltip-title")+'">'+a.escapeHtml(t.label||t.date)+"</div>"+i(r.pageviews||"Pageviews",t.pageviews,t.baseline_pageviews)+i(r.errors404||"404 Errors",t.errors_404,t.baseline_404);if(t.alerts&&t.alerts.length){o+='<ul class="'+p("tooltip-alerts")+'">';for(var l=0;l<t.alerts.length;l++)o+='<li class="'+p("tooltip-alert")+" "+p("tooltip-alert--"+(h[t.alerts[l].severity]||"info"))+'">'+a.escapeHtml(t.alerts[l].title)+"</li>";o+="</ul>"}s.innerHTML=o,s.hidden=!1;var c=e.clientWidth-s.offsetWidth-8;s.style.left=Math.max(8,Math.min(c,n-s.offsetWidth/2))+"px"}},hideTooltip:function(e){var t=e.querySelector("."+p("tooltip"));t&&(t.hidden=!0)},renderLegend:function(e,t,r){var n=e.querySelector("."+p("legend"));if(n){var s=function(e,t,r){return'<span class="'+p("legend-item")+'"><span class="'+p("swatch")+(r?" "+p("swatch--"+r):"")+'" style="--swatch-color:'+a.escapeHtml(t)+'"></span>'+a.escapeHtml(e)+"</span>"};n.innerHTML=s(t.pageviews||"Pageviews",r.pageviews)+s(t.errors404||"404 Errors",r.errors404)+s(t.baseline||"Baseline",r.pageviews,"dashed")+s(t.alerts||"Alerts",r.warning,"marker")}}};i.register("historyChart",b),n.HistoryChart=b}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("HistoryRange requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("HistoryRange requires global namespace.");var s=n.Helpers,a=n.Api,i=n.App;if(!s||!a||!i)throw new Error("HistoryRange requires helpers.js, api.js and app.js.");var o={root:null,labels:{},cache:{},pending:null,selector:n.dataSelector("history"),init:function(){this.bindEvents()},mount:function(e){if(!this.root){this.root=e,this.cache={};try{this.labels=JSON.parse(e.getAttribute(n.dataAttr("pager-labels"))||"{}")||{}}catch(e){this.labels={}}this.cache[this.getDays()]=e.innerHTML,this.setPressed(this.getDays()),this.paginate(1)}},unmount:function(e){e===this.root&&(this.root=null,this.cache={},this.pending=null)},bindEvents:function(){var e=this;i.on("click",n.dataSelector("action","history-range"),function(t,r){e.root&&(t.preventDefault(),e.load(parseInt(r.getAttribute(n.dataAttr("days")),10)))}),i.on("click",n.dataSelector("action","history-page"),function(t,r){e.root&&e.root.contains(r)&&(t.preventDefault(),e.paginate(parseInt(r.getAttribute(n.dataAttr("page")),10)))})},getDays:function(){return parseInt(this.root.getAttribute(n.dataAttr("days")),10)||7},getButtons:function(){return t.querySelectorAll(n.dataSelector("action","history-range"))},setPressed:function(e){for(var t=this.getButtons(),r=0;r<t.length;r++){var s=parseInt(t[r].getAttribute(n.dataAttr("days")),10)===e;t[r].setAttribute("aria-pressed",s?"true":"false")}},setBusy:function(e){for(var t=this.getButtons(),r=0;r<t.length;r++)t[r].disabled=e;this.root&&this.root.setAttribute("aria-busy",e?"true":"false")},load:function(e){var t=this;return e&&e!==this.getDays()&&this.pending!==e?this.cache[e]?(this.apply(e,this.cache[e]),Promise.resolve()):(this.pending=e,this.setBusy(!0),a.post("get_history",{days:e}).then(function(r){if(t.root){var n=r.data||{};t.cache[n.days||e]=n.html||"",t.apply(n.days||e,n.html||"")}}).catch(function(){return null}).then(function(){t.pending=null,t.setBusy(!1)})):Promise.resolve()},apply:function(e,t){this.root.innerHTML=t,this.root.setAttribute(n.dataAttr("days"),e),this.setPressed(e),this.writeUrl(e),this.paginate(1),i.contentLoaded(this.root),n.dispatch("historyRangeChanged",{days:e},this.root)},writeUrl:function(t){if(e.history&&"function"==typeof e.history.replaceState)try{var r=new URL(e.location.href);r.searchParams.set("history_days",t),e.history.replaceState(e.history.state,"",r.toString())}catch(e){}},paginate:function(e){var t=this.root.querySelector(n.selector("table")),r=t?t.querySelectorAll("tbody tr"):[],s=Math.ceil(r.length/10);e=Math.max(1,Math.min(e||1,s||1));for(var a=0;a<r.length;a++)r[a].hidden=s>1&&(a<10*(e-1)||a>=10*e);this.renderPager(t,e,s)},renderPager:function(e,r,a){var i=this.root.querySelector(n.selector("history-pager"));if(a<=1||!e)i&&i.parentNode.removeChild(i);else{if(!i){(i=t.createElement("nav")).className=n.cssClass("history-pager"),i.setAttribute("aria-label",this.labels.navigation||"");var o=e.closest(n.selector("table-card"))||e;o.parentNode.insertBefore(i,o.nextSibling)}var l=function(e,t,r){return'<button type="button" class="'+n.cssClass("btn")+" "+n.cssClass("btn-sm")+" "+n.cssClass("btn-outline-secondary")+'" '+n.dataAttr("action")+'="history-page" '+n.dataAttr("page")+'="'+t+'"'+(r?" disabled":"")+">"+s.escapeHtml(e)+"</button>"},c=(this.labels.page||"%1$s / %2$s").replace("%1$s",s.formatNumber(r)).replace("%2$s",s.formatNumber(a));i.innerHTML=l(this.labels.previous||"‹",r-1,r<=1)+'<span class="'+n.cssClass("history-pager__status")+'" aria-live="polite">'+s.escapeHtml(c)+"</span>"+l(this.labels.next||"›",r+1,r>=a)}}};i.register("historyRange",o),n.HistoryRange=o}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("DataExport requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("DataExport requires global namespace.");var s=n.Helpers,a=n.Api,i=n.App;if(!s||!a||!i)throw new Error("DataExport requires helpers.js, api.js and app.js.");var o=["id","alert_date","type","type_label","severity","status","title","message","created_at"],l=["date","pageviews","errors_404","baseline_pageviews","baseline_404","alerts"];function c(e,t){return e.getAttribute(n.dataAttr(t))||""}function u(){var e=new Date,t=function(e){return(e<10?"0":"")+e};return e.getFullYear()+"-"+t(e.getMonth()+1)+"-"+t(e.getDate())}function d(e){if(null==e)return"";var t="object"==typeof e?JSON.stringify(e):String(e);return/^[=+\-@\t\r]/.test(t)&&isNaN(Number(t))&&(t="'"+t),/[",\r\n]/.test(t)?'"'+t.replace(/"/g,'""')+'"':t}function h(e){var t,r={};for(t=0;t<o.length;t++)r[o[t]]=e[o[t]];var n=s.isPlainObject(e.meta)?e.meta:{};for(var a in n)Object.prototype.hasOwnProperty.call(n,a)&&(r["meta_"+a]=n[a]);return r}var p={init:function(){var e=this;i.on("click",n.dataSelector("action","export"),function(t,r){t.preventDefault(),e.run(c(r,"export"),c(r,"format")||"csv",r)})},run:function(e,r,s){var a=this,i="history"===e?this.collectHistory():this.collectAlerts();return s&&(s.disabled=!0),Promise.resolve(i).then(function(s){s&&s.rows.length&&(a.download(s.name+"."+r,"json"===r?a.toJson(s.rows):a.toCsv(s.rows,s.columns),r),n.dispatch("dataExported",{source:e,format:r,count:s.rows.length},t))}).catch(function(){return null}).then(function(){s&&(s.disabled=!1)})},collectAlerts:function(){for(var e=t.querySelectorAll(n.selector("alerts-list")+" "+n.selector("alert-card")),r=[],s="",i="",l=0;l<e.length;l++)if(!e[l].hidden){var d=c(e[l],"alert-id"),p=c(e[l],"alert-date");d&&r.push(parseInt(d,10)),p&&(!s||p<s)&&(s=p),p&&(!i||p>i)&&(i=p)}return r.length?a.rest("alerts",{params:{date_from:s,date_to:i,per_page:100}}).then(function(e){for(var t={},s=Array.isArray(e.data)?e.data:[],a=0;a<s.length;a++)t[s[a].id]=s[a];var i=r.map(function(e){return t[e]}).filter(Boolean),l=i.map(h),c=o.slice();return l.forEach(function(e){for(var t in e)Object.prototype.hasOwnProperty.call(e,t)&&-1===c.indexOf(t)&&c.push(t)}),{name:n.cssClass("alerts-"+u()),columns:c,rows:l}}):Promise.resolve(null)},collectHistory:function(){var e,r=t.querySelector(n.dataSelector("history")),s=r&&r.querySelector(n.dataSelector("history-chart"));try{e=s?JSON.parse(c(s,"chart-data")||"[]"):[]}catch(t){e=[]}return{name:n.cssClass("history-"+(r&&c(r,"days")||"7")+"d-"+u()),columns:l,rows:e.map(function(e){return{date:e.date,pageviews:e.pageviews,errors_404:e.errors_404,baseline_pageviews:e.baseline_pageviews,baseline_404:e.baseline_404,alerts:(e.alerts||[]).map(function(e){return e.title}).join("; ")}})}},toCsv:function(e,t){for(var r=[t.map(d).join(",")],n=0;n<e.length;n++)r.push(t.map(function(t){return d(e[n][t])}).join(","));return r.join("\r\n")+"\r\n"},toJson:function(e){return JSON.stringify(e,null,2)},download:function(e,r,n){var s=new Blob("json"===n?[r]:["\ufeff",r],{type:"json"===n?"application/json":"text/csv;charset=utf-8"}),a=URL.createObjectURL(s),i=t.createElement("a");i.href=a,i.download=e,i.style.display="none",t.body.appendChild(i),i.click(),t.body.removeChild(i),setTimeout(function(){URL.revokeObjectURL(a)},0)}};i.register("dataExport",p),n.DataExport=p}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("DesktopNotifications requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("DesktopNotifications requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("DesktopNotifications requires helpers.js and config.js.");var i=n.Api,o=n.App;if(!i||!o)throw new Error("DesktopNotifications requires api.js and app.js.");function l(){return"function"==typeof e.Notification}var c={settings:{},enabled:!1,storageKey:n.storageKey("notified-alerts"),init:function(){var r=this;this.settings=a.get("notifications",{})||{},this.enabled=!!this.settings.enabled,this.focusAlert(),l()&&(this.renderToggles(),o.on("click",n.dataSelector("action","desktop-notifications"),function(e,t){e.preventDefault(),r.toggle(t)}),e.jQuery&&e.jQuery(t).on("heartbeat-send",function(e,t){r.isActive()&&(t[r.settings.heartbeatKey]=1)}).on("heartbeat-tick",function(e,t){var n=t&&t[r.settings.heartbeatKey];Array.isArray(n)&&n.forEach(r.show,r)}))},isActive:function(){return this.enabled&&l()&&"granted"===e.Notification.permission},renderToggles:function(){for(var e=this.settings.labels||{},r=this.enabled,s=t.querySelectorAll(n.dataSelector("action","desktop-notifications")),a=0;a<s.length;a++)s[a].hidden=!1,s[a].setAttribute("aria-pressed",r?"true":"false"),s[a].title=(r?e.disable:e.enable)||""},toggle:function(t){var r=this,s=this.settings.labels||{};this.enabled?this.save(!1,t):Promise.resolve(e.Notification.requestPermission()).then(function(e){"granted"===e?r.save(!0,t):n.Toast&&s.denied&&n.Toast.warning(s.denied)})},save:function(e,t){var r=this;t.disabled=!0,i.post("set_desktop_notifications",{enabled:e?1:0}).then(function(t){r.enabled=e,r.renderToggles(),t.message&&n.Toast&&n.Toast.success(t.message)}).catch(function(){}).then(function(){t.disabled=!1})},claim:function(t){var r=[];try{if(r=JSON.parse(e.localStorage.getItem(this.storageKey)||"[]"),Array.isArray(r)||(r=[]),-1!==r.indexOf(t))return!1;r.push(t),e.localStorage.setItem(this.storageKey,JSON.stringify(r.slice(-50)))}catch(e){}return!0},show:function(t){if(this.isActive()&&t&&t.id&&this.claim(t.id)){var r=new e.Notification(t.title,{body:t.body||"",tag:n.storageKey("alert-"+t.id),requireInteraction:"critical"===t.severity});r.onclick=function(){e.focus(),e.location.href=t.url,r.close()}}},focusAlert:function(){var r=this.settings.queryArg,s=r&&new RegExp("[?&]"+r+"=(\\d+)").exec(e.location.search);if(s){var a=t.querySelector(n.dataSelector("alert-id",s[1]));if(a){var i=a.querySelector(n.selector("alert-card__toggle"));i&&"true"!==i.getAttribute("aria-expanded")&&n.AlertCard&&n.AlertCard.toggle(a),a.scrollIntoView({block:"center"}),i&&i.focus({preventScroll:!0})}}}};o.register("desktopNotifications",c),n.DesktopNotifications=c}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("UnseenAlerts requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("UnseenAlerts requires global namespace.");var s=n.Config,a=n.App;if(!s||!a)throw new Error("UnseenAlerts requires config.js and app.js.");var i={settings:{},count:null,severity:"",init:function(){var r=this;this.settings=s.get("unseenAlerts",{})||{},this.settings.heartbeatKey&&e.jQuery&&e.jQuery(t).on("heartbeat-send",function(e,t){t[r.settings.heartbeatKey]=1}).on("heartbeat-tick",function(e,t){var n=t&&t[r.settings.heartbeatKey];n&&r.update(parseInt(n.count,10)||0,n.severity||"")})},update:function(e,r){if(e!==this.count||r!==this.severity){this.count=e,this.severity=r;var s=(this.settings.colors||{})[r]||"#3b82f6";this.updateMenu(e,s),this.updateAdminBar(e,s),n.dispatch("alerts:unseen",{count:e,severity:r},t)}},updateMenu:function(e,r){var n=t.querySelector("#"+this.settings.menuItem+" .wp-menu-name");if(n){var s=n.querySelector(".update-plugins");e?(s||((s=t.createElement("span")).innerHTML='<span class="plugin-count"></span>',n.appendChild(t.createTextNode(" ")),n.appendChild(s)),s.className="update-plugins count-"+e,s.style.backgroundColor=r,s.querySelector(".plugin-count").textContent=String(e)):s&&s.parentNode.removeChild(s)}},updateAdminBar:function(e,r){var n=t.getElementById(this.settings.adminBarNode);if(n){var s=n.querySelector(".ab-label"),a=n.querySelector(".ab-item");s&&(s.textContent=String(e),s.hidden=!e,s.style.backgroundColor=e?r:""),a&&this.settings.label&&(a.title=this.settings.label.replace("%d",e))}}};a.register("unseenAlerts",i),n.UnseenAlerts=i}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("ClientErrors requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("ClientErrors requires global namespace.");var s=n.Config,a=n.Api,i=n.App;if(!s||!a||!i)throw new Error("ClientErrors requires config.js, api.js and app.js.");var o={init:function(){var e=this;i.on("click",n.dataSelector("action","clear-client-errors"),function(t,r){t.preventDefault(),e.confirmClear(r)})},getLabels:function(){return(s.get("clientErrors",{})||{}).labels||{}},confirmClear:function(t){var r=this,s=n.Modal,a=this.getLabels().confirm||"";s?s.confirm({message:a,danger:!0,trigger:t}).then(function(e){e&&r.clear(t)}):e.confirm(a)&&this.clear(t)},clear:function(e){var r=this.getLabels();e.disabled=!0,a.post("clear_client_errors").then(function(e){var s=t.querySelector(n.dataSelector("region","client-errors"));s&&(s.innerHTML=e.data&&e.data.html||"",i.contentLoaded(s)),n.Toast&&r.cleared&&n.Toast.success(r.cleared)}).catch(function(){e.disabled=!1})}};i.register("clientErrors",o),n.ClientErrors=o}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("AlertThresholds requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("AlertThresholds requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("AlertThresholds requires helpers.js and config.js.");var i=n.Api,o=n.App;if(!i||!o)throw new Error("AlertThresholds requires api.js and app.js.");var l={critical:"badge--danger",warning:"badge--warning",info:"badge--info"},c=s.escapeHtml;function u(e){return n.cssClass(e)}function d(e,t){for(var r=0,n=0;n<e.length;n++)r+=e[n][t];return e.length?r/e.length:0}function h(e){return e.map(function(e){return e.type+":"+e.severity}).join(",")}var p={root:null,settings:{},history:[],saved:null,saving:!1,selector:n.dataSelector("alert-thresholds"),init:function(){var e=this,t=this.selector+" "+n.dataSelector("field");this.settings=a.get("alertThresholds",{})||{},o.on("input",t,s.debounce(function(){e.update()},150)),o.on("submit",this.selector,function(t){t.preventDefault(),e.save()}),o.on("click",n.dataSelector("action","restore-thresholds"),function(t){t.preventDefault(),e.restoreDefaults()}),o.on("change",n.dataSelector("action","toggle-beacon"),function(t,r){e.toggleBeacon(r)})},mount:function(e){if(!this.root){this.root=e;try{this.history=JSON.parse(e.getAttribute(n.dataAttr("history"))||"[]")||[]}catch(e){this.history=[]}this.saved=this.read(),this.update()}},unmount:function(e){e===this.root&&(this.root=null,this.history=[],this.saved=null)},getInputs:function(){return this.root?this.root.querySelectorAll(n.dataSelector("field")):[]},read:function(){for(var e=this.getInputs(),t={},r=0;r<e.length;r++){var s=e[r].getAttribute(n.dataAttr("rule")),a=e[r].getAttribute(n.dataAttr("field")),i=parseFloat(e[r].value);isNaN(i)&&(i=this.saved?this.saved[s][a]:parseFloat(e[r].defaultValue)),t[s]=t[s]||{},t[s][a]=Math.min(parseFloat(e[r].max),Math.max(parseFloat(e[r].min),i))}return t.traffic_drop&&(t.traffic_drop.critical_pct=Math.max(t.traffic_drop.critical_pct,t.traffic_drop.drop_pct)),t},write:function(e){for(var t=this.getInputs(),r=0;r<t.length;r++){var s=e[t[r].getAttribute(n.dataAttr("rule"))]||{},a=t[r].getAttribute(n.dataAttr("field"));void 0!==s[a]&&(t[r].value=s[a])}},evaluate:function(e){var t=parseFloat(this.settings.lowBaseline404)||0,r=this.history;return r.map(function(n,s){return function(e,t,r,n){var s=[];return Object.keys(r).forEach(function(a){var i=r[a],o=i.baseline_days;if(!(t.length<o)){var l=t.slice(t.length-o);if("traffic_drop"===a||"traffic_spike"===a){var c=d(l,"pageviews");if(c<=0)return;var u=100*(e.pageviews/c-1);"traffic_drop"===a&&-u>i.drop_pct&&s.push({type:a,severity:-u>=i.critical_pct?"critical":"warning",changePct:u}),"traffic_spike"===a&&u>i.increase_pct&&s.push({type:a,severity:"info",changePct:u})}if("error_404_spike"===a&&e.errors_404>0){var h=d(l,"errors_404");(h<n?e.errors_404>=i.min_errors:e.errors_404>i.multiplier*h)&&s.push({type:a,severity:"warning",changePct:h>0?100*(e.errors_404/h-1):null})}}}),s}(n,r.slice(0,s),e,t)})},update:function(){if(this.root){var e=this.read(),t=JSON.stringify(e)!==JSON.stringify(this.saved),r=this.settings.labels||{},s=this.root.querySelector(n.selector("alert-thresholds__status")),a=this.root.querySelector(n.dataSelector("action","save-thresholds"));s&&(s.textContent=t&&r.unsaved||""),a&&!this.saving&&(a.disabled=!t),this.renderPreview(this.evaluate(this.saved),this.evaluate(e))}},renderPreview:function(e,r){var a=t.querySelector(n.dataSelector("region","threshold-preview")),i=t.querySelector(n.selector("alert-thresholds__summary")),o=this.settings.labels||{},l=0,d=0,p="";if(a){for(var f=this.history.length-1;f>=0;f--)if(l+=e[f].length,d+=r[f].length,e[f].length||r[f].length){var g=h(e[f])!==h(r[f]),v=this.history[f];p+="<tr"+(g?' class="'+u("alert-thresholds__row--changed")+'"':"")+"><td>"+c(v.label||v.date)+"</td><td>"+c(s.formatNumber(v.pageviews))+"</td><td>"+c(s.formatNumber(v.errors_404))+"</td><td>"+this.renderAlerts(e[f])+"</td><td>"+this.renderAlerts(r[f])+"</td></tr>"}i&&(i.textContent=this.history.length?(o.summary||"").replace("%1$s",s.formatNumber(d)).replace("%2$s",s.formatNumber(l)).replace("%3$s",s.formatNumber(this.history.length)):""),a.innerHTML=p?'<div class="'+u("card")+" "+u("table-card")+'"><div class="'+u("table-responsive")+'"><table class="'+u("table")+" "+u("alert-thresholds__preview")+'"><thead><tr><th>'+c(o.date||"")+"</th><th>"+c(o.pageviews||"")+"</th><th>"+c(o.errors404||"")+"</th><th>"+c(o.savedValues||"")+"</th><th>"+c(o.editedValues||"")+"</th></tr></thead><tbody>"+p+"</tbody></table></div></div>":'<p class="'+u("alert-thresholds__empty")+'">'+c(this.history.length?o.noAlerts||"":o.notEnough||"")+"</p>"}},renderAlerts:function(e){var t=this.settings.types||{},r="";if(!e.length)return'<span class="'+u("text-muted")+'">'+c((this.settings.labels||{}).none||"")+"</span>";for(var n=0;n<e.length;n++){var s=e[n].changePct;r+='<span class="'+u("badge")+" "+u(l[e[n].severity]||l.info)+'">'+c(t[e[n].type]||e[n].type)+("number"==typeof s?" "+c((s>0?"+":"")+Math.round(s)+"%"):"")+"</span> "}return r},toggleBeacon:function(e){var t=this.settings.labels||{},r=e.checked;e.disabled=!0,i.post("set_pageview_beacon",{enabled:r?1:0}).then(function(r){e.checked=!(!r.data||!r.data.enabled);var s=e.checked?t.beaconOn:t.beaconOff;n.Toast&&s&&n.Toast.success(s)}).catch(function(){e.checked=!r}).then(function(){e.disabled=!1})},restoreDefaults:function(){this.root&&this.settings.defaults&&(this.write(this.settings.defaults),this.update())},save:function(){var e=this,t=this.settings.labels||{},r=this.root?this.root.querySelector(n.dataSelector("action","save-thresholds")):null;this.root&&("function"!=typeof this.root.reportValidity||this.root.reportValidity())&&(this.saving=!0,r&&(r.disabled=!0),i.post("save_alert_thresholds",{thresholds:JSON.stringify(this.read())}).then(function(r){var s=r.data&&r.data.thresholds;s&&e.root&&(e.write(s),e.saved=e.read()),n.Toast&&t.saved&&n.Toast.success(t.saved)}).catch(function(){}).then(function(){e.saving=!1,e.update()}))}};o.register("alertThresholds",p),n.AlertThresholds=p}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Extensions requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Extensions requires global namespace.");var s=n.Helpers,a=n.Config;if(!s||!a)throw new Error("Extensions requires helpers.js and config.js.");var i=n.Hooks,o=n.App;if(!i||!o)throw new Error("Extensions requires hooks.js and app.js.");var l=s.escapeHtml,c=s.escapeAttr,u={};function d(e){return n.cssClass(e)}function h(e,t){return e.getAttribute(n.dataAttr(t))||""}function p(e){return Array.isArray(e)?e.filter(s.isPlainObject):[]}function f(e,r,a){var i=s.uniqueId("extension-"),o=t.createElement("button");return o.type="button",o.className=d("btn")+" "+d("btn-sm")+" "+d("btn-"+(e.variant||"outline-secondary")),o.textContent=e.label||"",o.setAttribute(n.dataAttr("action"),"extension"),o.setAttribute(n.dataAttr("extension"),i),o.setAttribute(n.dataAttr("extension-id"),e.id||""),u[i]=r,a.push(i),o}function g(e){for(var t=0;t<(e||[]).length;t++)delete u[e[t]]}function v(e){var t=e.querySelector(n.selector("alert-card__title"));return{id:parseInt(h(e,"alert-id"),10)||0,type:h(e,"alert-type"),severity:h(e,"alert-severity"),status:h(e,"alert-status")||"open",date:h(e,"alert-date"),title:t?t.textContent:"",card:e}}var m={selector:n.selector("alert-card"),mount:function(e){var t=v(e),r=[];return this.addActions(e,t,r),this.addSections(e,t),r},unmount:function(e,t){g(t)},addActions:function(e,t,r){var s=e.querySelector(n.selector("alert-card__actions"));s&&p(i.applyFilters("alertCard.actions",[],t)).forEach(function(t){var a=f(t,function(r){"function"==typeof t.onClick&&t.onClick(v(e),r)},r);Array.isArray(t.hideFor)&&t.hideFor.length&&a.setAttribute(n.dataAttr("hide-for"),t.hideFor.join(" ")),s.appendChild(a)})},addSections:function(e,r){var o=p(i.applyFilters("alertCard.sections",[],r));if(o.length){var c=function(e){var r=e.querySelector(n.selector("alert-card__details"));if(r)return r;var i=e.querySelector(n.selector("alert-card__content"));if(!i)return null;var o=(a.get("alertCard",{})||{}).labels||{},l=s.uniqueId(d("alert-"))+"-details",c=t.createElement("button");return(r=t.createElement("div")).id=l,r.className=d("alert-card__details"),r.hidden=!0,i.appendChild(r),c.type="button",c.className=d("alert-card__toggle"),c.setAttribute("aria-expanded","false"),c.setAttribute("aria-controls",l),c.setAttribute("aria-label",o.toggle||""),c.innerHTML='<span class="'+d("icon--chevron-down")+'"></span>',i.parentNode.appendChild(c),e.classList.add(d("alert-card--collapsible")),r}(e);c&&o.forEach(function(e){var s=t.createElement("div"),a="function"==typeof e.content?e.content(r):e.content;s.className=d("alert-card__section"),s.setAttribute(n.dataAttr("extension-id"),e.id||""),s.innerHTML='<h6 class="'+d("alert-card__section-title")+'">'+l(e.title||"")+"</h6>";var i=t.createElement("div");!function(e,t){t&&"object"==typeof t&&1===t.nodeType?e.appendChild(t):e.innerHTML=t||""}(i,a),s.appendChild(i),c.appendChild(s)})}}},y={selector:n.dataSelector("region","digest")+" > "+n.selector("row"),mount:function(e){p(i.applyFilters("digest.cards",[])).forEach(function(r){var s=t.createElement("div"),a=r.color||"primary";s.className=d("col-12")+" "+d("col-sm-6")+" "+d("col-lg-3"),s.setAttribute(n.dataAttr("extension-id"),r.id||""),s.innerHTML='<div class="'+d("stat-card")+'"><div class="'+d("stat-card__body")+'"><div class="'+d("stat-card__icon")+" "+d("stat-card__icon--"+c(a))+'"><span class="'+c(r.iconClass||d("icon--alert"))+'"></span></div><div class="'+d("stat-card__content")+'"><p class="'+d("stat-card__label")+'">'+l(r.label||"")+'</p><h4 class="'+d("stat-card__value")+'">'+l(void 0===r.value?"0":String(r.value))+"</h4>"+(r.subtitle?'<p class="'+d("stat-card__subtitle")+'">'+l(r.subtitle)+"</p>":"")+"</div></div></div>",e.appendChild(s)})}},b={selector:n.dataSelector("alerts-toolbar"),mount:function(e){var t=e.querySelector(n.selector("alerts-toolbar__field--actions")),r=[];if(!t)return r;var s=function(){var e=n.AlertsToolbar;return e?e.getState():{}};return p(i.applyFilters("alertsToolbar.buttons",[],s())).forEach(function(e){t.appendChild(f(e,function(t){"function"==typeof e.onClick&&e.onClick(s(),t)},r))}),r},unmount:function(e,t){g(t)}},_={init:function(){o.on("click",n.dataSelector("action","extension"),function(e,t){var r=u[h(t,"extension")];r&&(e.preventDefault(),r(t))})},addAlertAction:function(e,t,r){i.addFilter("alertCard.actions",e,function(e,r){var n="function"==typeof t?t(r):t;return n?e.concat([n]):e},r)},addAlertSection:function(e,t,r,n){i.addFilter("alertCard.sections",t,function(t,n){return"*"===e||n.type===e?t.concat([r]):t},n)},addDigestCard:function(e,t,r){i.addFilter("digest.cards",e,function(e){return e.concat([t])},r)},addToolbarButton:function(e,t,r){i.addFilter("alertsToolbar.buttons",e,function(e){return e.concat([t])},r)}};o.register("extensions",_),o.register("extensions.alertCard",m),o.register("extensions.digest",y),o.register("extensions.toolbar",b),n.Extensions=_}(window,document),function(e,t){"use strict";var r=e.__PREFIX_CONFIG__;if(!r)throw new Error("Admin requires namespace.js (__PREFIX_CONFIG__).");var n=e[r.namespace];if(!n)throw new Error("Admin requires global namespace.");var s=n.App;if(!s)throw new Error("Admin requires app.js.");"loading"===t.readyState?t.addEventListener("DOMContentLoaded",function(){s.init()}):s.init()}(window,document);
\ No newline at end of file
@@ -0,0 +1 @@
+!function(e){"use strict";var n=Object.freeze({base:"proactive-site-advisor",basePhp:"proactive_site_advisor",namespace:"ProactiveSiteAdvisor",configObject:"proactiveSiteAdvisorConfig"});e.__PREFIX_CONFIG__=n;var t=n.namespace;e[t]=e[t]||{},e[t].__config=n,e[t].cssClass=function(e){return n.base+"-"+e},e[t].cssVar=function(e){return"--"+n.base+"-"+e},e[t].dataAttr=function(e){return"data-"+n.base+"-"+e},e[t].dataSelector=function(e,t){var a="data-"+n.base+"-"+e;return void 0!==t?"["+a+'="'+t+'"]':"["+a+"]"},e[t].event=function(e){return n.base+":"+e},e[t].dispatch=function(a,o,r){e[t].Events&&e[t].Events.watch(a);var c=new CustomEvent(n.base+":"+a,{detail:o||{},bubbles:!0,cancelable:!0});return(r||document).dispatchEvent(c)},e[t].storageKey=function(e){return n.base+"-"+e},e[t].selector=function(e){return"."+n.base+"-"+e},e[t].ajaxAction=function(e){return n.basePhp+"_"+e}}(window),function(e,n){"use strict";var t=e.__PREFIX_CONFIG__;if(t){var a=(e[t.configObject]||{}).beacon;if(a&&a.url&&a.token){var o=e.navigator;if(o&&!o.webdriver){var r=!1;n.prerendering?n.addEventListener("prerenderingchange",c):c()}}}function c(){if(!r){r=!0;var n="token="+encodeURIComponent(a.token)+"&path="+encodeURIComponent(e.location.pathname);o.sendBeacon&&e.Blob&&o.sendBeacon(a.url,new Blob([n],{type:"application/x-www-form-urlencoded"}))||e.fetch&&e.fetch(a.url,{method:"POST",body:n,headers:{"Content-Type":"application/x-www-form-urlencoded"},credentials:"omit",keepalive:!0}).catch(function(){})}}}(window,document);
\ No newline at end of file
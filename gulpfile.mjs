@@ -63,16 +63,46 @@ const paths = {
         src: [
             'assets-src/scripts/core/namespace.js',
             'assets-src/scripts/core/config.js',
+            'assets-src/scripts/core/error-reporter.js',
             'assets-src/scripts/core/helpers.js',
+            'assets-src/scripts/core/events.js',
+            'assets-src/scripts/core/hooks.js',
+            'assets-src/scripts/core/queue.js',
+            'assets-src/scripts/core/api.js',
+            'assets-src/scripts/core/app.js',
+            'assets-src/scripts/components/diagnostics.js',
+            'assets-src/scripts/components/toast.js',
+            'assets-src/scripts/components/queue-indicator.js',
+            'assets-src/scripts/components/modal.js',
+            'assets-src/scripts/components/header.js',
             'assets-src/scripts/components/theme-switcher.js',
+            'assets-src/scripts/components/top-urls.js',
             'assets-src/scripts/components/alert-card.js',
             'assets-src/scripts/components/promo-banner.js',
             'assets-src/scripts/components/admin-notices.js',
+            'assets-src/scripts/components/dashboard-refresh.js',
+            'assets-src/scripts/components/alerts-toolbar.js',
+            'assets-src/scripts/components/alerts-keyboard.js',
+            'assets-src/scripts/components/history-chart.js',
+            'assets-src/scripts/components/history-range.js',
+            'assets-src/scripts/components/data-export.js',
+            'assets-src/scripts/components/desktop-notifications.js',
+            'assets-src/scripts/components/unseen-alerts.js',
+            'assets-src/scripts/components/client-errors.js',
+            'assets-src/scripts/components/alert-thresholds.js',
+            'assets-src/scripts/components/extensions.js',
             'assets-src/scripts/admin.js',
         ],
         watch: 'assets-src/scripts/**/*.js',
         dest: 'assets/js/',
     },
+    beacon: {
+        src: [
+            'assets-src/scripts/core/namespace.js',
+            'assets-src/scripts/beacon.js',
+        ],
+        dest: 'assets/js/',
+    },
 };
 
 /**
@@ -162,6 +192,8 @@ window[NS].event = function(name){
 };
 
 window[NS].dispatch = function(name,detail,target){
+    if (window[NS].Events) window[NS].Events.watch(name);
+
     var event = new CustomEvent(
         CONFIG.base + ':' + name,
         {
@@ -170,7 +202,7 @@ window[NS].dispatch = function(name,detail,target){
             cancelable: true
         }
     );
-    (target || document).dispatchEvent(event);
+    return (target || document).dispatchEvent(event);
 };
 
 window[NS].storageKey = function(key){
@@ -347,10 +379,22 @@ export function compileJs() {
             .pipe(gulp.dest(paths.js.dest));
 }
 
+/**
+ * Front-end beacon (separate bundle: visitors' pages don't load the admin UI)
+ */
+export function compileBeacon() {
+    return gulp
+            .src(paths.beacon.src, {allowEmpty: true})
+            .pipe(concat('beacon.js'))
+            .pipe(terser())
+            .pipe(rename({suffix: '.min'}))
+            .pipe(gulp.dest(paths.beacon.dest));
+}
+
 export const build = gulp.series(
         generatePrefixFiles,
         clean,
-        gulp.parallel(compileScss, compileJs)
+        gulp.parallel(compileScss, compileJs, compileBeacon)
 );
 
 export default build;
@@ -79,7 +79,75 @@ abstract class AbstractAdminPage extends AbstractSingleton
          */
         $output = apply_filters('proactive_site_advisor_admin_render_output', $output, $this);
 
-        echo wp_kses_post($output);
+        echo wp_kses($output, $this->getAllowedHtml());
+    }
+
+    /**
+     * Returns the HTML allowed in rendered page output.
+     *
+     * Extends the post context with the form controls used by page
+     * toolbars and settings forms, and the ARIA states scripts toggle.
+     *
+     * @return array
+     */
+    protected function getAllowedHtml(): array
+    {
+        $global = [
+            'id'       => true,
+            'class'    => true,
+            'name'     => true,
+            'disabled' => true,
+            'data-*'   => true,
+        ];
+
+        // kses only expands the data-* wildcard, so ARIA states are listed one by one.
+        $aria = [
+            'aria-busy'         => true,
+            'aria-controls'     => true,
+            'aria-expanded'     => true,
+            'aria-haspopup'     => true,
+            'aria-keyshortcuts' => true,
+            'aria-live'         => true,
+            'aria-pressed'      => true,
+        ];
+
+        $allowed = array_merge(wp_kses_allowed_html('post'), [
+            'form'     => $global + ['action' => true, 'method' => true],
+            'input'    => $global + [
+                'type'         => true,
+                'value'        => true,
+                'placeholder'  => true,
+                'checked'      => true,
+                'min'          => true,
+                'max'          => true,
+                'step'         => true,
+                'required'     => true,
+                'readonly'     => true,
+                'autocomplete' => true,
+            ],
+            'select'   => $global + ['multiple' => true, 'required' => true],
+            'option'   => $global + ['value' => true, 'selected' => true],
+            'optgroup' => $global + ['label' => true],
+        ]);
+
+        foreach (['button', 'div', 'span', 'p', 'a', 'form', 'input', 'select'] as $tag) {
+            $allowed[$tag] = ($allowed[$tag] ?? []) + $aria;
+        }
+
+        // Let templates render elements initially hidden; scripts reveal them.
+        foreach ($allowed as $tag => $attributes) {
+            if (is_array($attributes)) {
+                $allowed[$tag]['hidden'] = true;
+            }
+        }
+
+        /**
+         * Filter the HTML allowed in admin page output.
+         *
+         * @param array $allowed Allowed tags and attributes (wp_kses format).
+         * @param object $screen Current class instance.
+         */
+        return apply_filters('proactive_site_advisor_admin_allowed_html', $allowed, $this);
     }
 
     /**
@@ -0,0 +1,92 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Abstracts;
+
+use ProactiveSiteAdvisor\REST\RestManager;
+use WP_REST_Response;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AbstractRestController
+ *
+ * Base class for REST controllers registered by RestManager.
+ *
+ * @package ProactiveSiteAdvisor\Abstracts
+ * @version 1.0.0
+ */
+abstract class AbstractRestController
+{
+    /**
+     * Route base (e.g. 'alerts').
+     *
+     * @var string
+     */
+    protected string $restBase = '';
+
+    /**
+     * Capability required to access the routes.
+     *
+     * @var string
+     */
+    protected string $capability = 'manage_options';
+
+    /**
+     * Register the controller routes.
+     *
+     * @return void
+     */
+    abstract public function registerRoutes(): void;
+
+    /**
+     * Permission callback shared by the controller routes.
+     *
+     * @return bool
+     */
+    public function checkPermission(): bool
+    {
+        return current_user_can($this->capability);
+    }
+
+    /**
+     * Register a route under the plugin namespace.
+     *
+     * @param string $route Route path relative to the base (e.g. '/(?P<id>\d+)').
+     * @param array $args Route arguments.
+     * @return void
+     */
+    protected function route(string $route, array $args): void
+    {
+        register_rest_route(RestManager::NAMESPACE, '/' . $this->restBase . $route, $args);
+    }
+
+    /**
+     * Build a collection response with the standard pagination headers.
+     *
+     * @param array $items Response items.
+     * @param int $total Total matching items.
+     * @param int $perPage Items per page.
+     * @return WP_REST_Response
+     */
+    protected function collectionResponse(array $items, int $total, int $perPage): WP_REST_Response
+    {
+        $response = rest_ensure_response($items);
+        $response->header('X-WP-Total', (string)$total);
+        $response->header('X-WP-TotalPages', (string)max(1, (int)ceil($total / max(1, $perPage))));
+
+        return $response;
+    }
+
+    /**
+     * Validate a Y-m-d date argument.
+     *
+     * @param mixed $value Argument value.
+     * @return bool
+     */
+    public function validateDate($value): bool
+    {
+        return is_string($value) && (bool)preg_match('/^\d{4}-\d{2}-\d{2}$/', $value);
+    }
+}
@@ -7,6 +7,7 @@ use ProactiveSiteAdvisor\Components\AssetsComponent;
 use ProactiveSiteAdvisor\Config\PrefixConfig;
 use ProactiveSiteAdvisor\Components\AjaxComponent;
 use ProactiveSiteAdvisor\AdminUI\Theme\ThemeManager;
+use ProactiveSiteAdvisor\REST\RestManager;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -77,9 +78,29 @@ class AdminUIAssets extends AbstractSingleton
         $this->registered = true;
         $this->registerVendors();
 
+        // Register AJAX handler for re-issuing an expired nonce.
+        AjaxComponent::register('refresh_nonce', [$this, 'handleNonceRefresh'], false, false);
+
         add_action('admin_enqueue_scripts', [$this, 'enqueueAssets']);
     }
 
+    /**
+     * Handle the AJAX request for a fresh nonce.
+     *
+     * Nonce verification is skipped on purpose (the client calls this when
+     * its nonce has expired); the request is limited to logged-in users
+     * and still goes through the capability check.
+     *
+     * @return void
+     */
+    public function handleNonceRefresh(): void
+    {
+        AjaxComponent::sendSuccess([
+            'nonce'     => AjaxComponent::createNonce(),
+            'restNonce' => wp_create_nonce('wp_rest'),
+        ]);
+    }
+
     /**
      * Register available vendor libraries.
      *
@@ -176,16 +197,90 @@ class AdminUIAssets extends AbstractSingleton
         AssetsComponent::registerScript(self::CORE_HANDLE, 'js/admin.min.js', ['jquery'], null, true);
         AssetsComponent::enqueueScript(self::CORE_HANDLE);
 
-        // Localize script with config
-        AssetsComponent::localizeScript(self::CORE_HANDLE, PrefixConfig::CONFIG_OBJECT, [
+        $config = [
             'ajaxUrl'   => admin_url('admin-ajax.php'),
             'nonce'     => AjaxComponent::createNonce(),
-            'restUrl'   => rest_url('proactive-site-advisor/v1/'),
+            'restUrl'   => rest_url(RestManager::NAMESPACE . '/'),
             'restNonce' => wp_create_nonce('wp_rest'),
+            'blogId'    => get_current_blog_id(),
+            'userId'    => get_current_user_id(),
             'theme'     => $this->getCurrentTheme(),
-        ]);
+            'i18n'      => $this->getScriptStrings(),
+        ];
+
+        /**
+         * Filter the config object passed to the admin scripts.
+         *
+         * @param array $config Script config (ajaxUrl, nonce, restUrl, restNonce, blogId, userId, theme, i18n).
+         */
+        $config = apply_filters('proactive_site_advisor_admin_script_config', $config);
+
+        // Localize script with config
+        AssetsComponent::localizeScript(self::CORE_HANDLE, PrefixConfig::CONFIG_OBJECT, $config);
 
         $this->coreEnqueued = true;
+
+        $this->enqueueAddonScripts($handle);
+    }
+
+    /**
+     * Enqueue add-on scripts that extend the core admin bundle.
+     *
+     * They load after the bundle (which they depend on) and before the
+     * admin UI starts, so hooks they add apply to the first render.
+     *
+     * @param string $coreHandle Core script handle.
+     * @return void
+     */
+    private function enqueueAddonScripts(string $coreHandle): void
+    {
+        /**
+         * Filter the add-on scripts loaded with the admin UI.
+         *
+         * Each entry is keyed by script handle:
+         * ['src' => string, 'deps' => string[], 'version' => string|null, 'style' => string].
+         * The core admin bundle is added to the dependencies.
+         *
+         * @param array  $scripts    Add-on scripts.
+         * @param string $coreHandle Core script handle.
+         */
+        $scripts = apply_filters('proactive_site_advisor_admin_addon_scripts', [], $coreHandle);
+
+        if (!is_array($scripts)) {
+            return;
+        }
+
+        foreach ($scripts as $handle => $script) {
+            if (!is_string($handle) || empty($script['src'])) {
+                continue;
+            }
+
+            $version = $script['version'] ?? null;
+
+            if (!empty($script['style'])) {
+                wp_enqueue_style($handle, $script['style'], [$coreHandle], $version);
+            }
+
+            wp_enqueue_script(
+                $handle,
+                $script['src'],
+                array_merge([$coreHandle], (array)($script['deps'] ?? [])),
+                $version,
+                true
+            );
+        }
+    }
+
+    /**
+     * Get the handle of the core admin script and style.
+     *
+     * Add-ons enqueueing their own scripts list it as a dependency.
+     *
+     * @return string
+     */
+    public static function getScriptHandle(): string
+    {
+        return AssetsComponent::getHandle(self::CORE_HANDLE);
     }
 
     /**
@@ -235,10 +330,40 @@ class AdminUIAssets extends AbstractSingleton
         $this->enqueuedVendors[] = $vendor;
     }
 
+    /**
+     * Get the translated strings used by the core admin scripts.
+     *
+     * @return array<string, string>
+     */
+    private function getScriptStrings(): array
+    {
+        return [
+            'dismiss'         => __('Dismiss', 'proactive-site-advisor'),
+            'close'           => __('Close', 'proactive-site-advisor'),
+            'cancel'          => __('Cancel', 'proactive-site-advisor'),
+            'confirm'         => __('Confirm', 'proactive-site-advisor'),
+            'confirmTitle'    => __('Are you sure?', 'proactive-site-advisor'),
+            'undo'            => __('Undo', 'proactive-site-advisor'),
+            'requestFailed'   => __('The request failed. Please try again.', 'proactive-site-advisor'),
+            'themeLight'      => __('Light theme enabled.', 'proactive-site-advisor'),
+            'themeDark'       => __('Dark theme enabled.', 'proactive-site-advisor'),
+            'themeSystem'     => __('Theme now follows your system setting.', 'proactive-site-advisor'),
+            'promoDismissed'  => __('Banner dismissed.', 'proactive-site-advisor'),
+            'noticeDismissed' => __('Notice dismissed.', 'proactive-site-advisor'),
+            'queued'          => __('You are offline. The change will be sent when the connection is back.', 'proactive-site-advisor'),
+            /* translators: %d: number of changes */
+            'queuePendingOne' => __('%d change waiting to be sent', 'proactive-site-advisor'),
+            /* translators: %d: number of changes */
+            'queuePending'    => __('%d changes waiting to be sent', 'proactive-site-advisor'),
+            'queueOffline'    => __('Offline', 'proactive-site-advisor'),
+            'queueRetry'      => __('Retry now', 'proactive-site-advisor'),
+        ];
+    }
+
     /**
      * Get the current user's theme preference.
      *
-     * @return string Theme name ('light' or 'dark').
+     * @return string Theme name ('light', 'dark' or 'system').
      */
     public function getCurrentTheme(): string
     {
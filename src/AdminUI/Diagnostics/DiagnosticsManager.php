@@ -0,0 +1,125 @@
+<?php
+
+namespace ProactiveSiteAdvisor\AdminUI\Diagnostics;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
+use ProactiveSiteAdvisor\Config\UserOptions;
+use ProactiveSiteAdvisor\Utils\OptionUtils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class DiagnosticsManager
+ *
+ * Controls the diagnostics drawer of the admin scripts, which shows
+ * their resolved config, theme state, mounted components and a live
+ * log of events and requests. Enabled per user, or for one page load
+ * with the `proactive_site_advisor_diagnostics=1` query argument.
+ *
+ * @package ProactiveSiteAdvisor\AdminUI\Diagnostics
+ * @version 1.0.0
+ */
+class DiagnosticsManager extends AbstractSingleton
+{
+    /**
+     * Query argument that overrides the user option for one page load.
+     */
+    public const QUERY_ARG = 'proactive_site_advisor_diagnostics';
+
+    /**
+     * Whether hooks have already been registered.
+     */
+    private bool $registered = false;
+
+    /**
+     * Register hooks.
+     *
+     * @return void
+     */
+    public function register(): void
+    {
+        if ($this->registered) {
+            return;
+        }
+
+        $this->registered = true;
+
+        add_filter('proactive_site_advisor_admin_script_config', [$this, 'addScriptConfig']);
+    }
+
+    /**
+     * Check whether the diagnostics drawer is enabled for the current request.
+     *
+     * @return bool
+     */
+    public function isEnabled(): bool
+    {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only view parameter.
+        if (isset($_GET[self::QUERY_ARG])) {
+            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only view parameter.
+            $enabled = (bool)absint(wp_unslash($_GET[self::QUERY_ARG]));
+        } else {
+            $enabled = $this->isSaved();
+        }
+
+        /**
+         * Filter whether the diagnostics drawer is enabled.
+         *
+         * @param bool $enabled Whether the drawer is enabled.
+         */
+        return (bool)apply_filters('proactive_site_advisor_diagnostics_enabled', $enabled);
+    }
+
+    /**
+     * Check whether the current user keeps the drawer enabled.
+     *
+     * @return bool
+     */
+    public function isSaved(): bool
+    {
+        return (bool)OptionUtils::getUserOption(UserOptions::DIAGNOSTICS, false);
+    }
+
+    /**
+     * Keep the drawer enabled (or not) for the current user.
+     *
+     * @param bool $enabled
+     * @return void
+     */
+    public function setEnabled(bool $enabled): void
+    {
+        OptionUtils::setUserOption(UserOptions::DIAGNOSTICS, $enabled);
+    }
+
+    /**
+     * Add the drawer settings and labels to the admin script config.
+     *
+     * @param array $config Admin script config.
+     * @return array
+     */
+    public function addScriptConfig(array $config): array
+    {
+        $config['diagnostics'] = [
+            'enabled' => $this->isEnabled(),
+            'saved'   => $this->isSaved(),
+            'labels'  => [
+                'title'      => __('Diagnostics', 'proactive-site-advisor'),
+                'toggle'     => __('Toggle diagnostics', 'proactive-site-advisor'),
+                'config'     => __('Config', 'proactive-site-advisor'),
+                'theme'      => __('Theme', 'proactive-site-advisor'),
+                'components' => __('Mounted components', 'proactive-site-advisor'),
+                'log'        => __('Events and requests', 'proactive-site-advisor'),
+                'empty'      => __('Nothing logged yet.', 'proactive-site-advisor'),
+                'copy'       => __('Copy JSON', 'proactive-site-advisor'),
+                'copied'     => __('Diagnostics copied to the clipboard.', 'proactive-site-advisor'),
+                'clear'      => __('Clear log', 'proactive-site-advisor'),
+                'keep'       => __('Keep enabled', 'proactive-site-advisor'),
+                'close'      => __('Close', 'proactive-site-advisor'),
+            ],
+        ];
+
+        return $config;
+    }
+}
@@ -0,0 +1,199 @@
+<?php
+
+namespace ProactiveSiteAdvisor\AdminUI\Notifications;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
+use ProactiveSiteAdvisor\Components\AjaxComponent;
+use ProactiveSiteAdvisor\Config\PrefixConfig;
+use ProactiveSiteAdvisor\Config\UserOptions;
+use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
+use ProactiveSiteAdvisor\Utils\MenuUtils;
+use ProactiveSiteAdvisor\Utils\OptionUtils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class NotificationsManager
+ *
+ * Opt-in browser desktop notifications for new warning and critical
+ * alerts. Open admin tabs ask for new alerts through the Heartbeat API
+ * (kept running on every admin screen by AlertsManager);
+ * each alert is handed out once per user (the user's last notified
+ * alert ID moves forward), so one alert raises one notification however
+ * many tabs are open.
+ *
+ * @package ProactiveSiteAdvisor\AdminUI\Notifications
+ * @version 1.0.0
+ */
+class NotificationsManager extends AbstractSingleton
+{
+    /**
+     * Heartbeat data key.
+     */
+    public const HEARTBEAT_KEY = PrefixConfig::PREFIX . '_notifications';
+
+    /**
+     * Query argument of the alerts page URL naming the alert to focus.
+     */
+    public const QUERY_ARG = PrefixConfig::PREFIX . '_alert';
+
+    /**
+     * Severities that raise a notification.
+     */
+    private const SEVERITIES = ['warning', 'critical'];
+
+    /**
+     * Maximum number of notifications per heartbeat.
+     */
+    private const MAX_PER_TICK = 5;
+
+    /**
+     * Whether hooks have already been registered.
+     */
+    private bool $registered = false;
+
+    /**
+     * Register hooks.
+     *
+     * @return void
+     */
+    public function register(): void
+    {
+        if ($this->registered) {
+            return;
+        }
+
+        $this->registered = true;
+
+        add_filter('proactive_site_advisor_admin_script_config', [$this, 'addScriptConfig']);
+        add_filter('heartbeat_received', [$this, 'handleHeartbeat'], 10, 2);
+
+        // Register AJAX handler for the opt-in toggle.
+        AjaxComponent::register('set_desktop_notifications', [$this, 'handleToggle'], false);
+    }
+
+    /**
+     * Check whether the current user opted in.
+     *
+     * @return bool
+     */
+    public function isEnabled(): bool
+    {
+        /**
+         * Filter whether desktop notifications are enabled for the current user.
+         *
+         * @param bool $enabled Whether the user opted in.
+         */
+        return (bool)apply_filters(
+            'proactive_site_advisor_desktop_notifications_enabled',
+            (bool)OptionUtils::getUserOption(UserOptions::DESKTOP_NOTIFICATIONS, false)
+        );
+    }
+
+    /**
+     * Opt the current user in or out.
+     *
+     * Opting in starts from the latest alert, so existing alerts are not notified.
+     *
+     * @param bool $enabled
+     * @return void
+     */
+    public function setEnabled(bool $enabled): void
+    {
+        if ($enabled) {
+            OptionUtils::setUserOption(
+                UserOptions::LAST_NOTIFIED_ALERT_ID,
+                AlertsDataProvider::getInstance()->getLatestAlertId()
+            );
+        }
+
+        OptionUtils::setUserOption(UserOptions::DESKTOP_NOTIFICATIONS, $enabled);
+    }
+
+    /**
+     * Handle the AJAX request to opt in or out.
+     *
+     * @return void
+     */
+    public function handleToggle(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $enabled = isset($_POST['enabled']) && (bool)absint(wp_unslash($_POST['enabled']));
+
+        $this->setEnabled($enabled);
+
+        AjaxComponent::sendSuccess(
+            ['enabled' => $enabled],
+            $enabled
+                ? __('Desktop notifications enabled.', 'proactive-site-advisor')
+                : __('Desktop notifications disabled.', 'proactive-site-advisor')
+        );
+    }
+
+    /**
+     * Answer a heartbeat with the alerts the user has not been notified of yet.
+     *
+     * @param array $response Heartbeat response.
+     * @param array $data Data sent by the client.
+     * @return array
+     */
+    public function handleHeartbeat(array $response, array $data): array
+    {
+        if (empty($data[self::HEARTBEAT_KEY]) || !$this->isEnabled() || !current_user_can('manage_options')) {
+            return $response;
+        }
+
+        $lastId = (int)OptionUtils::getUserOption(UserOptions::LAST_NOTIFIED_ALERT_ID, 0);
+        $alerts = AlertsDataProvider::getInstance()->getCreatedAfter($lastId, self::SEVERITIES, self::MAX_PER_TICK);
+
+        if (empty($alerts)) {
+            return $response;
+        }
+
+        $notifications = [];
+
+        foreach ($alerts as $alert) {
+            $id     = (int)$alert['id'];
+            $lastId = max($lastId, $id);
+
+            $notifications[] = [
+                'id'       => $id,
+                'severity' => $alert['severity'],
+                'title'    => wp_strip_all_tags((string)$alert['title']),
+                'body'     => $alert['short_message'],
+                'url'      => add_query_arg(self::QUERY_ARG, $id, MenuUtils::getUrl(PROACTIVE_SITE_ADVISOR_SLUG)),
+            ];
+        }
+
+        OptionUtils::setUserOption(UserOptions::LAST_NOTIFIED_ALERT_ID, $lastId);
+
+        $response[self::HEARTBEAT_KEY] = $notifications;
+
+        return $response;
+    }
+
+    /**
+     * Add the opt-in state and labels to the admin script config.
+     *
+     * @param array $config Admin script config.
+     * @return array
+     */
+    public function addScriptConfig(array $config): array
+    {
+        $config['notifications'] = [
+            'enabled'      => $this->isEnabled(),
+            'heartbeatKey' => self::HEARTBEAT_KEY,
+            'queryArg'     => self::QUERY_ARG,
+            'labels'       => [
+                'enable'  => __('Enable desktop notifications', 'proactive-site-advisor'),
+                'disable' => __('Disable desktop notifications', 'proactive-site-advisor'),
+                'denied'  => __('Notifications are blocked for this site. Allow them in your browser settings first.', 'proactive-site-advisor'),
+            ],
+        ];
+
+        return $config;
+    }
+}
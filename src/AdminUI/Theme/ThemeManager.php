@@ -15,7 +15,7 @@ if (!defined('ABSPATH')) {
 /**
  * Class ThemeManager
  *
- * Manages the admin UI theme (light / dark) on a per-user basis.
+ * Manages the admin UI theme (light / dark / system) on a per-user basis.
  * Handles theme persistence, AJAX-based switching, and UI helpers.
  *
  * @package ProactiveSiteAdvisor\AdminUI\Theme
@@ -32,6 +32,11 @@ class ThemeManager extends AbstractSingleton
      */
     public const THEME_DARK = 'dark';
 
+    /**
+     * Follow the operating system color scheme.
+     */
+    public const THEME_SYSTEM = 'system';
+
     /**
      * Whether hooks and AJAX handlers have already been registered.
      *
@@ -67,17 +72,27 @@ class ThemeManager extends AbstractSingleton
      * Falls back to the light theme if the stored value is invalid
      * or missing.
      *
-     * @return string One of THEME_LIGHT or THEME_DARK.
+     * @return string One of THEME_LIGHT, THEME_DARK or THEME_SYSTEM.
      */
     public function getCurrentTheme(): string
     {
         $theme = OptionUtils::getUserOption(UserOptions::ADMIN_THEME, self::THEME_LIGHT);
 
-        return in_array($theme, [self::THEME_LIGHT, self::THEME_DARK], true)
+        return in_array($theme, self::getThemes(), true)
             ? $theme
             : self::THEME_LIGHT;
     }
 
+    /**
+     * Get the supported theme identifiers.
+     *
+     * @return string[]
+     */
+    public static function getThemes(): array
+    {
+        return [self::THEME_LIGHT, self::THEME_DARK, self::THEME_SYSTEM];
+    }
+
     /**
      * Set the admin theme for the current user.
      *
@@ -87,7 +102,7 @@ class ThemeManager extends AbstractSingleton
      */
     public function setTheme(string $theme): bool
     {
-        if (!in_array($theme, [self::THEME_LIGHT, self::THEME_DARK], true)) {
+        if (!in_array($theme, self::getThemes(), true)) {
             return false;
         }
 
@@ -98,6 +113,8 @@ class ThemeManager extends AbstractSingleton
     /**
      * Check whether the current admin theme is dark mode.
      *
+     * Always false in system mode, where the browser picks the scheme.
+     *
      * @return bool
      */
     public function isDarkMode(): bool
@@ -115,6 +132,16 @@ class ThemeManager extends AbstractSingleton
         return $this->getCurrentTheme() === self::THEME_LIGHT;
     }
 
+    /**
+     * Check whether the admin theme follows the operating system.
+     *
+     * @return bool
+     */
+    public function isSystemMode(): bool
+    {
+        return $this->getCurrentTheme() === self::THEME_SYSTEM;
+    }
+
     /**
      * Handle AJAX requests for switching the admin theme.
      *
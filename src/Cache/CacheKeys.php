@@ -25,6 +25,9 @@ final class CacheKeys
     private const KEY_DAILY_LOCK    = 'daily_lock';
     private const KEY_ADMIN_NOTICES = 'admin_notices';
     private const KEY_FLUSH_REWRITE = 'flush_rewrite_rules';
+    private const PREFIX_ERROR_RATE = 'client_error_rate_';
+    private const PREFIX_IDEMPOTENT = 'idempotency_';
+    private const PREFIX_BEACON_IP  = 'beacon_ip_';
 
     /**
      * Pageviews for today.
@@ -98,6 +101,30 @@ final class CacheKeys
         return self::KEY_FLUSH_REWRITE;
     }
 
+    /**
+     * Client error reports received from a user in the current window.
+     */
+    public static function clientErrorRate(int $userId): string
+    {
+        return self::PREFIX_ERROR_RATE . $userId;
+    }
+
+    /**
+     * Response remembered for a user's idempotency key.
+     */
+    public static function idempotency(int $userId, string $key): string
+    {
+        return self::PREFIX_IDEMPOTENT . $userId . '_' . $key;
+    }
+
+    /**
+     * Beacon pageviews received from an IP address in the current window.
+     */
+    public static function beaconRate(string $ip): string
+    {
+        return self::PREFIX_BEACON_IP . md5($ip);
+    }
+
     /**
      * Normalize date key to Ymd format.
      */
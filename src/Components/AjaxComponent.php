@@ -2,6 +2,8 @@
 
 namespace ProactiveSiteAdvisor\Components;
 
+use ProactiveSiteAdvisor\Cache\CacheKeys;
+use ProactiveSiteAdvisor\Cache\CacheManager;
 use ProactiveSiteAdvisor\Config\PrefixConfig;
 use Throwable;
 
@@ -21,6 +23,23 @@ if (!defined('ABSPATH')) {
  */
 class AjaxComponent
 {
+    /**
+     * Request field holding the client's idempotency key.
+     */
+    public const IDEMPOTENCY_FIELD = 'idempotency_key';
+
+    /**
+     * How long the response to an idempotent request is remembered.
+     */
+    private const IDEMPOTENCY_TTL = DAY_IN_SECONDS;
+
+    /**
+     * Idempotency key of the request being handled, if any.
+     *
+     * @var string|null
+     */
+    private static ?string $idempotencyKey = null;
+
     /**
      * Register an AJAX action with automatic nonce verification and error handling.
      *
@@ -45,6 +64,13 @@ class AjaxComponent
                     self::checkCapability($capability);
                 }
 
+                // A repeated request (e.g. replayed from the client's offline
+                // queue) gets the first response instead of running again.
+                $previous = self::getRememberedResponse();
+                if ($previous !== null) {
+                    wp_send_json($previous);
+                }
+
                 $callback();
 
             } catch (Throwable $e) {
@@ -119,11 +145,15 @@ class AjaxComponent
      */
     public static function sendSuccess(array $data = [], string $message = ''): void
     {
-        wp_send_json([
+        $response = [
             'success' => true,
             'data'    => $data,
             'message' => $message
-        ]);
+        ];
+
+        self::rememberResponse($response);
+
+        wp_send_json($response);
     }
 
     /**
@@ -172,4 +202,59 @@ class AjaxComponent
     {
         return PrefixConfig::nonce(sanitize_key($nonce));
     }
+
+    /**
+     * Get the idempotency key sent with the current request.
+     *
+     * Keys are generated by the client (see Api.post's `queue` option).
+     *
+     * @return string|null Null when the request has no valid key.
+     */
+    private static function getIdempotencyKey(): ?string
+    {
+        // Safe: only called after the nonce is verified; the value is validated below.
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $key = isset($_POST[self::IDEMPOTENCY_FIELD]) ? sanitize_key(wp_unslash($_POST[self::IDEMPOTENCY_FIELD])) : '';
+
+        return preg_match('/^[a-z0-9-]{8,64}$/', $key) ? $key : null;
+    }
+
+    /**
+     * Get the response already sent for the current request's idempotency key.
+     *
+     * @return array|null
+     */
+    private static function getRememberedResponse(): ?array
+    {
+        self::$idempotencyKey = self::getIdempotencyKey();
+
+        if (self::$idempotencyKey === null) {
+            return null;
+        }
+
+        $response = CacheManager::getInstance()->get(
+            CacheKeys::idempotency(get_current_user_id(), self::$idempotencyKey)
+        );
+
+        return is_array($response) ? $response : null;
+    }
+
+    /**
+     * Remember a success response under the current request's idempotency key.
+     *
+     * @param array $response Response envelope.
+     * @return void
+     */
+    private static function rememberResponse(array $response): void
+    {
+        if (self::$idempotencyKey === null) {
+            return;
+        }
+
+        CacheManager::getInstance()->set(
+            CacheKeys::idempotency(get_current_user_id(), self::$idempotencyKey),
+            $response,
+            self::IDEMPOTENCY_TTL
+        );
+    }
 }
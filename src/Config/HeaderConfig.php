@@ -3,6 +3,7 @@
 namespace ProactiveSiteAdvisor\Config;
 
 use ProactiveSiteAdvisor\Utils\MenuUtils;
+use ProactiveSiteAdvisor\AdminUI\Notifications\NotificationsManager;
 use ProactiveSiteAdvisor\AdminUI\Theme\ThemeManager;
 
 if (!defined('ABSPATH')) {
@@ -38,13 +39,14 @@ final class HeaderConfig
     public static function getDefaults(): array
     {
         return [
-            'title'     => self::getDefaultTitle(),
-            'titleLink' => self::getDefaultTitleLink(),
-            'version'   => self::getDefaultVersion(),
-            'logoUrl'   => self::getDefaultLogoUrl(),
-            'navItems'  => self::getDefaultNavItems(),
-            'actions'   => self::getDefaultActions(),
-            'theme'     => self::getDefaultTheme(),
+            'title'           => self::getDefaultTitle(),
+            'titleLink'       => self::getDefaultTitleLink(),
+            'version'         => self::getDefaultVersion(),
+            'logoUrl'         => self::getDefaultLogoUrl(),
+            'navItems'        => self::getDefaultNavItems(),
+            'actions'         => self::getDefaultActions(),
+            'theme'           => self::getDefaultTheme(),
+            'showThemeToggle' => true,
         ];
     }
 
@@ -107,13 +109,29 @@ final class HeaderConfig
      */
     public static function getDefaultActions(): array
     {
-        return [];
+        $notifications = NotificationsManager::getInstance()->isEnabled();
+
+        return [
+            // Shown by desktop-notifications.js when the browser supports notifications.
+            'notifications' => [
+                'type'    => 'button',
+                'variant' => 'outline-primary',
+                'class'   => 'proactive-site-advisor-btn-sm',
+                'label'   => __('Notifications', 'proactive-site-advisor'),
+                'icon'    => 'dashicons-bell',
+                'attrs'   => [
+                    'data-proactive-site-advisor-action' => 'desktop-notifications',
+                    'aria-pressed'                       => $notifications ? 'true' : 'false',
+                    'hidden'                             => 'hidden',
+                ],
+            ],
+        ];
     }
 
     /**
      * Get the default theme for the header.
      *
-     * @return string Theme identifier ('light' or 'dark')
+     * @return string Theme identifier ('light', 'dark' or 'system')
      */
     public static function getDefaultTheme(): string
     {
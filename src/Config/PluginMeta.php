@@ -28,4 +28,14 @@ class PluginMeta
      * Last daily cron execution timestamp key.
      */
     public const LAST_DAILY_RUN = 'last_daily_run';
+
+    /**
+     * Recent admin script errors reported by the browser.
+     */
+    public const CLIENT_ERRORS = 'client_errors';
+
+    /**
+     * Alert rule thresholds (see AlertThresholds).
+     */
+    public const ALERT_THRESHOLDS = 'alert_thresholds';
 }
\ No newline at end of file
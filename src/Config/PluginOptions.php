@@ -21,4 +21,9 @@ class PluginOptions
      * Prefix for standalone meta options.
      */
     public const META_PREFIX = PrefixConfig::PREFIX . '_';
+
+    /**
+     * Whether pageviews are also counted by the front-end beacon.
+     */
+    public const PAGEVIEW_BEACON = 'pageview_beacon';
 }
\ No newline at end of file
@@ -37,4 +37,19 @@ final class UserOptions
      * List of dismissed notice IDs.
      */
     public const DISMISSED_NOTICES = 'dismissed_notices';
+
+    /**
+     * Whether the admin diagnostics drawer stays enabled.
+     */
+    public const DIAGNOSTICS = 'diagnostics';
+
+    /**
+     * Whether desktop notifications for new alerts are enabled.
+     */
+    public const DESKTOP_NOTIFICATIONS = 'desktop_notifications';
+
+    /**
+     * ID of the last alert sent to the user as a desktop notification.
+     */
+    public const LAST_NOTIFIED_ALERT_ID = 'last_notified_alert_id';
 }
\ No newline at end of file
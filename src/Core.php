@@ -4,14 +4,19 @@ namespace ProactiveSiteAdvisor;
 
 use ProactiveSiteAdvisor\Admin\AdminNotices;
 use ProactiveSiteAdvisor\Admin\PromoBanner;
+use ProactiveSiteAdvisor\AdminUI\Diagnostics\DiagnosticsManager;
+use ProactiveSiteAdvisor\AdminUI\Notifications\NotificationsManager;
 use ProactiveSiteAdvisor\AdminUI\Theme\ThemeManager;
 use ProactiveSiteAdvisor\Cache\CacheManager;
 use ProactiveSiteAdvisor\CLI\CLIManager;
 use ProactiveSiteAdvisor\Cron\CronManager;
 use ProactiveSiteAdvisor\Database\SchemaManager;
 use ProactiveSiteAdvisor\Menu\MenuManager;
+use ProactiveSiteAdvisor\REST\RestManager;
 use ProactiveSiteAdvisor\Utils\Logger;
 use ProactiveSiteAdvisor\Services\Admin\Alerts\AlertsManager;
+use ProactiveSiteAdvisor\Services\Admin\AlertThresholds\AlertThresholdsManager;
+use ProactiveSiteAdvisor\Services\Admin\ClientErrors\ClientErrorsManager;
 use ProactiveSiteAdvisor\AdminUI\Assets\AdminUIAssets;
 use ProactiveSiteAdvisor\Services\Frontend\Traffic\TrafficManager;
 
@@ -46,6 +51,7 @@ final class Core
         CacheManager::class,
         CronManager::class,
         CLIManager::class,
+        RestManager::class,
     ];
 
     /**
@@ -56,6 +62,8 @@ final class Core
     private array $adminServices = [
         MenuManager::class,
         AlertsManager::class,
+        AlertThresholdsManager::class,
+        ClientErrorsManager::class,
     ];
 
     /**
@@ -144,6 +152,8 @@ final class Core
         if (is_admin()) {
             AdminUIAssets::getInstance()->register();
             ThemeManager::getInstance()->register();
+            DiagnosticsManager::getInstance()->register();
+            NotificationsManager::getInstance()->register();
             $this->bootServices($this->getAdminServices());
         } else {
             $this->bootServices($this->getFrontendServices());
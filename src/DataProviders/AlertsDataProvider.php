@@ -20,6 +20,11 @@ if (!defined('ABSPATH')) {
  */
 class AlertsDataProvider extends AbstractDataProvider
 {
+    /**
+     * Number of top 404 URLs shown in an alert card before "show all".
+     */
+    public const TOP_URLS_VISIBLE = 5;
+
     /**
      * Get the latest alerts with enriched data.
      *
@@ -38,7 +43,7 @@ class AlertsDataProvider extends AbstractDataProvider
         // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from trusted internal method
         $rows = $wpdb->get_results(
             $wpdb->prepare(
-                "SELECT alert_date, type, severity, title, message, meta_json, created_at
+                "SELECT id, alert_date, type, severity, title, message, meta_json, status, snoozed_until, created_at
                  FROM {$table}
                  WHERE alert_date >= %s
                  ORDER BY alert_date DESC, id DESC
@@ -57,6 +62,146 @@ class AlertsDataProvider extends AbstractDataProvider
         return array_map([$this, 'enrichAlert'], $rows);
     }
 
+    /**
+     * Query alerts with optional filters and pagination.
+     *
+     * Supported args: date_from, date_to (Y-m-d), type, severity, page, per_page (1-100).
+     *
+     * @param array<string, mixed> $args Query arguments.
+     * @return array{items: array<int, array<string, mixed>>, total: int}
+     */
+    public function query(array $args = []): array
+    {
+        global $wpdb;
+
+        $table   = Alert::getTableName();
+        $perPage = max(1, min(100, (int)($args['per_page'] ?? 20)));
+        $page    = max(1, (int)($args['page'] ?? 1));
+
+        $where  = ['1=1'];
+        $params = [];
+
+        if (!empty($args['date_from'])) {
+            $where[]  = 'alert_date >= %s';
+            $params[] = (string)$args['date_from'];
+        }
+
+        if (!empty($args['date_to'])) {
+            $where[]  = 'alert_date <= %s';
+            $params[] = (string)$args['date_to'];
+        }
+
+        if (!empty($args['type'])) {
+            $where[]  = 'type = %s';
+            $params[] = (string)$args['type'];
+        }
+
+        if (!empty($args['severity'])) {
+            $where[]  = 'severity = %s';
+            $params[] = strtolower((string)$args['severity']);
+        }
+
+        $whereSql = implode(' AND ', $where);
+
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from trusted internal method, placeholders built above
+        $total = (int)$wpdb->get_var(
+            empty($params)
+                ? "SELECT COUNT(*) FROM {$table} WHERE {$whereSql}"
+                : $wpdb->prepare("SELECT COUNT(*) FROM {$table} WHERE {$whereSql}", $params)
+        );
+
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, alert_date, type, severity, title, message, meta_json, status, snoozed_until, created_at
+                 FROM {$table}
+                 WHERE {$whereSql}
+                 ORDER BY alert_date DESC, id DESC
+                 LIMIT %d OFFSET %d",
+                array_merge($params, [$perPage, ($page - 1) * $perPage])
+            ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, PluginCheck.Security.DirectDB.UnescapedDBParameter
+
+        return [
+            'items' => is_array($rows) ? array_map([$this, 'enrichAlert'], $rows) : [],
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * Get a single alert by ID with enriched data.
+     *
+     * @param int $id Alert ID.
+     * @return array<string, mixed>|null
+     */
+    public function getById(int $id): ?array
+    {
+        global $wpdb;
+
+        $table = Alert::getTableName();
+
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from trusted internal method
+        $row = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT id, alert_date, type, severity, title, message, meta_json, status, snoozed_until, created_at
+                 FROM {$table}
+                 WHERE id = %d
+                 LIMIT 1",
+                $id
+            ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter
+
+        return is_array($row) ? $this->enrichAlert($row) : null;
+    }
+
+    /**
+     * Get the alerts created after the given ID, oldest first.
+     *
+     * @param int $afterId Only alerts with a greater ID are returned.
+     * @param string[] $severities Severities to include (all when empty).
+     * @param int $limit Maximum number of alerts (1-20).
+     * @return array<int, array<string, mixed>>
+     */
+    public function getCreatedAfter(int $afterId, array $severities = [], int $limit = 5): array
+    {
+        global $wpdb;
+
+        $limit      = max(1, min(20, $limit));
+        $table      = Alert::getTableName();
+        $severities = array_values(array_intersect($severities, Alert::SEVERITIES));
+
+        $where  = 'id > %d';
+        $params = [$afterId];
+
+        if (!empty($severities)) {
+            $where .= ' AND severity IN (' . implode(', ', array_fill(0, count($severities), '%s')) . ')';
+            $params = array_merge($params, $severities);
+        }
+
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from trusted internal method, placeholders built above
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, alert_date, type, severity, title, message, meta_json, status, snoozed_until, created_at
+                 FROM {$table}
+                 WHERE {$where}
+                 ORDER BY id ASC
+                 LIMIT %d",
+                array_merge($params, [$limit])
+            ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter
+
+        if (!is_array($rows)) {
+            return [];
+        }
+
+        return array_map([$this, 'enrichAlert'], $rows);
+    }
+
     /**
      * Get the priority-based count of alerts for the menu badge.
      *
@@ -158,6 +303,9 @@ class AlertsDataProvider extends AbstractDataProvider
     /**
      * Get digest statistics for the last N days.
      *
+     * Only open alerts are counted: acknowledged, resolved and actively
+     * snoozed alerts are left out.
+     *
      * @param int $days Number of days to look back.
      * @return array{traffic_alerts: int, error_alerts: int, critical_alerts: int, total_alerts: int}
      */
@@ -171,8 +319,13 @@ class AlertsDataProvider extends AbstractDataProvider
         // phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from trusted internal method
         $rows = $wpdb->get_results(
             $wpdb->prepare(
-                "SELECT type, severity FROM {$table} WHERE alert_date >= %s",
-                $start
+                "SELECT type, severity FROM {$table}
+                 WHERE alert_date >= %s
+                 AND (status = %s OR (status = %s AND snoozed_until <= %s))",
+                $start,
+                Alert::STATUS_OPEN,
+                Alert::STATUS_SNOOZED,
+                current_time('mysql', true)
             ),
             ARRAY_A
         );
@@ -219,10 +372,61 @@ class AlertsDataProvider extends AbstractDataProvider
         $alert['icon_class']     = $this->getIconClass($type);
         $alert['severity_class'] = $this->getSeverityClass($severity);
         $alert['type_label']     = $this->getTypeLabel($type);
+        $alert['status']         = $this->getEffectiveStatus($alert);
+        $alert['status_label']   = $this->getStatusLabel($alert['status'], $alert['snoozed_until'] ?? null);
+        $alert['date_label']     = $this->getDateLabel($alert['alert_date'] ?? '');
+        $alert['short_message']  = $this->getShortMessage($type);
+        $alert['expanded']       = $this->getExpandedContent($type, $alert);
 
         return $alert;
     }
 
+    /**
+     * Get the alert status, treating an expired snooze as open.
+     *
+     * @param array<string, mixed> $alert Raw alert data.
+     * @return string One of the Alert::STATUS_* constants.
+     */
+    private function getEffectiveStatus(array $alert): string
+    {
+        $status = isset($alert['status']) ? (string)$alert['status'] : Alert::STATUS_OPEN;
+
+        if ($status === Alert::STATUS_SNOOZED) {
+            $until = isset($alert['snoozed_until']) ? strtotime((string)$alert['snoozed_until'] . ' UTC') : false;
+
+            if ($until === false || $until <= time()) {
+                return Alert::STATUS_OPEN;
+            }
+        }
+
+        return $status;
+    }
+
+    /**
+     * Get human-readable label for alert status.
+     *
+     * @param string $status Effective alert status.
+     * @param string|null $snoozedUntil Snooze end (UTC, Y-m-d H:i:s).
+     * @return string Translated label, empty for open alerts.
+     */
+    private function getStatusLabel(string $status, ?string $snoozedUntil): string
+    {
+        switch ($status) {
+            case Alert::STATUS_ACKNOWLEDGED:
+                return __('Acknowledged', 'proactive-site-advisor');
+            case Alert::STATUS_SNOOZED:
+                return sprintf(
+                /* translators: %s: date the snooze ends */
+                    __('Snoozed until %s', 'proactive-site-advisor'),
+                    wp_date(get_option('date_format'), (int)strtotime((string)$snoozedUntil . ' UTC'))
+                );
+            case Alert::STATUS_RESOLVED:
+                return __('Resolved', 'proactive-site-advisor');
+            default:
+                return '';
+        }
+    }
+
     /**
      * Get CSS class for alert type icon.
      *
@@ -261,6 +465,131 @@ class AlertsDataProvider extends AbstractDataProvider
         }
     }
 
+    /**
+     * Format the alert date for display.
+     *
+     * @param string $alertDate Alert date (Y-m-d).
+     * @return string Date in the site's date format, empty if invalid.
+     */
+    private function getDateLabel(string $alertDate): string
+    {
+        $timestamp = $alertDate !== '' ? strtotime($alertDate) : false;
+
+        return $timestamp !== false ? (string)wp_date(get_option('date_format'), $timestamp) : '';
+    }
+
+    /**
+     * Get short collapsed message for alert type.
+     *
+     * @param string $type Alert type.
+     * @return string
+     */
+    private function getShortMessage(string $type): string
+    {
+        switch ($type) {
+            case 'traffic_drop':
+                return __('Traffic dropped unexpectedly compared to recent days.', 'proactive-site-advisor');
+            case 'traffic_spike':
+                return __('Traffic increased significantly compared to recent days.', 'proactive-site-advisor');
+            case 'error_404_spike':
+                return __('Visitors are reaching pages that no longer exist.', 'proactive-site-advisor');
+            default:
+                return __('Unusual activity was detected.', 'proactive-site-advisor');
+        }
+    }
+
+    /**
+     * Get expanded content for alert type.
+     *
+     * @param string $type Alert type.
+     * @param array $alert Full alert data (optional, used for meta_json extraction).
+     * @return array{meaning: string, checks: array, topUrls?: array, total404?: int}
+     */
+    private function getExpandedContent(string $type, array $alert = []): array
+    {
+        switch ($type) {
+            case 'traffic_drop':
+                return [
+                    'meaning' => __('Sudden traffic drops are often caused by downtime or recent changes.', 'proactive-site-advisor'),
+                    'checks'  => [
+                        __('Check if your site is currently reachable', 'proactive-site-advisor'),
+                        __('Review recent plugin or theme changes', 'proactive-site-advisor'),
+                        __('Look for increases in 404 errors', 'proactive-site-advisor'),
+                    ],
+                ];
+
+            case 'traffic_spike':
+                return [
+                    'meaning' => __('Traffic spikes can indicate viral content, marketing success, or bot activity.', 'proactive-site-advisor'),
+                    'checks'  => [
+                        __('Check your analytics for traffic sources', 'proactive-site-advisor'),
+                        __('Review server performance and load times', 'proactive-site-advisor'),
+                        __('Look for unusual referrer patterns', 'proactive-site-advisor'),
+                    ],
+                ];
+
+            case 'error_404_spike':
+                $topUrls  = [];
+                $total404 = 0;
+
+                if (!empty($alert['meta_json'])) {
+                    $meta = is_string($alert['meta_json'])
+                        ? json_decode($alert['meta_json'], true)
+                        : $alert['meta_json'];
+
+                    $total404 = (int)($meta['today'] ?? 0);
+
+                    if (!empty($meta['top']) && is_array($meta['top'])) {
+                        foreach ($meta['top'] as $item) {
+                            if (is_array($item) && isset($item[0], $item[1])) {
+                                $topUrls[] = [
+                                    'path'  => (string)$item[0],
+                                    'count' => (int)$item[1],
+                                    'url'   => home_url((string)$item[0]),
+                                ];
+                            }
+                        }
+                    }
+                }
+
+                return [
+                    'meaning' => __('Missing pages can frustrate visitors and affect SEO.', 'proactive-site-advisor'),
+                    'checks'  => [
+                        __('Add redirects for missing pages', 'proactive-site-advisor'),
+                        __('Fix internal links pointing to missing URLs', 'proactive-site-advisor'),
+                        __('Review recent permalink changes', 'proactive-site-advisor'),
+                    ],
+                    'topUrls'  => $topUrls,
+                    'total404' => max($total404, (int)array_sum(array_column($topUrls, 'count'))),
+                ];
+
+            default:
+                return [
+                    'meaning' => __('This issue may require your attention.', 'proactive-site-advisor'),
+                    'checks'  => [
+                        __('Review recent changes to your site', 'proactive-site-advisor'),
+                        __('Check your site for any visible issues', 'proactive-site-advisor'),
+                    ],
+                ];
+        }
+    }
+
+    /**
+     * Get human-readable labels for all known alert types.
+     *
+     * @return array<string, string> Type => translated label.
+     */
+    public function getTypeLabels(): array
+    {
+        $labels = [];
+
+        foreach (Alert::TYPES as $type) {
+            $labels[$type] = $this->getTypeLabel($type);
+        }
+
+        return $labels;
+    }
+
     /**
      * Get human-readable label for alert type.
      *
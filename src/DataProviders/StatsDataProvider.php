@@ -3,7 +3,10 @@
 namespace ProactiveSiteAdvisor\DataProviders;
 
 use ProactiveSiteAdvisor\Abstracts\AbstractDataProvider;
+use ProactiveSiteAdvisor\Cache\CacheKeys;
+use ProactiveSiteAdvisor\Cache\CacheManager;
 use ProactiveSiteAdvisor\Models\DailyStats;
+use ProactiveSiteAdvisor\Utils\DateTimeUtils;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -46,6 +49,41 @@ class StatsDataProvider extends AbstractDataProvider
         return is_array($rows) ? $rows : [];
     }
 
+    /**
+     * Get today's live counters from the cache.
+     *
+     * These are the running totals that DailyStatsFlusher writes to the
+     * daily stats table once the day is over.
+     *
+     * @param int $limit Number of top 404 paths to return.
+     * @return array{stats_date: string, pageviews: int, errors_404: int, top_404: array<int, array{url: string, count: int}>}
+     */
+    public function getToday(int $limit = 3): array
+    {
+        $cache = CacheManager::getInstance();
+
+        $map = [];
+        $raw = $cache->get(CacheKeys::notFoundMapToday());
+        if (is_string($raw) && $raw !== '') {
+            $decoded = json_decode($raw, true);
+            $map     = is_array($decoded) ? $decoded : [];
+        }
+
+        arsort($map);
+
+        $top = [];
+        foreach (array_slice($map, 0, max(1, $limit), true) as $url => $count) {
+            $top[] = ['url' => (string)$url, 'count' => (int)$count];
+        }
+
+        return [
+            'stats_date' => DateTimeUtils::today(),
+            'pageviews'  => (int)$cache->get(CacheKeys::pageviewsToday(), 0),
+            'errors_404' => (int)$cache->get(CacheKeys::notFoundTotalToday(), 0),
+            'top_404'    => $top,
+        ];
+    }
+
     /**
      * Get weekly digest with alert counts and worst day stats.
      *
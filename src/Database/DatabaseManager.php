@@ -25,7 +25,7 @@ class DatabaseManager
      *
      * @var string
      */
-    private static string $version = '1.0.0';
+    private static string $version = '1.1.0';
 
     /**
      * Registered table schemas
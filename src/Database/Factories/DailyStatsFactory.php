@@ -169,7 +169,7 @@ class DailyStatsFactory extends AbstractFactory
             return null;
         }
 
-        $pathCount = $this->randomInt(1, 3);
+        $pathCount = $this->randomInt(1, min(8, $errorCount));
         $paths     = $this->randomElements($this->common404Paths, $pathCount);
 
         $remaining = $errorCount;
@@ -192,7 +192,7 @@ class DailyStatsFactory extends AbstractFactory
             return $b[1] - $a[1];
         });
 
-        return wp_json_encode(array_slice($top404, 0, 3));
+        return wp_json_encode(array_slice($top404, 0, DailyStats::TOP_404_LIMIT));
     }
 
     /**
@@ -47,6 +47,12 @@ class SchemaManager extends AbstractSingleton
         foreach ($providers as $providerClass) {
             $this->registerProvider($providerClass);
         }
+
+        // Tables are only created on activation, so apply schema changes
+        // to existing installs when the schema version is bumped.
+        if (DatabaseManager::needsUpdate()) {
+            DatabaseManager::createTables();
+        }
     }
 
     /**
@@ -91,8 +91,11 @@ class CoreTables
             ->varchar('title', 190)
             ->text('message')
             ->json('meta_json')
+            ->varchar('status', 20)->default('open')
+            ->datetime('snoozed_until')->nullable()
             ->timestamps()
-            ->unique('alerts_unique', ['alert_date', 'type']);
+            ->unique('alerts_unique', ['alert_date', 'type'])
+            ->index('alerts_status', ['status']);
 
         return $schema;
     }
@@ -20,6 +20,24 @@ if (!defined('ABSPATH')) {
  */
 class Alert extends AbstractModel
 {
+    /**
+     * Known alert types.
+     */
+    public const TYPES = ['traffic_drop', 'traffic_spike', 'error_404_spike'];
+
+    /**
+     * Known severity levels, lowest first.
+     */
+    public const SEVERITIES = ['info', 'warning', 'critical'];
+
+    /**
+     * Alert workflow statuses.
+     */
+    public const STATUS_OPEN         = 'open';
+    public const STATUS_ACKNOWLEDGED = 'acknowledged';
+    public const STATUS_SNOOZED      = 'snoozed';
+    public const STATUS_RESOLVED     = 'resolved';
+
     /**
      * Table name (without prefix)
      *
@@ -39,6 +57,8 @@ class Alert extends AbstractModel
         'title',
         'message',
         'meta_json',
+        'status',
+        'snoozed_until',
     ];
 
     /**
@@ -89,6 +109,44 @@ class Alert extends AbstractModel
         ]);
     }
 
+    /**
+     * Get all workflow statuses.
+     *
+     * @return string[]
+     */
+    public static function getStatuses(): array
+    {
+        return [
+            self::STATUS_OPEN,
+            self::STATUS_ACKNOWLEDGED,
+            self::STATUS_SNOOZED,
+            self::STATUS_RESOLVED,
+        ];
+    }
+
+    /**
+     * Update the workflow status.
+     *
+     * The snooze end is only kept for snoozed alerts.
+     *
+     * @param string $status One of the STATUS_* constants.
+     * @param string|null $snoozedUntil Snooze end (UTC, Y-m-d H:i:s).
+     * @return bool
+     */
+    public function updateStatus(string $status, ?string $snoozedUntil = null): bool
+    {
+        if (!in_array($status, self::getStatuses(), true)) {
+            return false;
+        }
+
+        $this->fill([
+            'status'        => $status,
+            'snoozed_until' => $status === self::STATUS_SNOOZED ? $snoozedUntil : null,
+        ]);
+
+        return $this->save();
+    }
+
     /**
      * Find alerts by date.
      *
@@ -158,4 +216,21 @@ class Alert extends AbstractModel
             $type
         );
     }
+
+    /**
+     * Get the snooze durations (in days) offered on alert cards.
+     *
+     * @return int[]
+     */
+    public static function getSnoozeDays(): array
+    {
+        /**
+         * Filter the snooze durations (in days) offered on alert cards.
+         *
+         * @param int[] $snoozeDays Snooze durations in days.
+         */
+        $days = (array)apply_filters('proactive_site_advisor_alert_snooze_days', [1, 7]);
+
+        return array_values(array_filter(array_map('absint', $days)));
+    }
 }
@@ -20,6 +20,11 @@ if (!defined('ABSPATH')) {
  */
 class DailyStats extends AbstractModel
 {
+    /**
+     * Number of top 404 paths kept per day (as many as NotFoundTracker records).
+     */
+    public const TOP_404_LIMIT = 30;
+
     /**
      * Table name (without prefix)
      *
@@ -151,10 +156,10 @@ class DailyStats extends AbstractModel
         }
 
         arsort($merged);
-        $top3 = array_slice($merged, 0, 3, true);
+        $top = array_slice($merged, 0, self::TOP_404_LIMIT, true);
 
         $result = [];
-        foreach ($top3 as $path => $count) {
+        foreach ($top as $path => $count) {
             $result[] = [$path, $count];
         }
 
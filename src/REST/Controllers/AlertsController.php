@@ -0,0 +1,168 @@
+<?php
+
+namespace ProactiveSiteAdvisor\REST\Controllers;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractRestController;
+use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
+use ProactiveSiteAdvisor\Models\Alert;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AlertsController
+ *
+ * REST routes for listing and reading alerts.
+ *
+ * @package ProactiveSiteAdvisor\REST\Controllers
+ * @version 1.0.0
+ */
+class AlertsController extends AbstractRestController
+{
+    /**
+     * Route base.
+     *
+     * @var string
+     */
+    protected string $restBase = 'alerts';
+
+    /**
+     * Register the controller routes.
+     *
+     * @return void
+     */
+    public function registerRoutes(): void
+    {
+        $this->route('', [
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => [$this, 'getItems'],
+            'permission_callback' => [$this, 'checkPermission'],
+            'args'                => [
+                'page'      => [
+                    'type'    => 'integer',
+                    'default' => 1,
+                    'minimum' => 1,
+                ],
+                'per_page'  => [
+                    'type'    => 'integer',
+                    'default' => 20,
+                    'minimum' => 1,
+                    'maximum' => 100,
+                ],
+                'date_from' => [
+                    'type'              => 'string',
+                    'validate_callback' => [$this, 'validateDate'],
+                ],
+                'date_to'   => [
+                    'type'              => 'string',
+                    'validate_callback' => [$this, 'validateDate'],
+                ],
+                'type'      => [
+                    'type' => 'string',
+                    'enum' => Alert::TYPES,
+                ],
+                'severity'  => [
+                    'type' => 'string',
+                    'enum' => Alert::SEVERITIES,
+                ],
+            ],
+        ]);
+
+        $this->route('/(?P<id>\d+)', [
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => [$this, 'getItem'],
+            'permission_callback' => [$this, 'checkPermission'],
+            'args'                => [
+                'id' => [
+                    'type'     => 'integer',
+                    'required' => true,
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * List alerts.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response
+     */
+    public function getItems(WP_REST_Request $request): WP_REST_Response
+    {
+        $perPage = (int)$request->get_param('per_page');
+
+        $result = AlertsDataProvider::getInstance()->query([
+            'page'      => (int)$request->get_param('page'),
+            'per_page'  => $perPage,
+            'date_from' => $request->get_param('date_from'),
+            'date_to'   => $request->get_param('date_to'),
+            'type'      => $request->get_param('type'),
+            'severity'  => $request->get_param('severity'),
+        ]);
+
+        $items = array_map([$this, 'prepareItem'], $result['items']);
+
+        return $this->collectionResponse($items, $result['total'], $perPage);
+    }
+
+    /**
+     * Get a single alert.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function getItem(WP_REST_Request $request)
+    {
+        $alert = AlertsDataProvider::getInstance()->getById((int)$request->get_param('id'));
+
+        if ($alert === null) {
+            return new WP_Error(
+                'proactive_site_advisor_alert_not_found',
+                __('Alert not found.', 'proactive-site-advisor'),
+                ['status' => 404]
+            );
+        }
+
+        return rest_ensure_response($this->prepareItem($alert));
+    }
+
+    /**
+     * Shape an alert row for the response.
+     *
+     * @param array<string, mixed> $alert Enriched alert row.
+     * @return array<string, mixed>
+     */
+    private function prepareItem(array $alert): array
+    {
+        $meta = null;
+        if (!empty($alert['meta_json']) && is_string($alert['meta_json'])) {
+            $decoded = json_decode($alert['meta_json'], true);
+            $meta    = is_array($decoded) ? $decoded : null;
+        }
+
+        return [
+            'id'             => (int)($alert['id'] ?? 0),
+            'alert_date'     => (string)($alert['alert_date'] ?? ''),
+            'type'           => (string)($alert['type'] ?? ''),
+            'type_label'     => (string)($alert['type_label'] ?? ''),
+            'severity'       => strtolower((string)($alert['severity'] ?? 'info')),
+            'title'          => (string)($alert['title'] ?? ''),
+            'message'        => (string)($alert['message'] ?? ''),
+            'short_message'  => (string)($alert['short_message'] ?? ''),
+            'expanded'       => $alert['expanded'] ?? [],
+            'meta'           => $meta,
+            'status'         => (string)($alert['status'] ?? 'open'),
+            'status_label'   => (string)($alert['status_label'] ?? ''),
+            'snoozed_until'  => $alert['snoozed_until'] ?? null,
+            'date_label'     => (string)($alert['date_label'] ?? ''),
+            'icon_class'     => (string)($alert['icon_class'] ?? ''),
+            'severity_class' => (string)($alert['severity_class'] ?? ''),
+            'created_at'     => (string)($alert['created_at'] ?? ''),
+        ];
+    }
+}
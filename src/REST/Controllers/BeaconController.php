@@ -0,0 +1,98 @@
+<?php
+
+namespace ProactiveSiteAdvisor\REST\Controllers;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractRestController;
+use ProactiveSiteAdvisor\Services\Frontend\Traffic\PageviewBeacon;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class BeaconController
+ *
+ * Public REST route receiving the pageviews reported by the front-end
+ * beacon (see PageviewBeacon). Visitors are not logged in, so the route
+ * relies on the signed page token instead of a capability, and on a
+ * per-IP rate limit.
+ *
+ * @package ProactiveSiteAdvisor\REST\Controllers
+ * @version 1.0.0
+ */
+class BeaconController extends AbstractRestController
+{
+    /**
+     * Route base.
+     *
+     * @var string
+     */
+    protected string $restBase = 'beacon';
+
+    /**
+     * Register the controller routes.
+     *
+     * @return void
+     */
+    public function registerRoutes(): void
+    {
+        $this->route('', [
+            'methods'             => WP_REST_Server::CREATABLE,
+            'callback'            => [$this, 'createItem'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'token' => [
+                    'type'              => 'string',
+                    'required'          => true,
+                    'validate_callback' => [$this, 'validateToken'],
+                ],
+                'path'  => [
+                    'type'              => 'string',
+                    'default'           => '',
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Count the reported pageview.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function createItem(WP_REST_Request $request)
+    {
+        $beacon = PageviewBeacon::getInstance();
+
+        if (!$beacon->consumeRate()) {
+            return new WP_Error(
+                'proactive_site_advisor_beacon_rate_limited',
+                __('Too many pageviews reported.', 'proactive-site-advisor'),
+                ['status' => 429]
+            );
+        }
+
+        $counted = $beacon->record(
+            (string)$request->get_param('token'),
+            (string)$request->get_param('path')
+        );
+
+        return rest_ensure_response(['counted' => $counted]);
+    }
+
+    /**
+     * Validate the page token argument.
+     *
+     * @param mixed $value Argument value.
+     * @return bool
+     */
+    public function validateToken($value): bool
+    {
+        return is_string($value) && PageviewBeacon::getInstance()->isValidToken($value);
+    }
+}
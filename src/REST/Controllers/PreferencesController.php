@@ -0,0 +1,113 @@
+<?php
+
+namespace ProactiveSiteAdvisor\REST\Controllers;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractRestController;
+use ProactiveSiteAdvisor\AdminUI\Diagnostics\DiagnosticsManager;
+use ProactiveSiteAdvisor\AdminUI\Theme\ThemeManager;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class PreferencesController
+ *
+ * REST routes for the current user's admin UI preferences.
+ *
+ * @package ProactiveSiteAdvisor\REST\Controllers
+ * @version 1.0.0
+ */
+class PreferencesController extends AbstractRestController
+{
+    /**
+     * Route base.
+     *
+     * @var string
+     */
+    protected string $restBase = 'preferences';
+
+    /**
+     * Register the controller routes.
+     *
+     * @return void
+     */
+    public function registerRoutes(): void
+    {
+        $this->route('', [
+            [
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => [$this, 'getItem'],
+                'permission_callback' => [$this, 'checkPermission'],
+            ],
+            [
+                'methods'             => WP_REST_Server::EDITABLE,
+                'callback'            => [$this, 'updateItem'],
+                'permission_callback' => [$this, 'checkPermission'],
+                'args'                => [
+                    'theme'       => [
+                        'type' => 'string',
+                        'enum' => ThemeManager::getThemes(),
+                    ],
+                    'diagnostics' => [
+                        'type' => 'boolean',
+                    ],
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Get the current user's preferences.
+     *
+     * @return WP_REST_Response
+     */
+    public function getItem(): WP_REST_Response
+    {
+        return rest_ensure_response($this->getPreferences());
+    }
+
+    /**
+     * Update the current user's preferences.
+     *
+     * Only the fields present in the request are changed.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response
+     */
+    public function updateItem(WP_REST_Request $request): WP_REST_Response
+    {
+        if ($request->has_param('theme')) {
+            ThemeManager::getInstance()->setTheme((string)$request->get_param('theme'));
+        }
+
+        if ($request->has_param('diagnostics')) {
+            DiagnosticsManager::getInstance()->setEnabled((bool)$request->get_param('diagnostics'));
+        }
+
+        return rest_ensure_response($this->getPreferences());
+    }
+
+    /**
+     * Collect the current user's preferences.
+     *
+     * @return array<string, mixed>
+     */
+    private function getPreferences(): array
+    {
+        $preferences = [
+            'theme'       => ThemeManager::getInstance()->getCurrentTheme(),
+            'diagnostics' => DiagnosticsManager::getInstance()->isSaved(),
+        ];
+
+        /**
+         * Filter the preferences returned by the REST API.
+         *
+         * @param array $preferences Current user's preferences.
+         */
+        return apply_filters('proactive_site_advisor_rest_preferences', $preferences);
+    }
+}
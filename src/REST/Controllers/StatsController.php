@@ -0,0 +1,90 @@
+<?php
+
+namespace ProactiveSiteAdvisor\REST\Controllers;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractRestController;
+use ProactiveSiteAdvisor\DataProviders\StatsDataProvider;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class StatsController
+ *
+ * REST routes for daily stats history and today's live counters.
+ *
+ * @package ProactiveSiteAdvisor\REST\Controllers
+ * @version 1.0.0
+ */
+class StatsController extends AbstractRestController
+{
+    /**
+     * Route base.
+     *
+     * @var string
+     */
+    protected string $restBase = 'stats';
+
+    /**
+     * Register the controller routes.
+     *
+     * @return void
+     */
+    public function registerRoutes(): void
+    {
+        $this->route('/history', [
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => [$this, 'getHistory'],
+            'permission_callback' => [$this, 'checkPermission'],
+            'args'                => [
+                'days' => [
+                    'type'    => 'integer',
+                    'default' => 7,
+                    'minimum' => 1,
+                    'maximum' => 90,
+                ],
+            ],
+        ]);
+
+        $this->route('/today', [
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => [$this, 'getToday'],
+            'permission_callback' => [$this, 'checkPermission'],
+        ]);
+    }
+
+    /**
+     * Get daily stats for the last N days, newest first.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response
+     */
+    public function getHistory(WP_REST_Request $request): WP_REST_Response
+    {
+        $rows = StatsDataProvider::getInstance()->getLastDays((int)$request->get_param('days'));
+
+        $items = array_map(static function (array $row): array {
+            return [
+                'stats_date' => (string)($row['stats_date'] ?? ''),
+                'pageviews'  => (int)($row['pageviews'] ?? 0),
+                'errors_404' => (int)($row['errors_404'] ?? 0),
+            ];
+        }, $rows);
+
+        return rest_ensure_response($items);
+    }
+
+    /**
+     * Get today's live counters.
+     *
+     * @return WP_REST_Response
+     */
+    public function getToday(): WP_REST_Response
+    {
+        return rest_ensure_response(StatsDataProvider::getInstance()->getToday());
+    }
+}
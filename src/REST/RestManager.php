@@ -0,0 +1,103 @@
+<?php
+
+namespace ProactiveSiteAdvisor\REST;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
+use ProactiveSiteAdvisor\REST\Controllers\AlertsController;
+use ProactiveSiteAdvisor\REST\Controllers\BeaconController;
+use ProactiveSiteAdvisor\REST\Controllers\PreferencesController;
+use ProactiveSiteAdvisor\REST\Controllers\StatsController;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class RestManager
+ *
+ * Manages REST API route registration under proactive-site-advisor/v1.
+ *
+ * @package ProactiveSiteAdvisor\REST
+ * @version 1.0.0
+ */
+class RestManager extends AbstractSingleton
+{
+    /**
+     * REST route namespace.
+     */
+    public const NAMESPACE = 'proactive-site-advisor/v1';
+
+    /**
+     * Registered controllers.
+     *
+     * @var array
+     */
+    private array $controllers = [
+        'alerts'      => AlertsController::class,
+        'stats'       => StatsController::class,
+        'preferences' => PreferencesController::class,
+        'beacon'      => BeaconController::class,
+    ];
+
+    /**
+     * Register REST hooks.
+     *
+     * @return void
+     */
+    public function register(): void
+    {
+        add_action('rest_api_init', [$this, 'registerRoutes']);
+    }
+
+    /**
+     * Register routes for all controllers.
+     *
+     * @return void
+     */
+    public function registerRoutes(): void
+    {
+        /**
+         * Filter the registered REST controllers.
+         *
+         * @param array $controllers Array of controller name => class mappings.
+         * @param string $namespace REST route namespace.
+         */
+        $controllers = apply_filters('proactive_site_advisor_rest_controllers', $this->controllers, self::NAMESPACE);
+
+        foreach ($controllers as $class) {
+            if (!class_exists($class)) {
+                continue;
+            }
+
+            $controller = new $class();
+
+            if (method_exists($controller, 'registerRoutes')) {
+                $controller->registerRoutes();
+            }
+        }
+    }
+
+    /**
+     * Add a controller.
+     *
+     * @param string $name Controller name.
+     * @param string $class Controller class.
+     * @return self
+     */
+    public function addController(string $name, string $class): self
+    {
+        $this->controllers[$name] = $class;
+
+        return $this;
+    }
+
+    /**
+     * Get registered controllers.
+     *
+     * @return array
+     */
+    public function getControllers(): array
+    {
+        return $this->controllers;
+    }
+}
@@ -0,0 +1,142 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Admin\AlertThresholds;
+
+use ProactiveSiteAdvisor\Components\AjaxComponent;
+use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
+use ProactiveSiteAdvisor\Services\Frontend\Traffic\PageviewBeacon;
+use ProactiveSiteAdvisor\Services\Insights\AlertThresholds;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AlertThresholdsManager
+ *
+ * Registers the Alert rules page, where the thresholds of the alert
+ * rules are edited and the pageview beacon is turned on, and saves them.
+ *
+ * @package ProactiveSiteAdvisor\Services\Admin\AlertThresholds
+ * @version 1.0.0
+ */
+class AlertThresholdsManager
+{
+    /**
+     * Menu ID of the alert rules page.
+     */
+    public const MENU_ID = 'proactive-site-advisor-alert-rules';
+
+    /**
+     * Register hooks and filters.
+     *
+     * @return void
+     */
+    public function register(): void
+    {
+        add_filter('proactive_site_advisor_menu_items', [$this, 'addMenuItem']);
+        add_filter('proactive_site_advisor_admin_script_config', [$this, 'addScriptConfig']);
+
+        // Register AJAX handler for saving the thresholds.
+        AjaxComponent::register('save_alert_thresholds', [$this, 'handleSave'], false);
+
+        // Register AJAX handler for turning the pageview beacon on or off.
+        AjaxComponent::register('set_pageview_beacon', [$this, 'handleBeaconToggle'], false);
+    }
+
+    /**
+     * Add the preview settings to the admin script config.
+     *
+     * @param array $config Admin script config.
+     * @return array
+     */
+    public function addScriptConfig(array $config): array
+    {
+        $config['alertThresholds'] = [
+            'defaults'       => AlertThresholds::DEFAULTS,
+            'lowBaseline404' => AlertThresholds::LOW_404_BASELINE,
+            'types'          => AlertsDataProvider::getInstance()->getTypeLabels(),
+            'labels'         => [
+                'saved'        => __('Alert rules saved.', 'proactive-site-advisor'),
+                'unsaved'      => __('Unsaved changes', 'proactive-site-advisor'),
+                /* translators: 1: number of alerts with the edited values, 2: number of alerts with the saved values, 3: number of days */
+                'summary'      => __('%1$s alerts with these values, %2$s with the saved ones, over %3$s days.', 'proactive-site-advisor'),
+                'noAlerts'     => __('None of these days would have alerted.', 'proactive-site-advisor'),
+                'notEnough'    => __('No stored days to replay the rules against yet.', 'proactive-site-advisor'),
+                'none'         => __('No alert', 'proactive-site-advisor'),
+                'date'         => __('Date', 'proactive-site-advisor'),
+                'pageviews'    => __('Pageviews', 'proactive-site-advisor'),
+                'errors404'    => __('404 errors', 'proactive-site-advisor'),
+                'savedValues'  => __('Saved values', 'proactive-site-advisor'),
+                'editedValues' => __('These values', 'proactive-site-advisor'),
+                'beaconOn'     => __('Pageviews are now also counted in visitors’ browsers.', 'proactive-site-advisor'),
+                'beaconOff'    => __('Pageviews are now counted on the server only.', 'proactive-site-advisor'),
+            ],
+        ];
+
+        return $config;
+    }
+
+    /**
+     * Handle the AJAX request saving the thresholds.
+     *
+     * Expects `thresholds`: a JSON object of thresholds by rule.
+     *
+     * @return void
+     */
+    public function handleSave(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // Every field is clamped to its range in AlertThresholds::sanitize().
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $raw   = isset($_POST['thresholds']) ? wp_unslash($_POST['thresholds']) : '';
+        $input = is_string($raw) ? json_decode($raw, true) : null;
+
+        if (!is_array($input)) {
+            AjaxComponent::sendError(__('Invalid alert rules.', 'proactive-site-advisor'), 400);
+            return;
+        }
+
+        AjaxComponent::sendSuccess([
+            'thresholds' => AlertThresholds::getInstance()->save($input),
+        ], __('Alert rules saved.', 'proactive-site-advisor'));
+    }
+
+    /**
+     * Handle the AJAX request turning the pageview beacon on or off.
+     *
+     * Expects `enabled`: 1 or 0.
+     *
+     * @return void
+     */
+    public function handleBeaconToggle(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $enabled = isset($_POST['enabled']) && (bool)absint(wp_unslash($_POST['enabled']));
+
+        $beacon = PageviewBeacon::getInstance();
+        $beacon->setEnabled($enabled);
+
+        AjaxComponent::sendSuccess(['enabled' => $beacon->isEnabled()]);
+    }
+
+    /**
+     * Add the alert rules page under the plugin menu.
+     *
+     * @param array $items Existing menu items.
+     * @return array Modified menu items.
+     */
+    public function addMenuItem(array $items): array
+    {
+        $items[] = [
+            'id'       => self::MENU_ID,
+            'title'    => esc_html__('Alert rules', 'proactive-site-advisor'),
+            'parentId' => 'proactive-site-advisor',
+            'position' => 80,
+            'callback' => AlertThresholdsPage::class,
+        ];
+
+        return $items;
+    }
+}
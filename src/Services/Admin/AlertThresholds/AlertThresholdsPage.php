@@ -0,0 +1,176 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Admin\AlertThresholds;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractAdminPage;
+use ProactiveSiteAdvisor\DataProviders\StatsDataProvider;
+use ProactiveSiteAdvisor\Services\Frontend\Traffic\PageviewBeacon;
+use ProactiveSiteAdvisor\Services\Insights\AlertThresholds;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AlertThresholdsPage
+ *
+ * Admin page editing the alert rule thresholds, with a preview of the
+ * stored days that would have alerted under the edited values, and how
+ * pageviews are counted.
+ *
+ * @package ProactiveSiteAdvisor\Services\Admin\AlertThresholds
+ * @version 1.0.0
+ */
+class AlertThresholdsPage extends AbstractAdminPage
+{
+    /**
+     * Number of stored days replayed by the preview.
+     */
+    public const PREVIEW_DAYS = 90;
+
+    /**
+     * Returns the template path for the alert rules page.
+     *
+     * @return string
+     */
+    protected function getTemplate(): string
+    {
+        return 'admin/pages/alert-thresholds';
+    }
+
+    /**
+     * Returns the context array for the alert rules page body.
+     *
+     * @return array
+     */
+    protected function getBodyContext(): array
+    {
+        return [
+            'pageTitle'    => __('Alert Rules', 'proactive-site-advisor'),
+            'pageSubtitle' => __('When a day is unusual enough to raise an alert.', 'proactive-site-advisor'),
+            'rules'        => $this->getRules(AlertThresholds::getInstance()->get()),
+            'history'      => $this->getHistory(),
+            'beacon'       => [
+                'enabled'       => PageviewBeacon::getInstance()->isEnabled(),
+                'cacheDetected' => defined('WP_CACHE') && WP_CACHE,
+            ],
+        ];
+    }
+
+    /**
+     * Build the form sections, one per rule.
+     *
+     * @param array $thresholds Saved thresholds by rule.
+     * @return array<int, array{id: string, title: string, description: string, fields: array}>
+     */
+    private function getRules(array $thresholds): array
+    {
+        $baselineField = [
+            'label' => __('Baseline window', 'proactive-site-advisor'),
+            'unit'  => __('days', 'proactive-site-advisor'),
+            'help'  => __('Previous days averaged. The rule starts once that many days are stored.', 'proactive-site-advisor'),
+        ];
+
+        $rules = [
+            'traffic_drop'    => [
+                'title'       => __('Traffic drop', 'proactive-site-advisor'),
+                'description' => __('Pageviews well below the baseline average.', 'proactive-site-advisor'),
+                'fields'      => [
+                    'drop_pct'      => [
+                        'label' => __('Alert when traffic drops by more than', 'proactive-site-advisor'),
+                        'unit'  => '%',
+                        'help'  => '',
+                    ],
+                    'critical_pct'  => [
+                        'label' => __('Critical from a drop of', 'proactive-site-advisor'),
+                        'unit'  => '%',
+                        'help'  => __('Smaller drops are warnings.', 'proactive-site-advisor'),
+                    ],
+                    'baseline_days' => $baselineField,
+                ],
+            ],
+            'traffic_spike'   => [
+                'title'       => __('Traffic spike', 'proactive-site-advisor'),
+                'description' => __('Pageviews well above the baseline average.', 'proactive-site-advisor'),
+                'fields'      => [
+                    'increase_pct'  => [
+                        'label' => __('Alert when traffic increases by more than', 'proactive-site-advisor'),
+                        'unit'  => '%',
+                        'help'  => '',
+                    ],
+                    'baseline_days' => $baselineField,
+                ],
+            ],
+            'error_404_spike' => [
+                'title'       => __('404 errors', 'proactive-site-advisor'),
+                'description' => __('More “page not found” errors than usual.', 'proactive-site-advisor'),
+                'fields'      => [
+                    'multiplier'    => [
+                        'label' => __('Alert when 404 errors exceed the baseline by', 'proactive-site-advisor'),
+                        'unit'  => '×',
+                        'help'  => '',
+                    ],
+                    'min_errors'    => [
+                        'label' => __('On quiet sites, alert from', 'proactive-site-advisor'),
+                        'unit'  => __('errors', 'proactive-site-advisor'),
+                        'help'  => sprintf(
+                            /* translators: %s: average number of daily 404 errors */
+                            __('Used instead of the multiplier while the baseline is under %s errors a day.', 'proactive-site-advisor'),
+                            number_format_i18n(AlertThresholds::LOW_404_BASELINE)
+                        ),
+                    ],
+                    'baseline_days' => $baselineField,
+                ],
+            ],
+        ];
+
+        $sections = [];
+
+        foreach ($rules as $rule => $section) {
+            $fields = [];
+
+            foreach ($section['fields'] as $field => $definition) {
+                [$min, $max, $step] = AlertThresholds::RANGES[$field];
+
+                $fields[] = array_merge($definition, [
+                    'name'    => $field,
+                    'value'   => $thresholds[$rule][$field],
+                    'default' => AlertThresholds::DEFAULTS[$rule][$field],
+                    'min'     => $min,
+                    'max'     => $max,
+                    'step'    => $step,
+                ]);
+            }
+
+            $sections[] = [
+                'id'          => $rule,
+                'title'       => $section['title'],
+                'description' => $section['description'],
+                'fields'      => $fields,
+            ];
+        }
+
+        return $sections;
+    }
+
+    /**
+     * Get the stored days the preview replays, oldest first.
+     *
+     * @return array<int, array{date: string, label: string, pageviews: int, errors_404: int}>
+     */
+    private function getHistory(): array
+    {
+        $days = [];
+
+        foreach (array_reverse(StatsDataProvider::getInstance()->getLastDays(self::PREVIEW_DAYS)) as $row) {
+            $days[] = [
+                'date'       => (string)$row['stats_date'],
+                'label'      => wp_date(get_option('date_format'), (int)strtotime((string)$row['stats_date'])),
+                'pageviews'  => (int)$row['pageviews'],
+                'errors_404' => (int)$row['errors_404'],
+            ];
+        }
+
+        return $days;
+    }
+}
@@ -2,8 +2,12 @@
 
 namespace ProactiveSiteAdvisor\Services\Admin\Alerts;
 
+use ProactiveSiteAdvisor\Components\AjaxComponent;
+use ProactiveSiteAdvisor\Config\PrefixConfig;
 use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
+use ProactiveSiteAdvisor\Models\Alert;
 use ProactiveSiteAdvisor\Utils\MenuUtils;
+use WP_Admin_Bar;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -19,6 +23,25 @@ if (!defined('ABSPATH')) {
  */
 class AlertsManager
 {
+    /**
+     * Heartbeat data key of the unseen alert count.
+     */
+    public const HEARTBEAT_KEY = PrefixConfig::PREFIX . '_unseen_alerts';
+
+    /**
+     * ID of the admin bar node.
+     */
+    public const ADMIN_BAR_NODE = PrefixConfig::BASE;
+
+    /**
+     * Badge colors by severity.
+     */
+    private const BADGE_COLORS = [
+        'critical' => '#ff4c51',
+        'warning'  => '#ff9f43',
+        'info'     => '#00bad1',
+    ];
+
     /**
      * Register hooks and filters.
      *
@@ -28,6 +51,282 @@ class AlertsManager
     {
         add_filter('proactive_site_advisor_menu_items', [$this, 'addMenuItem']);
         add_action('admin_init', [$this, 'handleLastSeenUpdate']);
+        add_filter('proactive_site_advisor_admin_script_config', [$this, 'addScriptConfig']);
+        add_filter('heartbeat_received', [$this, 'handleHeartbeat'], 10, 2);
+        add_action('admin_enqueue_scripts', [$this, 'enqueueHeartbeat']);
+        add_action('admin_bar_menu', [$this, 'addAdminBarNode'], 100);
+
+        // Register AJAX handler for alert status changes.
+        AjaxComponent::register('update_alert_status', [$this, 'handleStatusUpdate'], false);
+
+        // Register AJAX handler for the live dashboard refresh.
+        AjaxComponent::register('refresh_dashboard', [$this, 'handleDashboardRefresh'], false);
+
+        // Register AJAX handler for the history range selector.
+        AjaxComponent::register('get_history', [$this, 'handleHistoryRequest'], false);
+    }
+
+    /**
+     * Add the labels used by the client-side alert card renderer and
+     * the alerts keyboard shortcuts.
+     *
+     * @param array $config Admin script config.
+     * @return array
+     */
+    public function addScriptConfig(array $config): array
+    {
+        $snooze = [];
+
+        foreach (Alert::getSnoozeDays() as $days) {
+            $snooze[] = [
+                'days'  => $days,
+                /* translators: %d: number of days */
+                'label' => sprintf(_n('Snooze %d day', 'Snooze %d days', $days, 'proactive-site-advisor'), $days),
+            ];
+        }
+
+        $config['alertCard'] = [
+            'snooze'         => $snooze,
+            'topUrlsVisible' => AlertsDataProvider::TOP_URLS_VISIBLE,
+            'labels'         => [
+                'alert'         => __('Alert', 'proactive-site-advisor'),
+                'acknowledge'   => __('Acknowledge', 'proactive-site-advisor'),
+                'acknowledged'  => __('Acknowledged', 'proactive-site-advisor'),
+                'snoozed'       => __('Snoozed', 'proactive-site-advisor'),
+                'resolve'       => __('Mark resolved', 'proactive-site-advisor'),
+                'resolved'      => __('Resolved', 'proactive-site-advisor'),
+                'reopen'        => __('Reopen', 'proactive-site-advisor'),
+                'open'          => __('Open', 'proactive-site-advisor'),
+                /* translators: %s: alert status, e.g. "Resolved" */
+                'statusChanged' => __('Alert marked as %s.', 'proactive-site-advisor'),
+                'meaning'       => __('What this means', 'proactive-site-advisor'),
+                'checks'        => __('What you should check next', 'proactive-site-advisor'),
+                'topUrls'       => __('Top 404 URLs', 'proactive-site-advisor'),
+                'toggle'        => __('Toggle details', 'proactive-site-advisor'),
+                'details'       => __('View details', 'proactive-site-advisor'),
+                'loading'       => __('Loading…', 'proactive-site-advisor'),
+                'today'         => __('Today', 'proactive-site-advisor'),
+                /* translators: %d: number of days in the baseline window */
+                'average'       => __('%d-day average', 'proactive-site-advisor'),
+                'change'        => __('Change', 'proactive-site-advisor'),
+                'sortUrls'      => __('Sort URLs', 'proactive-site-advisor'),
+                'byCount'       => __('By count', 'proactive-site-advisor'),
+                'byPath'        => __('By path', 'proactive-site-advisor'),
+                /* translators: %s: percentage */
+                'share'         => __('%s%% of the day’s 404 errors', 'proactive-site-advisor'),
+                'copyUrl'       => __('Copy URL', 'proactive-site-advisor'),
+                'urlCopied'     => __('URL copied to the clipboard.', 'proactive-site-advisor'),
+                'openUrl'       => __('Open on site', 'proactive-site-advisor'),
+                'openUrlNewTab' => __('Open on site (opens in a new tab)', 'proactive-site-advisor'),
+                /* translators: %d: number of URLs */
+                'showAllUrls'   => __('Show all %d URLs', 'proactive-site-advisor'),
+                'showFewerUrls' => __('Show fewer URLs', 'proactive-site-advisor'),
+            ],
+        ];
+
+        $config['unseenAlerts'] = [
+            'heartbeatKey' => self::HEARTBEAT_KEY,
+            'menuItem'     => 'toplevel_page_' . MenuUtils::getSlug('proactive-site-advisor'),
+            'adminBarNode' => 'wp-admin-bar-' . self::ADMIN_BAR_NODE,
+            'colors'       => self::BADGE_COLORS,
+            /* translators: %d: number of alerts */
+            'label'        => __('%d unseen alerts', 'proactive-site-advisor'),
+        ];
+
+        $config['alertShortcuts'] = [
+            'title'  => __('Keyboard shortcuts', 'proactive-site-advisor'),
+            'labels' => [
+                'next'        => __('Next alert', 'proactive-site-advisor'),
+                'previous'    => __('Previous alert', 'proactive-site-advisor'),
+                'first'       => __('First alert', 'proactive-site-advisor'),
+                'last'        => __('Last alert', 'proactive-site-advisor'),
+                'toggle'      => __('Expand or collapse the alert', 'proactive-site-advisor'),
+                'acknowledge' => __('Acknowledge', 'proactive-site-advisor'),
+                'snooze'      => __('Snooze', 'proactive-site-advisor'),
+                'resolve'     => __('Mark resolved', 'proactive-site-advisor'),
+                'reopen'      => __('Reopen', 'proactive-site-advisor'),
+                'details'     => __('View details', 'proactive-site-advisor'),
+                'help'        => __('Show keyboard shortcuts', 'proactive-site-advisor'),
+            ],
+        ];
+
+        return $config;
+    }
+
+    /**
+     * Make sure the Heartbeat API runs on every admin screen, so the
+     * unseen alert badges stay current.
+     *
+     * @return void
+     */
+    public function enqueueHeartbeat(): void
+    {
+        if (current_user_can('manage_options')) {
+            wp_enqueue_script('heartbeat');
+        }
+    }
+
+    /**
+     * Answer a heartbeat with the unseen alert count and its severity.
+     *
+     * @param array $response Heartbeat response.
+     * @param array $data Data sent by the client.
+     * @return array
+     */
+    public function handleHeartbeat(array $response, array $data): array
+    {
+        if (empty($data[self::HEARTBEAT_KEY]) || !current_user_can('manage_options')) {
+            return $response;
+        }
+
+        $response[self::HEARTBEAT_KEY] = AlertsDataProvider::getInstance()->getPriorityCount();
+
+        return $response;
+    }
+
+    /**
+     * Add the plugin node, with the unseen alert count, to the admin bar.
+     *
+     * @param WP_Admin_Bar $adminBar
+     * @return void
+     */
+    public function addAdminBarNode(WP_Admin_Bar $adminBar): void
+    {
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+
+        $priority = AlertsDataProvider::getInstance()->getPriorityCount();
+        $count    = $priority['count'];
+
+        $adminBar->add_node([
+            'id'    => self::ADMIN_BAR_NODE,
+            'href'  => MenuUtils::getUrl('proactive-site-advisor'),
+            'title' => sprintf(
+                '<span class="ab-icon dashicons dashicons-warning" aria-hidden="true"></span><span class="ab-label"%1$s>%2$s</span>',
+                $count > 0 ? sprintf(' style="background-color: %s;"', esc_attr($this->getBadgeColor($priority['severity']))) : ' hidden',
+                esc_html(number_format_i18n($count))
+            ),
+            'meta'  => [
+                /* translators: %d: number of alerts */
+                'title' => sprintf(__('%d unseen alerts', 'proactive-site-advisor'), $count),
+            ],
+        ]);
+    }
+
+    /**
+     * Get the badge color of a severity.
+     *
+     * @param string $severity
+     * @return string
+     */
+    private function getBadgeColor(string $severity): string
+    {
+        return self::BADGE_COLORS[$severity] ?? '#3b82f6';
+    }
+
+    /**
+     * Handle the AJAX request for the history section of another range.
+     *
+     * @return void
+     */
+    public function handleHistoryRequest(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $days = isset($_POST['days']) ? absint(wp_unslash($_POST['days'])) : 0;
+
+        if (!in_array($days, AlertsPageContext::HISTORY_RANGES, true)) {
+            AjaxComponent::sendError(__('Invalid history range.', 'proactive-site-advisor'), 400);
+            return;
+        }
+
+        $context = new AlertsPageContext($days);
+
+        AjaxComponent::sendSuccess([
+            'days' => $context->getHistoryDays(),
+            'html' => AlertsPage::getInstance()->renderHistory($context),
+        ]);
+    }
+
+    /**
+     * Handle the AJAX request polling the alerts dashboard for changes.
+     *
+     * The status line is always returned since its relative time moves;
+     * the other sections are only rendered when the data signature differs
+     * from the one the client sent.
+     *
+     * @return void
+     */
+    public function handleDashboardRefresh(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $signature = isset($_POST['signature']) ? sanitize_text_field(wp_unslash($_POST['signature'])) : '';
+
+        $context = new AlertsPageContext();
+        $current = $context->getSignature();
+        $changed = $signature !== $current;
+
+        $regions = AlertsPage::getInstance()->renderRegions(
+            $context,
+            $changed ? AlertsPage::REGIONS : ['status-line']
+        );
+
+        AjaxComponent::sendSuccess([
+            'changed'   => $changed,
+            'signature' => $current,
+            'regions'   => $regions,
+        ]);
+    }
+
+    /**
+     * Handle the AJAX request to acknowledge, snooze, resolve or reopen an alert.
+     *
+     * @return void
+     */
+    public function handleStatusUpdate(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // phpcs:disable WordPress.Security.NonceVerification.Missing
+        $alertId = isset($_POST['alert_id']) ? absint(wp_unslash($_POST['alert_id'])) : 0;
+        $status  = isset($_POST['status']) ? sanitize_key(wp_unslash($_POST['status'])) : '';
+        $days    = isset($_POST['days']) ? absint(wp_unslash($_POST['days'])) : 1;
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        if (!in_array($status, Alert::getStatuses(), true)) {
+            AjaxComponent::sendError(__('Invalid alert status.', 'proactive-site-advisor'), 400);
+            return;
+        }
+
+        $alert = $alertId > 0 ? Alert::find($alertId) : null;
+        if ($alert === null) {
+            AjaxComponent::sendError(__('Alert not found.', 'proactive-site-advisor'), 404);
+            return;
+        }
+
+        $snoozedUntil = null;
+        if ($status === Alert::STATUS_SNOOZED) {
+            $days         = max(1, min(90, $days));
+            $snoozedUntil = gmdate('Y-m-d H:i:s', time() + $days * DAY_IN_SECONDS);
+        }
+
+        if (!$alert->updateStatus($status, $snoozedUntil)) {
+            AjaxComponent::sendError(__('Could not update the alert.', 'proactive-site-advisor'), 500);
+            return;
+        }
+
+        $updated = AlertsDataProvider::getInstance()->getById($alertId);
+
+        AjaxComponent::sendSuccess(
+            [
+                'id'            => $alertId,
+                'status'        => $updated['status'] ?? $status,
+                'status_label'  => $updated['status_label'] ?? '',
+                'snoozed_until' => $updated['snoozed_until'] ?? null,
+            ],
+            __('Alert updated.', 'proactive-site-advisor')
+        );
     }
 
     /**
@@ -67,13 +366,7 @@ class AlertsManager
         $badgeTitle = esc_html__('Site Advisor', 'proactive-site-advisor');
 
         if ($count > 0) {
-            $colors = [
-                'critical' => '#ff4c51',
-                'warning'  => '#ff9f43',
-                'info'     => '#00bad1',
-            ];
-
-            $color = $colors[$severity] ?? '#3b82f6';
+            $color = $this->getBadgeColor($severity);
 
             $badgeTitle .= sprintf(
                 ' <span class="update-plugins count-%1$d" style="background-color: %2$s;"><span class="plugin-count">%1$d</span></span>',
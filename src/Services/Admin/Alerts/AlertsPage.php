@@ -4,6 +4,8 @@ namespace ProactiveSiteAdvisor\Services\Admin\Alerts;
 
 use ProactiveSiteAdvisor\Abstracts\AbstractAdminPage;
 use ProactiveSiteAdvisor\Admin\PromoBanner;
+use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -19,6 +21,11 @@ if (!defined('ABSPATH')) {
  */
 class AlertsPage extends AbstractAdminPage
 {
+    /**
+     * Sections that can be re-rendered by the live refresh.
+     */
+    public const REGIONS = ['status-line', 'status-summary', 'digest', 'latest-alerts'];
+
     /**
      * Returns the template path for the alerts page.
      *
@@ -38,21 +45,103 @@ class AlertsPage extends AbstractAdminPage
      */
     protected function getBodyContext(): array
     {
-        $context = new AlertsPageContext();
+        $context = new AlertsPageContext($this->getRequestedHistoryDays());
 
         // Determine whether promo banner should be shown (disabled for initial release)
         $showPromoBanner = PromoBanner::shouldShowBanner();
 
-        return [
+        return array_merge($this->getRegionContext($context), [
             'pageTitle'       => __('Dashboard Alerts', 'proactive-site-advisor'),
             'pageSubtitle'    => __('Unusual activity on your site — with recommended actions.', 'proactive-site-advisor'),
-            'statusLine'      => $context->getStatusLine(),
-            'statusSummary'   => $context->getStatusSummary(),
-            'digestCards'     => $context->getDigestCards(),
-            'latestAlerts'    => $context->getLatestAlerts(),
             'history'         => $context->getHistory(),
+            'historyRanges'   => AlertsPageContext::HISTORY_RANGES,
+            'signature'       => $context->getSignature(),
+            'refreshInterval' => $this->getRefreshInterval(),
+            'alertTypes'      => AlertsDataProvider::getInstance()->getTypeLabels(),
             // Promo banner intentionally disabled for the initial public release
             'showPromoBanner' => false,
+        ]);
+    }
+
+    /**
+     * Render the refreshable sections of the page.
+     *
+     * @param AlertsPageContext $context Page context.
+     * @param string[] $regions Region names (see REGIONS).
+     * @return array<string, string> Region name => HTML.
+     */
+    public function renderRegions(AlertsPageContext $context, array $regions = self::REGIONS): array
+    {
+        $variables = $this->getRegionContext($context);
+        $html      = [];
+
+        foreach (array_intersect($regions, self::REGIONS) as $region) {
+            $output = TemplateUtils::renderTemplate('admin/partials/alerts/' . $region, $variables);
+
+            $html[$region] = $output === false ? '' : wp_kses($output, $this->getAllowedHtml());
+        }
+
+        return $html;
+    }
+
+    /**
+     * Render the history section body for the context's range.
+     *
+     * @param AlertsPageContext $context Page context.
+     * @return string
+     */
+    public function renderHistory(AlertsPageContext $context): string
+    {
+        $output = TemplateUtils::renderTemplate('admin/partials/alerts/history', [
+            'history' => $context->getHistory(),
+        ]);
+
+        return $output === false ? '' : wp_kses($output, $this->getAllowedHtml());
+    }
+
+    /**
+     * Get the live refresh interval in seconds.
+     *
+     * @return int Interval in seconds, 0 when disabled.
+     */
+    public function getRefreshInterval(): int
+    {
+        /**
+         * Filter how often the alerts dashboard polls for changes.
+         *
+         * @param int $interval Interval in seconds. Return 0 to disable polling.
+         */
+        $interval = (int)apply_filters('proactive_site_advisor_dashboard_refresh_interval', 60);
+
+        return $interval > 0 ? max(15, $interval) : 0;
+    }
+
+    /**
+     * Get the history range requested in the URL, so a chosen range survives reloads.
+     *
+     * @return int
+     */
+    private function getRequestedHistoryDays(): int
+    {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only view parameter.
+        $days = isset($_GET['history_days']) ? absint(wp_unslash($_GET['history_days'])) : 0;
+
+        return AlertsPageContext::normalizeHistoryDays($days);
+    }
+
+    /**
+     * Returns the variables used by the refreshable sections.
+     *
+     * @param AlertsPageContext $context Page context.
+     * @return array
+     */
+    private function getRegionContext(AlertsPageContext $context): array
+    {
+        return [
+            'statusLine'    => $context->getStatusLine(),
+            'statusSummary' => $context->getStatusSummary(),
+            'digestCards'   => $context->getDigestCards(),
+            'latestAlerts'  => $context->getLatestAlerts(),
         ];
     }
 }
\ No newline at end of file
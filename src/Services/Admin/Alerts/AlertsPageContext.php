@@ -4,6 +4,8 @@ namespace ProactiveSiteAdvisor\Services\Admin\Alerts;
 
 use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
 use ProactiveSiteAdvisor\DataProviders\StatsDataProvider;
+use ProactiveSiteAdvisor\Services\Insights\AlertThresholds;
+use ProactiveSiteAdvisor\Services\Insights\BaselineCalculator;
 use ProactiveSiteAdvisor\Utils\DateTimeUtils;
 use ProactiveSiteAdvisor\Utils\PluginStatus;
 use ProactiveSiteAdvisor\Config\PrefixConfig;
@@ -23,6 +25,16 @@ if (!defined('ABSPATH')) {
  */
 class AlertsPageContext
 {
+    /**
+     * Selectable history ranges, in days.
+     */
+    public const HISTORY_RANGES = [7, 30, 90];
+
+    /**
+     * Default history range, in days.
+     */
+    public const DEFAULT_HISTORY_DAYS = 7;
+
     /**
      * Current monitoring status.
      *
@@ -51,6 +63,13 @@ class AlertsPageContext
      */
     private array $rawHistory;
 
+    /**
+     * Number of days shown in the history section.
+     *
+     * @var int
+     */
+    private int $historyDays;
+
     /**
      * Alerts data provider.
      *
@@ -67,16 +86,40 @@ class AlertsPageContext
 
     /**
      * Constructor.
+     *
+     * @param int $historyDays History range in days (one of HISTORY_RANGES).
      */
-    public function __construct()
+    public function __construct(int $historyDays = self::DEFAULT_HISTORY_DAYS)
     {
         $this->alertsProvider = AlertsDataProvider::getInstance();
         $this->statsProvider  = StatsDataProvider::getInstance();
 
-        $this->status     = PluginStatus::getStatus();
-        $this->rawDigest  = $this->alertsProvider->getDigest(7);
-        $this->rawAlerts  = $this->alertsProvider->getLatest(20, 7);
-        $this->rawHistory = $this->statsProvider->getLastDays(7);
+        $this->historyDays = self::normalizeHistoryDays($historyDays);
+        $this->status      = PluginStatus::getStatus();
+        $this->rawDigest   = $this->alertsProvider->getDigest(7);
+        $this->rawAlerts   = $this->alertsProvider->getLatest(20, 7);
+        $this->rawHistory  = $this->statsProvider->getLastDays($this->historyDays);
+    }
+
+    /**
+     * Clamp a requested history range to one of the supported ranges.
+     *
+     * @param int $days Requested range in days.
+     * @return int
+     */
+    public static function normalizeHistoryDays(int $days): int
+    {
+        return in_array($days, self::HISTORY_RANGES, true) ? $days : self::DEFAULT_HISTORY_DAYS;
+    }
+
+    /**
+     * Get the number of days shown in the history section.
+     *
+     * @return int
+     */
+    public function getHistoryDays(): int
+    {
+        return $this->historyDays;
     }
 
     /**
@@ -210,8 +253,19 @@ class AlertsPageContext
             $card['value']    = $stateData['value'];
             $card['subtitle'] = $stateData['subtitle'];
         }
-
-        return $cards;
+        unset($card);
+
+        /**
+         * Filter the Weekly Digest stat cards.
+         *
+         * Add-ons can append cards: ['iconClass' => string, 'value' => string,
+         * 'label' => string, 'subtitle' => string, 'color' => string].
+         *
+         * @param array  $cards  Digest cards keyed by identifier.
+         * @param array  $digest Raw digest counts.
+         * @param string $status Plugin status.
+         */
+        return (array)apply_filters('proactive_site_advisor_digest_cards', $cards, $this->rawDigest, $this->status);
     }
 
     /**
@@ -364,20 +418,20 @@ class AlertsPageContext
             ];
         }
 
-        // Return alert cards with expanded content
+        // Return alert cards, most severe first
         return [
             'type'   => 'alerts',
-            'alerts' => $this->enrichAlertsWithExpandedContent($this->rawAlerts),
+            'alerts' => $this->sortBySeverity($this->rawAlerts),
         ];
     }
 
     /**
-     * Enrich alerts with expanded "What this means" and "What to check" content.
+     * Sort alerts by severity, most severe first.
      *
-     * @param array $alerts Raw alerts.
-     * @return array Enriched alerts.
+     * @param array $alerts Enriched alerts.
+     * @return array Sorted alerts.
      */
-    private function enrichAlertsWithExpandedContent(array $alerts): array
+    private function sortBySeverity(array $alerts): array
     {
         // Sort by severity: critical > warning > info
         usort($alerts, static function ($a, $b) {
@@ -388,111 +442,13 @@ class AlertsPageContext
             return $aOrder - $bOrder;
         });
 
-        foreach ($alerts as &$alert) {
-            $type = $alert['type'] ?? '';
-
-            $alert['short_message'] = $this->getShortMessage($type);
-            $alert['expanded']      = $this->getExpandedContent($type, $alert);
-        }
-
         return $alerts;
     }
 
     /**
-     * Get short collapsed message for alert type.
-     *
-     * @param string $type Alert type.
-     * @return string
-     */
-    private function getShortMessage(string $type): string
-    {
-        switch ($type) {
-            case 'traffic_drop':
-                return __('Traffic dropped unexpectedly compared to recent days.', 'proactive-site-advisor');
-            case 'traffic_spike':
-                return __('Traffic increased significantly compared to recent days.', 'proactive-site-advisor');
-            case 'error_404_spike':
-                return __('Visitors are reaching pages that no longer exist.', 'proactive-site-advisor');
-            default:
-                return __('Unusual activity was detected.', 'proactive-site-advisor');
-        }
-    }
-
-    /**
-     * Get expanded content for alert type.
-     *
-     * @param string $type Alert type.
-     * @param array $alert Full alert data (optional, used for meta_json extraction).
-     * @return array{meaning: string, checks: array, topUrls?: array}
-     */
-    private function getExpandedContent(string $type, array $alert = []): array
-    {
-        switch ($type) {
-            case 'traffic_drop':
-                return [
-                    'meaning' => __('Sudden traffic drops are often caused by downtime or recent changes.', 'proactive-site-advisor'),
-                    'checks'  => [
-                        __('Check if your site is currently reachable', 'proactive-site-advisor'),
-                        __('Review recent plugin or theme changes', 'proactive-site-advisor'),
-                        __('Look for increases in 404 errors', 'proactive-site-advisor'),
-                    ],
-                ];
-
-            case 'traffic_spike':
-                return [
-                    'meaning' => __('Traffic spikes can indicate viral content, marketing success, or bot activity.', 'proactive-site-advisor'),
-                    'checks'  => [
-                        __('Check your analytics for traffic sources', 'proactive-site-advisor'),
-                        __('Review server performance and load times', 'proactive-site-advisor'),
-                        __('Look for unusual referrer patterns', 'proactive-site-advisor'),
-                    ],
-                ];
-
-            case 'error_404_spike':
-                $topUrls = [];
-
-                if (!empty($alert['meta_json'])) {
-                    $meta = is_string($alert['meta_json'])
-                        ? json_decode($alert['meta_json'], true)
-                        : $alert['meta_json'];
-
-                    if (!empty($meta['top']) && is_array($meta['top'])) {
-                        foreach ($meta['top'] as $item) {
-                            if (is_array($item) && isset($item[0], $item[1])) {
-                                $topUrls[] = [
-                                    'path'  => (string)$item[0],
-                                    'count' => (int)$item[1],
-                                ];
-                            }
-                        }
-                    }
-                }
-
-                return [
-                    'meaning' => __('Missing pages can frustrate visitors and affect SEO.', 'proactive-site-advisor'),
-                    'checks'  => [
-                        __('Add redirects for missing pages', 'proactive-site-advisor'),
-                        __('Fix internal links pointing to missing URLs', 'proactive-site-advisor'),
-                        __('Review recent permalink changes', 'proactive-site-advisor'),
-                    ],
-                    'topUrls' => $topUrls,
-                ];
-
-            default:
-                return [
-                    'meaning' => __('This issue may require your attention.', 'proactive-site-advisor'),
-                    'checks'  => [
-                        __('Review recent changes to your site', 'proactive-site-advisor'),
-                        __('Check your site for any visible issues', 'proactive-site-advisor'),
-                    ],
-                ];
-        }
-    }
-
-    /**
-     * Get 7-day history data.
+     * Get history data for the selected range.
      *
-     * @return array{showTable: bool, average: array|null, rows: array, emptyMessage: string, staleWarning: bool}
+     * @return array{days: int, showTable: bool, average: array|null, rows: array, emptyMessage: string, staleWarning: bool}
      */
     public function getHistory(): array
     {
@@ -502,6 +458,7 @@ class AlertsPageContext
         // Fresh install or no data: show "getting started" message
         if ($this->status === PluginStatus::STATUS_FRESH || $daysWithData === 0) {
             return [
+                'days'         => $this->historyDays,
                 'showTable'    => false,
                 'title'        => __('Getting started', 'proactive-site-advisor'),
                 'icon'         => PrefixConfig::css('icon--info'),
@@ -515,6 +472,7 @@ class AlertsPageContext
         // 1-2 days: not enough for meaningful averages
         if ($daysWithData < 3) {
             return [
+                'days'         => $this->historyDays,
                 'showTable'    => false,
                 'title'        => __('Building history', 'proactive-site-advisor'),
                 'icon'         => PrefixConfig::css('icon--traffic'),
@@ -527,15 +485,98 @@ class AlertsPageContext
 
         // 3+ days: show table with averages
         return [
+            'days'         => $this->historyDays,
             'showTable'    => true,
             'isPartial'    => $daysWithData < 7,
             'average'      => $this->calculateHistoryAverage(),
             'rows'         => $this->rawHistory,
+            'chart'        => $this->getHistoryChart(),
+            'baselineDays' => $this->getChartBaselineDays(),
             'emptyMessage' => __('No statistics available for the selected period.', 'proactive-site-advisor'),
             'staleWarning' => $isStale,
         ];
     }
 
+    /**
+     * Get the history chart points, oldest day first.
+     *
+     * Each point carries the day's counters, the baselines the traffic
+     * drop and 404 rules compared it against (each over its configured
+     * window), and the alerts raised for that day.
+     *
+     * @return array<int, array{date: string, label: string, short_label: string, pageviews: int, errors_404: int, baseline_pageviews: float|null, baseline_404: float|null, alerts: array}>
+     */
+    private function getHistoryChart(): array
+    {
+        $rows  = array_reverse($this->rawHistory);
+        $dates = array_column($rows, 'stats_date');
+
+        if (empty($dates)) {
+            return [];
+        }
+
+        $thresholds   = AlertThresholds::getInstance()->get();
+        $pvDays       = (int)$thresholds['traffic_drop']['baseline_days'];
+        $days404      = (int)$thresholds['error_404_spike']['baseline_days'];
+        $pvBaselines  = BaselineCalculator::getInstance()->getRollingAverages($dates, $pvDays);
+        $baselines404 = $days404 === $pvDays ? $pvBaselines : BaselineCalculator::getInstance()->getRollingAverages($dates, $days404);
+
+        $alertsByDate = [];
+        $page         = 1;
+
+        // Longer ranges can hold more alerts than a single query page.
+        do {
+            $alerts = $this->alertsProvider->query([
+                'date_from' => reset($dates),
+                'date_to'   => end($dates),
+                'per_page'  => 100,
+                'page'      => $page++,
+            ]);
+
+            foreach ($alerts['items'] as $alert) {
+                $alertsByDate[$alert['alert_date']][] = [
+                    'id'       => (int)$alert['id'],
+                    'title'    => $alert['title'] ?? '',
+                    'severity' => $alert['severity'] ?? 'info',
+                ];
+            }
+        } while (!empty($alerts['items']) && ($page - 1) * 100 < $alerts['total']);
+
+        $points = [];
+        foreach ($rows as $row) {
+            $date      = (string)$row['stats_date'];
+            $timestamp = (int)strtotime($date);
+            $pvBase    = $pvBaselines[$date] ?? ['count' => 0];
+            $base404   = $baselines404[$date] ?? ['count' => 0];
+
+            $points[] = [
+                'date'               => $date,
+                'label'              => wp_date(get_option('date_format'), $timestamp),
+                'short_label'        => wp_date(_x('M j', 'history chart axis date format', 'proactive-site-advisor'), $timestamp),
+                'pageviews'          => (int)$row['pageviews'],
+                'errors_404'         => (int)$row['errors_404'],
+                'baseline_pageviews' => $pvBase['count'] > 0 ? round($pvBase['avg_pageviews'], 1) : null,
+                'baseline_404'       => $base404['count'] > 0 ? round($base404['avg_404'], 1) : null,
+                'alerts'             => $alertsByDate[$date] ?? [],
+            ];
+        }
+
+        return $points;
+    }
+
+    /**
+     * Get the window of the chart baselines, in days.
+     *
+     * @return int|null Null when the traffic and 404 rules use different windows.
+     */
+    private function getChartBaselineDays(): ?int
+    {
+        $thresholds = AlertThresholds::getInstance()->get();
+        $days       = (int)$thresholds['traffic_drop']['baseline_days'];
+
+        return $days === (int)$thresholds['error_404_spike']['baseline_days'] ? $days : null;
+    }
+
     /**
      * Calculate average pageviews and 404 errors from history.
      *
@@ -562,6 +603,28 @@ class AlertsPageContext
         ];
     }
 
+    /**
+     * Get a signature of the data behind the refreshable sections.
+     *
+     * Changes whenever monitoring runs, an alert is added or changes
+     * status, or the digest counts move.
+     *
+     * @return string
+     */
+    public function getSignature(): string
+    {
+        $alerts = array_map(static function (array $alert): string {
+            return ($alert['id'] ?? '') . ':' . ($alert['status'] ?? '');
+        }, $this->rawAlerts);
+
+        return md5((string)wp_json_encode([
+            $this->status,
+            PluginStatus::getLastRunTimestamp(),
+            $this->rawDigest,
+            $alerts,
+        ]));
+    }
+
     /**
      * Get the header status line text.
      *
@@ -0,0 +1,242 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Admin\ClientErrors;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
+use ProactiveSiteAdvisor\Cache\CacheKeys;
+use ProactiveSiteAdvisor\Cache\CacheManager;
+use ProactiveSiteAdvisor\Config\PluginMeta;
+use ProactiveSiteAdvisor\Utils\DateTimeUtils;
+use ProactiveSiteAdvisor\Utils\Logger;
+use ProactiveSiteAdvisor\Utils\OptionUtils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class ClientErrorLog
+ *
+ * Keeps the errors thrown by the admin scripts, as reported by the
+ * browser. Repeats of the same error (message and location) are merged
+ * into one entry with a count; every accepted report is also written to
+ * the plugin log.
+ *
+ * @package ProactiveSiteAdvisor\Services\Admin\ClientErrors
+ * @version 1.0.0
+ */
+class ClientErrorLog extends AbstractSingleton
+{
+    /**
+     * Maximum number of distinct errors kept.
+     */
+    public const MAX_ENTRIES = 50;
+
+    /**
+     * Maximum number of reports accepted per user and rate window.
+     */
+    public const RATE_LIMIT = 30;
+
+    /**
+     * Rate window in seconds.
+     */
+    public const RATE_WINDOW = HOUR_IN_SECONDS;
+
+    /**
+     * Maximum stored length of each text field.
+     */
+    private const FIELD_LENGTHS = [
+        'message' => 500,
+        'source'  => 300,
+        'page'    => 300,
+        'stack'   => 2000,
+    ];
+
+    /**
+     * Record one report.
+     *
+     * @param array $report {message, source, line, column, stack, page, type, count}.
+     * @return bool False when the report was empty or the user is over the rate limit.
+     */
+    public function record(array $report): bool
+    {
+        $report = $this->normalize($report);
+
+        if ($report['message'] === '' || !$this->consumeRate()) {
+            return false;
+        }
+
+        $errors = $this->getStored();
+        $id     = $this->fingerprint($report);
+        $now    = DateTimeUtils::timestamp();
+
+        if (isset($errors[$id])) {
+            $errors[$id]['count']   += $report['count'];
+            $errors[$id]['lastSeen'] = $now;
+            $errors[$id]['page']     = $report['page'];
+            $errors[$id]['stack']    = $report['stack'] ?: $errors[$id]['stack'];
+        } else {
+            $errors[$id] = array_merge($report, [
+                'id'        => $id,
+                'firstSeen' => $now,
+                'lastSeen'  => $now,
+            ]);
+        }
+
+        OptionUtils::setMeta(PluginMeta::CLIENT_ERRORS, $this->trim($errors), false);
+
+        Logger::error('Admin script error: ' . $report['message'], [
+            'type'   => $report['type'],
+            'source' => $this->formatLocation($report),
+            'page'   => $report['page'],
+            'count'  => $errors[$id]['count'],
+            'user'   => get_current_user_id(),
+        ]);
+
+        return true;
+    }
+
+    /**
+     * Get the recorded errors, most recently seen first.
+     *
+     * @return array[]
+     */
+    public function getErrors(): array
+    {
+        $errors = array_values($this->getStored());
+
+        usort($errors, static function (array $a, array $b): int {
+            return $b['lastSeen'] <=> $a['lastSeen'];
+        });
+
+        return $errors;
+    }
+
+    /**
+     * Remove every recorded error.
+     *
+     * @return void
+     */
+    public function clear(): void
+    {
+        OptionUtils::deleteMeta(PluginMeta::CLIENT_ERRORS);
+    }
+
+    /**
+     * Format an error's location as "file:line:column".
+     *
+     * @param array $error Recorded error.
+     * @return string
+     */
+    public function formatLocation(array $error): string
+    {
+        if ($error['source'] === '') {
+            return '';
+        }
+
+        $location = $error['source'];
+
+        if ($error['line'] > 0) {
+            $location .= ':' . $error['line'] . ($error['column'] > 0 ? ':' . $error['column'] : '');
+        }
+
+        return $location;
+    }
+
+    /**
+     * @return array<string, array>
+     */
+    private function getStored(): array
+    {
+        $errors = OptionUtils::getMeta(PluginMeta::CLIENT_ERRORS, []);
+
+        return is_array($errors) ? $errors : [];
+    }
+
+    /**
+     * Sanitize and truncate a report.
+     *
+     * @param array $report Raw report.
+     * @return array
+     */
+    private function normalize(array $report): array
+    {
+        $normalized = [
+            'type'   => ($report['type'] ?? '') === 'rejection' ? 'rejection' : 'error',
+            'line'   => absint($report['line'] ?? 0),
+            'column' => absint($report['column'] ?? 0),
+            'count'  => max(1, min(100, absint($report['count'] ?? 1))),
+        ];
+
+        foreach (self::FIELD_LENGTHS as $field => $length) {
+            $value = isset($report[$field]) && is_scalar($report[$field]) ? (string)$report[$field] : '';
+            $value = $field === 'stack' ? sanitize_textarea_field($value) : sanitize_text_field($value);
+
+            $normalized[$field] = mb_substr($value, 0, $length);
+        }
+
+        $normalized['source'] = $this->stripQuery($normalized['source']);
+
+        return $normalized;
+    }
+
+    /**
+     * Drop the query string (e.g. ?ver=1.0.0) so versions share an entry.
+     *
+     * @param string $url
+     * @return string
+     */
+    private function stripQuery(string $url): string
+    {
+        $position = strpos($url, '?');
+
+        return $position === false ? $url : substr($url, 0, $position);
+    }
+
+    /**
+     * @param array $report Normalized report.
+     * @return string
+     */
+    private function fingerprint(array $report): string
+    {
+        return md5($report['message'] . '|' . $report['source'] . '|' . $report['line'] . '|' . $report['column']);
+    }
+
+    /**
+     * Keep the most recently seen errors.
+     *
+     * @param array<string, array> $errors
+     * @return array<string, array>
+     */
+    private function trim(array $errors): array
+    {
+        if (count($errors) <= self::MAX_ENTRIES) {
+            return $errors;
+        }
+
+        uasort($errors, static function (array $a, array $b): int {
+            return $b['lastSeen'] <=> $a['lastSeen'];
+        });
+
+        return array_slice($errors, 0, self::MAX_ENTRIES, true);
+    }
+
+    /**
+     * Count a report against the current user's rate limit.
+     *
+     * @return bool False when the limit is reached.
+     */
+    private function consumeRate(): bool
+    {
+        $cache = CacheManager::getInstance();
+        $key   = CacheKeys::clientErrorRate(get_current_user_id());
+
+        if ((int)$cache->get($key, 0) >= self::RATE_LIMIT) {
+            return false;
+        }
+
+        $cache->increment($key, 1, self::RATE_WINDOW);
+
+        return true;
+    }
+}
@@ -0,0 +1,135 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Admin\ClientErrors;
+
+use ProactiveSiteAdvisor\Components\AjaxComponent;
+use ProactiveSiteAdvisor\Components\AssetsComponent;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class ClientErrorsManager
+ *
+ * Receives the errors reported by the admin scripts and registers the
+ * page listing them.
+ *
+ * @package ProactiveSiteAdvisor\Services\Admin\ClientErrors
+ * @version 1.0.0
+ */
+class ClientErrorsManager
+{
+    /**
+     * Menu ID of the script errors page.
+     */
+    public const MENU_ID = 'proactive-site-advisor-script-errors';
+
+    /**
+     * Register hooks and filters.
+     *
+     * @return void
+     */
+    public function register(): void
+    {
+        add_filter('proactive_site_advisor_menu_items', [$this, 'addMenuItem']);
+        add_filter('proactive_site_advisor_admin_script_config', [$this, 'addScriptConfig']);
+
+        // Register AJAX handler for error reports sent by the admin scripts.
+        AjaxComponent::register('log_client_error', [$this, 'handleErrorReport'], false);
+
+        // Register AJAX handler for clearing the recorded errors.
+        AjaxComponent::register('clear_client_errors', [$this, 'handleClear'], false);
+    }
+
+    /**
+     * Add the error reporter settings to the admin script config.
+     *
+     * @param array $config Admin script config.
+     * @return array
+     */
+    public function addScriptConfig(array $config): array
+    {
+        $config['clientErrors'] = [
+            /**
+             * Filter whether the admin scripts report their errors.
+             *
+             * @param bool $enabled Whether errors are reported.
+             */
+            'enabled' => (bool)apply_filters('proactive_site_advisor_report_client_errors', true),
+            // Only errors thrown from scripts under this URL are reported.
+            'scripts' => AssetsComponent::getSrc('js/'),
+            'labels'  => [
+                'confirm' => __('Clear all recorded script errors?', 'proactive-site-advisor'),
+                'cleared' => __('Script errors cleared.', 'proactive-site-advisor'),
+            ],
+        ];
+
+        return $config;
+    }
+
+    /**
+     * Handle the AJAX request reporting admin script errors.
+     *
+     * Expects `errors`: a JSON array of reports.
+     *
+     * @return void
+     */
+    public function handleErrorReport(): void
+    {
+        // Safe: nonce is verified and user capability is checked in AjaxComponent::register().
+        // Each report is sanitized field by field in ClientErrorLog::record().
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $raw     = isset($_POST['errors']) ? wp_unslash($_POST['errors']) : '';
+        $reports = is_string($raw) ? json_decode($raw, true) : null;
+
+        if (!is_array($reports)) {
+            AjaxComponent::sendError(__('Invalid error report.', 'proactive-site-advisor'), 400);
+            return;
+        }
+
+        $log      = ClientErrorLog::getInstance();
+        $recorded = 0;
+
+        foreach (array_slice($reports, 0, 10) as $report) {
+            if (is_array($report) && $log->record($report)) {
+                $recorded++;
+            }
+        }
+
+        AjaxComponent::sendSuccess(['recorded' => $recorded]);
+    }
+
+    /**
+     * Handle the AJAX request clearing the recorded errors.
+     *
+     * @return void
+     */
+    public function handleClear(): void
+    {
+        ClientErrorLog::getInstance()->clear();
+
+        AjaxComponent::sendSuccess([
+            'html' => ClientErrorsPage::getInstance()->renderTable(),
+        ]);
+    }
+
+    /**
+     * Add the script errors page under the plugin menu.
+     *
+     * @param array $items Existing menu items.
+     * @return array Modified menu items.
+     */
+    public function addMenuItem(array $items): array
+    {
+        $items[] = [
+            'id'       => self::MENU_ID,
+            'title'    => esc_html__('Script errors', 'proactive-site-advisor'),
+            'parentId' => 'proactive-site-advisor',
+            'position' => 90,
+            'callback' => ClientErrorsPage::class,
+        ];
+
+        return $items;
+    }
+}
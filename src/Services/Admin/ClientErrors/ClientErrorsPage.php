@@ -0,0 +1,86 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Admin\ClientErrors;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractAdminPage;
+use ProactiveSiteAdvisor\Utils\DateTimeUtils;
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class ClientErrorsPage
+ *
+ * Admin page listing the recent errors reported by the admin scripts.
+ *
+ * @package ProactiveSiteAdvisor\Services\Admin\ClientErrors
+ * @version 1.0.0
+ */
+class ClientErrorsPage extends AbstractAdminPage
+{
+    /**
+     * Returns the template path for the script errors page.
+     *
+     * @return string
+     */
+    protected function getTemplate(): string
+    {
+        return 'admin/pages/client-errors';
+    }
+
+    /**
+     * Returns the context array for the script errors page body.
+     *
+     * @return array
+     */
+    protected function getBodyContext(): array
+    {
+        return array_merge($this->getTableContext(), [
+            'pageTitle'    => __('Script Errors', 'proactive-site-advisor'),
+            'pageSubtitle' => __('Errors thrown by the plugin’s admin scripts in your users’ browsers.', 'proactive-site-advisor'),
+        ]);
+    }
+
+    /**
+     * Render the errors table.
+     *
+     * @return string
+     */
+    public function renderTable(): string
+    {
+        $output = TemplateUtils::renderTemplate('admin/partials/client-errors/table', $this->getTableContext());
+
+        return $output === false ? '' : wp_kses($output, $this->getAllowedHtml());
+    }
+
+    /**
+     * Build the table rows.
+     *
+     * @return array
+     */
+    private function getTableContext(): array
+    {
+        $log  = ClientErrorLog::getInstance();
+        $now  = DateTimeUtils::timestamp();
+        $rows = [];
+
+        foreach ($log->getErrors() as $error) {
+            $rows[] = [
+                'message'  => $error['message'],
+                'type'     => $error['type'] === 'rejection'
+                    ? __('Unhandled rejection', 'proactive-site-advisor')
+                    : __('Error', 'proactive-site-advisor'),
+                'location' => $log->formatLocation($error),
+                'page'     => $error['page'],
+                'stack'    => $error['stack'],
+                'count'    => (int)$error['count'],
+                /* translators: %s: human-readable time difference, e.g. "5 mins" */
+                'lastSeen' => sprintf(__('%s ago', 'proactive-site-advisor'), human_time_diff((int)$error['lastSeen'], $now)),
+            ];
+        }
+
+        return ['errors' => $rows];
+    }
+}
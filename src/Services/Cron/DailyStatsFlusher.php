@@ -26,6 +26,11 @@ if (!defined('ABSPATH')) {
  */
 class DailyStatsFlusher extends AbstractSingleton
 {
+    /**
+     * Number of days of stats and alerts to keep.
+     */
+    public const RETENTION_DAYS = 90;
+
     /**
      * Execute the daily stats flush.
      *
@@ -66,9 +71,8 @@ class DailyStatsFlusher extends AbstractSingleton
             $cache->delete(CacheKeys::notFoundTotalForDate($yesterdayKey));
             $cache->delete(CacheKeys::notFoundMapForDate($yesterdayKey));
 
-            // Retention: keep 7 days
-            $sevenDaysAgo = $now->modify('-7 days');
-            $purgeBefore  = $sevenDaysAgo->format('Y-m-d');
+            // Retention: keep enough days for the longest history range
+            $purgeBefore = $now->modify('-' . self::RETENTION_DAYS . ' days')->format('Y-m-d');
             DailyStats::purgeOlderThan($purgeBefore);
             AlertEngine::getInstance()->purgeAlertsOlderThan($purgeBefore);
 
@@ -79,7 +83,7 @@ class DailyStatsFlusher extends AbstractSingleton
     }
 
     /**
-     * Convert stored map transient (JSON string) into a normalized top-3 JSON.
+     * Convert stored map transient (JSON string) into a normalized top paths JSON.
      *
      * @param mixed $topMapRaw The raw transient value.
      * @return string|null JSON string or null if invalid.
@@ -109,11 +113,11 @@ class DailyStatsFlusher extends AbstractSingleton
         }
 
         arsort($clean);
-        $top3 = array_slice($clean, 0, 3, true);
+        $top = array_slice($clean, 0, DailyStats::TOP_404_LIMIT, true);
 
         // Store as list of [path, count] to keep order explicit
         $list = [];
-        foreach ($top3 as $path => $count) {
+        foreach ($top as $path => $count) {
             $list[] = [$path, $count];
         }
 
@@ -5,6 +5,7 @@ namespace ProactiveSiteAdvisor\Services\Frontend\Traffic;
 use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
 use ProactiveSiteAdvisor\Cache\CacheKeys;
 use ProactiveSiteAdvisor\Cache\CacheManager;
+use ProactiveSiteAdvisor\Models\DailyStats;
 
 if (!defined('ABSPATH')) {
     exit;
@@ -29,7 +30,7 @@ class NotFoundTracker extends AbstractSingleton
     /**
      * Maximum number of paths to keep in the map.
      */
-    private const MAX_PATHS = 30;
+    private const MAX_PATHS = DailyStats::TOP_404_LIMIT;
 
     /**
      * Maximum path length to store.
@@ -0,0 +1,288 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Frontend\Traffic;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
+use ProactiveSiteAdvisor\Cache\CacheKeys;
+use ProactiveSiteAdvisor\Cache\CacheManager;
+use ProactiveSiteAdvisor\Components\AssetsComponent;
+use ProactiveSiteAdvisor\Config\PluginOptions;
+use ProactiveSiteAdvisor\Config\PrefixConfig;
+use ProactiveSiteAdvisor\REST\RestManager;
+use ProactiveSiteAdvisor\Utils\DateTimeUtils;
+use ProactiveSiteAdvisor\Utils\OptionUtils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class PageviewBeacon
+ *
+ * Counts pageviews from the browser, for sites whose pages are mostly
+ * served by a page cache or CDN without reaching WordPress. When
+ * enabled, every rendered page carries a small script that reports the
+ * view to the beacon REST route once the page is shown.
+ *
+ * Each rendered page gets a signed token holding when it was rendered
+ * and whether TrafficCollector counted the render. A beacon arriving
+ * with a counted token within seconds of the render is the render's
+ * own view and is skipped; later ones come from copies of the page
+ * served by the cache, and are counted. Nothing is stored per view.
+ *
+ * The token is public, so it expires after TOKEN_MAX_AGE and each IP
+ * address may only report a limited number of pageviews per rate window.
+ * Behind a proxy or CDN that does not pass the visitor's address on,
+ * REMOTE_ADDR is the proxy's and every visitor shares one limit: raise
+ * it with the `proactive_site_advisor_beacon_rate_limit` filter, or
+ * return 0 to turn it off.
+ *
+ * @package ProactiveSiteAdvisor\Services\Frontend\Traffic
+ * @version 1.0.0
+ */
+class PageviewBeacon extends AbstractSingleton
+{
+    /**
+     * How long after a counted render its beacon is taken for the
+     * render's own view, in seconds.
+     */
+    private const RENDER_WINDOW = 30;
+
+    /**
+     * Age after which a token is no longer accepted, in seconds. Copies
+     * of a page cached for longer are not counted.
+     */
+    public const TOKEN_MAX_AGE = WEEK_IN_SECONDS;
+
+    /**
+     * Default maximum number of pageviews accepted per IP address and
+     * rate window.
+     */
+    public const RATE_LIMIT = 5000;
+
+    /**
+     * Rate window in seconds.
+     */
+    public const RATE_WINDOW = HOUR_IN_SECONDS;
+
+    /**
+     * Token of the page being rendered.
+     *
+     * @var string|null
+     */
+    private ?string $token = null;
+
+    /**
+     * Whether the page being rendered was counted on the server.
+     *
+     * @var bool
+     */
+    private bool $counted = false;
+
+    /**
+     * Register WordPress hooks.
+     *
+     * @return void
+     */
+    public function register(): void
+    {
+        add_action('wp_enqueue_scripts', [$this, 'enqueueScript']);
+    }
+
+    /**
+     * Whether pageviews are counted from the browser.
+     *
+     * @return bool
+     */
+    public function isEnabled(): bool
+    {
+        /**
+         * Filter whether pageviews are also counted by the front-end beacon.
+         *
+         * @param bool $enabled Whether the beacon is enabled in the plugin settings.
+         */
+        return (bool)apply_filters(
+            'proactive_site_advisor_pageview_beacon_enabled',
+            (bool)OptionUtils::getOption(PluginOptions::PAGEVIEW_BEACON, false)
+        );
+    }
+
+    /**
+     * Turn the beacon on or off.
+     *
+     * @param bool $enabled Whether to enable it.
+     * @return void
+     */
+    public function setEnabled(bool $enabled): void
+    {
+        OptionUtils::setOption(PluginOptions::PAGEVIEW_BEACON, $enabled);
+    }
+
+    /**
+     * Print the beacon script on front-end pages.
+     *
+     * @return void
+     */
+    public function enqueueScript(): void
+    {
+        if (!$this->isEnabled() || !PageviewSignal::isPageRequest()) {
+            return;
+        }
+
+        AssetsComponent::enqueueScript('beacon', 'js/beacon.min.js', [], null, true);
+        AssetsComponent::localizeScript('beacon', PrefixConfig::CONFIG_OBJECT, [
+            'beacon' => [
+                'url'   => rest_url(RestManager::NAMESPACE . '/beacon'),
+                'token' => $this->getToken(),
+            ],
+        ]);
+    }
+
+    /**
+     * Remember that the page being rendered was counted on the server.
+     *
+     * @return void
+     */
+    public function markCounted(): void
+    {
+        $this->counted = true;
+    }
+
+    /**
+     * Count a pageview reported by the beacon.
+     *
+     * @param string $token Token of the page the beacon was sent from.
+     * @param string $path Path of that page.
+     * @return bool Whether the pageview was counted.
+     */
+    public function record(string $token, string $path): bool
+    {
+        if (!$this->isEnabled() || !$this->isValidToken($token) || !PageviewSignal::shouldCollectBeacon($path)) {
+            return false;
+        }
+
+        [$renderedAt, $counted] = $this->parseToken($token);
+        $age                    = DateTimeUtils::timestamp() - $renderedAt;
+
+        /**
+         * Filter the age after which a beacon token is no longer accepted.
+         *
+         * Raise it when the page cache keeps pages longer than a week.
+         *
+         * @param int $maxAge Maximum token age in seconds.
+         */
+        $maxAge = (int)apply_filters('proactive_site_advisor_beacon_token_max_age', self::TOKEN_MAX_AGE);
+
+        if ($age > $maxAge) {
+            return false;
+        }
+
+        // This view was rendered by WordPress and counted there already.
+        if ($counted && $age < self::RENDER_WINDOW) {
+            return false;
+        }
+
+        TrafficCollector::getInstance()->count();
+
+        return true;
+    }
+
+    /**
+     * Count a beacon request against its IP address's rate limit.
+     *
+     * @return bool False when the limit is reached.
+     */
+    public function consumeRate(): bool
+    {
+        /**
+         * Filter the number of beacon pageviews accepted per IP address and hour.
+         *
+         * Raise it when the site sits behind a proxy or CDN that hides the
+         * visitor's address. 0 turns the limit off.
+         *
+         * @param int $limit Maximum pageviews per IP address and rate window.
+         */
+        $limit = (int)apply_filters('proactive_site_advisor_beacon_rate_limit', self::RATE_LIMIT);
+
+        if ($limit <= 0) {
+            return true;
+        }
+
+        $cache = CacheManager::getInstance();
+        $key   = CacheKeys::beaconRate($this->getClientIp());
+
+        if ((int)$cache->get($key, 0) >= $limit) {
+            return false;
+        }
+
+        $cache->increment($key, 1, self::RATE_WINDOW);
+
+        return true;
+    }
+
+    /**
+     * Check a token's signature.
+     *
+     * @param string $token Token as sent by the beacon.
+     * @return bool
+     */
+    public function isValidToken(string $token): bool
+    {
+        $parsed = $this->parseToken($token);
+
+        return $parsed !== null && hash_equals($this->sign($parsed[0] . '.' . $parsed[1]), $token);
+    }
+
+    /**
+     * Get the IP address the request comes from.
+     *
+     * Forwarded headers are ignored: the client sets them.
+     *
+     * @return string
+     */
+    private function getClientIp(): string
+    {
+        $ip = isset($_SERVER['REMOTE_ADDR']) ? sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'])) : '';
+
+        return filter_var($ip, FILTER_VALIDATE_IP) ? $ip : '';
+    }
+
+    /**
+     * Get the token of the page being rendered.
+     *
+     * TrafficCollector counts the page on `wp`, before the script is
+     * enqueued, so the token knows whether the render was counted.
+     *
+     * @return string
+     */
+    private function getToken(): string
+    {
+        if ($this->token === null) {
+            $this->token = $this->sign(DateTimeUtils::timestamp() . '.' . ($this->counted ? 1 : 0));
+        }
+
+        return $this->token;
+    }
+
+    /**
+     * Get the render time and counted flag of a token.
+     *
+     * @param string $token Token.
+     * @return array{0: int, 1: int}|null Null for malformed tokens.
+     */
+    private function parseToken(string $token): ?array
+    {
+        return preg_match('/^(\d{1,10})\.([01])\.[a-f0-9]{16}$/', $token, $matches) ? [(int)$matches[1], (int)$matches[2]] : null;
+    }
+
+    /**
+     * Build a signed token from its payload.
+     *
+     * @param string $payload Render time and counted flag.
+     * @return string
+     */
+    private function sign(string $payload): string
+    {
+        return $payload . '.' . substr(wp_hash($payload . '|' . PrefixConfig::PREFIX . '_beacon'), 0, 16);
+    }
+}
@@ -16,6 +16,10 @@ if (!defined('ABSPATH')) {
  * - Belong to the main query (user intent)
  * - Not be an admin, system, or background request
  * - Not target a static file or asset
+ * - Not come from a crawler or other bot
+ *
+ * The same rules apply to pageviews reported by the front-end beacon
+ * (see PageviewBeacon), so both ways of counting agree.
  *
  * This class is intentionally final and static:
  * it represents a fixed domain rule used for anomaly detection,
@@ -26,12 +30,57 @@ if (!defined('ABSPATH')) {
  */
 class PageviewSignal
 {
+    /**
+     * User agents of crawlers, link previews and scripted clients.
+     */
+    private const BOT_PATTERN = '/bot|crawl|spider|slurp|facebookexternalhit|headless|lighthouse|curl|wget|python-requests|go-http-client/i';
+
     /**
      * Check if the current request should be collected as a pageview signal.
      *
      * @return bool True if the request represents a real user pageview.
      */
     public static function shouldCollect(): bool
+    {
+        if (!self::isPageRequest()) {
+            return false;
+        }
+
+        /**
+         * Ignore non-navigation requests (prefetch, prerender, speculative fetches).
+         * Only real user page navigations should be counted.
+         */
+        if (
+            isset($_SERVER['HTTP_SEC_FETCH_MODE']) &&
+            !in_array($_SERVER['HTTP_SEC_FETCH_MODE'], ['navigate', 'nested-navigate'], true)
+        ) {
+            return false;
+        }
+
+        return !self::isBot(self::getUserAgent());
+    }
+
+    /**
+     * Check if a pageview reported by the front-end beacon should be collected.
+     *
+     * The beacon is only printed on page requests and waits until a
+     * prerendered page is shown, so what is left to check here is the
+     * sender and the reported path.
+     *
+     * @param string $path Path of the page the beacon was sent from.
+     * @return bool
+     */
+    public static function shouldCollectBeacon(string $path): bool
+    {
+        return !self::isBot(self::getUserAgent()) && !self::isFilePath($path);
+    }
+
+    /**
+     * Check if the current request renders a front-end page.
+     *
+     * @return bool
+     */
+    public static function isPageRequest(): bool
     {
         /**
          * Ensure WordPress has fully initialized the main query
@@ -59,20 +108,40 @@ class PageviewSignal
             return false;
         }
 
-        /**
-         * Ignore non-navigation requests (prefetch, prerender, speculative fetches).
-         * Only real user page navigations should be counted.
-         */
-        if (
-            isset($_SERVER['HTTP_SEC_FETCH_MODE']) &&
-            !in_array($_SERVER['HTTP_SEC_FETCH_MODE'], ['navigate', 'nested-navigate'], true)
-        ) {
-            return false;
-        }
-
         // Exclude static assets and file-like URLs
-        $uri  = isset($_SERVER['REQUEST_URI']) ? (string)esc_url_raw(wp_unslash($_SERVER['REQUEST_URI'])) : '';
-        $path = wp_parse_url($uri, PHP_URL_PATH);
-        return !($path && pathinfo($path, PATHINFO_EXTENSION));
+        $uri = isset($_SERVER['REQUEST_URI']) ? (string)esc_url_raw(wp_unslash($_SERVER['REQUEST_URI'])) : '';
+        return !self::isFilePath((string)wp_parse_url($uri, PHP_URL_PATH));
+    }
+
+    /**
+     * Check if a user agent belongs to a bot, or is missing.
+     *
+     * @param string $userAgent User agent string.
+     * @return bool
+     */
+    public static function isBot(string $userAgent): bool
+    {
+        return $userAgent === '' || (bool)preg_match(self::BOT_PATTERN, $userAgent);
+    }
+
+    /**
+     * Check if a URL path points to a file (has an extension).
+     *
+     * @param string $path URL path.
+     * @return bool
+     */
+    private static function isFilePath(string $path): bool
+    {
+        return $path !== '' && pathinfo($path, PATHINFO_EXTENSION) !== '';
     }
-}
\ No newline at end of file
+
+    /**
+     * Get the user agent of the current request.
+     *
+     * @return string
+     */
+    private static function getUserAgent(): string
+    {
+        return isset($_SERVER['HTTP_USER_AGENT']) ? sanitize_text_field(wp_unslash($_SERVER['HTTP_USER_AGENT'])) : '';
+    }
+}
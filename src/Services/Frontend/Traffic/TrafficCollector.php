@@ -15,7 +15,8 @@ if (!defined('ABSPATH')) {
  *
  * Collects frontend pageview counts using WordPress transients.
  * Runs only on legitimate frontend requests, skipping admin, REST, AJAX,
- * cron, feed, and preview requests.
+ * cron, feed, and preview requests. Pages served from a page cache are
+ * counted by PageviewBeacon instead, when enabled.
  *
  * @package ProactiveSiteAdvisor\Services\Frontend\Traffic
  * @version 1.0.0
@@ -50,6 +51,19 @@ class TrafficCollector extends AbstractSingleton
             return;
         }
 
+        $this->count();
+
+        // The beacon printed on this page must not count it again.
+        PageviewBeacon::getInstance()->markCounted();
+    }
+
+    /**
+     * Add one pageview to today's count.
+     *
+     * @return void
+     */
+    public function count(): void
+    {
         $key = CacheKeys::pageviewsToday();
         CacheManager::getInstance()->increment($key, 1, self::TRANSIENT_TTL);
     }
@@ -27,5 +27,6 @@ class TrafficManager extends AbstractSingleton
     {
         TrafficCollector::getInstance()->register();
         NotFoundTracker::getInstance()->register();
+        PageviewBeacon::getInstance()->register();
     }
 }
@@ -16,6 +16,10 @@ if (!defined('ABSPATH')) {
  * Compares current day statistics against historical baselines
  * to detect anomalies like traffic drops, spikes, and 404 surges.
  *
+ * Alert meta keeps the baseline average under `avg7`, the key stored
+ * alerts already use, though it now holds the average over the rule's
+ * `baseline_days` window.
+ *
  * @package ProactiveSiteAdvisor\Services\Insights
  * @version 1.0.0
  */
@@ -35,6 +39,13 @@ class AlertEngine extends AbstractSingleton
      */
     private TodayStatsFetcher $todayFetcher;
 
+    /**
+     * Alert rule thresholds.
+     *
+     * @var AlertThresholds
+     */
+    private AlertThresholds $thresholds;
+
     /**
      * Initialize the engine with its dependencies.
      */
@@ -43,6 +54,7 @@ class AlertEngine extends AbstractSingleton
         parent::__construct();
         $this->baseline     = BaselineCalculator::getInstance();
         $this->todayFetcher = TodayStatsFetcher::getInstance();
+        $this->thresholds   = AlertThresholds::getInstance();
     }
 
     /**
@@ -58,116 +70,155 @@ class AlertEngine extends AbstractSingleton
     /**
      * Generate alerts for a specific day.
      *
+     * Each rule compares the day against its own baseline window (see
+     * AlertThresholds) and is skipped until that many days are stored.
+     *
      * @param string $today Date in Y-m-d format.
      * @return void
      */
     public function generateForDay(string $today): void
     {
-        $base = $this->baseline->getAvgLastNDaysExcludingToday($today, 7);
+        $thresholds = $this->thresholds->get();
+        $todayStats = null;
+        $baselines  = [];
 
-        if (($base['count'] ?? 0) < 7) {
-            return;
-        }
+        foreach ($thresholds as $rule => $values) {
+            $days = (int)$values['baseline_days'];
 
-        $avgPv  = (float)$base['avg_pageviews'];
-        $avg404 = (float)$base['avg_404'];
+            if (!isset($baselines[$days])) {
+                $baselines[$days] = $this->baseline->getAvgLastNDaysExcludingToday($today, $days);
+            }
 
-        $todayStats = $this->todayFetcher->getToday($today);
-        $todayPv    = (int)$todayStats['pageviews'];
-        $today404   = (int)$todayStats['errors_404'];
-        $top404     = $todayStats['top_404'];
+            if (($baselines[$days]['count'] ?? 0) < $days) {
+                continue;
+            }
 
-        $this->trafficRules($today, $todayPv, $avgPv);
-        $this->error404Rules($today, $today404, $avg404, $top404);
+            $todayStats = $todayStats ?? $this->todayFetcher->getToday($today);
+
+            switch ($rule) {
+                case 'traffic_drop':
+                    $this->trafficDropRule($today, (int)$todayStats['pageviews'], (float)$baselines[$days]['avg_pageviews'], $values);
+                    break;
+                case 'traffic_spike':
+                    $this->trafficSpikeRule($today, (int)$todayStats['pageviews'], (float)$baselines[$days]['avg_pageviews'], $values);
+                    break;
+                case 'error_404_spike':
+                    $this->error404Rule($today, (int)$todayStats['errors_404'], (float)$baselines[$days]['avg_404'], $todayStats['top_404'], $values);
+                    break;
+            }
+        }
     }
 
     /**
-     * Apply traffic-based alert rules.
+     * Apply the traffic drop rule.
      *
      * @param string $date Date in Y-m-d format.
      * @param int $todayPv Today's pageview count.
-     * @param float $avgPv Average pageviews over baseline period.
+     * @param float $avgPv Average pageviews over the baseline window.
+     * @param array $thresholds The rule's thresholds: baseline_days, drop_pct, critical_pct.
      * @return void
      */
-    private function trafficRules(string $date, int $todayPv, float $avgPv): void
+    private function trafficDropRule(string $date, int $todayPv, float $avgPv, array $thresholds): void
     {
         if ($avgPv <= 0.0) {
             return;
         }
 
-        $ratio     = $todayPv / $avgPv;
-        $changePct = ($ratio - 1.0) * 100.0;
+        $changePct = ($todayPv / $avgPv - 1.0) * 100.0;
+
+        if (-$changePct <= $thresholds['drop_pct']) {
+            return;
+        }
+
+        $severity = (abs($changePct) >= $thresholds['critical_pct']) ? 'critical' : 'warning';
+        $title    = sprintf(
+        /* translators: %s is percent number */
+            __('Traffic dropped by %s%%', 'proactive-site-advisor'),
+            number_format_i18n(abs($changePct), 0)
+        );
 
-        // Traffic drop detection
-        if ($ratio < 0.7) {
-            $severity = (abs($changePct) >= 40.0) ? 'critical' : 'warning';
-            $title    = sprintf(
-            /* translators: %s is percent number */
-                __('Traffic dropped by %s%%', 'proactive-site-advisor'),
-                number_format_i18n(abs($changePct), 0)
-            );
+        $message = __(
+            "Today's traffic is significantly lower than your recent average.\n\nNext steps:\n- Check if your site is reachable\n- Review recent plugin/theme changes\n- Check for increased 404 errors",
+            'proactive-site-advisor'
+        );
 
-            $message = __(
-                "Today's traffic is significantly lower than your recent average.\n\nNext steps:\n- Check if your site is reachable\n- Review recent plugin/theme changes\n- Check for increased 404 errors",
-                'proactive-site-advisor'
-            );
-
-            $meta = [
-                'today'      => $todayPv,
-                'avg7'       => (int)round($avgPv),
-                'change_pct' => round($changePct, 2),
-            ];
-
-            Alert::createIfNotExists(
-                $date,
-                'traffic_drop',
-                $severity,
-                $title,
-                $message,
-                wp_json_encode($meta)
-            );
+        $meta = [
+            'today'         => $todayPv,
+            'avg7'          => (int)round($avgPv),
+            'baseline_days' => (int)$thresholds['baseline_days'],
+            'change_pct'    => round($changePct, 2),
+        ];
+
+        Alert::createIfNotExists(
+            $date,
+            'traffic_drop',
+            $severity,
+            $title,
+            $message,
+            wp_json_encode($meta)
+        );
+    }
+
+    /**
+     * Apply the traffic spike rule.
+     *
+     * @param string $date Date in Y-m-d format.
+     * @param int $todayPv Today's pageview count.
+     * @param float $avgPv Average pageviews over the baseline window.
+     * @param array $thresholds The rule's thresholds: baseline_days, increase_pct.
+     * @return void
+     */
+    private function trafficSpikeRule(string $date, int $todayPv, float $avgPv, array $thresholds): void
+    {
+        if ($avgPv <= 0.0) {
+            return;
         }
 
-        // Traffic spike detection
-        if ($ratio > 1.5) {
-            $title = sprintf(
-            /* translators: %s is percent number */
-                __('Traffic increased by %s%%', 'proactive-site-advisor'),
-                number_format_i18n(abs($changePct), 0)
-            );
+        $changePct = ($todayPv / $avgPv - 1.0) * 100.0;
 
-            $message = __(
-                "Your traffic is significantly higher than your recent average.\n\nNext steps:\n- Check which pages are receiving traffic\n- Verify traffic sources\n- Ensure your site performance is stable",
-                'proactive-site-advisor'
-            );
-
-            $meta = [
-                'today'      => $todayPv,
-                'avg7'       => (int)round($avgPv),
-                'change_pct' => round($changePct, 2),
-            ];
-
-            Alert::createIfNotExists(
-                $date,
-                'traffic_spike',
-                'info',
-                $title,
-                $message,
-                wp_json_encode($meta)
-            );
+        if ($changePct <= $thresholds['increase_pct']) {
+            return;
         }
+
+        $title = sprintf(
+        /* translators: %s is percent number */
+            __('Traffic increased by %s%%', 'proactive-site-advisor'),
+            number_format_i18n(abs($changePct), 0)
+        );
+
+        $message = __(
+            "Your traffic is significantly higher than your recent average.\n\nNext steps:\n- Check which pages are receiving traffic\n- Verify traffic sources\n- Ensure your site performance is stable",
+            'proactive-site-advisor'
+        );
+
+        $meta = [
+            'today'         => $todayPv,
+            'avg7'          => (int)round($avgPv),
+            'baseline_days' => (int)$thresholds['baseline_days'],
+            'change_pct'    => round($changePct, 2),
+        ];
+
+        Alert::createIfNotExists(
+            $date,
+            'traffic_spike',
+            'info',
+            $title,
+            $message,
+            wp_json_encode($meta)
+        );
     }
 
     /**
-     * Apply 404 error-based alert rules.
+     * Apply the 404 error rule.
      *
      * @param string $date Date in Y-m-d format.
      * @param int $today404 Today's 404 error count.
-     * @param float $avg404 Average 404 errors over baseline period.
+     * @param float $avg404 Average 404 errors over the baseline window.
      * @param array|null $top404 Top 404 paths array.
+     * @param array $thresholds The rule's thresholds: baseline_days, min_errors, multiplier.
      * @return void
      */
-    private function error404Rules(string $date, int $today404, float $avg404, ?array $top404): void
+    private function error404Rule(string $date, int $today404, float $avg404, ?array $top404, array $thresholds): void
     {
         if ($today404 <= 0) {
             return;
@@ -175,11 +226,11 @@ class AlertEngine extends AbstractSingleton
 
         $shouldAlert = false;
 
-        if ($avg404 < 3.0) {
-            if ($today404 >= 10) {
+        if ($avg404 < AlertThresholds::LOW_404_BASELINE) {
+            if ($today404 >= $thresholds['min_errors']) {
                 $shouldAlert = true;
             }
-        } else if ($today404 > 2.0 * $avg404) {
+        } else if ($today404 > $thresholds['multiplier'] * $avg404) {
             $shouldAlert = true;
         }
 
@@ -214,10 +265,11 @@ class AlertEngine extends AbstractSingleton
         }
 
         $meta = [
-            'today'      => $today404,
-            'avg7'       => (int)round($avg404),
-            'change_pct' => $changePct,
-            'top'        => $top404,
+            'today'         => $today404,
+            'avg7'          => (int)round($avg404),
+            'baseline_days' => (int)$thresholds['baseline_days'],
+            'change_pct'    => $changePct,
+            'top'           => $top404,
         ];
 
         Alert::createIfNotExists(
@@ -0,0 +1,153 @@
+<?php
+
+namespace ProactiveSiteAdvisor\Services\Insights;
+
+use ProactiveSiteAdvisor\Abstracts\AbstractSingleton;
+use ProactiveSiteAdvisor\Config\PluginMeta;
+use ProactiveSiteAdvisor\Utils\OptionUtils;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class AlertThresholds
+ *
+ * The values AlertEngine compares each day against, editable per rule
+ * on the Alert rules page. Each rule has its own baseline window: the
+ * number of previous days averaged, which is also the history a day
+ * needs before the rule applies to it.
+ *
+ * The Alert rules preview (alert-thresholds.js) replays the same rules
+ * in the browser; keep both in sync.
+ *
+ * @package ProactiveSiteAdvisor\Services\Insights
+ * @version 1.0.0
+ */
+class AlertThresholds extends AbstractSingleton
+{
+    /**
+     * Default values, by rule.
+     *
+     * - traffic_drop: alert when pageviews fall more than drop_pct
+     *   below the baseline; critical from critical_pct.
+     * - traffic_spike: alert when pageviews rise more than increase_pct.
+     * - error_404_spike: alert when 404 errors exceed multiplier × the
+     *   baseline, or reach min_errors while the baseline is below
+     *   LOW_404_BASELINE.
+     */
+    public const DEFAULTS = [
+        'traffic_drop'    => [
+            'baseline_days' => 7,
+            'drop_pct'      => 30,
+            'critical_pct'  => 40,
+        ],
+        'traffic_spike'   => [
+            'baseline_days' => 7,
+            'increase_pct'  => 50,
+        ],
+        'error_404_spike' => [
+            'baseline_days' => 7,
+            'min_errors'    => 10,
+            'multiplier'    => 2.0,
+        ],
+    ];
+
+    /**
+     * Accepted range of each field: [min, max, step].
+     */
+    public const RANGES = [
+        'baseline_days' => [3, 30, 1],
+        'drop_pct'      => [5, 95, 1],
+        'critical_pct'  => [5, 100, 1],
+        'increase_pct'  => [5, 1000, 1],
+        'min_errors'    => [1, 10000, 1],
+        'multiplier'    => [1.1, 20, 0.1],
+    ];
+
+    /**
+     * Below this average of daily 404 errors, the 404 rule uses the
+     * min_errors count instead of the multiplier.
+     */
+    public const LOW_404_BASELINE = 3.0;
+
+    /**
+     * Get the thresholds in use.
+     *
+     * @return array Same shape as DEFAULTS.
+     */
+    public function get(): array
+    {
+        $stored = OptionUtils::getMeta(PluginMeta::ALERT_THRESHOLDS, []);
+
+        /**
+         * Filter the thresholds alerts are generated with.
+         *
+         * @param array $thresholds Thresholds by rule (see AlertThresholds::DEFAULTS).
+         */
+        $thresholds = apply_filters('proactive_site_advisor_alert_thresholds', $this->sanitize(is_array($stored) ? $stored : []));
+
+        return $this->sanitize(is_array($thresholds) ? $thresholds : []);
+    }
+
+    /**
+     * Save new thresholds.
+     *
+     * @param array $input Thresholds by rule; missing fields keep their default.
+     * @return array The sanitized thresholds that were saved.
+     */
+    public function save(array $input): array
+    {
+        $thresholds = $this->sanitize($input);
+
+        OptionUtils::setMeta(PluginMeta::ALERT_THRESHOLDS, $thresholds);
+
+        return $thresholds;
+    }
+
+    /**
+     * Clamp every field to its range, filling in missing ones.
+     *
+     * @param array $input Thresholds by rule.
+     * @return array Same shape as DEFAULTS.
+     */
+    public function sanitize(array $input): array
+    {
+        $thresholds = [];
+
+        foreach (self::DEFAULTS as $rule => $fields) {
+            $values = isset($input[$rule]) && is_array($input[$rule]) ? $input[$rule] : [];
+
+            foreach ($fields as $field => $default) {
+                $thresholds[$rule][$field] = $this->clamp($field, $values[$field] ?? $default, $default);
+            }
+        }
+
+        // A drop can't be critical before it alerts at all.
+        $thresholds['traffic_drop']['critical_pct'] = max(
+            $thresholds['traffic_drop']['critical_pct'],
+            $thresholds['traffic_drop']['drop_pct']
+        );
+
+        return $thresholds;
+    }
+
+    /**
+     * @param string $field Field name.
+     * @param mixed $value Submitted value.
+     * @param int|float $default Default value, whose type the result keeps.
+     * @return int|float
+     */
+    private function clamp(string $field, $value, $default)
+    {
+        [$min, $max, $step] = self::RANGES[$field];
+
+        if (!is_numeric($value)) {
+            $value = $default;
+        }
+
+        $value = min($max, max($min, (float)$value));
+
+        return is_int($default) ? (int)round($value) : round(round($value / $step) * $step, 2);
+    }
+}
@@ -95,4 +95,59 @@ class BaselineCalculator extends AbstractSingleton
             'avg_404'       => $count > 0 ? ($sum404 / $count) : 0.0,
         ];
     }
+
+    /**
+     * Get the baseline average for each of the given dates.
+     *
+     * Each date is compared against the same window as
+     * getAvgLastNDaysExcludingToday(): the N most recent days before it.
+     *
+     * @param string[] $dates Dates in Y-m-d format.
+     * @param int $days Number of days to average.
+     * @return array<string, array{count: int, avg_pageviews: float, avg_404: float}> Keyed by date.
+     */
+    public function getRollingAverages(array $dates, int $days = 7): array
+    {
+        global $wpdb;
+
+        if (empty($dates)) {
+            return [];
+        }
+
+        sort($dates);
+
+        // phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from DatabaseManager::getFullTableName()
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT stats_date, pageviews, errors_404
+                 FROM {$this->statsTable}
+                 WHERE stats_date < %s
+                 ORDER BY stats_date DESC
+                 LIMIT %d",
+                end($dates),
+                count($dates) + $days
+            ),
+            ARRAY_A
+        );
+        // phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter
+
+        $rows     = is_array($rows) ? $rows : [];
+        $averages = [];
+
+        foreach ($dates as $date) {
+            $window = array_slice(array_values(array_filter($rows, static function (array $row) use ($date): bool {
+                return (string)$row['stats_date'] < $date;
+            })), 0, $days);
+
+            $count = count($window);
+
+            $averages[$date] = [
+                'count'         => $count,
+                'avg_pageviews' => $count > 0 ? array_sum(array_map('intval', array_column($window, 'pageviews'))) / $count : 0.0,
+                'avg_404'       => $count > 0 ? array_sum(array_map('intval', array_column($window, 'errors_404'))) / $count : 0.0,
+            ];
+        }
+
+        return $averages;
+    }
 }
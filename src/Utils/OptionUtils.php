@@ -37,7 +37,7 @@ class OptionUtils
     public static function getDefaults(): array
     {
         return [
-            //
+            PluginOptions::PAGEVIEW_BEACON => false,
         ];
     }
 
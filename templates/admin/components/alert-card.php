@@ -19,6 +19,10 @@
  * @var string $shortMessage Short collapsed message
  * @var array  $expanded Expanded content: ['meaning' => string, 'checks' => array]
  * @var string $alertDate Date of the alert (Y-m-d format)
+ * @var string $type Alert type identifier (e.g., 'traffic_drop')
+ * @var int    $alertId Alert ID (0 hides the status actions)
+ * @var string $status Alert status: 'open', 'acknowledged', 'snoozed', 'resolved'
+ * @var string $statusLabel Human-readable status (empty for open alerts)
  */
 
 defined('ABSPATH') || exit;
@@ -32,6 +36,18 @@ $message       = $message ?? '';
 $shortMessage  = $shortMessage ?? $message;
 $expanded      = $expanded ?? [];
 $alertDate     = $alertDate ?? '';
+$type          = $type ?? '';
+$alertId       = (int)($alertId ?? 0);
+$status        = $status ?? 'open';
+$statusLabel   = $statusLabel ?? '';
+
+// Alert model for the snooze durations
+use ProactiveSiteAdvisor\Models\Alert;
+
+// Template utility for rendering the top URLs
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
+
+$snoozeDays = Alert::getSnoozeDays();
 
 // Format the date for display
 $formattedDate = '';
@@ -49,7 +65,15 @@ $hasExpanded = !empty($expanded['meaning']) || !empty($expanded['checks']) || !e
 $cardId = 'proactive-site-advisor-alert-' . wp_unique_id();
 ?>
 
-<div class="proactive-site-advisor-card proactive-site-advisor-alert-card proactive-site-advisor-alert-card--<?php echo esc_attr($severity); ?><?php echo $hasExpanded ? ' proactive-site-advisor-alert-card--collapsible' : ''; ?>">
+<div class="proactive-site-advisor-card proactive-site-advisor-alert-card proactive-site-advisor-alert-card--<?php echo esc_attr($severity); ?><?php echo $hasExpanded ? ' proactive-site-advisor-alert-card--collapsible' : ''; ?>"
+    <?php if ($alertId > 0) : ?>
+        data-proactive-site-advisor-alert-id="<?php echo esc_attr($alertId); ?>"
+    <?php endif; ?>
+    data-proactive-site-advisor-alert-status="<?php echo esc_attr($status); ?>"
+    data-proactive-site-advisor-alert-severity="<?php echo esc_attr($severity); ?>"
+    data-proactive-site-advisor-alert-type="<?php echo esc_attr($type); ?>"
+    data-proactive-site-advisor-alert-date="<?php echo esc_attr($alertDate); ?>"
+>
     <div class="proactive-site-advisor-alert-card__body">
         <div class="proactive-site-advisor-alert-card__icon">
             <span class="<?php echo esc_attr($iconClass); ?>"></span>
@@ -62,6 +86,7 @@ $cardId = 'proactive-site-advisor-alert-' . wp_unique_id();
                 <?php if (!empty($formattedDate)) : ?>
                     <span class="proactive-site-advisor-alert-card__date"><?php echo esc_html($formattedDate); ?></span>
                 <?php endif; ?>
+                <span class="proactive-site-advisor-alert-card__status"><?php echo esc_html($statusLabel); ?></span>
             </div>
             <?php if (!empty($title)) : ?>
                 <h5 class="proactive-site-advisor-alert-card__title"><?php echo esc_html($title); ?></h5>
@@ -70,6 +95,50 @@ $cardId = 'proactive-site-advisor-alert-' . wp_unique_id();
                 <p class="proactive-site-advisor-alert-card__message"><?php echo esc_html($shortMessage); ?></p>
             <?php endif; ?>
 
+            <?php if ($alertId > 0) : ?>
+                <div class="proactive-site-advisor-alert-card__actions">
+                    <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-primary"
+                            data-proactive-site-advisor-action="alert-status"
+                            data-proactive-site-advisor-status="acknowledged"
+                            data-proactive-site-advisor-status-label="<?php esc_attr_e('Acknowledged', 'proactive-site-advisor'); ?>"
+                            data-proactive-site-advisor-hide-for="acknowledged snoozed resolved">
+                        <?php esc_html_e('Acknowledge', 'proactive-site-advisor'); ?>
+                    </button>
+                    <?php foreach ($snoozeDays as $days) : ?>
+                        <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary"
+                                data-proactive-site-advisor-action="alert-status"
+                                data-proactive-site-advisor-status="snoozed"
+                                data-proactive-site-advisor-days="<?php echo esc_attr($days); ?>"
+                                data-proactive-site-advisor-status-label="<?php esc_attr_e('Snoozed', 'proactive-site-advisor'); ?>"
+                                data-proactive-site-advisor-hide-for="snoozed resolved">
+                            <?php
+                            /* translators: %d: number of days */
+                            echo esc_html(sprintf(_n('Snooze %d day', 'Snooze %d days', $days, 'proactive-site-advisor'), $days));
+                            ?>
+                        </button>
+                    <?php endforeach; ?>
+                    <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-success"
+                            data-proactive-site-advisor-action="alert-status"
+                            data-proactive-site-advisor-status="resolved"
+                            data-proactive-site-advisor-status-label="<?php esc_attr_e('Resolved', 'proactive-site-advisor'); ?>"
+                            data-proactive-site-advisor-hide-for="resolved">
+                        <?php esc_html_e('Mark resolved', 'proactive-site-advisor'); ?>
+                    </button>
+                    <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary"
+                            data-proactive-site-advisor-action="alert-status"
+                            data-proactive-site-advisor-status="open"
+                            data-proactive-site-advisor-status-label=""
+                            data-proactive-site-advisor-hide-for="open">
+                        <?php esc_html_e('Reopen', 'proactive-site-advisor'); ?>
+                    </button>
+                    <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-link"
+                            data-proactive-site-advisor-action="alert-details"
+                            aria-haspopup="dialog">
+                        <?php esc_html_e('View details', 'proactive-site-advisor'); ?>
+                    </button>
+                </div>
+            <?php endif; ?>
+
             <?php if ($hasExpanded) : ?>
                 <div id="<?php echo esc_attr($cardId); ?>-details" class="proactive-site-advisor-alert-card__details" hidden>
                     <?php if (!empty($expanded['meaning'])) : ?>
@@ -93,14 +162,14 @@ $cardId = 'proactive-site-advisor-alert-' . wp_unique_id();
                     <?php if (!empty($expanded['topUrls']) && is_array($expanded['topUrls'])) : ?>
                         <div class="proactive-site-advisor-alert-card__section">
                             <h6 class="proactive-site-advisor-alert-card__section-title"><?php esc_html_e('Top 404 URLs', 'proactive-site-advisor'); ?></h6>
-                            <ul class="proactive-site-advisor-alert-card__url-list">
-                                <?php foreach ($expanded['topUrls'] as $urlItem) : ?>
-                                    <li>
-                                        <code class="proactive-site-advisor-alert-card__url-path"><?php echo esc_html($urlItem['path']); ?></code>
-                                        <span class="proactive-site-advisor-alert-card__url-count"><?php echo esc_html(number_format_i18n($urlItem['count'])); ?></span>
-                                    </li>
-                                <?php endforeach; ?>
-                            </ul>
+                            <?php
+                            // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+                            echo TemplateUtils::renderTemplate('admin/components/top-urls', [
+                                'items' => $expanded['topUrls'],
+                                'total' => $expanded['total404'] ?? 0,
+                            ]);
+                            // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+                            ?>
                         </div>
                     <?php endif; ?>
                 </div>
@@ -0,0 +1,86 @@
+<?php
+/**
+ * Alerts Toolbar Component
+ *
+ * Client-side filter, search and sort controls for the alerts list.
+ * Filter state is mirrored to the URL by alerts-toolbar.js.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $types Alert type => label map for the type filter
+ */
+
+defined('ABSPATH') || exit;
+
+$types     = $types ?? [];
+$toolbarId = 'proactive-site-advisor-alerts-toolbar-' . wp_unique_id();
+
+/* translators: 1: number of visible alerts, 2: total number of alerts */
+$summaryTemplate = __('Showing %1$s of %2$s alerts', 'proactive-site-advisor');
+?>
+
+<div class="proactive-site-advisor-alerts-toolbar" data-proactive-site-advisor-alerts-toolbar>
+    <div class="proactive-site-advisor-alerts-toolbar__controls">
+        <div class="proactive-site-advisor-alerts-toolbar__field proactive-site-advisor-alerts-toolbar__field--search">
+            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($toolbarId); ?>-q"><?php esc_html_e('Search', 'proactive-site-advisor'); ?></label>
+            <input type="search" id="<?php echo esc_attr($toolbarId); ?>-q" class="proactive-site-advisor-form-control proactive-site-advisor-form-control-sm"
+                   placeholder="<?php esc_attr_e('Search title or message', 'proactive-site-advisor'); ?>"
+                   autocomplete="off"
+                   data-proactive-site-advisor-filter="q">
+        </div>
+
+        <div class="proactive-site-advisor-alerts-toolbar__field">
+            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($toolbarId); ?>-severity"><?php esc_html_e('Severity', 'proactive-site-advisor'); ?></label>
+            <select id="<?php echo esc_attr($toolbarId); ?>-severity" class="proactive-site-advisor-form-select" data-proactive-site-advisor-filter="severity">
+                <option value=""><?php esc_html_e('All severities', 'proactive-site-advisor'); ?></option>
+                <option value="critical"><?php esc_html_e('Critical', 'proactive-site-advisor'); ?></option>
+                <option value="warning"><?php esc_html_e('Warning', 'proactive-site-advisor'); ?></option>
+                <option value="info"><?php esc_html_e('Info', 'proactive-site-advisor'); ?></option>
+            </select>
+        </div>
+
+        <div class="proactive-site-advisor-alerts-toolbar__field">
+            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($toolbarId); ?>-type"><?php esc_html_e('Type', 'proactive-site-advisor'); ?></label>
+            <select id="<?php echo esc_attr($toolbarId); ?>-type" class="proactive-site-advisor-form-select" data-proactive-site-advisor-filter="type">
+                <option value=""><?php esc_html_e('All types', 'proactive-site-advisor'); ?></option>
+                <?php foreach ($types as $typeValue => $typeLabel) : ?>
+                    <option value="<?php echo esc_attr($typeValue); ?>"><?php echo esc_html($typeLabel); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+
+        <div class="proactive-site-advisor-alerts-toolbar__field">
+            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($toolbarId); ?>-from"><?php esc_html_e('From', 'proactive-site-advisor'); ?></label>
+            <input type="date" id="<?php echo esc_attr($toolbarId); ?>-from" class="proactive-site-advisor-form-control proactive-site-advisor-form-control-sm" data-proactive-site-advisor-filter="from">
+        </div>
+
+        <div class="proactive-site-advisor-alerts-toolbar__field">
+            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($toolbarId); ?>-to"><?php esc_html_e('To', 'proactive-site-advisor'); ?></label>
+            <input type="date" id="<?php echo esc_attr($toolbarId); ?>-to" class="proactive-site-advisor-form-control proactive-site-advisor-form-control-sm" data-proactive-site-advisor-filter="to">
+        </div>
+
+        <div class="proactive-site-advisor-alerts-toolbar__field">
+            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($toolbarId); ?>-sort"><?php esc_html_e('Sort by', 'proactive-site-advisor'); ?></label>
+            <select id="<?php echo esc_attr($toolbarId); ?>-sort" class="proactive-site-advisor-form-select" data-proactive-site-advisor-filter="sort">
+                <option value="newest"><?php esc_html_e('Newest first', 'proactive-site-advisor'); ?></option>
+                <option value="oldest"><?php esc_html_e('Oldest first', 'proactive-site-advisor'); ?></option>
+                <option value="severity"><?php esc_html_e('Severity', 'proactive-site-advisor'); ?></option>
+            </select>
+        </div>
+
+        <div class="proactive-site-advisor-alerts-toolbar__field proactive-site-advisor-alerts-toolbar__field--actions">
+            <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary" data-proactive-site-advisor-action="reset-filters">
+                <?php esc_html_e('Reset', 'proactive-site-advisor'); ?>
+            </button>
+            <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-link" data-proactive-site-advisor-action="show-shortcuts" aria-haspopup="dialog" aria-keyshortcuts="?">
+                <?php esc_html_e('Keyboard shortcuts', 'proactive-site-advisor'); ?>
+            </button>
+        </div>
+    </div>
+
+    <p class="proactive-site-advisor-alerts-toolbar__summary" aria-live="polite" data-proactive-site-advisor-template="<?php echo esc_attr($summaryTemplate); ?>"></p>
+    <p class="proactive-site-advisor-alerts-toolbar__empty" hidden><?php esc_html_e('No alerts match the current filters.', 'proactive-site-advisor'); ?></p>
+</div>
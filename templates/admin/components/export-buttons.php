@@ -0,0 +1,42 @@
+<?php
+/**
+ * Export Buttons Component
+ *
+ * CSV and JSON download buttons handled in the browser by data-export.js.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var string $source Data source to export: 'alerts' or 'history'
+ * @var string $label Accessible label for the button group
+ */
+
+defined('ABSPATH') || exit;
+
+$source = $source ?? 'alerts';
+$label  = $label ?? __('Export', 'proactive-site-advisor');
+
+$formats = [
+    'csv'  => __('CSV', 'proactive-site-advisor'),
+    'json' => __('JSON', 'proactive-site-advisor'),
+];
+?>
+
+<div class="proactive-site-advisor-btn-group proactive-site-advisor-export-buttons" role="group" aria-label="<?php echo esc_attr($label); ?>">
+    <?php foreach ($formats as $format => $formatLabel) : ?>
+        <button type="button"
+                class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary"
+                data-proactive-site-advisor-action="export"
+                data-proactive-site-advisor-export="<?php echo esc_attr($source); ?>"
+                data-proactive-site-advisor-format="<?php echo esc_attr($format); ?>"
+                title="<?php
+                /* translators: %s: file format, e.g. CSV */
+                echo esc_attr(sprintf(__('Download as %s', 'proactive-site-advisor'), $formatLabel));
+                ?>">
+            <span class="proactive-site-advisor-icon--download" aria-hidden="true"></span>
+            <?php echo esc_html($formatLabel); ?>
+        </button>
+    <?php endforeach; ?>
+</div>
@@ -0,0 +1,48 @@
+<?php
+/**
+ * History Chart Component
+ *
+ * Container for the SVG traffic and 404 chart drawn by history-chart.js.
+ * Points and labels are passed as data attributes; the table rendered
+ * alongside remains the accessible fallback.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $points Chart points, oldest first (see AlertsPageContext::getHistoryChart())
+ * @var string $title Accessible chart title
+ * @var int|null $baselineDays Window of the baselines, in days; null when the traffic and 404 rules differ
+ */
+
+defined('ABSPATH') || exit;
+
+$points       = $points ?? [];
+$title        = $title ?? __('Daily pageviews and 404 errors', 'proactive-site-advisor');
+$baselineDays = $baselineDays ?? null;
+
+if (empty($points)) {
+    return;
+}
+
+$labels = [
+    'pageviews' => __('Pageviews', 'proactive-site-advisor'),
+    'errors404' => __('404 Errors', 'proactive-site-advisor'),
+    'baseline'  => $baselineDays
+        /* translators: %d: number of days in the baseline window */
+        ? sprintf(__('%d-day baseline', 'proactive-site-advisor'), $baselineDays)
+        : __('Baseline', 'proactive-site-advisor'),
+    'alerts'    => __('Alerts', 'proactive-site-advisor'),
+];
+?>
+
+<div class="proactive-site-advisor-card proactive-site-advisor-history-chart"
+     data-proactive-site-advisor-history-chart
+     data-proactive-site-advisor-chart-data="<?php echo esc_attr(wp_json_encode(array_values($points))); ?>"
+     data-proactive-site-advisor-chart-labels="<?php echo esc_attr(wp_json_encode($labels)); ?>"
+     data-proactive-site-advisor-chart-title="<?php echo esc_attr($title); ?>">
+    <div class="proactive-site-advisor-history-chart__legend"></div>
+    <div class="proactive-site-advisor-history-chart__canvas"></div>
+    <div class="proactive-site-advisor-history-chart__tooltip" aria-hidden="true" hidden></div>
+</div>
@@ -0,0 +1,48 @@
+<?php
+/**
+ * Theme Toggle Component
+ *
+ * Three-state light / dark / system switch for the admin header.
+ * Handled by theme-switcher.js.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var string $theme Current theme mode: 'light', 'dark' or 'system'
+ */
+
+defined('ABSPATH') || exit;
+
+$theme = $theme ?? 'light';
+
+$modes = [
+    'light'  => [
+        'label' => __('Light', 'proactive-site-advisor'),
+        'icon'  => 'proactive-site-advisor-icon--sun',
+    ],
+    'dark'   => [
+        'label' => __('Dark', 'proactive-site-advisor'),
+        'icon'  => 'proactive-site-advisor-icon--moon',
+    ],
+    'system' => [
+        'label' => __('System', 'proactive-site-advisor'),
+        'icon'  => 'proactive-site-advisor-icon--desktop',
+    ],
+];
+?>
+
+<div class="proactive-site-advisor-btn-group proactive-site-advisor-theme-toggle" role="group" aria-label="<?php esc_attr_e('Color theme', 'proactive-site-advisor'); ?>">
+    <?php foreach ($modes as $mode => $config) : ?>
+        <button type="button"
+                class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-primary"
+                data-proactive-site-advisor-theme-toggle
+                data-proactive-site-advisor-theme-value="<?php echo esc_attr($mode); ?>"
+                aria-pressed="<?php echo $mode === $theme ? 'true' : 'false'; ?>"
+                title="<?php echo esc_attr($config['label']); ?>">
+            <span class="<?php echo esc_attr($config['icon']); ?>" aria-hidden="true"></span>
+            <span class="screen-reader-text"><?php echo esc_html($config['label']); ?></span>
+        </button>
+    <?php endforeach; ?>
+</div>
@@ -0,0 +1,94 @@
+<?php
+/**
+ * Top URLs Component
+ *
+ * Top 404 paths of an alert with their share of the day's 404 errors,
+ * copy and open-on-site actions, sorting and a "show all" toggle.
+ * Handled by top-urls.js, which renders the same markup for cards
+ * built on the client.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $items Paths, most hit first: [['path' => string, 'count' => int, 'url' => string], ...]
+ * @var int   $total Total 404 errors of the day (shares are relative to it)
+ * @var int   $visible Number of paths shown before "show all"
+ */
+
+defined('ABSPATH') || exit;
+
+use ProactiveSiteAdvisor\DataProviders\AlertsDataProvider;
+
+$items   = $items ?? [];
+$total   = max(1, (int)($total ?? 0));
+$visible = (int)($visible ?? AlertsDataProvider::TOP_URLS_VISIBLE);
+$hidden  = count($items) > $visible;
+?>
+
+<div class="proactive-site-advisor-top-urls" data-proactive-site-advisor-top-urls data-proactive-site-advisor-visible="<?php echo esc_attr($visible); ?>">
+    <?php if (count($items) > 1) : ?>
+        <div class="proactive-site-advisor-btn-group proactive-site-advisor-top-urls__sort" role="group" aria-label="<?php esc_attr_e('Sort URLs', 'proactive-site-advisor'); ?>">
+            <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary"
+                    data-proactive-site-advisor-action="sort-urls"
+                    data-proactive-site-advisor-sort="count"
+                    aria-pressed="true">
+                <?php esc_html_e('By count', 'proactive-site-advisor'); ?>
+            </button>
+            <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary"
+                    data-proactive-site-advisor-action="sort-urls"
+                    data-proactive-site-advisor-sort="path"
+                    aria-pressed="false">
+                <?php esc_html_e('By path', 'proactive-site-advisor'); ?>
+            </button>
+        </div>
+    <?php endif; ?>
+
+    <ul class="proactive-site-advisor-alert-card__url-list">
+        <?php foreach ($items as $index => $urlItem) :
+            $share = min(100, round($urlItem['count'] / $total * 100, 1));
+            /* translators: %s: percentage */
+            $shareLabel = sprintf(__('%s%% of the day’s 404 errors', 'proactive-site-advisor'), number_format_i18n($share, 1));
+            ?>
+            <li data-proactive-site-advisor-path="<?php echo esc_attr($urlItem['path']); ?>"
+                data-proactive-site-advisor-count="<?php echo esc_attr($urlItem['count']); ?>"
+                <?php echo $index >= $visible ? 'hidden' : ''; ?>>
+                <code class="proactive-site-advisor-alert-card__url-path" title="<?php echo esc_attr($urlItem['path']); ?>"><?php echo esc_html($urlItem['path']); ?></code>
+                <span class="proactive-site-advisor-alert-card__url-share" title="<?php echo esc_attr($shareLabel); ?>">
+                    <span class="proactive-site-advisor-alert-card__url-bar" style="width: <?php echo esc_attr($share); ?>%;"></span>
+                    <span class="proactive-site-advisor-visually-hidden"><?php echo esc_html($shareLabel); ?></span>
+                </span>
+                <span class="proactive-site-advisor-alert-card__url-count"><?php echo esc_html(number_format_i18n($urlItem['count'])); ?></span>
+                <span class="proactive-site-advisor-alert-card__url-actions">
+                    <button type="button" class="proactive-site-advisor-alert-card__url-action"
+                            data-proactive-site-advisor-action="copy-url"
+                            data-proactive-site-advisor-url="<?php echo esc_url($urlItem['url']); ?>"
+                            title="<?php esc_attr_e('Copy URL', 'proactive-site-advisor'); ?>">
+                        <span class="dashicons dashicons-admin-page" aria-hidden="true"></span>
+                        <span class="proactive-site-advisor-visually-hidden"><?php esc_html_e('Copy URL', 'proactive-site-advisor'); ?></span>
+                    </button>
+                    <a class="proactive-site-advisor-alert-card__url-action"
+                       href="<?php echo esc_url($urlItem['url']); ?>"
+                       target="_blank"
+                       rel="noopener noreferrer"
+                       title="<?php esc_attr_e('Open on site', 'proactive-site-advisor'); ?>">
+                        <span class="dashicons dashicons-external" aria-hidden="true"></span>
+                        <span class="proactive-site-advisor-visually-hidden"><?php esc_html_e('Open on site (opens in a new tab)', 'proactive-site-advisor'); ?></span>
+                    </a>
+                </span>
+            </li>
+        <?php endforeach; ?>
+    </ul>
+
+    <?php if ($hidden) : ?>
+        <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-link"
+                data-proactive-site-advisor-action="toggle-urls"
+                aria-expanded="false">
+            <?php
+            /* translators: %d: number of URLs */
+            echo esc_html(sprintf(__('Show all %d URLs', 'proactive-site-advisor'), count($items)));
+            ?>
+        </button>
+    <?php endif; ?>
+</div>
@@ -12,13 +12,17 @@
 defined('ABSPATH') || exit;
 
 // Set defaults for optional variables
-$logoUrl   = $logoUrl ?? '';
-$title     = $title ?? esc_html__('Proactive Site Advisor', 'proactive-site-advisor');
-$titleLink = $titleLink ?? '';
-$navItems  = $navItems ?? [];
-$actions   = $actions ?? [];
-$version   = $version ?? '';
-$theme     = $theme ?? '';
+$logoUrl         = $logoUrl ?? '';
+$title           = $title ?? esc_html__('Proactive Site Advisor', 'proactive-site-advisor');
+$titleLink       = $titleLink ?? '';
+$navItems        = $navItems ?? [];
+$actions         = $actions ?? [];
+$version         = $version ?? '';
+$theme           = $theme ?? '';
+$showThemeToggle = $showThemeToggle ?? true;
+
+// Template utility for rendering components
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
 ?>
 
 <div class="wrap proactive-site-advisor-wrap" data-proactive-site-advisor-theme="<?php echo esc_attr($theme); ?>">
@@ -139,7 +143,7 @@ $theme     = $theme ?? '';
             <?php endif; ?>
 
             <!-- Actions Section -->
-            <?php if (!empty($actions)) : ?>
+            <?php if (!empty($actions) || $showThemeToggle) : ?>
                 <div class="proactive-site-advisor-header-actions">
                     <?php foreach ($actions as $action) :
                         $type = $action['type'] ?? 'button';
@@ -185,6 +189,14 @@ $theme     = $theme ?? '';
                         </button>
                     <?php endif; ?>
                     <?php endforeach; ?>
+
+                    <?php if ($showThemeToggle) : ?>
+                        <?php
+                        // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+                        echo TemplateUtils::renderTemplate('admin/components/theme-toggle', ['theme' => $theme]);
+                        // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+                        ?>
+                    <?php endif; ?>
                 </div>
             <?php endif; ?>
         </div>
@@ -0,0 +1,141 @@
+<?php
+/**
+ * Admin Page: Alert Rules
+ *
+ * Thresholds of each alert rule, and a preview replaying the rules
+ * against the stored days. Handled by alert-thresholds.js.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var string $pageTitle Page title
+ * @var string $pageSubtitle Page subtitle/description
+ * @var array $rules Rule sections: [['id', 'title', 'description', 'fields' => [['name', 'label', 'unit', 'help', 'value', 'default', 'min', 'max', 'step'], ...]], ...]
+ * @var array $history Stored days, oldest first: [['date', 'label', 'pageviews', 'errors_404'], ...]
+ * @var array $beacon Pageview beacon: ['enabled' => bool, 'cacheDetected' => bool]
+ */
+
+defined('ABSPATH') || exit;
+
+$pageTitle    = $pageTitle ?? esc_html__('Alert Rules', 'proactive-site-advisor');
+$pageSubtitle = $pageSubtitle ?? '';
+$rules        = $rules ?? [];
+$history      = $history ?? [];
+$beacon       = $beacon ?? ['enabled' => false, 'cacheDetected' => false];
+$formId       = 'proactive-site-advisor-alert-thresholds-' . wp_unique_id();
+?>
+
+<!-- Page Header -->
+<div class="proactive-site-advisor-page-header">
+    <h1 class="proactive-site-advisor-page-title"><?php echo esc_html($pageTitle); ?></h1>
+    <?php if (!empty($pageSubtitle)) : ?>
+        <p class="proactive-site-advisor-page-description"><?php echo esc_html($pageSubtitle); ?></p>
+    <?php endif; ?>
+</div>
+
+<div class="proactive-site-advisor-page-content">
+    <form class="proactive-site-advisor-alert-thresholds"
+          data-proactive-site-advisor-alert-thresholds
+          data-proactive-site-advisor-history="<?php echo esc_attr(wp_json_encode($history)); ?>">
+        <?php foreach ($rules as $rule) : ?>
+            <div class="proactive-site-advisor-section">
+                <div class="proactive-site-advisor-section__header">
+                    <div>
+                        <h3 class="proactive-site-advisor-section__title"><?php echo esc_html($rule['title']); ?></h3>
+                        <p class="proactive-site-advisor-section__description"><?php echo esc_html($rule['description']); ?></p>
+                    </div>
+                </div>
+
+                <div class="proactive-site-advisor-card proactive-site-advisor-alert-thresholds__fields">
+                    <?php foreach ($rule['fields'] as $field) :
+                        $fieldId = $formId . '-' . $rule['id'] . '-' . $field['name'];
+                        ?>
+                        <div class="proactive-site-advisor-alert-thresholds__field">
+                            <label class="proactive-site-advisor-form-label" for="<?php echo esc_attr($fieldId); ?>"><?php echo esc_html($field['label']); ?></label>
+                            <div class="proactive-site-advisor-input-group">
+                                <input type="number"
+                                       id="<?php echo esc_attr($fieldId); ?>"
+                                       class="proactive-site-advisor-form-control"
+                                       name="<?php echo esc_attr($rule['id'] . '[' . $field['name'] . ']'); ?>"
+                                       value="<?php echo esc_attr($field['value']); ?>"
+                                       min="<?php echo esc_attr($field['min']); ?>"
+                                       max="<?php echo esc_attr($field['max']); ?>"
+                                       step="<?php echo esc_attr($field['step']); ?>"
+                                       required
+                                       data-proactive-site-advisor-rule="<?php echo esc_attr($rule['id']); ?>"
+                                       data-proactive-site-advisor-field="<?php echo esc_attr($field['name']); ?>">
+                                <span class="proactive-site-advisor-input-group-text"><?php echo esc_html($field['unit']); ?></span>
+                            </div>
+                            <p class="proactive-site-advisor-form-text">
+                                <?php if ($field['help'] !== '') : ?>
+                                    <?php echo esc_html($field['help']); ?>
+                                <?php endif; ?>
+                                <?php
+                                /* translators: %s: default value of the field */
+                                echo esc_html(sprintf(__('Default: %s', 'proactive-site-advisor'), number_format_i18n($field['default'], is_float($field['default']) ? 1 : 0)));
+                                ?>
+                            </p>
+                        </div>
+                    <?php endforeach; ?>
+                </div>
+            </div>
+        <?php endforeach; ?>
+
+        <div class="proactive-site-advisor-alert-thresholds__actions">
+            <button type="submit" class="proactive-site-advisor-btn proactive-site-advisor-btn-primary" data-proactive-site-advisor-action="save-thresholds" disabled>
+                <?php esc_html_e('Save changes', 'proactive-site-advisor'); ?>
+            </button>
+            <button type="button" class="proactive-site-advisor-btn proactive-site-advisor-btn-outline-secondary" data-proactive-site-advisor-action="restore-thresholds">
+                <?php esc_html_e('Restore defaults', 'proactive-site-advisor'); ?>
+            </button>
+            <span class="proactive-site-advisor-alert-thresholds__status" aria-live="polite"></span>
+        </div>
+    </form>
+
+    <div class="proactive-site-advisor-section">
+        <div class="proactive-site-advisor-section__header">
+            <div>
+                <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('Preview', 'proactive-site-advisor'); ?></h3>
+                <p class="proactive-site-advisor-section__description">
+                    <?php
+                    /* translators: %s: number of days */
+                    echo esc_html(sprintf(__('The last %s stored days that alerted with the saved values, or would with the values above.', 'proactive-site-advisor'), number_format_i18n(count($history))));
+                    ?>
+                </p>
+            </div>
+        </div>
+
+        <p class="proactive-site-advisor-alert-thresholds__summary" aria-live="polite"></p>
+        <div data-proactive-site-advisor-region="threshold-preview"></div>
+    </div>
+
+    <div class="proactive-site-advisor-section">
+        <div class="proactive-site-advisor-section__header">
+            <div>
+                <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('Traffic counting', 'proactive-site-advisor'); ?></h3>
+                <p class="proactive-site-advisor-section__description"><?php esc_html_e('Pageviews are counted when WordPress builds a page. Visits served by a page cache or CDN never reach it, and look like a lasting traffic drop.', 'proactive-site-advisor'); ?></p>
+            </div>
+        </div>
+
+        <div class="proactive-site-advisor-card proactive-site-advisor-alert-thresholds__fields">
+            <div class="proactive-site-advisor-form-check proactive-site-advisor-form-switch">
+                <input type="checkbox"
+                       id="<?php echo esc_attr($formId); ?>-beacon"
+                       class="proactive-site-advisor-form-check-input"
+                       data-proactive-site-advisor-action="toggle-beacon"
+                       <?php checked($beacon['enabled']); ?>>
+                <label class="proactive-site-advisor-form-check-label" for="<?php echo esc_attr($formId); ?>-beacon">
+                    <?php esc_html_e('Also count pageviews in visitors’ browsers', 'proactive-site-advisor'); ?>
+                </label>
+                <p class="proactive-site-advisor-form-text">
+                    <?php esc_html_e('Adds a small script to your pages. Views WordPress already counted are not counted twice.', 'proactive-site-advisor'); ?>
+                    <?php if ($beacon['cacheDetected']) : ?>
+                        <?php esc_html_e('A page cache appears to be active on this site.', 'proactive-site-advisor'); ?>
+                    <?php endif; ?>
+                </p>
+            </div>
+        </div>
+    </div>
+</div>
@@ -15,9 +15,13 @@
  * @var array $statusSummary Status summary box: ['color', 'title', 'text']
  * @var array $digestCards Array of stat card configurations
  * @var array $latestAlerts Latest alerts data: ['type' => 'message'|'alerts', ...]
- * @var array $history History data: ['showTable', 'average', 'rows', 'emptyMessage']
+ * @var array $history History data: ['days', 'showTable', 'average', 'rows', 'chart', 'emptyMessage']
+ * @var int[] $historyRanges Selectable history ranges in days
  * @var bool $showPromoBanner Whether to show the promo banner
  * @var string $promoDismissNonce Nonce for promo banner dismiss action
+ * @var string $signature Dashboard data signature used by the live refresh
+ * @var int $refreshInterval Live refresh interval in seconds (0 disables it)
+ * @var array $alertTypes Alert type => label map for the alerts toolbar
  */
 
 defined('ABSPATH') || exit;
@@ -29,9 +33,30 @@ $statusLine        = $statusLine ?? '';
 $statusSummary     = $statusSummary ?? [];
 $digestCards       = $digestCards ?? [];
 $latestAlerts      = $latestAlerts ?? ['type' => 'message', 'title' => '', 'text' => '', 'helper' => ''];
-$history           = $history ?? ['showTable' => true, 'average' => null, 'rows' => [], 'emptyMessage' => ''];
+$history           = $history ?? ['days' => 7, 'showTable' => true, 'average' => null, 'rows' => [], 'emptyMessage' => ''];
+$historyRanges     = $historyRanges ?? [7, 30, 90];
 $showPromoBanner   = $showPromoBanner ?? true;
 $promoDismissNonce = $promoDismissNonce ?? '';
+$signature         = $signature ?? '';
+$refreshInterval   = $refreshInterval ?? 0;
+$alertTypes        = $alertTypes ?? [];
+
+// Labels for the client-side history table pager
+$pagerLabels = [
+    'navigation' => __('History pages', 'proactive-site-advisor'),
+    'previous'   => __('Previous', 'proactive-site-advisor'),
+    'next'       => __('Next', 'proactive-site-advisor'),
+    /* translators: 1: current page, 2: total pages */
+    'page'       => __('Page %1$s of %2$s', 'proactive-site-advisor'),
+];
+
+// Sections re-rendered in place by the live refresh
+$regionContext = [
+    'statusLine'    => $statusLine,
+    'statusSummary' => $statusSummary,
+    'digestCards'   => $digestCards,
+    'latestAlerts'  => $latestAlerts,
+];
 
 // Template utility for rendering components
 use ProactiveSiteAdvisor\Utils\TemplateUtils;
@@ -44,152 +69,117 @@ use ProactiveSiteAdvisor\Utils\TemplateUtils;
     <?php if (!empty($pageSubtitle)) : ?>
         <p class="proactive-site-advisor-page-description"><?php echo esc_html($pageSubtitle); ?></p>
     <?php endif; ?>
-    <?php if (!empty($statusLine)) : ?>
-        <p class="proactive-site-advisor-page-status">
-            <span class="proactive-site-advisor-icon--clock"></span>
-            <?php echo esc_html($statusLine); ?>
-        </p>
-    <?php endif; ?>
+    <div data-proactive-site-advisor-region="status-line">
+        <?php
+        // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+        echo TemplateUtils::renderTemplate('admin/partials/alerts/status-line', $regionContext);
+        // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+        ?>
+    </div>
 </div>
 
 <!-- Status Summary Box -->
-<?php if (!empty($statusSummary['title']) || !empty($statusSummary['text'])) : ?>
-    <div class="proactive-site-advisor-status-summary proactive-site-advisor-status-summary--<?php echo esc_attr($statusSummary['color'] ?? 'info'); ?>">
-        <div class="proactive-site-advisor-status-summary__content">
-            <?php if (!empty($statusSummary['title'])) : ?>
-                <strong class="proactive-site-advisor-status-summary__title"><?php echo esc_html($statusSummary['title']); ?></strong>
-                <span class="proactive-site-advisor-status-summary__separator">—</span>
-            <?php endif; ?>
-            <?php if (!empty($statusSummary['text'])) : ?>
-                <span class="proactive-site-advisor-status-summary__text"><?php echo esc_html($statusSummary['text']); ?></span>
-            <?php endif; ?>
-
-            <?php if (isset($statusSummary['progress'])) : ?>
-                <div class="proactive-site-advisor-status-summary__progress">
-                    <div class="proactive-site-advisor-status-summary__progress-bar" style="width: <?php echo esc_attr($statusSummary['progress']); ?>%;"></div>
-                </div>
-            <?php endif; ?>
-        </div>
-    </div>
-<?php endif; ?>
+<div data-proactive-site-advisor-region="status-summary">
+    <?php
+    // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+    echo TemplateUtils::renderTemplate('admin/partials/alerts/status-summary', $regionContext);
+    // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+    ?>
+</div>
 
-<div class="proactive-site-advisor-page-content">
+<div class="proactive-site-advisor-page-content"
+     data-proactive-site-advisor-dashboard
+     data-proactive-site-advisor-signature="<?php echo esc_attr($signature); ?>"
+     data-proactive-site-advisor-refresh-interval="<?php echo esc_attr($refreshInterval); ?>">
     <!-- Weekly Digest Section -->
     <div class="proactive-site-advisor-section">
         <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('Weekly Digest', 'proactive-site-advisor'); ?></h3>
-        <p class="proactive-site-advisor-section__description"><?php esc_html_e('Alert summary for the last 7 days.', 'proactive-site-advisor'); ?></p>
-        <div class="proactive-site-advisor-row">
-            <?php foreach ($digestCards as $cardKey => $card) : ?>
-                <div class="proactive-site-advisor-col-12 proactive-site-advisor-col-sm-6 proactive-site-advisor-col-lg-3">
-                    <?php
-                    // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
-                    echo TemplateUtils::renderTemplate('admin/components/stat-card', [
-                        'iconClass' => $card['iconClass'] ?? 'proactive-site-advisor-icon--alert',
-                        'value'     => $card['value'] ?? '0',
-                        'label'     => $card['label'] ?? '',
-                        'subtitle'  => $card['subtitle'] ?? '',
-                        'color'     => $card['color'] ?? 'primary',
-                    ]);
-                    // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
-                    ?>
-                </div>
-            <?php endforeach; ?>
+        <p class="proactive-site-advisor-section__description"><?php esc_html_e('Open alerts from the last 7 days.', 'proactive-site-advisor'); ?></p>
+        <div data-proactive-site-advisor-region="digest">
+            <?php
+            // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+            echo TemplateUtils::renderTemplate('admin/partials/alerts/digest', $regionContext);
+            // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+            ?>
         </div>
     </div>
 
     <!-- Latest Alerts Section -->
     <div class="proactive-site-advisor-section">
-        <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('Latest Alerts', 'proactive-site-advisor'); ?></h3>
-        <p class="proactive-site-advisor-section__description"><?php esc_html_e('Most recent alerts triggered on your site.', 'proactive-site-advisor'); ?></p>
-
-        <?php if ($latestAlerts['type'] === 'message') : ?>
+        <div class="proactive-site-advisor-section__header">
+            <div>
+                <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('Latest Alerts', 'proactive-site-advisor'); ?></h3>
+                <p class="proactive-site-advisor-section__description"><?php esc_html_e('Most recent alerts triggered on your site.', 'proactive-site-advisor'); ?></p>
+            </div>
             <?php
             // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
-            echo TemplateUtils::renderTemplate('admin/components/message-card', [
-                'title'  => $latestAlerts['title'] ?? '',
-                'text'   => $latestAlerts['text'] ?? '',
-                'helper' => $latestAlerts['helper'] ?? '',
-                'icon'   => $latestAlerts['icon'] ?? 'proactive-site-advisor-icon--info',
-                'color'  => $latestAlerts['color'] ?? 'info',
+            echo TemplateUtils::renderTemplate('admin/components/export-buttons', [
+                'source' => 'alerts',
+                'label'  => __('Export alerts', 'proactive-site-advisor'),
             ]);
             // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
             ?>
-        <?php elseif (!empty($latestAlerts['alerts'])) : ?>
-            <div class="proactive-site-advisor-alerts-list">
-                <?php
-                foreach ($latestAlerts['alerts'] as $alert) :
-                    // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
-                    echo TemplateUtils::renderTemplate('admin/components/alert-card', [
-                        'iconClass'     => $alert['icon_class'] ?? 'proactive-site-advisor-icon--alert',
-                        'severityClass' => $alert['severity_class'] ?? 'proactive-site-advisor-badge--info',
-                        'typeLabel'     => $alert['type_label'] ?? __('Alert', 'proactive-site-advisor'),
-                        'severity'      => $alert['severity'] ?? 'info',
-                        'title'         => $alert['title'] ?? '',
-                        'shortMessage'  => $alert['short_message'] ?? ($alert['message'] ?? ''),
-                        'expanded'      => $alert['expanded'] ?? [],
-                        'alertDate'     => $alert['alert_date'] ?? '',
-                    ]);
-                    // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
-                endforeach;
-                ?>
-            </div>
-        <?php endif; ?>
-    </div>
-
-    <!-- 7-Day History Section -->
-    <div class="proactive-site-advisor-section">
-        <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('7-Day History', 'proactive-site-advisor'); ?></h3>
-        <p class="proactive-site-advisor-section__description"><?php esc_html_e('Daily traffic and error statistics.', 'proactive-site-advisor'); ?></p>
-
-        <?php if ($history['showTable']) : ?>
-            <?php if (!empty($history['staleWarning'])) : ?>
-                <p class="proactive-site-advisor-history-stale proactive-site-advisor-text-muted proactive-site-advisor-text-sm">
-                    <span class="proactive-site-advisor-icon--clock"></span>
-                    <?php esc_html_e('Data may be outdated. Last checked over 24 hours ago.', 'proactive-site-advisor'); ?>
-                </p>
-            <?php endif; ?>
+        </div>
 
-            <?php if (!empty($history['average'])) : ?>
-                <p class="proactive-site-advisor-history-average">
-                    <span class="proactive-site-advisor-icon--traffic"></span>
-                    <?php
-                    printf(
-                    /* translators: 1: average pageviews, 2: average 404 errors */
-                        esc_html__('Average per day: %1$s pageviews · %2$s page errors (404)', 'proactive-site-advisor'),
-                        '<strong>' . esc_html(number_format_i18n($history['average']['pageviews'])) . '</strong>',
-                        '<strong>' . esc_html(number_format_i18n($history['average']['errors_404'])) . '</strong>'
-                    );
-                    ?>
-                </p>
-            <?php endif; ?>
+        <?php
+        // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+        echo TemplateUtils::renderTemplate('admin/components/alerts-toolbar', [
+            'types' => $alertTypes,
+        ]);
+        // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+        ?>
 
+        <div data-proactive-site-advisor-region="latest-alerts">
             <?php
             // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
-            echo TemplateUtils::renderTemplate('admin/components/table', [
-                'columns'      => [
-                    ['key' => 'stats_date', 'label' => __('Date', 'proactive-site-advisor'), 'type' => 'date'],
-                    ['key' => 'pageviews', 'label' => __('Pageviews', 'proactive-site-advisor'), 'type' => 'number'],
-                    ['key' => 'errors_404', 'label' => __('404 Errors', 'proactive-site-advisor'), 'type' => 'number'],
-                ],
-                'rows'         => $history['rows'],
-                'tableClass'   => 'proactive-site-advisor-table--striped',
-                'emptyMessage' => $history['emptyMessage'],
-            ]);
+            echo TemplateUtils::renderTemplate('admin/partials/alerts/latest-alerts', $regionContext);
             // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
             ?>
-        <?php else : ?>
+        </div>
+    </div>
+
+    <!-- History Section -->
+    <div class="proactive-site-advisor-section">
+        <div class="proactive-site-advisor-section__header">
+            <div>
+                <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('History', 'proactive-site-advisor'); ?></h3>
+                <p class="proactive-site-advisor-section__description"><?php esc_html_e('Daily traffic and error statistics.', 'proactive-site-advisor'); ?></p>
+            </div>
+            <div class="proactive-site-advisor-section__actions">
+                <?php
+                // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+                echo TemplateUtils::renderTemplate('admin/components/export-buttons', [
+                    'source' => 'history',
+                    'label'  => __('Export history', 'proactive-site-advisor'),
+                ]);
+                // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+                ?>
+                <div class="proactive-site-advisor-btn-group" role="group" aria-label="<?php esc_attr_e('History range', 'proactive-site-advisor'); ?>">
+                    <?php foreach ($historyRanges as $range) : ?>
+                        <button type="button"
+                                class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-primary"
+                                data-proactive-site-advisor-action="history-range"
+                                data-proactive-site-advisor-days="<?php echo esc_attr($range); ?>"
+                                aria-pressed="<?php echo (int)$range === (int)$history['days'] ? 'true' : 'false'; ?>">
+                            <?php
+                            /* translators: %d: number of days */
+                            echo esc_html(sprintf(__('%d days', 'proactive-site-advisor'), $range));
+                            ?>
+                        </button>
+                    <?php endforeach; ?>
+                </div>
+            </div>
+        </div>
+
+        <div data-proactive-site-advisor-history
+             data-proactive-site-advisor-days="<?php echo esc_attr($history['days']); ?>"
+             data-proactive-site-advisor-pager-labels="<?php echo esc_attr(wp_json_encode($pagerLabels)); ?>">
             <?php
             // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
-            echo TemplateUtils::renderTemplate('admin/components/message-card', [
-                'title'  => $history['title'] ?? __('Building history', 'proactive-site-advisor'),
-                'text'   => $history['emptyMessage'],
-                'helper' => '',
-                'icon'   => $history['icon'] ?? 'proactive-site-advisor-icon--traffic',
-                'color'  => 'info',
-            ]);
+            echo TemplateUtils::renderTemplate('admin/partials/alerts/history', ['history' => $history]);
             // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
             ?>
-        <?php endif; ?>
+        </div>
     </div>
 
     <!-- Pro Box Section (conditionally shown) -->
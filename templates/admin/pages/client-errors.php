@@ -0,0 +1,61 @@
+<?php
+/**
+ * Admin Page: Script Errors
+ *
+ * Lists the errors reported by the plugin's admin scripts.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var string $pageTitle Page title
+ * @var string $pageSubtitle Page subtitle/description
+ * @var array $errors Error rows (see partials/client-errors/table)
+ */
+
+defined('ABSPATH') || exit;
+
+$pageTitle    = $pageTitle ?? esc_html__('Script Errors', 'proactive-site-advisor');
+$pageSubtitle = $pageSubtitle ?? '';
+$errors       = $errors ?? [];
+
+// Template utility for rendering components
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
+
+?>
+
+<!-- Page Header -->
+<div class="proactive-site-advisor-page-header">
+    <h1 class="proactive-site-advisor-page-title"><?php echo esc_html($pageTitle); ?></h1>
+    <?php if (!empty($pageSubtitle)) : ?>
+        <p class="proactive-site-advisor-page-description"><?php echo esc_html($pageSubtitle); ?></p>
+    <?php endif; ?>
+</div>
+
+<div class="proactive-site-advisor-page-content">
+    <div class="proactive-site-advisor-section">
+        <div class="proactive-site-advisor-section__header">
+            <div>
+                <h3 class="proactive-site-advisor-section__title"><?php esc_html_e('Recent errors', 'proactive-site-advisor'); ?></h3>
+                <p class="proactive-site-advisor-section__description"><?php esc_html_e('Repeats of the same error are counted together. Each report is also written to the plugin log.', 'proactive-site-advisor'); ?></p>
+            </div>
+            <div class="proactive-site-advisor-section__actions">
+                <button type="button"
+                        class="proactive-site-advisor-btn proactive-site-advisor-btn-sm proactive-site-advisor-btn-outline-secondary"
+                        data-proactive-site-advisor-action="clear-client-errors"
+                        <?php disabled(empty($errors)); ?>>
+                    <?php esc_html_e('Clear', 'proactive-site-advisor'); ?>
+                </button>
+            </div>
+        </div>
+
+        <div data-proactive-site-advisor-region="client-errors">
+            <?php
+            // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+            echo TemplateUtils::renderTemplate('admin/partials/client-errors/table', ['errors' => $errors]);
+            // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+            ?>
+        </div>
+    </div>
+</div>
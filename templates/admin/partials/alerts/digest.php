@@ -0,0 +1,39 @@
+<?php
+/**
+ * Alerts Partial: Digest Cards
+ *
+ * Weekly Digest stat cards. Re-rendered by the dashboard refresh.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $digestCards Array of stat card configurations
+ */
+
+defined('ABSPATH') || exit;
+
+$digestCards = $digestCards ?? [];
+
+// Template utility for rendering components
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
+
+?>
+<div class="proactive-site-advisor-row">
+    <?php foreach ($digestCards as $cardKey => $card) : ?>
+        <div class="proactive-site-advisor-col-12 proactive-site-advisor-col-sm-6 proactive-site-advisor-col-lg-3">
+            <?php
+            // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+            echo TemplateUtils::renderTemplate('admin/components/stat-card', [
+                'iconClass' => $card['iconClass'] ?? 'proactive-site-advisor-icon--alert',
+                'value'     => $card['value'] ?? '0',
+                'label'     => $card['label'] ?? '',
+                'subtitle'  => $card['subtitle'] ?? '',
+                'color'     => $card['color'] ?? 'primary',
+            ]);
+            // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+            ?>
+        </div>
+    <?php endforeach; ?>
+</div>
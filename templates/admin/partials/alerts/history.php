@@ -0,0 +1,77 @@
+<?php
+/**
+ * Alerts Partial: History
+ *
+ * Average line, chart and table for the selected history range.
+ * Re-rendered when the range selector changes.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $history History data: ['days', 'showTable', 'average', 'rows', 'chart', 'emptyMessage']
+ */
+
+defined('ABSPATH') || exit;
+
+$history = $history ?? ['days' => 7, 'showTable' => true, 'average' => null, 'rows' => [], 'emptyMessage' => ''];
+
+// Template utility for rendering components
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
+
+?>
+<?php if ($history['showTable']) : ?>
+    <?php if (!empty($history['staleWarning'])) : ?>
+        <p class="proactive-site-advisor-history-stale proactive-site-advisor-text-muted proactive-site-advisor-text-sm">
+            <span class="proactive-site-advisor-icon--clock"></span>
+            <?php esc_html_e('Data may be outdated. Last checked over 24 hours ago.', 'proactive-site-advisor'); ?>
+        </p>
+    <?php endif; ?>
+
+    <?php if (!empty($history['average'])) : ?>
+        <p class="proactive-site-advisor-history-average">
+            <span class="proactive-site-advisor-icon--traffic"></span>
+            <?php
+            printf(
+            /* translators: 1: average pageviews, 2: average 404 errors */
+                esc_html__('Average per day: %1$s pageviews · %2$s page errors (404)', 'proactive-site-advisor'),
+                '<strong>' . esc_html(number_format_i18n($history['average']['pageviews'])) . '</strong>',
+                '<strong>' . esc_html(number_format_i18n($history['average']['errors_404'])) . '</strong>'
+            );
+            ?>
+        </p>
+    <?php endif; ?>
+
+    <?php
+    // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+    echo TemplateUtils::renderTemplate('admin/components/history-chart', [
+        'points'       => $history['chart'] ?? [],
+        'baselineDays' => $history['baselineDays'] ?? null,
+    ]);
+
+    echo TemplateUtils::renderTemplate('admin/components/table', [
+        'columns'      => [
+            ['key' => 'stats_date', 'label' => __('Date', 'proactive-site-advisor'), 'type' => 'date'],
+            ['key' => 'pageviews', 'label' => __('Pageviews', 'proactive-site-advisor'), 'type' => 'number'],
+            ['key' => 'errors_404', 'label' => __('404 Errors', 'proactive-site-advisor'), 'type' => 'number'],
+        ],
+        'rows'         => $history['rows'],
+        'tableClass'   => 'proactive-site-advisor-table--striped',
+        'emptyMessage' => $history['emptyMessage'],
+    ]);
+    // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+    ?>
+<?php else : ?>
+    <?php
+    // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+    echo TemplateUtils::renderTemplate('admin/components/message-card', [
+        'title'  => $history['title'] ?? __('Building history', 'proactive-site-advisor'),
+        'text'   => $history['emptyMessage'],
+        'helper' => '',
+        'icon'   => $history['icon'] ?? 'proactive-site-advisor-icon--traffic',
+        'color'  => 'info',
+    ]);
+    // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+    ?>
+<?php endif; ?>
@@ -0,0 +1,58 @@
+<?php
+/**
+ * Alerts Partial: Latest Alerts
+ *
+ * Alert cards, or a message card for empty states. Re-rendered by the dashboard refresh.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $latestAlerts Latest alerts data: ['type' => 'message'|'alerts', ...]
+ */
+
+defined('ABSPATH') || exit;
+
+$latestAlerts = $latestAlerts ?? ['type' => 'message', 'title' => '', 'text' => '', 'helper' => ''];
+
+// Template utility for rendering components
+use ProactiveSiteAdvisor\Utils\TemplateUtils;
+
+?>
+<?php if ($latestAlerts['type'] === 'message') : ?>
+    <?php
+    // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+    echo TemplateUtils::renderTemplate('admin/components/message-card', [
+        'title'  => $latestAlerts['title'] ?? '',
+        'text'   => $latestAlerts['text'] ?? '',
+        'helper' => $latestAlerts['helper'] ?? '',
+        'icon'   => $latestAlerts['icon'] ?? 'proactive-site-advisor-icon--info',
+        'color'  => $latestAlerts['color'] ?? 'info',
+    ]);
+    // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+    ?>
+<?php elseif (!empty($latestAlerts['alerts'])) : ?>
+    <div class="proactive-site-advisor-alerts-list">
+        <?php
+        foreach ($latestAlerts['alerts'] as $alert) :
+            // phpcs:disable WordPress.Security.EscapeOutput.OutputNotEscaped -- Output escaped in template
+            echo TemplateUtils::renderTemplate('admin/components/alert-card', [
+                'iconClass'     => $alert['icon_class'] ?? 'proactive-site-advisor-icon--alert',
+                'severityClass' => $alert['severity_class'] ?? 'proactive-site-advisor-badge--info',
+                'typeLabel'     => $alert['type_label'] ?? __('Alert', 'proactive-site-advisor'),
+                'severity'      => $alert['severity'] ?? 'info',
+                'title'         => $alert['title'] ?? '',
+                'shortMessage'  => $alert['short_message'] ?? ($alert['message'] ?? ''),
+                'expanded'      => $alert['expanded'] ?? [],
+                'alertDate'     => $alert['alert_date'] ?? '',
+                'type'          => $alert['type'] ?? '',
+                'alertId'       => (int)($alert['id'] ?? 0),
+                'status'        => $alert['status'] ?? 'open',
+                'statusLabel'   => $alert['status_label'] ?? '',
+            ]);
+            // phpcs:enable WordPress.Security.EscapeOutput.OutputNotEscaped
+        endforeach;
+        ?>
+    </div>
+<?php endif; ?>
@@ -0,0 +1,25 @@
+<?php
+/**
+ * Alerts Partial: Status Line
+ *
+ * Header line showing when monitoring last ran. Re-rendered by the dashboard refresh.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var string $statusLine Status line text (e.g., "Last checked: 2 minutes ago")
+ */
+
+defined('ABSPATH') || exit;
+
+$statusLine = $statusLine ?? '';
+
+?>
+<?php if (!empty($statusLine)) : ?>
+    <p class="proactive-site-advisor-page-status">
+        <span class="proactive-site-advisor-icon--clock"></span>
+        <?php echo esc_html($statusLine); ?>
+    </p>
+<?php endif; ?>
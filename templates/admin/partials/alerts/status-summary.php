@@ -0,0 +1,38 @@
+<?php
+/**
+ * Alerts Partial: Status Summary
+ *
+ * Colored summary box for the current monitoring state. Re-rendered by the dashboard refresh.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $statusSummary Status summary box: ['color', 'title', 'text', 'progress']
+ */
+
+defined('ABSPATH') || exit;
+
+$statusSummary = $statusSummary ?? [];
+
+?>
+<?php if (!empty($statusSummary['title']) || !empty($statusSummary['text'])) : ?>
+    <div class="proactive-site-advisor-status-summary proactive-site-advisor-status-summary--<?php echo esc_attr($statusSummary['color'] ?? 'info'); ?>">
+        <div class="proactive-site-advisor-status-summary__content">
+            <?php if (!empty($statusSummary['title'])) : ?>
+                <strong class="proactive-site-advisor-status-summary__title"><?php echo esc_html($statusSummary['title']); ?></strong>
+                <span class="proactive-site-advisor-status-summary__separator">—</span>
+            <?php endif; ?>
+            <?php if (!empty($statusSummary['text'])) : ?>
+                <span class="proactive-site-advisor-status-summary__text"><?php echo esc_html($statusSummary['text']); ?></span>
+            <?php endif; ?>
+
+            <?php if (isset($statusSummary['progress'])) : ?>
+                <div class="proactive-site-advisor-status-summary__progress">
+                    <div class="proactive-site-advisor-status-summary__progress-bar" style="width: <?php echo esc_attr($statusSummary['progress']); ?>%;"></div>
+                </div>
+            <?php endif; ?>
+        </div>
+    </div>
+<?php endif; ?>
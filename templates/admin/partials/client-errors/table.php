@@ -0,0 +1,67 @@
+<?php
+/**
+ * Client Errors Partial: Table
+ *
+ * Recent admin script errors, most recently seen first.
+ * Re-rendered when the errors are cleared.
+ *
+ * phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- Template variables are locally scoped via include.
+ *
+ * @package ProactiveSiteAdvisor
+ * @version 1.0.0
+ *
+ * @var array $errors Rows: ['message', 'type', 'location', 'page', 'stack', 'count', 'lastSeen']
+ */
+
+defined('ABSPATH') || exit;
+
+$errors = $errors ?? [];
+?>
+
+<div class="proactive-site-advisor-card proactive-site-advisor-table-card">
+    <div class="proactive-site-advisor-table-responsive">
+        <table class="proactive-site-advisor-table proactive-site-advisor-table--striped proactive-site-advisor-client-errors">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Message', 'proactive-site-advisor'); ?></th>
+                    <th><?php esc_html_e('Count', 'proactive-site-advisor'); ?></th>
+                    <th><?php esc_html_e('Last seen', 'proactive-site-advisor'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (!empty($errors)) : ?>
+                    <?php foreach ($errors as $error) : ?>
+                        <tr>
+                            <td>
+                                <strong><?php echo esc_html($error['message']); ?></strong>
+                                <div class="proactive-site-advisor-text-muted proactive-site-advisor-text-sm">
+                                    <?php echo esc_html($error['type']); ?>
+                                    <?php if ($error['location'] !== '') : ?>
+                                        · <code><?php echo esc_html($error['location']); ?></code>
+                                    <?php endif; ?>
+                                    <?php if ($error['page'] !== '') : ?>
+                                        · <?php echo esc_html($error['page']); ?>
+                                    <?php endif; ?>
+                                </div>
+                                <?php if ($error['stack'] !== '') : ?>
+                                    <details class="proactive-site-advisor-client-errors__stack">
+                                        <summary><?php esc_html_e('Stack trace', 'proactive-site-advisor'); ?></summary>
+                                        <pre><?php echo esc_html($error['stack']); ?></pre>
+                                    </details>
+                                <?php endif; ?>
+                            </td>
+                            <td><?php echo esc_html(number_format_i18n($error['count'])); ?></td>
+                            <td><?php echo esc_html($error['lastSeen']); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                <?php else : ?>
+                    <tr>
+                        <td colspan="3" class="proactive-site-advisor-table__empty">
+                            <?php esc_html_e('No script errors recorded.', 'proactive-site-advisor'); ?>
+                        </td>
+                    </tr>
+                <?php endif; ?>
+            </tbody>
+        </table>
+    </div>
+</div>